@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { calendarAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { CalendarOff, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const KINDS = [
+  { value: 'holiday', label: 'Holiday', badge: 'badge-success' },
+  { value: 'exams', label: 'Exam Week', badge: 'badge-warning' },
+  { value: 'cancelled', label: 'Cancelled', badge: 'badge-danger' },
+];
+
+const EMPTY_ENTRY = { kind: 'holiday', label: '', startDate: '', endDate: '', scheduleId: '' };
+
+/**
+ * Academic calendar: holidays, exam weeks and cancelled dates. Classes aren't listed for
+ * (or auto-started on) these dates. Admins add institution-wide dates; teachers cancel
+ * single classes of their own.
+ */
+export default function CalendarManager({ schedules }) {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState({ ...EMPTY_ENTRY, scheduleId: user?.isAdmin ? '' : schedules[0]?.id || '' });
+
+  const loadEntries = () => {
+    calendarAPI.getAll()
+      .then(res => setEntries(res.data.exceptions || []))
+      .catch(() => toast.error('Failed to load the calendar'));
+  };
+
+  useEffect(loadEntries, []);
+
+  const canDelete = (entry) => !!user?.isAdmin || (!!entry.scheduleId && entry.createdBy === user?.id);
+
+  const scheduleLabel = (scheduleId) => {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    return schedule ? `${schedule.subjectName} (${schedule.sessionType.toUpperCase()}, ${schedule.sectionOrGroup})` : 'Another teacher\'s class';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await calendarAPI.create({ ...form, endDate: form.endDate || null, scheduleId: form.scheduleId || null });
+      toast.success('Date added');
+      setForm({ ...EMPTY_ENTRY, kind: form.kind, scheduleId: form.scheduleId });
+      loadEntries();
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || 'Failed to add date');
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Remove ${entry.label || 'this date'}?`)) return;
+    try {
+      await calendarAPI.delete(entry.id);
+      toast.success('Date removed');
+      loadEntries();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to remove date');
+    }
+  };
+
+  const canAdd = !!user?.isAdmin || schedules.length > 0;
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '380px 1fr', gap: 24 }}>
+      {/* Add form */}
+      <div className="card">
+        <h3 className="card-title" style={{ marginBottom: 16 }}>Add Date</h3>
+        {canAdd ? (
+          <form onSubmit={handleSubmit}>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Kind</label>
+                <select className="form-select" value={form.kind} onChange={e => setForm({ ...form, kind: e.target.value })}>
+                  {KINDS.map(k => <option key={k.value} value={k.value}>{k.label}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Label</label>
+                <input className="form-input" value={form.label} onChange={e => setForm({ ...form, label: e.target.value })} placeholder="e.g. Spring break" maxLength={100} />
+              </div>
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">From</label>
+                <input type="date" className="form-input" value={form.startDate} onChange={e => setForm({ ...form, startDate: e.target.value })} required />
+              </div>
+              <div className="form-group">
+                <label className="form-label">To</label>
+                <input type="date" className="form-input" value={form.endDate} min={form.startDate} onChange={e => setForm({ ...form, endDate: e.target.value })} />
+              </div>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Applies To</label>
+              <select className="form-select" value={form.scheduleId} onChange={e => setForm({ ...form, scheduleId: e.target.value })}>
+                {user?.isAdmin && <option value="">All classes (institution-wide)</option>}
+                {schedules.map(s => <option key={s.id} value={s.id}>{scheduleLabel(s.id)}</option>)}
+              </select>
+            </div>
+            <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>Add Date</button>
+          </form>
+        ) : (
+          <p style={{ fontSize: 13, color: 'var(--text-muted)' }}>
+            Add a schedule first to cancel one of its classes. Holidays and exam weeks are set by an admin.
+          </p>
+        )}
+      </div>
+
+      {/* Calendar */}
+      <div className="card">
+        <h3 className="card-title" style={{ marginBottom: 16 }}>Calendar</h3>
+        {entries.length > 0 ? (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Dates</th>
+                  <th>Kind</th>
+                  <th>Label</th>
+                  <th>Applies To</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => {
+                  const kind = KINDS.find(k => k.value === entry.kind) || KINDS[0];
+                  return (
+                    <tr key={entry.id}>
+                      <td style={{ fontSize: 13 }}>
+                        {entry.startDate}{entry.endDate !== entry.startDate && ` → ${entry.endDate}`}
+                      </td>
+                      <td><span className={`badge ${kind.badge}`}>{kind.label}</span></td>
+                      <td>{entry.label || '—'}</td>
+                      <td style={{ fontSize: 13 }}>{entry.scheduleId ? scheduleLabel(entry.scheduleId) : 'All classes'}</td>
+                      <td>
+                        {canDelete(entry) && (
+                          <button className="btn btn-sm btn-danger" onClick={() => handleDelete(entry)} title="Remove date">
+                            <Trash2 size={14} />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="empty-state">
+            <CalendarOff size={40} />
+            <h3>No dates yet</h3>
+            <p>Holidays, exam weeks and cancelled classes appear here and are skipped by your schedule</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -26,7 +26,7 @@ const navItems = [
 ];
 
 export default function DashboardLayout() {
-  const { user, logout } = useAuth();
+  const { user, logout, reconnectDrive } = useAuth();
   const navigate = useNavigate();
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
@@ -86,6 +86,17 @@ export default function DashboardLayout() {
 
         {/* Main content */}
         <main className="main-content">
+          {user?.driveStatus === 'disconnected' && (
+            <div className="alert alert-warning">
+              <span>
+                <strong>Google Drive disconnected.</strong> Attendance is still recorded, but sheets
+                won't update until you reconnect.
+              </span>
+              <button className="btn btn-sm btn-primary" style={{ marginLeft: 'auto' }} onClick={reconnectDrive}>
+                Reconnect
+              </button>
+            </div>
+          )}
           <Outlet />
         </main>
       </div>
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Crosshair } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const SHAPES = [
+  { value: 'circle', label: 'Single circle' },
+  { value: 'circles', label: 'Several circles (split rooms)' },
+  { value: 'polygon', label: 'Polygon (building outline)' },
+];
+
+/**
+ * Geofence shape as sent to the API (coordinates typed as text → numbers), or null
+ */
+export function toGeofencePayload(geofence) {
+  if (!geofence) return null;
+  const point = p => ({ lat: parseFloat(p.lat), lng: parseFloat(p.lng) });
+  return geofence.type === 'circles'
+    ? { type: 'circles', circles: geofence.circles.map(c => ({ ...point(c), radius: parseInt(c.radius) })) }
+    : { type: 'polygon', points: geofence.points.map(point) };
+}
+
+/**
+ * Picks the classroom geofence shape. "Single circle" is null — the parent form keeps
+ * its own location + radius fields for it. Polygons are drawn by walking to each corner
+ * and adding the current location (or typing coordinates).
+ */
+export default function GeofenceEditor({ value, onChange, center, radius = 50 }) {
+  const [locating, setLocating] = useState(false);
+  const shape = value?.type || 'circle';
+  const items = shape === 'circles' ? value.circles : shape === 'polygon' ? value.points : [];
+  const listKey = shape === 'circles' ? 'circles' : 'points';
+
+  const setShape = (type) => {
+    if (type === 'circle') return onChange(null);
+    const start = center ? { lat: center.lat, lng: center.lng } : { lat: '', lng: '' };
+    onChange(type === 'circles'
+      ? { type, circles: [{ ...start, radius }] }
+      : { type, points: [] });
+  };
+
+  const setItems = (next) => onChange({ ...value, [listKey]: next });
+  const updateItem = (i, field, v) => setItems(items.map((item, j) => (j === i ? { ...item, [field]: v } : item)));
+  const addItem = (point) => setItems([...items, shape === 'circles' ? { ...point, radius } : point]);
+
+  const addCurrentLocation = () => {
+    if (!navigator.geolocation) return toast.error('Location is not available on this device');
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        addItem({ lat: pos.coords.latitude, lng: pos.coords.longitude });
+        setLocating(false);
+      },
+      () => {
+        toast.error('Could not get your location');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
+  return (
+    <div className="form-group">
+      <label className="form-label">Geofence Shape</label>
+      <select className="form-select" value={shape} onChange={e => setShape(e.target.value)}>
+        {SHAPES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+      </select>
+
+      {shape !== 'circle' && (
+        <div style={{ marginTop: 10 }}>
+          {items.map((item, i) => (
+            <div key={i} style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 6 }}>
+              <span style={{ fontSize: 12, color: 'var(--text-muted)', width: 18 }}>{i + 1}</span>
+              <input type="number" step="any" className="form-input" style={{ padding: '4px 8px', fontSize: 13 }} value={item.lat} onChange={e => updateItem(i, 'lat', e.target.value)} placeholder="Latitude" required />
+              <input type="number" step="any" className="form-input" style={{ padding: '4px 8px', fontSize: 13 }} value={item.lng} onChange={e => updateItem(i, 'lng', e.target.value)} placeholder="Longitude" required />
+              {shape === 'circles' && (
+                <input type="number" className="form-input" style={{ padding: '4px 8px', fontSize: 13, width: 90 }} value={item.radius} onChange={e => updateItem(i, 'radius', e.target.value)} min={10} max={1000} title="Radius (m)" required />
+              )}
+              <button type="button" className="btn-icon" onClick={() => setItems(items.filter((_, j) => j !== i))} title="Remove">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+            <button type="button" className="btn btn-sm btn-secondary" onClick={addCurrentLocation} disabled={locating}>
+              <Crosshair size={14} /> {locating ? 'Locating...' : 'Add my current location'}
+            </button>
+            <button type="button" className="btn btn-sm btn-secondary" onClick={() => addItem({ lat: '', lng: '' })}>
+              <Plus size={14} /> Add {shape === 'circles' ? 'circle' : 'corner'}
+            </button>
+          </div>
+          <small style={{ color: 'var(--text-muted)', fontSize: 12, display: 'block', marginTop: 6 }}>
+            {shape === 'circles'
+              ? 'Students inside any of the circles (radius in meters) are in class'
+              : `Walk to each corner of the room and add your location — at least 3 corners (${items.length} so far)`}
+          </small>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,294 @@
+import React, { useState } from 'react';
+import { scheduleAPI } from '../services/api';
+import { FileSpreadsheet, Upload, ArrowLeft, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_LAYOUT = { sheet: '', orientation: 'auto', headerRow: '', headerColumn: '', defaultSessionType: 'lecture' };
+
+const CONFLICT_BADGES = { duplicate: 'badge-info', overlap: 'badge-warning', room: 'badge-danger', batch: 'badge-warning' };
+
+/**
+ * Timetable import wizard: upload the department's XLSX grid, check the detected classes
+ * (conflicts with existing schedules are flagged) and create the picked ones in one go
+ */
+export default function GridImport({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [layout, setLayout] = useState(EMPTY_LAYOUT);
+  const [options, setOptions] = useState({ year: 1, startDate: '', endDate: '' });
+  const [preview, setPreview] = useState(null);
+  const [items, setItems] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!file) return toast.error('Choose a timetable file');
+
+    setBusy(true);
+    try {
+      const res = await scheduleAPI.previewGrid(file, { ...layout, startDate: options.startDate, endDate: options.endDate });
+      const { sheets, sheet, layout: detected, skipped } = res.data;
+      setPreview({ sheets, skipped });
+      setLayout({ ...layout, sheet, ...detected });
+      setItems(res.data.items.map(item => ({
+        ...item,
+        selected: !item.conflicts.some(c => c.type === 'duplicate'),
+      })));
+      if (res.data.items.length === 0) toast.error('No classes found in this sheet');
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || 'Failed to read the timetable');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateItem = (key, changes) => {
+    setItems(items.map(item => (item.key === key ? { ...item, ...changes } : item)));
+  };
+
+  const selected = items.filter(item => item.selected);
+  const selectedKeys = new Set(selected.map(item => item.key));
+
+  const handleImport = async () => {
+    if (selected.length === 0) return toast.error('Pick at least one class');
+    if (selected.some(item => !item.subjectName.trim() || !item.sectionOrGroup.trim())) {
+      return toast.error('Every picked class needs a subject and a group');
+    }
+
+    setBusy(true);
+    try {
+      const res = await scheduleAPI.importGrid({
+        year: options.year,
+        startDate: options.startDate || null,
+        endDate: options.endDate || null,
+        schedules: selected.map(item => ({
+          subjectName: item.subjectName,
+          sessionType: item.sessionType,
+          sectionOrGroup: item.sectionOrGroup,
+          dayOfWeek: item.dayOfWeek,
+          startTime: item.startTime,
+          endTime: item.endTime,
+          roomId: item.roomId,
+          classroomName: item.classroomName,
+          weekParity: item.weekParity,
+        })),
+      });
+      toast.success(`Created ${res.data.imported} schedules`);
+      onImported();
+      onClose();
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()} style={{ maxWidth: preview ? 980 : 560 }}>
+        <div className="modal-header">
+          <h3 className="modal-title">Import Timetable</h3>
+          <button className="btn-icon" onClick={onClose}><X size={20} /></button>
+        </div>
+
+        {!preview ? (
+          <form onSubmit={handlePreview}>
+            <div className="form-group">
+              <label className="form-label">Timetable (.xlsx)</label>
+              <input type="file" className="form-input" accept=".xlsx,.xls,.csv" onChange={e => setFile(e.target.files[0] || null)} required />
+              <p style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 6 }}>
+                The department grid: days down the first column and time slots across the top (or the other way round),
+                one class per cell — e.g. "Algo TD G2 Salle 12".
+              </p>
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Sheet</label>
+                <input className="form-input" value={layout.sheet} onChange={e => setLayout({ ...layout, sheet: e.target.value })} placeholder="First sheet" />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Days Run</label>
+                <select className="form-select" value={layout.orientation} onChange={e => setLayout({ ...layout, orientation: e.target.value })}>
+                  <option value="auto">Detect</option>
+                  <option value="days-rows">Down the rows</option>
+                  <option value="days-columns">Across the columns</option>
+                </select>
+              </div>
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Header Row</label>
+                <input type="number" min={1} className="form-input" value={layout.headerRow} onChange={e => setLayout({ ...layout, headerRow: e.target.value })} placeholder="Detect" />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Header Column</label>
+                <input type="number" min={1} className="form-input" value={layout.headerColumn} onChange={e => setLayout({ ...layout, headerColumn: e.target.value })} placeholder="Detect" />
+              </div>
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Type When Not Given</label>
+                <select className="form-select" value={layout.defaultSessionType} onChange={e => setLayout({ ...layout, defaultSessionType: e.target.value })}>
+                  <option value="lecture">LECTURE</option>
+                  <option value="td">TD</option>
+                  <option value="lab">LAB</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Year</label>
+                <select className="form-select" value={options.year} onChange={e => setOptions({ ...options, year: e.target.value })}>
+                  {[1, 2, 3, 4, 5].map(y => <option key={y} value={y}>Year {y}</option>)}
+                </select>
+              </div>
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Semester Start</label>
+                <input type="date" className="form-input" value={options.startDate} onChange={e => setOptions({ ...options, startDate: e.target.value })} />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Semester End</label>
+                <input type="date" className="form-input" value={options.endDate} min={options.startDate} onChange={e => setOptions({ ...options, endDate: e.target.value })} />
+              </div>
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={busy} style={{ width: '100%' }}>
+              <FileSpreadsheet size={16} /> {busy ? 'Reading...' : 'Preview'}
+            </button>
+          </form>
+        ) : (
+          <>
+            {/* Detected layout — change it and preview again if the grid was misread */}
+            <form onSubmit={handlePreview} style={{ display: 'flex', gap: 8, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 16 }}>
+              <div className="form-group" style={{ marginBottom: 0 }}>
+                <label className="form-label">Sheet</label>
+                <select className="form-select" value={layout.sheet} onChange={e => setLayout({ ...layout, sheet: e.target.value, headerRow: '', headerColumn: '', orientation: 'auto' })}>
+                  {preview.sheets.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+              <div className="form-group" style={{ marginBottom: 0 }}>
+                <label className="form-label">Days Run</label>
+                <select className="form-select" value={layout.orientation} onChange={e => setLayout({ ...layout, orientation: e.target.value })}>
+                  <option value="auto">Detect</option>
+                  <option value="days-rows">Down the rows</option>
+                  <option value="days-columns">Across the columns</option>
+                </select>
+              </div>
+              <div className="form-group" style={{ marginBottom: 0, width: 110 }}>
+                <label className="form-label">Header Row</label>
+                <input type="number" min={1} className="form-input" value={layout.headerRow} onChange={e => setLayout({ ...layout, headerRow: e.target.value })} />
+              </div>
+              <div className="form-group" style={{ marginBottom: 0, width: 110 }}>
+                <label className="form-label">Header Column</label>
+                <input type="number" min={1} className="form-input" value={layout.headerColumn} onChange={e => setLayout({ ...layout, headerColumn: e.target.value })} />
+              </div>
+              <button type="submit" className="btn btn-secondary" disabled={busy}>
+                <FileSpreadsheet size={16} /> Preview Again
+              </button>
+            </form>
+
+            {items.length > 0 ? (
+              <div className="table-container" style={{ maxHeight: 420, overflowY: 'auto' }}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>
+                        <input
+                          type="checkbox"
+                          checked={selected.length === items.length}
+                          onChange={e => setItems(items.map(item => ({ ...item, selected: e.target.checked })))}
+                        />
+                      </th>
+                      <th>Cell</th>
+                      <th>When</th>
+                      <th>Subject</th>
+                      <th>Type</th>
+                      <th>Group</th>
+                      <th>Room</th>
+                      <th>Conflicts</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {items.map(item => {
+                      // A clash with another class of this grid only matters when both are picked
+                      const conflicts = item.conflicts.filter(c =>
+                        c.type !== 'batch' || (item.selected && selectedKeys.has(c.key))
+                      );
+                      return (
+                        <tr key={item.key} style={{ opacity: item.selected ? 1 : 0.5 }}>
+                          <td>
+                            <input type="checkbox" checked={item.selected} onChange={e => updateItem(item.key, { selected: e.target.checked })} />
+                          </td>
+                          <td style={{ fontSize: 12, color: 'var(--text-muted)' }} title={item.text}>{item.cell}</td>
+                          <td style={{ fontSize: 13, whiteSpace: 'nowrap' }}>
+                            {DAYS[item.dayOfWeek]} {item.startTime}-{item.endTime}
+                            {item.weekParity && <span className="badge badge-info" style={{ marginLeft: 6 }}>Week {item.weekParity}</span>}
+                          </td>
+                          <td>
+                            <input className="form-input" value={item.subjectName} onChange={e => updateItem(item.key, { subjectName: e.target.value })} style={{ minWidth: 140 }} />
+                          </td>
+                          <td>
+                            <select className="form-select" value={item.sessionType} onChange={e => updateItem(item.key, { sessionType: e.target.value })}>
+                              <option value="lecture">LECTURE</option>
+                              <option value="td">TD</option>
+                              <option value="lab">LAB</option>
+                            </select>
+                          </td>
+                          <td>
+                            <input
+                              className="form-input"
+                              value={item.sectionOrGroup}
+                              onChange={e => updateItem(item.key, { sectionOrGroup: e.target.value })}
+                              placeholder="Required"
+                              style={{ width: 80, borderColor: item.selected && !item.sectionOrGroup.trim() ? 'var(--danger)' : undefined }}
+                            />
+                          </td>
+                          <td style={{ fontSize: 13 }}>{item.roomName || item.classroomName || '—'}</td>
+                          <td>
+                            {conflicts.length > 0 ? (
+                              <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                                {conflicts.map((c, i) => (
+                                  <span key={i} className={`badge ${CONFLICT_BADGES[c.type]}`} style={{ whiteSpace: 'normal' }}>{c.message}</span>
+                                ))}
+                              </div>
+                            ) : (
+                              <span style={{ fontSize: 12, color: 'var(--text-muted)' }}>None</span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="empty-state">
+                <FileSpreadsheet size={40} />
+                <h3>No classes found</h3>
+                <p>Check the sheet and header settings above, then preview again</p>
+              </div>
+            )}
+
+            {preview.skipped.length > 0 && (
+              <div className="alert alert-warning" style={{ marginTop: 16, display: 'block', fontSize: 12 }}>
+                <strong>{preview.skipped.length} cells skipped</strong>
+                <ul style={{ margin: '6px 0 0', paddingLeft: 16 }}>
+                  {preview.skipped.slice(0, 10).map((s, i) => <li key={i}>{s.cell} "{s.text}": {s.reason}</li>)}
+                </ul>
+              </div>
+            )}
+
+            <div style={{ display: 'flex', gap: 8, marginTop: 16 }}>
+              <button type="button" className="btn btn-secondary" onClick={() => setPreview(null)} disabled={busy}>
+                <ArrowLeft size={16} /> Back
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleImport} disabled={busy || selected.length === 0} style={{ flex: 1 }}>
+                <Upload size={16} /> {busy ? 'Creating...' : `Create ${selected.length} Schedules`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { scheduleAPI } from '../services/api';
+import { Link2, Copy, RefreshCw, Upload, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_UPLOAD = { file: null, sessionType: 'lecture', year: 1, sectionOrGroup: '' };
+
+/**
+ * Calendar app sync: the teacher's subscribable .ics feed URL, and .ics import of
+ * recurring events (from Google Calendar / Outlook) as schedules
+ */
+export default function IcalSync({ onClose, onImported }) {
+  const [feedUrl, setFeedUrl] = useState('');
+  const [upload, setUpload] = useState(EMPTY_UPLOAD);
+  const [uploading, setUploading] = useState(false);
+  const [skipped, setSkipped] = useState([]);
+
+  useEffect(() => {
+    scheduleAPI.getFeed()
+      .then(res => setFeedUrl(res.data.url))
+      .catch(() => toast.error('Failed to load the calendar feed'));
+  }, []);
+
+  const copyUrl = () => {
+    navigator.clipboard.writeText(feedUrl);
+    toast.success('URL copied!');
+  };
+
+  const resetFeed = async () => {
+    if (!window.confirm('Calendars subscribed to the current link will stop updating. Create a new link?')) return;
+    try {
+      const res = await scheduleAPI.resetFeed();
+      setFeedUrl(res.data.url);
+      toast.success('New feed link created');
+    } catch {
+      toast.error('Failed to reset the link');
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!upload.file) return toast.error('Choose an .ics file');
+
+    setUploading(true);
+    try {
+      const { file, ...params } = upload;
+      const res = await scheduleAPI.importIcal(file, params);
+      setSkipped(res.data.skipped || []);
+      toast.success(`Imported ${res.data.imported} schedules`);
+      setUpload(EMPTY_UPLOAD);
+      e.target.reset();
+      onImported();
+    } catch (err) {
+      setSkipped(err.response?.data?.skipped || []);
+      toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || 'Import failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()} style={{ maxWidth: 560 }}>
+        <div className="modal-header">
+          <h3 className="modal-title">Calendar Sync</h3>
+          <button className="btn-icon" onClick={onClose}><X size={20} /></button>
+        </div>
+
+        {/* Subscribe */}
+        <div className="form-group">
+          <label className="form-label"><Link2 size={12} /> Subscribe in Google Calendar / Outlook</label>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <input className="form-input" value={feedUrl} readOnly onFocus={e => e.target.select()} />
+            <button type="button" className="btn btn-sm btn-secondary" onClick={copyUrl} disabled={!feedUrl} title="Copy link">
+              <Copy size={14} />
+            </button>
+            <button type="button" className="btn btn-sm btn-secondary" onClick={resetFeed} title="Create a new link">
+              <RefreshCw size={14} />
+            </button>
+          </div>
+          <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+            Add it as a calendar "from URL". Anyone with the link can see your timetable — create a new link if it leaks.
+          </small>
+        </div>
+
+        {/* Import */}
+        <form onSubmit={handleImport} style={{ borderTop: '1px solid var(--border)', paddingTop: 16 }}>
+          <h4 style={{ fontSize: 14, marginBottom: 12 }}>Import from an .ics file</h4>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Session Type</label>
+              <select className="form-select" value={upload.sessionType} onChange={e => setUpload({ ...upload, sessionType: e.target.value })}>
+                <option value="lecture">LECTURE</option>
+                <option value="td">TD</option>
+                <option value="lab">LAB</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Year</label>
+              <select className="form-select" value={upload.year} onChange={e => setUpload({ ...upload, year: e.target.value })}>
+                {[1, 2, 3, 4, 5].map(y => <option key={y} value={y}>Year {y}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="form-group">
+            <label className="form-label">Section / Group</label>
+            <input className="form-input" value={upload.sectionOrGroup} onChange={e => setUpload({ ...upload, sectionOrGroup: e.target.value })} placeholder="e.g. A" required />
+          </div>
+          <div className="form-group">
+            <label className="form-label">File (.ics)</label>
+            <input type="file" className="form-input" accept=".ics,text/calendar" onChange={e => setUpload({ ...upload, file: e.target.files[0] || null })} required />
+            <p style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 6 }}>
+              Each recurring event becomes a schedule: its title is the subject, its location the room.
+            </p>
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={uploading} style={{ width: '100%' }}>
+            <Upload size={16} /> {uploading ? 'Importing...' : 'Import'}
+          </button>
+        </form>
+
+        {skipped.length > 0 && (
+          <div className="alert alert-warning" style={{ marginTop: 16, display: 'block', fontSize: 12 }}>
+            <strong>{skipped.length} events skipped</strong>
+            <ul style={{ margin: '6px 0 0', paddingLeft: 16 }}>
+              {skipped.slice(0, 10).map((s, i) => <li key={i}>{s.summary}: {s.reason}</li>)}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { sessionAPI } from '../services/api';
+import { Radio, ShieldAlert, MapPin } from 'lucide-react';
+
+const STATUS_BADGES = {
+  PRESENT: 'badge-success',
+  LATE: 'badge-late',
+  FLAGGED: 'badge-danger',
+  EXCUSED: 'badge-info',
+};
+
+// Check-ins kept in the scrolling list
+const MAX_ITEMS = 50;
+
+const EMPTY_FEED = { attendeeCount: null, counts: null, recent: [], connected: false, closed: false };
+
+/**
+ * Live check-ins for a session over Server-Sent Events.
+ * EventSource reconnects on its own and gets a fresh snapshot each time.
+ */
+export function useLiveFeed(sessionId) {
+  const [feed, setFeed] = useState(EMPTY_FEED);
+
+  useEffect(() => {
+    setFeed(EMPTY_FEED);
+    if (!sessionId) return undefined;
+
+    const source = new EventSource(sessionAPI.liveFeedUrl(sessionId), { withCredentials: true });
+    const on = (event, handler) => source.addEventListener(event, e => handler(JSON.parse(e.data)));
+
+    on('snapshot', ({ attendeeCount, counts, recent }) =>
+      setFeed({ attendeeCount, counts, recent, connected: true, closed: false }));
+    on('checkin', ({ record, attendeeCount, counts }) =>
+      setFeed(f => ({ ...f, attendeeCount, counts, recent: [record, ...f.recent].slice(0, MAX_ITEMS) })));
+    on('flag', (flag) =>
+      setFeed(f => ({ ...f, recent: [{ ...flag, rejected: true }, ...f.recent].slice(0, MAX_ITEMS) })));
+    on('counts', ({ attendeeCount, counts }) =>
+      setFeed(f => ({ ...f, attendeeCount, counts })));
+    on('closed', () => {
+      setFeed(f => ({ ...f, closed: true }));
+      source.close();
+    });
+    source.onerror = () => setFeed(f => ({ ...f, connected: false }));
+
+    return () => source.close();
+  }, [sessionId]);
+
+  return feed;
+}
+
+/**
+ * Scrolling list of recent check-ins (newest first)
+ */
+export function LiveCheckIns({ feed, maxHeight = 240 }) {
+  return (
+    <div style={{ textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, fontWeight: 600, marginBottom: 8 }}>
+        <Radio size={14} color={feed.connected && !feed.closed ? '#059669' : 'var(--text-muted)'} />
+        {feed.closed ? 'Session ended' : feed.connected ? 'Live check-ins' : 'Connecting...'}
+        {feed.counts && (
+          <span style={{ marginLeft: 'auto', fontWeight: 400, color: 'var(--text-secondary)' }}>
+            {feed.counts.present} present &bull; {feed.counts.late} late &bull; {feed.counts.flagged} flagged
+          </span>
+        )}
+      </div>
+
+      <div style={{ maxHeight, overflowY: 'auto', border: '1px solid var(--border)', borderRadius: 8 }}>
+        {feed.recent.length === 0 ? (
+          <div style={{ padding: 16, fontSize: 13, color: 'var(--text-muted)', textAlign: 'center' }}>
+            No check-ins yet
+          </div>
+        ) : feed.recent.map(item => (
+          <div
+            key={item.id ?? `${item.email}-${item.timestamp}`}
+            className="fade-in"
+            style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '8px 12px', borderBottom: '1px solid var(--border)', fontSize: 13 }}
+          >
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontWeight: 500, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{item.studentName}</div>
+              <div style={{ fontSize: 12, color: 'var(--text-muted)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {item.rejected ? item.details : item.email}
+                {item.locationDecision === 'uncertain' && (
+                  <span style={{ color: 'var(--warning)', marginLeft: 6 }}><MapPin size={11} /> location uncertain</span>
+                )}
+              </div>
+            </div>
+            {item.rejected ? (
+              <span className="badge badge-danger"><ShieldAlert size={12} /> Rejected</span>
+            ) : (
+              <span className={`badge ${STATUS_BADGES[item.status] || 'badge-info'}`} title={item.violations?.join(', ')}>
+                {item.status}{item.minutesLate ? ` +${item.minutesLate}m` : ''}
+              </span>
+            )}
+            <span style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+              {new Date(item.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
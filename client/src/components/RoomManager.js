@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import { roomAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import GeofenceEditor, { toGeofencePayload } from './GeofenceEditor';
+import { DoorOpen, Trash2, Edit2, Crosshair, MapPin, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_ROOM = { name: '', building: '', location: { lat: '', lng: '' }, defaultRadius: 100, geofence: null };
+
+/**
+ * "Room 301 (Block B)" — same label the server stores on sessions
+ */
+export const roomLabel = (room) => (room.building ? `${room.name} (${room.building})` : room.name);
+
+/**
+ * Room picker for schedule / session forms. An empty value means "no room" — the form's
+ * own location fields are used instead.
+ */
+export function RoomSelect({ value, onChange }) {
+  const [rooms, setRooms] = useState([]);
+
+  useEffect(() => {
+    roomAPI.getAll()
+      .then(res => setRooms(res.data.rooms || []))
+      .catch(() => {});
+  }, []);
+
+  return (
+    <div className="form-group">
+      <label className="form-label"><DoorOpen size={12} /> Room</label>
+      <select className="form-select" value={value || ''} onChange={e => onChange(e.target.value || null)}>
+        <option value="">No saved room — set the location below</option>
+        {rooms.map(r => <option key={r.id} value={r.id}>{roomLabel(r)}</option>)}
+      </select>
+    </div>
+  );
+}
+
+/**
+ * Shared room catalog: name, building, saved coordinates (or a geofence shape) and
+ * default radius. Every teacher can pick any room; only its creator or an admin edits it.
+ */
+export default function RoomManager() {
+  const { user } = useAuth();
+  const [rooms, setRooms] = useState([]);
+  const [form, setForm] = useState(EMPTY_ROOM);
+  const [editingId, setEditingId] = useState(null);
+  const [locating, setLocating] = useState(false);
+
+  const loadRooms = () => {
+    roomAPI.getAll()
+      .then(res => setRooms(res.data.rooms || []))
+      .catch(() => toast.error('Failed to load rooms'));
+  };
+
+  useEffect(loadRooms, []);
+
+  const canEdit = (room) => room.createdBy === user?.id || !!user?.isAdmin;
+
+  const resetForm = () => {
+    setForm(EMPTY_ROOM);
+    setEditingId(null);
+  };
+
+  const captureLocation = () => {
+    if (!navigator.geolocation) return toast.error('Location is not available on this device');
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setForm(f => ({ ...f, location: { lat: pos.coords.latitude, lng: pos.coords.longitude } }));
+        setLocating(false);
+      },
+      () => {
+        toast.error('Could not get your location');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = {
+      name: form.name,
+      building: form.building,
+      defaultRadius: parseInt(form.defaultRadius),
+      location: !form.geofence && form.location.lat !== '' && form.location.lng !== ''
+        ? { lat: parseFloat(form.location.lat), lng: parseFloat(form.location.lng) }
+        : null,
+      geofence: toGeofencePayload(form.geofence),
+    };
+
+    try {
+      if (editingId) {
+        await roomAPI.update(editingId, data);
+        toast.success('Room updated');
+      } else {
+        await roomAPI.create(data);
+        toast.success('Room added');
+      }
+      resetForm();
+      loadRooms();
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || 'Failed to save room');
+    }
+  };
+
+  const handleEdit = (room) => {
+    setForm({
+      name: room.name,
+      building: room.building,
+      location: room.location || { lat: '', lng: '' },
+      defaultRadius: room.defaultRadius,
+      geofence: room.geofence,
+    });
+    setEditingId(room.id);
+  };
+
+  const handleDelete = async (room) => {
+    if (!window.confirm(`Delete ${roomLabel(room)}?`)) return;
+    try {
+      await roomAPI.delete(room.id);
+      toast.success('Room deleted');
+      if (editingId === room.id) resetForm();
+      loadRooms();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete room');
+    }
+  };
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '380px 1fr', gap: 24 }}>
+      {/* Add / edit form */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{editingId ? 'Edit Room' : 'Add Room'}</h3>
+          {editingId && (
+            <button className="btn-icon" onClick={resetForm} title="Cancel"><X size={18} /></button>
+          )}
+        </div>
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Name</label>
+              <input className="form-input" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} placeholder="e.g. Room 301" required />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Building</label>
+              <input className="form-input" value={form.building} onChange={e => setForm({ ...form, building: e.target.value })} placeholder="e.g. Block B" />
+            </div>
+          </div>
+          <GeofenceEditor
+            value={form.geofence}
+            onChange={geofence => setForm({ ...form, geofence })}
+            center={form.location.lat !== '' && form.location.lng !== '' ? form.location : null}
+            radius={parseInt(form.defaultRadius) || 50}
+          />
+          {!form.geofence && (
+            <>
+              <div className="form-row">
+                <div className="form-group">
+                  <label className="form-label"><MapPin size={12} /> Latitude</label>
+                  <input type="number" step="any" className="form-input" value={form.location.lat} onChange={e => setForm({ ...form, location: { ...form.location, lat: e.target.value } })} required />
+                </div>
+                <div className="form-group">
+                  <label className="form-label"><MapPin size={12} /> Longitude</label>
+                  <input type="number" step="any" className="form-input" value={form.location.lng} onChange={e => setForm({ ...form, location: { ...form.location, lng: e.target.value } })} required />
+                </div>
+              </div>
+              <button type="button" className="btn btn-sm btn-secondary" onClick={captureLocation} disabled={locating} style={{ marginBottom: 16 }}>
+                <Crosshair size={14} /> {locating ? 'Locating...' : 'Use my current location'}
+              </button>
+              <div className="form-group">
+                <label className="form-label">Default Radius (meters)</label>
+                <input type="number" className="form-input" value={form.defaultRadius} onChange={e => setForm({ ...form, defaultRadius: e.target.value })} min="10" max="1000" />
+              </div>
+            </>
+          )}
+          <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+            {editingId ? 'Update Room' : 'Add Room'}
+          </button>
+        </form>
+      </div>
+
+      {/* Catalog */}
+      <div className="card">
+        <h3 className="card-title" style={{ marginBottom: 16 }}>Rooms</h3>
+        {rooms.length > 0 ? (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Building</th>
+                  <th>Area</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rooms.map(r => (
+                  <tr key={r.id}>
+                    <td style={{ fontWeight: 600 }}>{r.name}</td>
+                    <td>{r.building || '—'}</td>
+                    <td style={{ fontSize: 13 }}>
+                      {r.geofence?.type === 'polygon' && `Polygon, ${r.geofence.points.length} corners`}
+                      {r.geofence?.type === 'circles' && `${r.geofence.circles.length} circle${r.geofence.circles.length === 1 ? '' : 's'}`}
+                      {!r.geofence && `${r.defaultRadius} m radius`}
+                    </td>
+                    <td>
+                      {canEdit(r) && (
+                        <div style={{ display: 'flex', gap: 8 }}>
+                          <button className="btn btn-sm btn-secondary" onClick={() => handleEdit(r)} title="Edit room">
+                            <Edit2 size={14} />
+                          </button>
+                          <button className="btn btn-sm btn-danger" onClick={() => handleDelete(r)} title="Delete room">
+                            <Trash2 size={14} />
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="empty-state">
+            <DoorOpen size={40} />
+            <h3>No rooms yet</h3>
+            <p>Save a room once, then pick it for schedules and sessions instead of entering coordinates</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
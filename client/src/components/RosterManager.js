@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import { rosterAPI } from '../services/api';
+import { Upload, Users, Trash2, UserPlus, ArrowLeft } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_UPLOAD = { subjectName: '', year: 1, sectionOrGroup: '', mode: 'replace', file: null };
+const EMPTY_STUDENT = { studentName: '', email: '', studentId: '' };
+
+/**
+ * Class rosters: CSV/XLSX import per subject + year + section/group, and per-student edits.
+ * Enrolled students who don't submit are marked ABSENT when a session closes.
+ */
+export default function RosterManager() {
+  const [rosters, setRosters] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [upload, setUpload] = useState(EMPTY_UPLOAD);
+  const [student, setStudent] = useState(EMPTY_STUDENT);
+  const [skipped, setSkipped] = useState([]);
+  const [uploading, setUploading] = useState(false);
+
+  const loadRosters = () => {
+    rosterAPI.getAll()
+      .then(res => setRosters(res.data.rosters || []))
+      .catch(() => toast.error('Failed to load rosters'));
+  };
+
+  useEffect(loadRosters, []);
+
+  const openRoster = async (id) => {
+    try {
+      const res = await rosterAPI.getById(id);
+      setSelected(res.data.roster);
+    } catch {
+      toast.error('Failed to load roster');
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!upload.file) return toast.error('Choose a CSV or XLSX file');
+
+    setUploading(true);
+    try {
+      const { file, ...params } = upload;
+      const res = await rosterAPI.import(file, params);
+      setSkipped(res.data.skipped || []);
+      toast.success(`Imported ${res.data.imported} students`);
+      setUpload(EMPTY_UPLOAD);
+      e.target.reset();
+      loadRosters();
+    } catch (err) {
+      setSkipped(err.response?.data?.skipped || []);
+      toast.error(err.response?.data?.error || 'Import failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (roster) => {
+    if (!window.confirm(`Delete the roster for ${roster.subjectName} — Year ${roster.year} ${roster.sectionOrGroup}?`)) return;
+    try {
+      await rosterAPI.delete(roster.id);
+      toast.success('Roster deleted');
+      if (selected?.id === roster.id) setSelected(null);
+      loadRosters();
+    } catch {
+      toast.error('Failed to delete roster');
+    }
+  };
+
+  const handleAddStudent = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await rosterAPI.addStudent(selected.id, student);
+      setSelected(res.data.roster);
+      setStudent(EMPTY_STUDENT);
+      loadRosters();
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || 'Failed to add student');
+    }
+  };
+
+  const handleRemoveStudent = async (email) => {
+    if (!window.confirm(`Remove ${email} from this roster?`)) return;
+    try {
+      await rosterAPI.removeStudent(selected.id, email);
+      setSelected({ ...selected, students: selected.students.filter(st => st.email !== email) });
+      loadRosters();
+    } catch {
+      toast.error('Failed to remove student');
+    }
+  };
+
+  if (selected) {
+    return (
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">
+            {selected.subjectName} — Year {selected.year} &bull; {selected.sectionOrGroup}
+          </h3>
+          <button className="btn btn-sm btn-secondary" onClick={() => setSelected(null)}>
+            <ArrowLeft size={14} /> All rosters
+          </button>
+        </div>
+
+        <form onSubmit={handleAddStudent} style={{ display: 'flex', gap: 12, marginBottom: 20 }}>
+          <input className="form-input" placeholder="Full name" value={student.studentName} onChange={e => setStudent({ ...student, studentName: e.target.value })} required />
+          <input className="form-input" type="email" placeholder="Email" value={student.email} onChange={e => setStudent({ ...student, email: e.target.value })} required />
+          <input className="form-input" placeholder="Student ID (optional)" value={student.studentId} onChange={e => setStudent({ ...student, studentId: e.target.value })} style={{ maxWidth: 180 }} />
+          <button type="submit" className="btn btn-primary"><UserPlus size={16} /> Add</button>
+        </form>
+
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Student ID</th>
+                <th>Enrolled</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.students.map((st, i) => (
+                <tr key={st.email}>
+                  <td>{i + 1}</td>
+                  <td style={{ fontWeight: 500 }}>{st.studentName}</td>
+                  <td>{st.email}</td>
+                  <td>{st.studentId || '—'}</td>
+                  <td>{new Date(st.enrolledAt).toLocaleDateString()}</td>
+                  <td>
+                    <button className="btn-icon" onClick={() => handleRemoveStudent(st.email)} title="Remove">
+                      <Trash2 size={16} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '340px 1fr', gap: 24 }}>
+      {/* Import form */}
+      <div className="card">
+        <h3 className="card-title" style={{ marginBottom: 16 }}>Import Roster</h3>
+        <form onSubmit={handleUpload}>
+          <div className="form-group">
+            <label className="form-label">Subject Name</label>
+            <input className="form-input" value={upload.subjectName} onChange={e => setUpload({ ...upload, subjectName: e.target.value })} required />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Year</label>
+              <select className="form-select" value={upload.year} onChange={e => setUpload({ ...upload, year: e.target.value })}>
+                {[1, 2, 3, 4, 5].map(y => <option key={y} value={y}>Year {y}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Section / Group</label>
+              <input className="form-input" value={upload.sectionOrGroup} onChange={e => setUpload({ ...upload, sectionOrGroup: e.target.value })} placeholder="e.g. A" required />
+            </div>
+          </div>
+          <div className="form-group">
+            <label className="form-label">If the roster exists</label>
+            <select className="form-select" value={upload.mode} onChange={e => setUpload({ ...upload, mode: e.target.value })}>
+              <option value="replace">Replace the student list</option>
+              <option value="merge">Add to the student list</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">File (CSV or XLSX)</label>
+            <input type="file" className="form-input" accept=".csv,.xlsx,.xls" onChange={e => setUpload({ ...upload, file: e.target.files[0] || null })} required />
+            <p style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 6 }}>
+              Columns: Name (or First/Last name), Email, optional Student ID.
+            </p>
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={uploading} style={{ width: '100%' }}>
+            <Upload size={16} /> {uploading ? 'Importing...' : 'Import'}
+          </button>
+        </form>
+
+        {skipped.length > 0 && (
+          <div className="alert alert-warning" style={{ marginTop: 16, display: 'block', fontSize: 12 }}>
+            <strong>{skipped.length} rows skipped</strong>
+            <ul style={{ margin: '6px 0 0', paddingLeft: 16 }}>
+              {skipped.slice(0, 10).map(s => <li key={s.row}>Row {s.row}: {s.reason}</li>)}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {/* Roster list */}
+      <div className="card">
+        <h3 className="card-title" style={{ marginBottom: 16 }}>Rosters</h3>
+        {rosters.length > 0 ? (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Subject</th>
+                  <th>Year</th>
+                  <th>Section / Group</th>
+                  <th>Students</th>
+                  <th>Updated</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rosters.map(r => (
+                  <tr key={r.id} onClick={() => openRoster(r.id)} style={{ cursor: 'pointer' }}>
+                    <td style={{ fontWeight: 600 }}>{r.subjectName}</td>
+                    <td>Year {r.year}</td>
+                    <td>{r.sectionOrGroup}</td>
+                    <td>{r.studentCount}</td>
+                    <td>{new Date(r.updatedAt).toLocaleDateString()}</td>
+                    <td>
+                      <button className="btn-icon" onClick={e => { e.stopPropagation(); handleDelete(r); }} title="Delete roster">
+                        <Trash2 size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="empty-state">
+            <Users size={40} />
+            <h3>No rosters yet</h3>
+            <p>Import a class list to track absences and real attendance rates</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
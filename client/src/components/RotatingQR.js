@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react';
+import { sessionAPI } from '../services/api';
+
+/**
+ * QR image that follows the session's token rotation.
+ * Static sessions (rotationSeconds = 0) just render the initial image.
+ */
+export default function RotatingQR({ sessionId, initialSrc, rotationSeconds, ...imgProps }) {
+  const [src, setSrc] = useState(initialSrc);
+
+  useEffect(() => {
+    if (!rotationSeconds) return undefined;
+
+    let timer = null;
+    let cancelled = false;
+
+    const refresh = async () => {
+      try {
+        const res = await sessionAPI.getQR(sessionId);
+        if (cancelled) return;
+        setSrc(res.data.qrCodeDataUrl);
+        // Server-provided delay avoids drift between client and server clocks
+        timer = setTimeout(refresh, Math.max(1000, res.data.refreshInMs ?? rotationSeconds * 1000));
+      } catch {
+        if (!cancelled) timer = setTimeout(refresh, 5000);
+      }
+    };
+
+    refresh();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sessionId, rotationSeconds]);
+
+  if (!src) return null;
+  return <img src={src} alt="QR Code" {...imgProps} />;
+}
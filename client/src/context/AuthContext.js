@@ -32,8 +32,16 @@ export function AuthProvider({ children }) {
     setUser(null);
   };
 
+  // Re-run Google consent to restore a revoked Drive connection
+  const reconnectDrive = async () => {
+    const res = await authAPI.getGoogleAuthUrl();
+    if (res.data.authUrl) {
+      window.location.href = res.data.authUrl;
+    }
+  };
+
   return (
-    <AuthContext.Provider value={{ user, loading, login, logout, setUser }}>
+    <AuthContext.Provider value={{ user, loading, login, logout, setUser, reconnectDrive }}>
       {children}
     </AuthContext.Provider>
   );
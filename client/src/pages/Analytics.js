@@ -4,7 +4,7 @@ import {
   LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid,
   Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Legend,
 } from 'recharts';
-import { TrendingUp, Users, BookOpen, AlertTriangle } from 'lucide-react';
+import { TrendingUp, Users, BookOpen, AlertTriangle, DoorOpen } from 'lucide-react';
 
 const COLORS = ['#1e40af', '#059669', '#d97706', '#dc2626', '#7c3aed', '#0891b2'];
 
@@ -13,6 +13,7 @@ export default function Analytics() {
   const [trends, setTrends] = useState([]);
   const [courses, setCourses] = useState([]);
   const [lowAttendance, setLowAttendance] = useState([]);
+  const [rooms, setRooms] = useState([]);
   const [loading, setLoading] = useState(true);
   const [tab, setTab] = useState('overview');
 
@@ -22,11 +23,13 @@ export default function Analytics() {
       analyticsAPI.getTrends(30),
       analyticsAPI.getCourses(),
       analyticsAPI.getLowAttendance(70),
-    ]).then(([overviewRes, trendsRes, coursesRes, lowRes]) => {
+      analyticsAPI.getRooms(),
+    ]).then(([overviewRes, trendsRes, coursesRes, lowRes, roomsRes]) => {
       if (overviewRes.status === 'fulfilled') setOverview(overviewRes.value.data);
       if (trendsRes.status === 'fulfilled') setTrends(trendsRes.value.data.trends || []);
       if (coursesRes.status === 'fulfilled') setCourses(coursesRes.value.data.courses || []);
       if (lowRes.status === 'fulfilled') setLowAttendance(lowRes.value.data.students || []);
+      if (roomsRes.status === 'fulfilled') setRooms(roomsRes.value.data.rooms || []);
       setLoading(false);
     });
   }, []);
@@ -72,6 +75,7 @@ export default function Analytics() {
       <div className="tabs">
         <button className={`tab ${tab === 'overview' ? 'active' : ''}`} onClick={() => setTab('overview')}>Trends</button>
         <button className={`tab ${tab === 'courses' ? 'active' : ''}`} onClick={() => setTab('courses')}>Courses</button>
+        <button className={`tab ${tab === 'rooms' ? 'active' : ''}`} onClick={() => setTab('rooms')}>Rooms</button>
         <button className={`tab ${tab === 'students' ? 'active' : ''}`} onClick={() => setTab('students')}>Low Attendance</button>
       </div>
 
@@ -81,14 +85,16 @@ export default function Analytics() {
           <h3 className="card-title" style={{ marginBottom: 24 }}>Attendance Trend (Last 30 Days)</h3>
           {trends.length > 0 ? (
             <ResponsiveContainer width="100%" height={400}>
-              <LineChart data={trends.filter(t => t.total > 0 || t.sessions > 0)}>
+              <LineChart data={trends.filter(t => t.total > 0 || t.absent > 0 || t.sessions > 0)}>
                 <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
                 <XAxis dataKey="date" tick={{ fontSize: 12 }} />
                 <YAxis tick={{ fontSize: 12 }} />
                 <Tooltip />
                 <Legend />
                 <Line type="monotone" dataKey="present" stroke="#059669" name="Present" strokeWidth={2} />
+                <Line type="monotone" dataKey="late" stroke="#ea580c" name="Late" strokeWidth={2} />
                 <Line type="monotone" dataKey="flagged" stroke="#dc2626" name="Flagged" strokeWidth={2} />
+                <Line type="monotone" dataKey="absent" stroke="#d97706" name="Absent" strokeWidth={2} />
                 <Line type="monotone" dataKey="sessions" stroke="#1e40af" name="Sessions" strokeWidth={2} />
               </LineChart>
             </ResponsiveContainer>
@@ -156,10 +162,14 @@ export default function Analytics() {
                   <tr>
                     <th>Course</th>
                     <th>Type</th>
+                    <th>Rooms</th>
                     <th>Sessions</th>
                     <th>Total Attendees</th>
+                    <th>Late</th>
                     <th>Unique Students</th>
                     <th>Avg Attendance</th>
+                    <th>Enrolled</th>
+                    <th>Attendance Rate</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -167,10 +177,14 @@ export default function Analytics() {
                     <tr key={i}>
                       <td style={{ fontWeight: 600 }}>{c.subjectName}</td>
                       <td><span className="badge badge-info">{c.sessionType.toUpperCase()}</span></td>
+                      <td style={{ fontSize: 13 }}>{c.rooms?.length ? c.rooms.join(', ') : '—'}</td>
                       <td>{c.totalSessions}</td>
                       <td>{c.totalAttendees}</td>
+                      <td>{c.totalLate}</td>
                       <td>{c.uniqueStudents}</td>
                       <td>{c.averageAttendance}</td>
+                      <td>{c.enrolledStudents || '—'}</td>
+                      <td>{c.attendanceRate != null ? `${c.attendanceRate}%` : '—'}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -180,6 +194,51 @@ export default function Analytics() {
         </div>
       )}
 
+      {/* Room Usage */}
+      {tab === 'rooms' && (
+        <div className="card">
+          <h3 className="card-title" style={{ marginBottom: 16 }}>Room Usage</h3>
+          {rooms.length > 0 ? (
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Room</th>
+                    <th>Courses</th>
+                    <th>Sessions</th>
+                    <th>Total Attendees</th>
+                    <th>Avg Attendance</th>
+                    <th>Late</th>
+                    <th>Flagged</th>
+                    <th>Last Used</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rooms.map(r => (
+                    <tr key={r.roomName}>
+                      <td style={{ fontWeight: 600 }}>{r.roomName}</td>
+                      <td style={{ fontSize: 13 }}>{r.subjects.join(', ')}</td>
+                      <td>{r.totalSessions}</td>
+                      <td>{r.totalAttendees}</td>
+                      <td>{r.averageAttendance}</td>
+                      <td>{r.totalLate}</td>
+                      <td>{r.totalFlagged}</td>
+                      <td>{new Date(r.lastUsed).toLocaleDateString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="empty-state">
+              <DoorOpen size={48} />
+              <h3>No room data yet</h3>
+              <p>Sessions held in a saved room appear here</p>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Low Attendance Students */}
       {tab === 'students' && (
         <div className="card">
@@ -191,8 +250,11 @@ export default function Analytics() {
                   <tr>
                     <th>Student Name</th>
                     <th>Email</th>
+                    <th>Course</th>
                     <th>Present</th>
+                    <th>Late</th>
                     <th>Flagged</th>
+                    <th>Absent</th>
                     <th>Attendance Rate</th>
                   </tr>
                 </thead>
@@ -201,8 +263,14 @@ export default function Analytics() {
                     <tr key={i}>
                       <td style={{ fontWeight: 600 }}>{s.studentName}</td>
                       <td>{s.email}</td>
-                      <td>{s.present}</td>
+                      <td>
+                        {s.subjectName} &bull; Y{s.year} {s.sectionOrGroup}
+                        {!s.enrolled && <span className="badge badge-info" style={{ marginLeft: 6 }}>Not on roster</span>}
+                      </td>
+                      <td>{s.present}/{s.total}</td>
+                      <td>{s.late}</td>
                       <td>{s.flagged}</td>
+                      <td>{s.absent}</td>
                       <td>
                         <span className={`badge ${s.attendanceRate >= 50 ? 'badge-warning' : 'badge-danger'}`}>
                           {s.attendanceRate}%
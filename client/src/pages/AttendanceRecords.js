@@ -1,14 +1,46 @@
 import React, { useState, useEffect } from 'react';
 import { attendanceAPI, sessionAPI } from '../services/api';
-import { Search, Download, Users, CheckCircle, AlertTriangle } from 'lucide-react';
+import { Search, Download, Users, CheckCircle, AlertTriangle, RefreshCw, CloudOff, UserX, Plus, Trash2, History, Clock, MapPin, Smartphone } from 'lucide-react';
+import toast from 'react-hot-toast';
+import RosterManager from '../components/RosterManager';
+
+const STATUS_BADGES = {
+  PRESENT: 'badge-success',
+  LATE: 'badge-late',
+  FLAGGED: 'badge-danger',
+  ABSENT: 'badge-warning',
+  EXCUSED: 'badge-info',
+};
+
+// Geofence decision stored with each submission ("uncertain" = GPS couldn't confirm, review it)
+const LOCATION_BADGES = {
+  inside: { className: 'badge-success', label: 'Inside' },
+  uncertain: { className: 'badge-warning', label: 'Uncertain' },
+  outside: { className: 'badge-danger', label: 'Outside' },
+  unknown: { className: 'badge-info', label: 'No GPS' },
+};
+
+// Statuses a teacher can set by hand
+const OVERRIDE_STATUSES = ['PRESENT', 'LATE', 'FLAGGED', 'EXCUSED', 'ABSENT'];
+const EMPTY_RECORD = { studentName: '', email: '', status: 'PRESENT', reason: '' };
+
+// Total rows not yet in Sheets, split by sync state
+const syncTotals = (syncStatus) => ({
+  pending: (syncStatus?.attendance.pending || 0) + (syncStatus?.violations.pending || 0),
+  failed: (syncStatus?.attendance.failed || 0) + (syncStatus?.violations.failed || 0),
+});
 
 export default function AttendanceRecords() {
   const [tab, setTab] = useState('sessions');
   const [sessions, setSessions] = useState([]);
   const [selectedSession, setSelectedSession] = useState(null);
   const [records, setRecords] = useState([]);
+  const [sessionSummary, setSessionSummary] = useState(null);
+  const [audit, setAudit] = useState([]);
+  const [newRecord, setNewRecord] = useState(null);
   const [stats, setStats] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [reviewOnly, setReviewOnly] = useState(false);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -24,20 +56,82 @@ export default function AttendanceRecords() {
 
   const loadSessionRecords = async (sessionId) => {
     try {
-      const res = await attendanceAPI.getBySession(sessionId);
-      setRecords(res.data.records || []);
-      setSelectedSession(sessions.find(s => s.id === sessionId));
+      const [res, syncRes, auditRes] = await Promise.all([
+        attendanceAPI.getBySession(sessionId),
+        sessionAPI.getSyncStatus(sessionId),
+        attendanceAPI.getAudit(sessionId),
+      ]);
+      const { records: sessionRecords, ...summary } = res.data;
+      setRecords(sessionRecords || []);
+      setSessionSummary(summary);
+      if (sessionId !== selectedSession?.id) setReviewOnly(false);
+      setAudit(auditRes.data.entries || []);
+      setSelectedSession({
+        ...sessions.find(s => s.id === sessionId),
+        syncStatus: syncRes.data.syncStatus,
+      });
     } catch (err) {
       console.error(err);
     }
   };
 
+  const resyncSession = async () => {
+    try {
+      const res = await sessionAPI.resync(selectedSession.id);
+      toast.success(res.data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to start re-sync');
+    }
+  };
+
+  // ── Teacher overrides (every change needs a reason for the audit trail) ──
+
+  const overrideError = (err, fallback) =>
+    toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || fallback);
+
+  const handleAddRecord = async (e) => {
+    e.preventDefault();
+    try {
+      await attendanceAPI.addRecord(selectedSession.id, newRecord);
+      toast.success('Record added');
+      setNewRecord(null);
+      loadSessionRecords(selectedSession.id);
+    } catch (err) {
+      overrideError(err, 'Failed to add record');
+    }
+  };
+
+  const handleStatusChange = async (record, status) => {
+    const reason = window.prompt(`Reason for changing ${record.studentName} from ${record.status} to ${status}:`);
+    if (!reason?.trim()) return;
+    try {
+      await attendanceAPI.updateRecord(record.id, { status, reason });
+      toast.success('Status updated');
+      loadSessionRecords(selectedSession.id);
+    } catch (err) {
+      overrideError(err, 'Failed to update record');
+    }
+  };
+
+  const handleDeleteRecord = async (record) => {
+    const reason = window.prompt(`Reason for removing ${record.studentName}'s record:`);
+    if (!reason?.trim()) return;
+    try {
+      await attendanceAPI.deleteRecord(record.id, reason);
+      toast.success('Record removed');
+      loadSessionRecords(selectedSession.id);
+    } catch (err) {
+      overrideError(err, 'Failed to remove record');
+    }
+  };
+
   const searchStudent = async () => {
     if (!searchTerm) return;
     try {
       const res = await attendanceAPI.getByStudent(searchTerm);
       setRecords(res.data.records || []);
       setSelectedSession(null);
+      setSessionSummary(null);
     } catch (err) {
       console.error(err);
     }
@@ -45,11 +139,16 @@ export default function AttendanceRecords() {
 
   const exportCSV = () => {
     if (records.length === 0) return;
-    const headers = ['Timestamp', 'Student Name', 'Email', 'Status', 'IP Address'];
+    const headers = ['Timestamp', 'Student Name', 'Email', 'Status', 'Minutes Late', 'Location', 'Distance (m)', 'GPS Accuracy (m)', 'IP Address', 'Device Signals', 'Risk Score'];
     const csvContent = [
       headers.join(','),
       ...records.map(r =>
-        [r.timestamp, r.studentName, r.email, r.status, r.ipAddress].join(',')
+        [
+          r.timestamp, r.studentName, r.email, r.status, r.minutesLate ?? '',
+          r.locationDecision || '', r.distance ?? '', r.locationAccuracy != null ? Math.round(r.locationAccuracy) : '',
+          r.ipAddress, (r.deviceSignals || []).map(sig => sig.type).join('; '),
+          r.riskScore ?? '',
+        ].join(',')
       ),
     ].join('\n');
 
@@ -85,13 +184,23 @@ export default function AttendanceRecords() {
             <div className="stat-label">Present</div>
             <div className="stat-value">{stats.presentCount}</div>
           </div>
+          <div className="stat-card">
+            <div className="stat-icon yellow"><Clock size={20} /></div>
+            <div className="stat-label">Late</div>
+            <div className="stat-value">{stats.lateCount}</div>
+          </div>
           <div className="stat-card">
             <div className="stat-icon red"><AlertTriangle size={20} /></div>
             <div className="stat-label">Flagged</div>
             <div className="stat-value">{stats.flaggedCount}</div>
           </div>
           <div className="stat-card">
-            <div className="stat-icon yellow"><Users size={20} /></div>
+            <div className="stat-icon yellow"><UserX size={20} /></div>
+            <div className="stat-label">Absent</div>
+            <div className="stat-value">{stats.absentCount}</div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-icon blue"><Users size={20} /></div>
             <div className="stat-label">Unique Students</div>
             <div className="stat-value">{stats.uniqueStudents}</div>
           </div>
@@ -102,6 +211,7 @@ export default function AttendanceRecords() {
       <div className="tabs">
         <button className={`tab ${tab === 'sessions' ? 'active' : ''}`} onClick={() => setTab('sessions')}>By Session</button>
         <button className={`tab ${tab === 'student' ? 'active' : ''}`} onClick={() => setTab('student')}>By Student</button>
+        <button className={`tab ${tab === 'rosters' ? 'active' : ''}`} onClick={() => setTab('rosters')}>Rosters</button>
       </div>
 
       {tab === 'sessions' && (
@@ -125,6 +235,7 @@ export default function AttendanceRecords() {
                 <div style={{ fontSize: 11, color: 'var(--text-muted)' }}>
                   {s.sessionType.toUpperCase()} &bull; {new Date(s.createdAt).toLocaleDateString()} &bull; {s.attendeeCount} students
                 </div>
+                <SyncHint syncStatus={s.syncStatus} />
               </div>
             ))}
             {sessions.length === 0 && (
@@ -140,12 +251,56 @@ export default function AttendanceRecords() {
               <h3 className="card-title">
                 {selectedSession ? `${selectedSession.subjectName} — ${new Date(selectedSession.createdAt).toLocaleDateString()}` : 'Select a session'}
               </h3>
-              {records.length > 0 && (
-                <button className="btn btn-sm btn-secondary" onClick={exportCSV}>
-                  <Download size={14} /> Export CSV
-                </button>
-              )}
+              <div style={{ display: 'flex', gap: 8 }}>
+                {selectedSession && !newRecord && (
+                  <button className="btn btn-sm btn-secondary" onClick={() => setNewRecord(EMPTY_RECORD)}>
+                    <Plus size={14} /> Add record
+                  </button>
+                )}
+                {records.length > 0 && (
+                  <button className="btn btn-sm btn-secondary" onClick={exportCSV}>
+                    <Download size={14} /> Export CSV
+                  </button>
+                )}
+              </div>
             </div>
+            {newRecord && (
+              <form onSubmit={handleAddRecord} style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 16 }}>
+                <input className="form-input" placeholder="Full name" value={newRecord.studentName} onChange={e => setNewRecord({ ...newRecord, studentName: e.target.value })} required style={{ flex: 1, minWidth: 140 }} />
+                <input className="form-input" type="email" placeholder="Email" value={newRecord.email} onChange={e => setNewRecord({ ...newRecord, email: e.target.value })} required style={{ flex: 1, minWidth: 180 }} />
+                <select className="form-select" value={newRecord.status} onChange={e => setNewRecord({ ...newRecord, status: e.target.value })} style={{ maxWidth: 130 }}>
+                  {OVERRIDE_STATUSES.map(st => <option key={st} value={st}>{st}</option>)}
+                </select>
+                <input className="form-input" placeholder="Reason" value={newRecord.reason} onChange={e => setNewRecord({ ...newRecord, reason: e.target.value })} required style={{ flex: 2, minWidth: 180 }} />
+                <button type="submit" className="btn btn-sm btn-primary">Add</button>
+                <button type="button" className="btn btn-sm btn-secondary" onClick={() => setNewRecord(null)}>Cancel</button>
+              </form>
+            )}
+            {sessionSummary?.enrolled != null && (
+              <div style={{ display: 'flex', gap: 16, fontSize: 13, color: 'var(--text-muted)', marginBottom: 16 }}>
+                <span><strong>{sessionSummary.enrolled}</strong> enrolled</span>
+                <span><strong>{sessionSummary.present}</strong> present</span>
+                {sessionSummary.late > 0 && <span><strong>{sessionSummary.late}</strong> late</span>}
+                <span><strong>{sessionSummary.absent}</strong> absent</span>
+                {sessionSummary.excused > 0 && <span><strong>{sessionSummary.excused}</strong> excused</span>}
+                <span>Attendance rate <strong>{sessionSummary.attendanceRate ?? 0}%</strong></span>
+              </div>
+            )}
+            {sessionSummary?.locationUncertain > 0 && (
+              <div className="alert alert-warning" style={{ marginBottom: 16 }}>
+                <MapPin size={16} />
+                <span>
+                  {sessionSummary.locationUncertain} submission{sessionSummary.locationUncertain > 1 ? 's' : ''} with an
+                  uncertain location — GPS couldn't confirm the student was in the room.
+                </span>
+                <button className="btn btn-sm btn-secondary" style={{ marginLeft: 'auto' }} onClick={() => setReviewOnly(!reviewOnly)}>
+                  {reviewOnly ? 'Show all' : 'Review'}
+                </button>
+              </div>
+            )}
+            {selectedSession?.syncStatus && (
+              <SyncStatusBar syncStatus={selectedSession.syncStatus} onResync={resyncSession} />
+            )}
             {records.length > 0 ? (
               <div className="table-container">
                 <table>
@@ -155,20 +310,44 @@ export default function AttendanceRecords() {
                       <th>Name</th>
                       <th>Email</th>
                       <th>Time</th>
+                      <th>Location</th>
+                      <th>Risk</th>
                       <th>Status</th>
+                      <th></th>
                     </tr>
                   </thead>
                   <tbody>
-                    {records.map((r, i) => (
-                      <tr key={i}>
+                    {records.filter(r => !reviewOnly || r.locationDecision === 'uncertain').map((r, i) => (
+                      <tr key={r.id}>
                         <td>{i + 1}</td>
-                        <td style={{ fontWeight: 500 }}>{r.studentName}</td>
+                        <td style={{ fontWeight: 500 }}>
+                          {r.studentName}
+                          <DeviceSignals signals={r.deviceSignals} />
+                        </td>
                         <td>{r.email}</td>
-                        <td>{new Date(r.timestamp).toLocaleTimeString()}</td>
                         <td>
-                          <span className={`badge ${r.status === 'PRESENT' ? 'badge-success' : 'badge-danger'}`}>
-                            {r.status}
-                          </span>
+                          {r.status === 'ABSENT' ? '—' : new Date(r.timestamp).toLocaleTimeString()}
+                          {r.minutesLate != null && (
+                            <span style={{ fontSize: 11, color: 'var(--warning)', marginLeft: 6 }}>+{r.minutesLate} min</span>
+                          )}
+                        </td>
+                        <td><LocationCell record={r} /></td>
+                        <td><RiskCell record={r} flagAt={selectedSession?.riskFlagThreshold ?? 50} /></td>
+                        <td>
+                          <select
+                            className={`badge ${STATUS_BADGES[r.status] || 'badge-info'}`}
+                            value={r.status}
+                            onChange={e => handleStatusChange(r, e.target.value)}
+                            style={{ border: 'none', cursor: 'pointer' }}
+                            title="Change status"
+                          >
+                            {OVERRIDE_STATUSES.map(st => <option key={st} value={st}>{st}</option>)}
+                          </select>
+                        </td>
+                        <td>
+                          <button className="btn-icon" onClick={() => handleDeleteRecord(r)} title="Remove record">
+                            <Trash2 size={16} />
+                          </button>
                         </td>
                       </tr>
                     ))}
@@ -181,10 +360,13 @@ export default function AttendanceRecords() {
                 <h3>{selectedSession ? 'No records yet' : 'Select a session to view records'}</h3>
               </div>
             )}
+            {selectedSession && <AuditTrail entries={audit} />}
           </div>
         </div>
       )}
 
+      {tab === 'rosters' && <RosterManager />}
+
       {tab === 'student' && (
         <div className="card">
           <div style={{ display: 'flex', gap: 12, marginBottom: 24 }}>
@@ -218,9 +400,9 @@ export default function AttendanceRecords() {
                       <td>{i + 1}</td>
                       <td>{r.sessionId.slice(0, 8)}...</td>
                       <td>{new Date(r.timestamp).toLocaleDateString()}</td>
-                      <td>{new Date(r.timestamp).toLocaleTimeString()}</td>
+                      <td>{r.status === 'ABSENT' ? '—' : new Date(r.timestamp).toLocaleTimeString()}</td>
                       <td>
-                        <span className={`badge ${r.status === 'PRESENT' ? 'badge-success' : 'badge-danger'}`}>
+                        <span className={`badge ${STATUS_BADGES[r.status] || 'badge-info'}`}>
                           {r.status}
                         </span>
                       </td>
@@ -241,3 +423,128 @@ export default function AttendanceRecords() {
     </div>
   );
 }
+
+/**
+ * Geofence decision with the distance and GPS error it was based on
+ */
+function LocationCell({ record }) {
+  const badge = LOCATION_BADGES[record.locationDecision];
+  if (!badge) return '—';
+
+  return (
+    <span style={{ display: 'inline-flex', alignItems: 'center', gap: 6 }}>
+      <span className={`badge ${badge.className}`}>{badge.label}</span>
+      {record.distance != null && (
+        <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+          {record.distance}m{record.locationAccuracy != null && ` ±${Math.round(record.locationAccuracy)}m`}
+        </span>
+      )}
+    </span>
+  );
+}
+
+/**
+ * 0–100 risk score against the session's flag threshold — hover for what it's made of
+ */
+function RiskCell({ record, flagAt }) {
+  if (record.riskScore == null) return '—';
+
+  const className = record.riskScore >= flagAt ? 'badge-danger' : record.riskScore >= flagAt / 2 ? 'badge-warning' : 'badge-success';
+  const title = record.riskReasons.map(r => `+${r.points} ${r.reason}`).join('\n') || 'No risk signals';
+  return <span className={`badge ${className}`} title={title}>{record.riskScore}</span>;
+}
+
+/**
+ * Weak device evidence (shared IP, same fingerprint) — hover for details
+ */
+function DeviceSignals({ signals }) {
+  if (!signals?.length) return null;
+
+  return (
+    <div style={{ fontSize: 11, marginTop: 2, display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+      {signals.map(sig => (
+        <span
+          key={sig.type}
+          title={sig.details}
+          style={{ color: sig.weight === 'medium' ? 'var(--warning)' : 'var(--text-muted)', fontWeight: 400 }}
+        >
+          <Smartphone size={11} /> {sig.type.toLowerCase()}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * One-line sync warning in the session list (hidden when everything is synced)
+ */
+function SyncHint({ syncStatus }) {
+  const { pending, failed } = syncTotals(syncStatus);
+  if (pending === 0 && failed === 0) return null;
+
+  return (
+    <div style={{ fontSize: 11, marginTop: 4, color: failed > 0 ? 'var(--danger)' : 'var(--warning)' }}>
+      {failed > 0 ? `${failed} failed to sync` : `${pending} pending sync`}
+    </div>
+  );
+}
+
+/**
+ * Teacher overrides for the selected session, newest first
+ */
+function AuditTrail({ entries }) {
+  if (entries.length === 0) return null;
+
+  const describe = (entry) => {
+    if (entry.action === 'add') return `added as ${entry.newValue.status}`;
+    if (entry.action === 'remove') return `removed (was ${entry.oldValue.status})`;
+    return `${entry.oldValue.status} → ${entry.newValue.status}`;
+  };
+
+  return (
+    <div style={{ marginTop: 24 }}>
+      <h4 style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 14, marginBottom: 8 }}>
+        <History size={16} /> Changes
+      </h4>
+      {entries.map(entry => (
+        <div key={entry.id} style={{ fontSize: 12, padding: '6px 0', borderBottom: '1px solid var(--border)' }}>
+          <strong>{entry.email}</strong> {describe(entry)} &mdash; {entry.reason}
+          <span style={{ color: 'var(--text-muted)', marginLeft: 8 }}>
+            {new Date(entry.createdAt).toLocaleString()}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Google Sheets sync counts for the selected session, with a manual re-sync
+ */
+function SyncStatusBar({ syncStatus, onResync }) {
+  const { pending, failed } = syncTotals(syncStatus);
+  const synced = syncStatus.attendance.synced + syncStatus.violations.synced;
+
+  if (pending === 0 && failed === 0) {
+    if (synced === 0) return null;
+    return (
+      <div className="alert alert-success">
+        <CheckCircle size={16} />
+        <span>All {synced} rows synced to Google Sheets</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`alert ${failed > 0 ? 'alert-danger' : 'alert-warning'}`}>
+      <CloudOff size={16} />
+      <span style={{ flex: 1 }}>
+        Sheets sync: {synced} synced &bull; {pending} pending &bull; {failed} failed
+        {failed > 0 && ' — failed rows are retried automatically every few minutes'}
+      </span>
+      <button className="btn btn-sm btn-secondary" onClick={onResync}>
+        <RefreshCw size={14} /> Retry now
+      </button>
+    </div>
+  );
+}
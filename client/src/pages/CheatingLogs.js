@@ -1,23 +1,72 @@
 import React, { useState, useEffect } from 'react';
-import { cheatingAPI } from '../services/api';
-import { ShieldAlert, AlertTriangle, Users, Filter } from 'lucide-react';
+import { cheatingAPI, adminAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { ShieldAlert, AlertTriangle, Users, Filter, Ban, WifiOff, Check, X, RotateCcw, MessageSquare, Inbox, ChevronLeft, ChevronRight, Link2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 50;
+
+const VIOLATION_TYPES = [
+  'Location Violation',
+  'Duplicate Device',
+  'Time Violation',
+  'Stale QR Token',
+  'Impossible Travel',
+  'Email Not Allowed',
+  'Off-Campus Network',
+  'High Risk Submission',
+];
+
+const REVIEW_BADGES = {
+  open: 'badge-warning',
+  confirmed: 'badge-danger',
+  dismissed: 'badge-success',
+};
+
+/**
+ * Record a review decision (asks for a note first)
+ * @returns {Promise<boolean>} whether the violation was updated
+ */
+async function reviewViolation(violation, status) {
+  const note = status === 'open' ? '' : window.prompt(
+    status === 'dismissed'
+      ? `Why dismiss this ${violation.violationType} for ${violation.studentName}?`
+      : `Note for confirming this ${violation.violationType} (optional):`
+  );
+  if (note === null) return false;
+  try {
+    const res = await cheatingAPI.review(violation.id, status, note);
+    toast.success(res.data.recordStatus
+      ? `Violation dismissed — ${violation.studentName} is now ${res.data.recordStatus}`
+      : `Violation ${status === 'open' ? 'reopened' : status}`);
+    return true;
+  } catch (err) {
+    toast.error(err.response?.data?.error || 'Failed to review violation');
+    return false;
+  }
+}
 
 export default function CheatingLogs() {
+  const { user } = useAuth();
   const [violations, setViolations] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
   const [suspicious, setSuspicious] = useState([]);
   const [stats, setStats] = useState(null);
   const [tab, setTab] = useState('violations');
-  const [filters, setFilters] = useState({ violationType: '', email: '' });
+  const [filters, setFilters] = useState({ violationType: '', email: '', reviewStatus: '' });
   const [loading, setLoading] = useState(true);
 
-  const fetchData = async () => {
+  const fetchData = async (page = offset) => {
     try {
       const [violRes, suspRes, statsRes] = await Promise.all([
-        cheatingAPI.getViolations(filters),
+        cheatingAPI.getViolations({ ...filters, limit: PAGE_SIZE, offset: page }),
         cheatingAPI.getSuspicious(),
         cheatingAPI.getStats(),
       ]);
       setViolations(violRes.data.violations || []);
+      setTotal(violRes.data.total || 0);
+      setOffset(page);
       setSuspicious(suspRes.data.students || []);
       setStats(statsRes.data);
     } catch (err) {
@@ -31,7 +80,11 @@ export default function CheatingLogs() {
 
   const handleFilter = () => {
     setLoading(true);
-    fetchData();
+    fetchData(0);
+  };
+
+  const handleReview = async (violation, status) => {
+    if (await reviewViolation(violation, status)) fetchData();
   };
 
   if (loading) {
@@ -68,6 +121,24 @@ export default function CheatingLogs() {
             <div className="stat-label">Duplicate Device</div>
             <div className="stat-value">{stats.byType?.['Duplicate Device'] || 0}</div>
           </div>
+          <div className="stat-card">
+            <div className="stat-icon red"><Ban size={20} /></div>
+            <div className="stat-label">Rejected Emails</div>
+            <div className="stat-value">{stats.rejectedSubmissions || 0}</div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-icon yellow"><WifiOff size={20} /></div>
+            <div className="stat-label">Off-Campus Network</div>
+            <div className="stat-value">{stats.byType?.['Off-Campus Network'] || 0}</div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-icon blue"><Inbox size={20} /></div>
+            <div className="stat-label">Awaiting Review</div>
+            <div className="stat-value">{stats.openViolations || 0}</div>
+            {stats.pendingAppeals > 0 && (
+              <div style={{ fontSize: 12, color: 'var(--warning)' }}>{stats.pendingAppeals} with a student appeal</div>
+            )}
+          </div>
         </div>
       )}
 
@@ -75,6 +146,10 @@ export default function CheatingLogs() {
       <div className="tabs">
         <button className={`tab ${tab === 'violations' ? 'active' : ''}`} onClick={() => setTab('violations')}>All Violations</button>
         <button className={`tab ${tab === 'suspicious' ? 'active' : ''}`} onClick={() => setTab('suspicious')}>Suspicious Students</button>
+        <button className={`tab ${tab === 'clusters' ? 'active' : ''}`} onClick={() => setTab('clusters')}>Buddy Clusters</button>
+        {user?.isAdmin && (
+          <button className={`tab ${tab === 'admin' ? 'active' : ''}`} onClick={() => setTab('admin')}>All Departments</button>
+        )}
       </div>
 
       {tab === 'violations' && (
@@ -88,9 +163,7 @@ export default function CheatingLogs() {
               onChange={e => setFilters({ ...filters, violationType: e.target.value })}
             >
               <option value="">All Types</option>
-              <option value="Location Violation">Location Violation</option>
-              <option value="Duplicate Device">Duplicate Device</option>
-              <option value="Time Violation">Time Violation</option>
+              {VIOLATION_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
             </select>
             <input
               className="form-input"
@@ -99,44 +172,27 @@ export default function CheatingLogs() {
               value={filters.email}
               onChange={e => setFilters({ ...filters, email: e.target.value })}
             />
+            <select
+              className="form-select"
+              style={{ maxWidth: 160 }}
+              value={filters.reviewStatus}
+              onChange={e => setFilters({ ...filters, reviewStatus: e.target.value })}
+            >
+              <option value="">Any Review</option>
+              <option value="open">Open</option>
+              <option value="confirmed">Confirmed</option>
+              <option value="dismissed">Dismissed</option>
+            </select>
             <button className="btn btn-secondary" onClick={handleFilter}>
               <Filter size={14} /> Apply
             </button>
           </div>
 
           {violations.length > 0 ? (
-            <div className="table-container">
-              <table>
-                <thead>
-                  <tr>
-                    <th>Timestamp</th>
-                    <th>Student</th>
-                    <th>Email</th>
-                    <th>Violation</th>
-                    <th>Details</th>
-                    <th>Distance</th>
-                    <th>IP Address</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {violations.map((v, i) => (
-                    <tr key={i}>
-                      <td style={{ fontSize: 12 }}>{new Date(v.timestamp).toLocaleString()}</td>
-                      <td style={{ fontWeight: 500 }}>{v.studentName}</td>
-                      <td>{v.email}</td>
-                      <td>
-                        <span className={`badge ${v.violationType === 'Location Violation' ? 'badge-danger' : 'badge-warning'}`}>
-                          {v.violationType}
-                        </span>
-                      </td>
-                      <td style={{ fontSize: 12, maxWidth: 200, overflow: 'hidden', textOverflow: 'ellipsis' }}>{v.details}</td>
-                      <td>{v.distance}m</td>
-                      <td style={{ fontSize: 12 }}>{v.ipAddress}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
+            <>
+              <ViolationsTable violations={violations} onReview={handleReview} />
+              <Pager total={total} offset={offset} onPage={page => fetchData(page)} />
+            </>
           ) : (
             <div className="empty-state">
               <ShieldAlert size={48} />
@@ -147,6 +203,10 @@ export default function CheatingLogs() {
         </div>
       )}
 
+      {tab === 'clusters' && <BuddyClusters />}
+
+      {tab === 'admin' && <AdminViolations />}
+
       {tab === 'suspicious' && (
         <div className="card">
           {suspicious.length > 0 ? (
@@ -169,7 +229,7 @@ export default function CheatingLogs() {
                         <span className="badge badge-danger">{s.count}</span>
                       </td>
                       <td>
-                        {[...new Set(s.violations.map(v => v.violationType))].map(type => (
+                        {s.violationTypes.map(type => (
                           <span key={type} className="badge badge-warning" style={{ marginRight: 4 }}>
                             {type}
                           </span>
@@ -192,3 +252,293 @@ export default function CheatingLogs() {
     </div>
   );
 }
+
+/**
+ * Review state with the reviewer's note, and the actions that move it on
+ */
+function ReviewCell({ violation, onReview }) {
+  const { reviewStatus } = violation;
+  const reviewed = reviewStatus !== 'open';
+
+  return (
+    <div style={{ minWidth: 130 }}>
+      <span
+        className={`badge ${REVIEW_BADGES[reviewStatus] || 'badge-info'}`}
+        title={reviewed ? `${violation.reviewerName || 'Reviewed'}, ${new Date(violation.reviewedAt).toLocaleString()}` : undefined}
+      >
+        {reviewStatus}
+      </span>
+      {violation.reviewNote && (
+        <div style={{ fontSize: 11, color: 'var(--text-muted)', marginTop: 2 }}>{violation.reviewNote}</div>
+      )}
+      <div style={{ display: 'flex', gap: 4, marginTop: 6 }}>
+        {reviewed ? (
+          <button className="btn-icon" onClick={() => onReview(violation, 'open')} title="Reopen">
+            <RotateCcw size={14} />
+          </button>
+        ) : (
+          <>
+            <button className="btn-icon" onClick={() => onReview(violation, 'confirmed')} title="Confirm violation">
+              <Check size={14} />
+            </button>
+            <button className="btn-icon" onClick={() => onReview(violation, 'dismissed')} title="Dismiss (restores a flagged record)">
+              <X size={14} />
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Violation rows; showOwner adds the course, teacher and department (admin view)
+ */
+function ViolationsTable({ violations, onReview, showOwner = false }) {
+  return (
+    <div className="table-container">
+      <table>
+        <thead>
+          <tr>
+            <th>Timestamp</th>
+            <th>Student</th>
+            <th>Email</th>
+            {showOwner && <th>Course / Teacher</th>}
+            <th>Violation</th>
+            <th>Details</th>
+            <th>Distance</th>
+            <th>IP Address</th>
+            <th>Review</th>
+          </tr>
+        </thead>
+        <tbody>
+          {violations.map(v => (
+            <tr key={v.id}>
+              <td style={{ fontSize: 12 }}>{new Date(v.timestamp).toLocaleString()}</td>
+              <td style={{ fontWeight: 500 }}>{v.studentName}</td>
+              <td>{v.email}</td>
+              {showOwner && (
+                <td style={{ fontSize: 12 }}>
+                  <div style={{ fontWeight: 500 }}>{v.subjectName}</div>
+                  <div style={{ color: 'var(--text-muted)' }}>{v.teacherName}{v.department && ` · ${v.department}`}</div>
+                </td>
+              )}
+              <td>
+                <span className={`badge ${v.violationType === 'Location Violation' ? 'badge-danger' : 'badge-warning'}`}>
+                  {v.violationType}
+                </span>
+              </td>
+              <td style={{ fontSize: 12, maxWidth: 200, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                {v.details}
+                {v.appeal && (
+                  <div style={{ color: 'var(--primary)', marginTop: 4, whiteSpace: 'normal' }} title={`Appealed ${new Date(v.appealedAt).toLocaleString()}`}>
+                    <MessageSquare size={11} /> "{v.appeal}"
+                  </div>
+                )}
+              </td>
+              <td>{v.distance}m</td>
+              <td style={{ fontSize: 12 }}>{v.ipAddress}</td>
+              <td><ReviewCell violation={v} onReview={onReview} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * "Showing 51–100 of 240" with previous / next page buttons
+ */
+function Pager({ total, offset, onPage }) {
+  if (total <= PAGE_SIZE) return null;
+  const last = Math.min(offset + PAGE_SIZE, total);
+
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 16 }}>
+      <span style={{ fontSize: 13, color: 'var(--text-secondary)' }}>
+        Showing {offset + 1}–{last} of {total}
+      </span>
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button className="btn btn-sm btn-secondary" disabled={offset === 0} onClick={() => onPage(Math.max(offset - PAGE_SIZE, 0))}>
+          <ChevronLeft size={14} /> Previous
+        </button>
+        <button className="btn btn-sm btn-secondary" disabled={last >= total} onClick={() => onPage(offset + PAGE_SIZE)}>
+          Next <ChevronRight size={14} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const EMPTY_ADMIN_FILTERS = { department: '', subjectName: '', teacherId: '', violationType: '', reviewStatus: '' };
+
+/**
+ * Every teacher's violations for admins, narrowed by department, course and teacher
+ */
+function AdminViolations() {
+  const [options, setOptions] = useState({ departments: [], courses: [], teachers: [] });
+  // A new query object (even with the same values) refetches the page
+  const [query, setQuery] = useState({ filters: EMPTY_ADMIN_FILTERS, offset: 0 });
+  const [result, setResult] = useState({ violations: [], total: 0, offset: 0, stats: null });
+  const [loading, setLoading] = useState(true);
+  const { filters } = query;
+
+  useEffect(() => {
+    adminAPI.getViolationFilters()
+      .then(res => setOptions(res.data))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    adminAPI.getViolations({ ...query.filters, limit: PAGE_SIZE, offset: query.offset })
+      .then(res => setResult(res.data))
+      .catch(err => toast.error(err.response?.data?.error || 'Failed to load violations'))
+      .finally(() => setLoading(false));
+  }, [query]);
+
+  const setFilter = (key, value) => {
+    setQuery({ filters: { ...filters, [key]: value }, offset: 0 });
+  };
+
+  const handleReview = async (violation, status) => {
+    if (await reviewViolation(violation, status)) setQuery({ ...query });
+  };
+
+  const { stats } = result;
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', marginBottom: 16 }}>
+        <select className="form-select" style={{ maxWidth: 180 }} value={filters.department} onChange={e => setFilter('department', e.target.value)}>
+          <option value="">All Departments</option>
+          {options.departments.map(d => <option key={d} value={d}>{d}</option>)}
+        </select>
+        <select className="form-select" style={{ maxWidth: 200 }} value={filters.subjectName} onChange={e => setFilter('subjectName', e.target.value)}>
+          <option value="">All Courses</option>
+          {options.courses.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select className="form-select" style={{ maxWidth: 180 }} value={filters.teacherId} onChange={e => setFilter('teacherId', e.target.value)}>
+          <option value="">All Teachers</option>
+          {options.teachers.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+        <select className="form-select" style={{ maxWidth: 180 }} value={filters.violationType} onChange={e => setFilter('violationType', e.target.value)}>
+          <option value="">All Types</option>
+          {VIOLATION_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <select className="form-select" style={{ maxWidth: 150 }} value={filters.reviewStatus} onChange={e => setFilter('reviewStatus', e.target.value)}>
+          <option value="">Any Review</option>
+          <option value="open">Open</option>
+          <option value="confirmed">Confirmed</option>
+          <option value="dismissed">Dismissed</option>
+        </select>
+      </div>
+
+      {stats && (
+        <div style={{ display: 'flex', gap: 24, fontSize: 13, color: 'var(--text-secondary)', marginBottom: 16 }}>
+          <span><strong>{stats.totalViolations}</strong> violations</span>
+          <span><strong>{stats.uniqueStudentsFlagged}</strong> students</span>
+          <span><strong>{stats.openViolations}</strong> awaiting review</span>
+          <span><strong>{stats.pendingAppeals}</strong> appeals</span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-container"><div className="spinner" /><p>Loading...</p></div>
+      ) : result.violations.length > 0 ? (
+        <>
+          <ViolationsTable violations={result.violations} onReview={handleReview} showOwner />
+          <Pager total={result.total} offset={result.offset} onPage={page => setQuery({ ...query, offset: page })} />
+        </>
+      ) : (
+        <div className="empty-state">
+          <ShieldAlert size={48} />
+          <h3>No violations</h3>
+          <p>Nothing matches these filters</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Students who keep submitting together from one IP / device, with the sessions as evidence
+ */
+function BuddyClusters() {
+  const [clusters, setClusters] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    cheatingAPI.getClusters()
+      .then(res => setClusters(res.data.clusters || []))
+      .catch(() => toast.error('Failed to load clusters'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  if (loading) {
+    return <div className="loading-container"><div className="spinner" /><p>Loading...</p></div>;
+  }
+
+  if (clusters.length === 0) {
+    return (
+      <div className="card">
+        <div className="empty-state">
+          <Link2 size={48} />
+          <h3>No buddy clusters</h3>
+          <p>No students have submitted together from the same IP or device in 3 or more sessions</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {clusters.map(cluster => {
+        const names = new Map(cluster.members.map(m => [m.email, m.studentName]));
+        return (
+          <div key={cluster.members.map(m => m.email).join()} className="card" style={{ marginBottom: 16 }}>
+            <div className="card-header">
+              <h3 className="card-title">
+                <Link2 size={18} style={{ marginRight: 8 }} />
+                {cluster.members.map(m => m.studentName).join(', ')}
+              </h3>
+              <span className="badge badge-danger">{cluster.sessions.length} sessions together</span>
+            </div>
+            <div style={{ fontSize: 12, color: 'var(--text-secondary)', marginBottom: 12 }}>
+              {cluster.pairs.map(p => `${names.get(p.emails[0])} + ${names.get(p.emails[1])}: ${p.sessions}`).join(' · ')}
+            </div>
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Session</th>
+                    <th>Students</th>
+                    <th>Shared</th>
+                    <th>Apart</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {cluster.sessions.map(s => (
+                    <tr key={s.sessionId}>
+                      <td style={{ fontSize: 12 }}>{new Date(s.date).toLocaleDateString()}</td>
+                      <td style={{ fontWeight: 500 }}>{s.subjectName} <span style={{ color: 'var(--text-muted)', fontSize: 12 }}>{s.sessionType}</span></td>
+                      <td style={{ fontSize: 13 }}>{s.students.map(email => names.get(email) || email).join(', ')}</td>
+                      <td>
+                        {s.signals.map(signal => (
+                          <span key={signal} className="badge badge-warning" style={{ marginRight: 4 }}>{signal}</span>
+                        ))}
+                      </td>
+                      <td style={{ fontSize: 12 }}>{s.gapSeconds}s</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        );
+      })}
+    </>
+  );
+}
@@ -1,6 +1,11 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
 import { sessionAPI } from '../services/api';
+import RotatingQR from '../components/RotatingQR';
+import { useLiveFeed, LiveCheckIns } from '../components/LiveFeed';
+import GeofenceEditor, { toGeofencePayload } from '../components/GeofenceEditor';
+import { RoomSelect } from '../components/RoomManager';
 import toast from 'react-hot-toast';
 import {
   QrCode,
@@ -14,12 +19,18 @@ import {
   Maximize2,
   Minimize2,
   MapPin,
+  RefreshCw,
+  ShieldCheck,
+  Wifi,
+  Gauge,
 } from 'lucide-react';
 
 const SESSION_TYPES = ['lecture', 'td', 'lab'];
+const ROTATION_OPTIONS = [0, 15, 30, 60];
 
 export default function QRCodes() {
   const location = useLocation();
+  const { user } = useAuth();
   const prefill = location.state?.schedule;
 
   const [activeSessions, setActiveSessions] = useState([]);
@@ -31,9 +42,15 @@ export default function QRCodes() {
   const [tab, setTab] = useState('active');
   const [selectedSession, setSelectedSession] = useState(null);
   const [loadingQR, setLoadingQR] = useState(null);
-  const [fullscreenQR, setFullscreenQR] = useState(null); // { qrCodeDataUrl, subjectName, sessionType, year, sectionOrGroup, expiresAt, attendeeCount, sessionId, attendanceUrl }
+  const [fullscreenQR, setFullscreenQR] = useState(null); // { qrCodeDataUrl, subjectName, sessionType, year, sectionOrGroup, expiresAt, attendeeCount, sessionId, attendanceUrl, qrRotationSeconds }
   const [locationStatus, setLocationStatus] = useState('idle'); // idle, requesting, captured, denied
 
+  // Live check-ins for whichever session is on screen (fullscreen > modal > just generated)
+  const liveSessionId = fullscreenQR
+    ? fullscreenQR.sessionId || fullscreenQR.id
+    : selectedSession?.id || generatedQR?.sessionId;
+  const live = useLiveFeed(liveSessionId);
+
   const [form, setForm] = useState({
     sessionType: prefill?.sessionType || 'lecture',
     subjectName: prefill?.subjectName || '',
@@ -41,6 +58,16 @@ export default function QRCodes() {
     sectionOrGroup: prefill?.sectionOrGroup || '',
     classroomLocation: prefill?.classroomLocation || null,
     geofenceRadius: prefill?.geofenceRadius || 100,
+    geofence: prefill?.geofence || null,
+    roomId: prefill?.roomId || null,
+    qrRotationSeconds: user?.settings?.qrRotationSeconds ?? 30,
+    scheduleId: prefill?.id || '',
+    startTime: prefill?.startTime || '',
+    lateGraceMinutes: user?.settings?.lateGraceMinutes ?? 10,
+    requireVerifiedIdentity: !!user?.settings?.requireVerifiedIdentity,
+    networkPolicy: user?.settings?.networkPolicy || 'ignore',
+    riskFlagThreshold: 50,
+    riskRejectThreshold: '',
   });
 
   const fetchSessions = useCallback(async () => {
@@ -111,13 +138,19 @@ export default function QRCodes() {
         ...form,
         year: parseInt(form.year),
         geofenceRadius: parseInt(form.geofenceRadius),
+        qrRotationSeconds: parseInt(form.qrRotationSeconds),
+        lateGraceMinutes: parseInt(form.lateGraceMinutes),
+        riskFlagThreshold: parseInt(form.riskFlagThreshold),
+        riskRejectThreshold: parseInt(form.riskRejectThreshold) || null,
+        geofence: toGeofencePayload(form.geofence),
+        roomId: form.roomId || null,
       });
       setGeneratedQR(res.data);
       setShowGenerate(false);
       toast.success('QR code generated!');
       fetchSessions();
     } catch (err) {
-      toast.error(err.response?.data?.error || 'Failed to generate QR code');
+      toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || 'Failed to generate QR code');
     } finally {
       setGenerating(false);
     }
@@ -223,19 +256,27 @@ export default function QRCodes() {
           </div>
           <div style={{ fontSize: 15, color: 'var(--text-secondary)', marginBottom: 20 }}>
             {fullscreenQR.sessionType?.toUpperCase()} &bull; Year {fullscreenQR.year} &bull; {fullscreenQR.sectionOrGroup}
+            {fullscreenQR.roomName && <> &bull; {fullscreenQR.roomName}</>}
           </div>
-          <img
-            src={fullscreenQR.qrCodeDataUrl}
-            alt="QR Code"
+          <RotatingQR
+            sessionId={fullscreenQR.sessionId || fullscreenQR.id}
+            initialSrc={fullscreenQR.qrCodeDataUrl}
+            rotationSeconds={fullscreenQR.qrRotationSeconds}
             style={{ width: 'min(80vw, 80vh)', height: 'min(80vw, 80vh)', maxWidth: 520, maxHeight: 520, imageRendering: 'pixelated' }}
           />
           <div style={{ marginTop: 16, fontSize: 14, color: 'var(--text-secondary)' }}>
             <Clock size={14} style={{ verticalAlign: 'middle' }} /> Expires: {new Date(fullscreenQR.expiresAt).toLocaleTimeString()}
-            {fullscreenQR.attendeeCount != null && (
-              <span style={{ marginLeft: 20 }}><Users size={14} style={{ verticalAlign: 'middle' }} /> {fullscreenQR.attendeeCount} attendees</span>
+            {(live.attendeeCount ?? fullscreenQR.attendeeCount) != null && (
+              <span style={{ marginLeft: 20 }}><Users size={14} style={{ verticalAlign: 'middle' }} /> {live.attendeeCount ?? fullscreenQR.attendeeCount} attendees</span>
+            )}
+            {fullscreenQR.qrRotationSeconds > 0 && (
+              <span style={{ marginLeft: 20 }}><RefreshCw size={14} style={{ verticalAlign: 'middle' }} /> Code refreshes every {fullscreenQR.qrRotationSeconds}s</span>
             )}
           </div>
           <div style={{ marginTop: 10, fontSize: 12, color: 'var(--text-muted)' }}>Click anywhere or press Esc to exit</div>
+          <div className="live-feed-panel" onClick={e => e.stopPropagation()}>
+            <LiveCheckIns feed={live} maxHeight="calc(100vh - 180px)" />
+          </div>
         </div>
       )}
 
@@ -243,18 +284,24 @@ export default function QRCodes() {
       {generatedQR && (
         <div className="card" style={{ marginBottom: 24, textAlign: 'center' }}>
           <div className="qr-display">
-            <img src={generatedQR.qrCodeDataUrl} alt="QR Code" style={{ width: 300, height: 300, cursor: 'pointer' }} onClick={() => openFullscreen({ qrCodeDataUrl: generatedQR.qrCodeDataUrl, subjectName: form.subjectName, sessionType: form.sessionType, year: form.year, sectionOrGroup: form.sectionOrGroup, expiresAt: generatedQR.expiresAt, sessionId: generatedQR.sessionId, attendanceUrl: generatedQR.attendanceUrl })} />
+            <RotatingQR sessionId={generatedQR.sessionId} initialSrc={generatedQR.qrCodeDataUrl} rotationSeconds={generatedQR.qrRotationSeconds} style={{ width: 300, height: 300, cursor: 'pointer' }} onClick={() => openFullscreen({ qrCodeDataUrl: generatedQR.qrCodeDataUrl, subjectName: form.subjectName, sessionType: form.sessionType, year: form.year, sectionOrGroup: form.sectionOrGroup, roomName: generatedQR.roomName, expiresAt: generatedQR.expiresAt, sessionId: generatedQR.sessionId, attendanceUrl: generatedQR.attendanceUrl, qrRotationSeconds: generatedQR.qrRotationSeconds })} />
             <div className="qr-info">
               <div className="session-name">{form.subjectName}</div>
               <div className="session-detail">
                 {form.sessionType.toUpperCase()} &bull; Year {form.year} &bull; {form.sectionOrGroup}
+                {generatedQR.roomName && <> &bull; {generatedQR.roomName}</>}
               </div>
               <div className="session-detail" style={{ marginTop: 8 }}>
                 <Clock size={14} /> Expires: {new Date(generatedQR.expiresAt).toLocaleTimeString()}
               </div>
+              {generatedQR.qrRotationSeconds > 0 && (
+                <div className="session-detail" style={{ marginTop: 4 }}>
+                  <RefreshCw size={14} /> Code refreshes every {generatedQR.qrRotationSeconds}s
+                </div>
+              )}
             </div>
             <div style={{ display: 'flex', gap: 12, marginTop: 20, flexWrap: 'wrap', justifyContent: 'center' }}>
-              <button className="btn btn-primary" onClick={() => openFullscreen({ qrCodeDataUrl: generatedQR.qrCodeDataUrl, subjectName: form.subjectName, sessionType: form.sessionType, year: form.year, sectionOrGroup: form.sectionOrGroup, expiresAt: generatedQR.expiresAt, sessionId: generatedQR.sessionId, attendanceUrl: generatedQR.attendanceUrl })}>
+              <button className="btn btn-primary" onClick={() => openFullscreen({ qrCodeDataUrl: generatedQR.qrCodeDataUrl, subjectName: form.subjectName, sessionType: form.sessionType, year: form.year, sectionOrGroup: form.sectionOrGroup, roomName: generatedQR.roomName, expiresAt: generatedQR.expiresAt, sessionId: generatedQR.sessionId, attendanceUrl: generatedQR.attendanceUrl, qrRotationSeconds: generatedQR.qrRotationSeconds })}>
                 <Maximize2 size={14} /> Fullscreen
               </button>
               <button className="btn btn-secondary" onClick={() => copyUrl(generatedQR.attendanceUrl)}>
@@ -269,6 +316,9 @@ export default function QRCodes() {
                 <StopCircle size={14} /> Stop
               </button>
             </div>
+            <div style={{ width: '100%', maxWidth: 480, margin: '24px auto 0' }}>
+              <LiveCheckIns feed={live} />
+            </div>
           </div>
         </div>
       )}
@@ -283,9 +333,10 @@ export default function QRCodes() {
             </div>
             <div style={{ padding: '16px 0' }}>
               {selectedSession.qrCodeDataUrl ? (
-                <img
-                  src={selectedSession.qrCodeDataUrl}
-                  alt="QR Code"
+                <RotatingQR
+                  sessionId={selectedSession.id}
+                  initialSrc={selectedSession.qrCodeDataUrl}
+                  rotationSeconds={selectedSession.qrRotationSeconds}
                   style={{ width: 280, height: 280, cursor: 'pointer' }}
                   onClick={() => { setSelectedSession(null); openFullscreen(selectedSession); }}
                   title="Click for fullscreen"
@@ -295,12 +346,16 @@ export default function QRCodes() {
               )}
               <div style={{ fontSize: 13, color: 'var(--text-secondary)', marginTop: 12 }}>
                 {selectedSession.sessionType.toUpperCase()} &bull; Year {selectedSession.year} &bull; {selectedSession.sectionOrGroup}
+                {selectedSession.roomName && <> &bull; {selectedSession.roomName}</>}
               </div>
               <div style={{ fontSize: 13, color: 'var(--text-secondary)', marginTop: 4 }}>
                 <Clock size={14} style={{ verticalAlign: 'middle' }} /> Expires: {new Date(selectedSession.expiresAt).toLocaleTimeString()}
               </div>
               <div style={{ fontSize: 13, color: 'var(--text-muted)', marginTop: 4 }}>
-                <Users size={14} style={{ verticalAlign: 'middle' }} /> {selectedSession.attendeeCount} attendees
+                <Users size={14} style={{ verticalAlign: 'middle' }} /> {live.attendeeCount ?? selectedSession.attendeeCount} attendees
+              </div>
+              <div style={{ marginTop: 16 }}>
+                <LiveCheckIns feed={live} maxHeight={200} />
               </div>
             </div>
             <div style={{ display: 'flex', gap: 10, justifyContent: 'center', padding: '0 0 8px', flexWrap: 'wrap' }}>
@@ -352,40 +407,111 @@ export default function QRCodes() {
                   <input className="form-input" value={form.sectionOrGroup} onChange={e => setForm({ ...form, sectionOrGroup: e.target.value })} placeholder={form.sessionType === 'lecture' ? '1' : 'A'} required />
                 </div>
               </div>
-              <div className="form-group" style={{ marginTop: 4 }}>
+              <div className="form-group">
                 <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-                  <MapPin size={14} /> Classroom Location
+                  <RefreshCw size={14} /> Rotating QR Code
                 </label>
-                {locationStatus === 'requesting' && (
-                  <div style={{ fontSize: 13, color: 'var(--text-secondary)', padding: '8px 12px', background: '#f8fafc', borderRadius: 8, display: 'flex', alignItems: 'center', gap: 8 }}>
-                    <div className="spinner" style={{ width: 16, height: 16, borderWidth: 2 }} /> Getting your location...
-                  </div>
-                )}
-                {locationStatus === 'captured' && form.classroomLocation && (
-                  <div style={{ fontSize: 13, color: '#059669', padding: '8px 12px', background: '#ecfdf5', borderRadius: 8 }}>
-                    <strong>\u2713 Location captured</strong> ({form.classroomLocation.lat.toFixed(5)}, {form.classroomLocation.lng.toFixed(5)})
-                    <div style={{ marginTop: 6, display: 'flex', alignItems: 'center', gap: 8 }}>
-                      <span style={{ fontSize: 12, color: 'var(--text-secondary)' }}>Geofence radius:</span>
-                      <input
-                        type="number"
-                        className="form-input"
-                        style={{ width: 80, padding: '4px 8px', fontSize: 13 }}
-                        value={form.geofenceRadius}
-                        onChange={e => setForm({ ...form, geofenceRadius: e.target.value })}
-                        min={50}
-                        max={1000}
-                      />
-                      <span style={{ fontSize: 12, color: 'var(--text-secondary)' }}>meters</span>
-                    </div>
-                  </div>
-                )}
-                {locationStatus === 'denied' && (
-                  <div style={{ fontSize: 13, color: '#dc2626', padding: '8px 12px', background: '#fef2f2', borderRadius: 8 }}>
-                    \u26a0 Location access denied \u2014 geofencing will be <strong>disabled</strong> for this session.
-                    <br /><span style={{ fontSize: 12 }}>Students can submit from anywhere.</span>
-                  </div>
-                )}
+                <select className="form-select" value={form.qrRotationSeconds} onChange={e => setForm({ ...form, qrRotationSeconds: e.target.value })}>
+                  {ROTATION_OPTIONS.map(sec => (
+                    <option key={sec} value={sec}>{sec === 0 ? 'Off (static code)' : `Every ${sec} seconds`}</option>
+                  ))}
+                </select>
+                <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+                  Photos of an old code shared with absent students will be flagged
+                </small>
               </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                    <Clock size={14} /> Start Time
+                  </label>
+                  <input type="time" className="form-input" value={form.startTime} onChange={e => setForm({ ...form, startTime: e.target.value })} />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Late After (minutes)</label>
+                  <input type="number" className="form-input" value={form.lateGraceMinutes} onChange={e => setForm({ ...form, lateGraceMinutes: e.target.value })} min={0} max={120} disabled={!form.startTime} />
+                </div>
+              </div>
+              <small style={{ color: 'var(--text-muted)', fontSize: 12, display: 'block', marginTop: -8, marginBottom: 12 }}>
+                {form.startTime
+                  ? `Submissions after ${form.startTime} + ${form.lateGraceMinutes || 0} min are marked LATE`
+                  : 'Leave empty to mark every valid submission PRESENT'}
+              </small>
+              <div className="form-group">
+                <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+                  <input type="checkbox" checked={form.requireVerifiedIdentity} onChange={e => setForm({ ...form, requireVerifiedIdentity: e.target.checked })} />
+                  <ShieldCheck size={14} /> Require Google sign-in
+                </label>
+                <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+                  Students sign in with their university account — no typing someone else's email
+                </small>
+              </div>
+              <div className="form-group">
+                <label className="form-label"><Wifi size={12} /> Off-Campus Network</label>
+                <select className="form-select" value={form.networkPolicy} onChange={e => setForm({ ...form, networkPolicy: e.target.value })}>
+                  <option value="ignore">Allow (don't check the network)</option>
+                  <option value="prefer">Accept but flag</option>
+                  <option value="require">Reject — campus Wi-Fi required</option>
+                </select>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label className="form-label"><Gauge size={12} /> Flag at Risk Score</label>
+                  <input type="number" className="form-input" value={form.riskFlagThreshold} onChange={e => setForm({ ...form, riskFlagThreshold: e.target.value })} min={1} max={100} required />
+                </div>
+                <div className="form-group">
+                  <label className="form-label"><Gauge size={12} /> Reject at Risk Score</label>
+                  <input type="number" className="form-input" value={form.riskRejectThreshold} onChange={e => setForm({ ...form, riskRejectThreshold: e.target.value })} min={1} max={100} placeholder="Never" />
+                </div>
+              </div>
+              <small style={{ color: 'var(--text-muted)', fontSize: 12, display: 'block', marginTop: -8, marginBottom: 12 }}>
+                Each submission gets a 0–100 risk score from its location, GPS accuracy, device, network, timing and history
+              </small>
+              <RoomSelect value={form.roomId} onChange={roomId => setForm({ ...form, roomId })} />
+              {!form.roomId && (
+                <>
+                  <div className="form-group" style={{ marginTop: 4 }}>
+                    <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                      <MapPin size={14} /> Classroom Location
+                    </label>
+                    {locationStatus === 'requesting' && (
+                      <div style={{ fontSize: 13, color: 'var(--text-secondary)', padding: '8px 12px', background: '#f8fafc', borderRadius: 8, display: 'flex', alignItems: 'center', gap: 8 }}>
+                        <div className="spinner" style={{ width: 16, height: 16, borderWidth: 2 }} /> Getting your location...
+                      </div>
+                    )}
+                    {locationStatus === 'captured' && form.classroomLocation && !form.geofence && (
+                      <div style={{ fontSize: 13, color: '#059669', padding: '8px 12px', background: '#ecfdf5', borderRadius: 8 }}>
+                        <strong>\u2713 Location captured</strong> ({form.classroomLocation.lat.toFixed(5)}, {form.classroomLocation.lng.toFixed(5)})
+                        <div style={{ marginTop: 6, display: 'flex', alignItems: 'center', gap: 8 }}>
+                          <span style={{ fontSize: 12, color: 'var(--text-secondary)' }}>Geofence radius:</span>
+                          <input
+                            type="number"
+                            className="form-input"
+                            style={{ width: 80, padding: '4px 8px', fontSize: 13 }}
+                            value={form.geofenceRadius}
+                            onChange={e => setForm({ ...form, geofenceRadius: e.target.value })}
+                            min={50}
+                            max={1000}
+                          />
+                          <span style={{ fontSize: 12, color: 'var(--text-secondary)' }}>meters</span>
+                        </div>
+                      </div>
+                    )}
+                    {locationStatus === 'denied' && !form.geofence && (
+                      <div style={{ fontSize: 13, color: '#dc2626', padding: '8px 12px', background: '#fef2f2', borderRadius: 8 }}>
+                        \u26a0 Location access denied \u2014 geofencing will be <strong>disabled</strong> for this session.
+                        <br /><span style={{ fontSize: 12 }}>Students can submit from anywhere.</span>
+                      </div>
+                    )}
+                  </div>
+                  <GeofenceEditor
+                    value={form.geofence}
+                    onChange={geofence => setForm({ ...form, geofence })}
+                    center={form.classroomLocation}
+                    radius={parseInt(form.geofenceRadius) || 50}
+                  />
+                </>
+              )}
               <div style={{ display: 'flex', gap: 12, justifyContent: 'flex-end', marginTop: 24 }}>
                 <button type="button" className="btn btn-secondary" onClick={() => setShowGenerate(false)}>Cancel</button>
                 <button type="submit" className="btn btn-primary" disabled={generating}>
@@ -422,6 +548,7 @@ export default function QRCodes() {
                     <div style={{ fontWeight: 600, fontSize: 16 }}>{session.subjectName}</div>
                     <div style={{ fontSize: 13, color: 'var(--text-secondary)', marginTop: 4 }}>
                       {session.sessionType.toUpperCase()} &bull; Year {session.year} &bull; {session.sectionOrGroup}
+                      {session.roomName && <> &bull; {session.roomName}</>}
                     </div>
                     <div style={{ display: 'flex', gap: 16, marginTop: 8, fontSize: 13 }}>
                       <span><Users size={14} /> {session.attendeeCount} attendees</span>
@@ -1,11 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { scheduleAPI } from '../services/api';
 import toast from 'react-hot-toast';
-import { Plus, Trash2, Edit2, CalendarDays, Clock, MapPin, X } from 'lucide-react';
+import GeofenceEditor, { toGeofencePayload } from '../components/GeofenceEditor';
+import RoomManager, { RoomSelect } from '../components/RoomManager';
+import CalendarManager from '../components/CalendarManager';
+import IcalSync from '../components/IcalSync';
+import GridImport from '../components/GridImport';
+import { Plus, Trash2, Edit2, CalendarDays, Clock, MapPin, X, PlayCircle, Link2, FileSpreadsheet } from 'lucide-react';
 
 const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 const SESSION_TYPES = ['lecture', 'td', 'lab'];
 
+/**
+ * "Every other week (week B)" / the custom rule — nothing for plain weekly schedules
+ */
+const recurrenceLabel = (s) => {
+  if (s.recurrence === 'biweekly') return `Every other week${s.weekParity ? ` (week ${s.weekParity})` : ''}`;
+  if (s.recurrence === 'custom') return s.rrule;
+  return null;
+};
+
 const emptyForm = {
   sessionType: 'lecture',
   subjectName: '',
@@ -17,7 +31,14 @@ const emptyForm = {
   classroomName: '',
   classroomLocation: { lat: '', lng: '' },
   recurrence: 'weekly',
+  rrule: '',
+  weekParity: '',
+  startDate: '',
+  endDate: '',
   geofenceRadius: 100,
+  geofence: null,
+  roomId: null,
+  autoStart: false,
 };
 
 export default function Schedule() {
@@ -26,6 +47,9 @@ export default function Schedule() {
   const [editingId, setEditingId] = useState(null);
   const [form, setForm] = useState(emptyForm);
   const [loading, setLoading] = useState(true);
+  const [tab, setTab] = useState('schedules');
+  const [showSync, setShowSync] = useState(false);
+  const [showGridImport, setShowGridImport] = useState(false);
 
   const fetchSchedules = async () => {
     try {
@@ -43,8 +67,9 @@ export default function Schedule() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
+      const { roomName, days, ...fields } = form;
       const data = {
-        ...form,
+        ...fields,
         year: parseInt(form.year),
         dayOfWeek: parseInt(form.dayOfWeek),
         geofenceRadius: parseInt(form.geofenceRadius),
@@ -52,6 +77,12 @@ export default function Schedule() {
           form.classroomLocation.lat && form.classroomLocation.lng
             ? { lat: parseFloat(form.classroomLocation.lat), lng: parseFloat(form.classroomLocation.lng) }
             : null,
+        geofence: toGeofencePayload(form.geofence),
+        roomId: form.roomId || null,
+        rrule: form.recurrence === 'custom' ? form.rrule : null,
+        weekParity: form.recurrence === 'biweekly' ? form.weekParity || null : null,
+        startDate: form.startDate || null,
+        endDate: form.endDate || null,
       };
 
       if (editingId) {
@@ -67,7 +98,7 @@ export default function Schedule() {
       setForm(emptyForm);
       fetchSchedules();
     } catch (err) {
-      toast.error(err.response?.data?.error || 'Failed to save schedule');
+      toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || 'Failed to save schedule');
     }
   };
 
@@ -75,6 +106,13 @@ export default function Schedule() {
     setForm({
       ...schedule,
       classroomLocation: schedule.classroomLocation || { lat: '', lng: '' },
+      geofence: schedule.geofence || null,
+      roomId: schedule.roomId || null,
+      autoStart: !!schedule.autoStart,
+      rrule: schedule.rrule || '',
+      weekParity: schedule.weekParity || '',
+      startDate: schedule.startDate || '',
+      endDate: schedule.endDate || '',
     });
     setEditingId(schedule.id);
     setShowModal(true);
@@ -91,11 +129,13 @@ export default function Schedule() {
     }
   };
 
-  // Group schedules by day
+  // Group schedules by day (a custom rule can meet on several days)
   const groupedByDay = {};
   schedules.forEach(s => {
-    if (!groupedByDay[s.dayOfWeek]) groupedByDay[s.dayOfWeek] = [];
-    groupedByDay[s.dayOfWeek].push(s);
+    (s.days || [s.dayOfWeek]).forEach(day => {
+      if (!groupedByDay[day]) groupedByDay[day] = [];
+      groupedByDay[day].push(s);
+    });
   });
 
   if (loading) {
@@ -107,15 +147,34 @@ export default function Schedule() {
       <div className="page-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
         <div>
           <h2>Schedule Management</h2>
-          <p>Manage your weekly teaching schedule</p>
+          <p>Manage your weekly teaching schedule and academic calendar</p>
         </div>
-        <button className="btn btn-primary" onClick={() => { setForm(emptyForm); setEditingId(null); setShowModal(true); }}>
-          <Plus size={18} /> Add Schedule
-        </button>
+        {tab === 'schedules' && (
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="btn btn-secondary" onClick={() => setShowSync(true)}>
+              <Link2 size={18} /> Calendar Sync
+            </button>
+            <button className="btn btn-secondary" onClick={() => setShowGridImport(true)}>
+              <FileSpreadsheet size={18} /> Import Timetable
+            </button>
+            <button className="btn btn-primary" onClick={() => { setForm(emptyForm); setEditingId(null); setShowModal(true); }}>
+              <Plus size={18} /> Add Schedule
+            </button>
+          </div>
+        )}
       </div>
 
+      <div className="tabs">
+        <button className={`tab ${tab === 'schedules' ? 'active' : ''}`} onClick={() => setTab('schedules')}>Weekly Schedule</button>
+        <button className={`tab ${tab === 'rooms' ? 'active' : ''}`} onClick={() => setTab('rooms')}>Rooms</button>
+        <button className={`tab ${tab === 'calendar' ? 'active' : ''}`} onClick={() => setTab('calendar')}>Academic Calendar</button>
+      </div>
+
+      {tab === 'rooms' && <RoomManager />}
+      {tab === 'calendar' && <CalendarManager schedules={schedules} />}
+
       {/* Weekly View */}
-      {schedules.length === 0 ? (
+      {tab !== 'schedules' ? null : schedules.length === 0 ? (
         <div className="card">
           <div className="empty-state">
             <CalendarDays size={48} />
@@ -147,7 +206,15 @@ export default function Schedule() {
                     <tbody>
                       {daySessions.sort((a, b) => a.startTime.localeCompare(b.startTime)).map(s => (
                         <tr key={s.id}>
-                          <td style={{ fontWeight: 600 }}>{s.subjectName}</td>
+                          <td>
+                            <div style={{ fontWeight: 600 }}>{s.subjectName}</div>
+                            {(recurrenceLabel(s) || s.startDate || s.endDate) && (
+                              <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+                                {[recurrenceLabel(s), (s.startDate || s.endDate) && `${s.startDate || '…'} → ${s.endDate || '…'}`]
+                                  .filter(Boolean).join(' • ')}
+                              </div>
+                            )}
+                          </td>
                           <td>
                             <span className={`badge ${s.sessionType === 'lecture' ? 'badge-info' : s.sessionType === 'td' ? 'badge-warning' : 'badge-success'}`}>
                               {s.sessionType.toUpperCase()}
@@ -158,8 +225,13 @@ export default function Schedule() {
                           <td>
                             <Clock size={12} style={{ marginRight: 4 }} />
                             {s.startTime} - {s.endTime}
+                            {s.autoStart && (
+                              <span className="badge badge-success" style={{ marginLeft: 8 }} title="The session opens and closes automatically">
+                                <PlayCircle size={11} /> Auto
+                              </span>
+                            )}
                           </td>
-                          <td>{s.classroomName || '—'}</td>
+                          <td>{s.roomName || s.classroomName || '—'}</td>
                           <td>
                             <div style={{ display: 'flex', gap: 8 }}>
                               <button className="btn btn-sm btn-secondary" onClick={() => handleEdit(s)}>
@@ -181,6 +253,9 @@ export default function Schedule() {
         </div>
       )}
 
+      {showSync && <IcalSync onClose={() => setShowSync(false)} onImported={fetchSchedules} />}
+      {showGridImport && <GridImport onClose={() => setShowGridImport(false)} onImported={fetchSchedules} />}
+
       {/* Add/Edit Modal */}
       {showModal && (
         <div className="modal-overlay" onClick={() => setShowModal(false)}>
@@ -230,34 +305,98 @@ export default function Schedule() {
                   </select>
                 </div>
               </div>
+              {form.recurrence === 'biweekly' && (
+                <div className="form-group">
+                  <label className="form-label">Week</label>
+                  <select className="form-select" value={form.weekParity} onChange={e => setForm({ ...form, weekParity: e.target.value })}>
+                    <option value="">Every other week from the start date</option>
+                    <option value="A">Week A</option>
+                    <option value="B">Week B</option>
+                  </select>
+                </div>
+              )}
+              {form.recurrence === 'custom' && (
+                <div className="form-group">
+                  <label className="form-label">Recurrence Rule</label>
+                  <input
+                    className="form-input"
+                    value={form.rrule}
+                    onChange={e => setForm({ ...form, rrule: e.target.value })}
+                    placeholder="e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"
+                    required
+                  />
+                  <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+                    iCalendar RRULE — FREQ (WEEKLY or DAILY), INTERVAL, BYDAY, UNTIL or COUNT
+                  </small>
+                </div>
+              )}
               <div className="form-row">
                 <div className="form-group">
-                  <label className="form-label">Start Time</label>
-                  <input type="time" className="form-input" value={form.startTime} onChange={e => setForm({ ...form, startTime: e.target.value })} required />
+                  <label className="form-label">Semester Start</label>
+                  <input type="date" className="form-input" value={form.startDate} onChange={e => setForm({ ...form, startDate: e.target.value })} />
                 </div>
                 <div className="form-group">
-                  <label className="form-label">End Time</label>
-                  <input type="time" className="form-input" value={form.endTime} onChange={e => setForm({ ...form, endTime: e.target.value })} required />
+                  <label className="form-label">Semester End</label>
+                  <input type="date" className="form-input" value={form.endDate} min={form.startDate || undefined} onChange={e => setForm({ ...form, endDate: e.target.value })} />
                 </div>
               </div>
-              <div className="form-group">
-                <label className="form-label">Classroom Name</label>
-                <input className="form-input" value={form.classroomName} onChange={e => setForm({ ...form, classroomName: e.target.value })} placeholder="e.g. Room 301" />
-              </div>
               <div className="form-row">
                 <div className="form-group">
-                  <label className="form-label"><MapPin size={12} /> Classroom Latitude</label>
-                  <input type="number" step="any" className="form-input" value={form.classroomLocation.lat} onChange={e => setForm({ ...form, classroomLocation: { ...form.classroomLocation, lat: e.target.value } })} placeholder="e.g. 36.7525" />
+                  <label className="form-label">Start Time</label>
+                  <input type="time" className="form-input" value={form.startTime} onChange={e => setForm({ ...form, startTime: e.target.value })} required />
                 </div>
                 <div className="form-group">
-                  <label className="form-label"><MapPin size={12} /> Classroom Longitude</label>
-                  <input type="number" step="any" className="form-input" value={form.classroomLocation.lng} onChange={e => setForm({ ...form, classroomLocation: { ...form.classroomLocation, lng: e.target.value } })} placeholder="e.g. 3.0420" />
+                  <label className="form-label">End Time</label>
+                  <input type="time" className="form-input" value={form.endTime} onChange={e => setForm({ ...form, endTime: e.target.value })} required />
                 </div>
               </div>
               <div className="form-group">
-                <label className="form-label">Geofence Radius (meters)</label>
-                <input type="number" className="form-input" value={form.geofenceRadius} onChange={e => setForm({ ...form, geofenceRadius: e.target.value })} min="10" max="1000" />
+                <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={!!form.autoStart}
+                    onChange={e => setForm({ ...form, autoStart: e.target.checked })}
+                  />
+                  <PlayCircle size={14} />
+                  Start the session automatically
+                </label>
+                <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+                  Opens at the start time (in your Settings time zone) and closes at the end time — needs Google Drive connected
+                </small>
               </div>
+              <RoomSelect value={form.roomId} onChange={roomId => setForm({ ...form, roomId })} />
+              {!form.roomId && (
+                <>
+                  <div className="form-group">
+                    <label className="form-label">Classroom Name</label>
+                    <input className="form-input" value={form.classroomName} onChange={e => setForm({ ...form, classroomName: e.target.value })} placeholder="e.g. Room 301" />
+                  </div>
+                  <GeofenceEditor
+                    value={form.geofence}
+                    onChange={geofence => setForm({ ...form, geofence })}
+                    center={form.classroomLocation.lat && form.classroomLocation.lng ? form.classroomLocation : null}
+                    radius={parseInt(form.geofenceRadius) || 50}
+                  />
+                  {!form.geofence && (
+                    <>
+                      <div className="form-row">
+                        <div className="form-group">
+                          <label className="form-label"><MapPin size={12} /> Classroom Latitude</label>
+                          <input type="number" step="any" className="form-input" value={form.classroomLocation.lat} onChange={e => setForm({ ...form, classroomLocation: { ...form.classroomLocation, lat: e.target.value } })} placeholder="e.g. 36.7525" />
+                        </div>
+                        <div className="form-group">
+                          <label className="form-label"><MapPin size={12} /> Classroom Longitude</label>
+                          <input type="number" step="any" className="form-input" value={form.classroomLocation.lng} onChange={e => setForm({ ...form, classroomLocation: { ...form.classroomLocation, lng: e.target.value } })} placeholder="e.g. 3.0420" />
+                        </div>
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label">Geofence Radius (meters)</label>
+                        <input type="number" className="form-input" value={form.geofenceRadius} onChange={e => setForm({ ...form, geofenceRadius: e.target.value })} min="10" max="1000" />
+                      </div>
+                    </>
+                  )}
+                </>
+              )}
               <div style={{ display: 'flex', gap: 12, justifyContent: 'flex-end', marginTop: 24 }}>
                 <button type="button" className="btn btn-secondary" onClick={() => setShowModal(false)}>Cancel</button>
                 <button type="submit" className="btn btn-primary">{editingId ? 'Update' : 'Create'} Schedule</button>
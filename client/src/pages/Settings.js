@@ -2,26 +2,33 @@ import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { authAPI } from '../services/api';
 import toast from 'react-hot-toast';
-import { Save, MapPin, Clock, Shield } from 'lucide-react';
+import { Save, MapPin, Clock, Shield, RefreshCw, Mail, Wifi } from 'lucide-react';
 
 export default function Settings() {
-  const { user, setUser } = useAuth();
+  const { user, setUser, reconnectDrive } = useAuth();
   const [settings, setSettings] = useState(
     user?.settings || {
       defaultGeofenceRadius: 100,
       qrCodeValidityMinutes: 15,
+      qrRotationSeconds: 30,
+      lateGraceMinutes: 10,
     }
   );
+  // Edited as text so commas and spaces can be typed; split into a list on save
+  const [domainsText, setDomainsText] = useState((settings.allowedEmailDomains || []).join(', '));
+  const [networksText, setNetworksText] = useState((settings.campusNetworks || []).join(', '));
   const [saving, setSaving] = useState(false);
 
   const handleSave = async () => {
     setSaving(true);
     try {
-      const res = await authAPI.updateSettings(settings);
+      const allowedEmailDomains = domainsText.split(',').map(d => d.trim()).filter(Boolean);
+      const campusNetworks = networksText.split(',').map(c => c.trim()).filter(Boolean);
+      const res = await authAPI.updateSettings({ ...settings, allowedEmailDomains, campusNetworks });
       setUser(res.data.user);
       toast.success('Settings saved');
     } catch (err) {
-      toast.error('Failed to save settings');
+      toast.error(err.response?.data?.details?.[0]?.message || 'Failed to save settings');
     } finally {
       setSaving(false);
     }
@@ -51,6 +58,34 @@ export default function Settings() {
             <span className="badge badge-info" style={{ marginTop: 4 }}>{user?.role?.toUpperCase()}</span>
           </div>
         </div>
+        <div className="form-group" style={{ marginTop: 20, marginBottom: 0, maxWidth: 320 }}>
+          <label className="form-label">Department</label>
+          <input
+            className="form-input"
+            value={settings.department || ''}
+            onChange={e => setSettings({ ...settings, department: e.target.value })}
+            placeholder="e.g. Computer Science"
+            maxLength={100}
+          />
+          <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+            Lets admins filter cheating reports by department
+          </small>
+        </div>
+        <div className="form-group" style={{ marginTop: 16, marginBottom: 0, maxWidth: 320 }}>
+          <label className="form-label">
+            <Clock size={14} style={{ marginRight: 4 }} />
+            Time Zone
+          </label>
+          <input
+            className="form-input"
+            value={settings.timezone || ''}
+            onChange={e => setSettings({ ...settings, timezone: e.target.value.trim() })}
+            placeholder={Intl.DateTimeFormat().resolvedOptions().timeZone}
+          />
+          <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+            Schedule times are read in this zone (e.g. Africa/Algiers); empty uses the institution default
+          </small>
+        </div>
       </div>
 
       {/* Default Session Settings */}
@@ -97,14 +132,147 @@ export default function Settings() {
             </small>
           </div>
         </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label">
+              <RefreshCw size={14} style={{ marginRight: 4 }} />
+              QR Code Rotation (seconds)
+            </label>
+            <input
+              type="number"
+              className="form-input"
+              value={settings.qrRotationSeconds ?? 30}
+              onChange={e => setSettings({ ...settings, qrRotationSeconds: parseInt(e.target.value) })}
+              min="0"
+              max="300"
+            />
+            <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+              The displayed code changes this often (0 = static code)
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">
+              <Clock size={14} style={{ marginRight: 4 }} />
+              Late Grace Period (minutes)
+            </label>
+            <input
+              type="number"
+              className="form-input"
+              value={settings.lateGraceMinutes ?? 10}
+              onChange={e => setSettings({ ...settings, lateGraceMinutes: parseInt(e.target.value) })}
+              min="0"
+              max="120"
+            />
+            <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+              Submissions this long after a session's start time are marked LATE
+            </small>
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={!!settings.requireVerifiedIdentity}
+              onChange={e => setSettings({ ...settings, requireVerifiedIdentity: e.target.checked })}
+            />
+            <Shield size={14} />
+            Require Google sign-in by default
+          </label>
+          <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+            Students sign in with their university Google account instead of typing their name and email
+          </small>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label">
+              <Mail size={14} style={{ marginRight: 4 }} />
+              Allowed Email Domains
+            </label>
+            <input
+              className="form-input"
+              value={domainsText}
+              onChange={e => setDomainsText(e.target.value)}
+              placeholder="e.g. university.edu, student.university.edu"
+            />
+            <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+              Comma-separated; subdomains are accepted. Leave empty to accept any domain
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">
+              <Mail size={14} style={{ marginRight: 4 }} />
+              Student Email Pattern
+            </label>
+            <input
+              className="form-input"
+              value={settings.emailLocalPattern || ''}
+              onChange={e => setSettings({ ...settings, emailLocalPattern: e.target.value })}
+              placeholder="e.g. ^[0-9]{8}$"
+            />
+            <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+              Regular expression the part before the @ must match (e.g. a student ID)
+            </small>
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label">
+              <Wifi size={14} style={{ marginRight: 4 }} />
+              Campus Networks
+            </label>
+            <input
+              className="form-input"
+              value={networksText}
+              onChange={e => setNetworksText(e.target.value)}
+              placeholder="e.g. 10.20.0.0/16, 192.168.10.0/24"
+            />
+            <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+              Comma-separated CIDR ranges of the campus Wi-Fi, added to the institution's
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">
+              <Wifi size={14} style={{ marginRight: 4 }} />
+              Off-Campus Submissions
+            </label>
+            <select
+              className="form-select"
+              value={settings.networkPolicy || 'ignore'}
+              onChange={e => setSettings({ ...settings, networkPolicy: e.target.value })}
+            >
+              <option value="ignore">Allow (don't check the network)</option>
+              <option value="prefer">Accept but flag</option>
+              <option value="require">Reject</option>
+            </select>
+            <small style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+              Default for new sessions; applies only when campus networks are configured
+            </small>
+          </div>
+        </div>
       </div>
 
       {/* Google Drive Integration */}
       <div className="card" style={{ marginBottom: 24 }}>
         <h3 className="card-title" style={{ marginBottom: 16 }}>Google Drive Integration</h3>
-        <div className="alert alert-success">
-          Google Drive is connected. Attendance sheets will be automatically created in your Drive.
-        </div>
+        {user?.driveStatus === 'disconnected' ? (
+          <div className="alert alert-warning">
+            <span>Google Drive access was revoked or has expired. Reconnect to resume sheet updates.</span>
+            <button className="btn btn-sm btn-primary" style={{ marginLeft: 'auto' }} onClick={reconnectDrive}>
+              Reconnect Google Drive
+            </button>
+          </div>
+        ) : (
+          <div className="alert alert-success">
+            Google Drive is connected. Attendance sheets will be automatically created in your Drive.
+          </div>
+        )}
         <p style={{ fontSize: 14, color: 'var(--text-secondary)', marginTop: 8 }}>
           Folder structure: <code>Attendance-2025-2026/Year-X/Section-X/...</code>
         </p>
@@ -1,29 +1,65 @@
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
-import { attendanceAPI, sessionAPI } from '../services/api';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { attendanceAPI, sessionAPI, authAPI } from '../services/api';
+import { getDeviceToken, getFingerprint } from '../services/device';
 import toast from 'react-hot-toast';
-import { GraduationCap, CheckCircle, Loader, MapPin } from 'lucide-react';
+import { GraduationCap, CheckCircle, Loader, MapPin, ShieldCheck, MessageSquare } from 'lucide-react';
+
+// ?error= codes from the student Google sign-in
+const SIGN_IN_ERRORS = {
+  wrong_domain: 'Use your university Google account to sign in.',
+  unverified_email: 'Your Google email address is not verified.',
+  no_code: 'Sign-in was cancelled.',
+  auth_failed: 'Google sign-in failed. Please try again.',
+};
 
 export default function StudentAttendance() {
   const { sessionId } = useParams();
+  const [searchParams] = useSearchParams();
+  const qrToken = searchParams.get('t');
+  const signInError = SIGN_IN_ERRORS[searchParams.get('error')];
   const [sessionValid, setSessionValid] = useState(null);
+  const [invalidReason, setInvalidReason] = useState('');
   const [submitted, setSubmitted] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [loading, setLoading] = useState(true);
   const [form, setForm] = useState({ studentName: '', email: '' });
   const [locationStatus, setLocationStatus] = useState('pending'); // pending, granted, denied
+  const [requiresSignIn, setRequiresSignIn] = useState(false);
+  const [emailDomain, setEmailDomain] = useState(null);
+  const [student, setStudent] = useState(null); // verified Google identity
+  const [signingIn, setSigningIn] = useState(false);
+  const [appealToken, setAppealToken] = useState(null);
+  const [scanTicket, setScanTicket] = useState(null); // when the QR code was scanned (signed)
 
   // Validate session on load
   useEffect(() => {
-    sessionAPI.validate(sessionId)
-      .then(res => {
+    sessionAPI.validate(sessionId, qrToken)
+      .then(async res => {
         setSessionValid(res.data.valid);
+        setInvalidReason(res.data.reason || '');
+        setScanTicket(res.data.scanTicket || null);
+        if (!res.data.session?.requireVerifiedIdentity) return;
+
+        setRequiresSignIn(true);
+        setEmailDomain(res.data.studentEmailDomain);
+        try {
+          const me = await authAPI.getStudentIdentity(sessionId);
+          setStudent(me.data.student);
+        } catch {
+          // Not signed in yet
+        }
       })
       .catch(() => {
         setSessionValid(false);
       })
       .finally(() => setLoading(false));
-  }, [sessionId]);
+  }, [sessionId, qrToken]);
+
+  // Make sure this browser has its device token before the student submits
+  useEffect(() => {
+    getDeviceToken();
+  }, []);
 
   // Request location
   useEffect(() => {
@@ -38,6 +74,17 @@ export default function StudentAttendance() {
     }
   }, []);
 
+  const handleSignIn = async () => {
+    setSigningIn(true);
+    try {
+      const res = await authAPI.getStudentSignInUrl(sessionId, qrToken);
+      window.location.href = res.data.authUrl;
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to start Google sign-in');
+      setSigningIn(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setSubmitting(true);
@@ -46,6 +93,9 @@ export default function StudentAttendance() {
       // Get location
       let latitude = null;
       let longitude = null;
+      let accuracy = null;
+      let altitude = null;
+      let locationAge = null;
 
       if (navigator.geolocation) {
         try {
@@ -57,27 +107,52 @@ export default function StudentAttendance() {
           });
           latitude = pos.coords.latitude;
           longitude = pos.coords.longitude;
+          // Error radius (m) — indoors this can exceed the geofence, so the server weighs it
+          accuracy = pos.coords.accuracy;
+          altitude = pos.coords.altitude;
+          locationAge = Math.max(0, Math.round((Date.now() - pos.timestamp) / 1000));
         } catch {
           // Location denied - still submit
         }
       }
 
-      // Get network info (MAC address not available in browser for security)
-      const macAddress = 'N/A'; // Not accessible from browser
+      // Device identity — the MAC address isn't available in a browser
+      const [deviceToken, fingerprint] = await Promise.all([
+        getDeviceToken(),
+        getFingerprint().catch(() => null),
+      ]);
 
-      await attendanceAPI.submit({
+      const res = await attendanceAPI.submit({
         sessionId,
-        studentName: form.studentName,
-        email: form.email,
-        macAddress,
+        // Verified sessions: the server uses the Google identity, not these fields
+        studentName: student?.name || form.studentName,
+        email: student?.email || form.email,
+        deviceToken,
+        fingerprint,
         latitude,
         longitude,
+        accuracy,
+        altitude,
+        locationAge,
+        qrToken,
+        scanTicket,
       });
 
+      setAppealToken(res.data.appealToken || null);
       setSubmitted(true);
       toast.success('Attendance submitted!');
     } catch (err) {
-      toast.error('Failed to submit attendance. Please try again.');
+      if (err.response?.data?.requiresSignIn) {
+        setStudent(null);
+        toast.error(err.response.data.error);
+      } else if (err.response?.data?.invalidQr) {
+        setSessionValid(false);
+        setInvalidReason(err.response.data.error);
+      } else if (err.response?.data?.emailNotAllowed || err.response?.data?.offCampus || err.response?.data?.highRisk) {
+        toast.error(err.response.data.error);
+      } else {
+        toast.error('Failed to submit attendance. Please try again.');
+      }
     } finally {
       setSubmitting(false);
     }
@@ -107,9 +182,9 @@ export default function StudentAttendance() {
             <GraduationCap size={32} color="#dc2626" />
           </div>
           <h2 style={{ color: '#dc2626' }}>Session Unavailable</h2>
-          <p>This attendance session has expired or is no longer active.</p>
+          <p>{invalidReason || 'This attendance session has expired or is no longer active.'}</p>
           <p style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 16 }}>
-            Please ask your teacher to generate a new QR code.
+            Please scan the QR code currently shown by your teacher.
           </p>
         </div>
       </div>
@@ -133,6 +208,7 @@ export default function StudentAttendance() {
           <p style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 16 }}>
             You can close this page now.
           </p>
+          {appealToken && <AppealForm appealToken={appealToken} />}
         </div>
       </div>
     );
@@ -170,41 +246,66 @@ export default function StudentAttendance() {
           }
         </div>
 
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label className="form-label">Full Name</label>
-            <input
-              className="form-input"
-              placeholder="Enter your full name"
-              value={form.studentName}
-              onChange={e => setForm({ ...form, studentName: e.target.value })}
-              required
-            />
-          </div>
-          <div className="form-group">
-            <label className="form-label">University Email</label>
-            <input
-              type="email"
-              className="form-input"
-              placeholder="your.name@university.edu"
-              value={form.email}
-              onChange={e => setForm({ ...form, email: e.target.value })}
-              required
-            />
+        {signInError && (
+          <div className="alert alert-danger" style={{ fontSize: 13 }}>{signInError}</div>
+        )}
+
+        {requiresSignIn && !student ? (
+          <div style={{ textAlign: 'center' }}>
+            <p style={{ fontSize: 13 }}>
+              This session requires you to sign in with your university Google account
+              {emailDomain && <> (<strong>@{emailDomain}</strong>)</>}.
+            </p>
+            <button
+              className="btn btn-primary"
+              onClick={handleSignIn}
+              disabled={signingIn}
+              style={{ width: '100%', justifyContent: 'center', padding: '12px', fontSize: 16, marginTop: 8 }}
+            >
+              <ShieldCheck size={18} /> {signingIn ? 'Redirecting...' : 'Sign in with Google'}
+            </button>
           </div>
-          <button
-            type="submit"
-            className="btn btn-primary"
-            disabled={submitting}
-            style={{ width: '100%', justifyContent: 'center', padding: '12px', fontSize: 16, marginTop: 8 }}
-          >
-            {submitting ? (
-              <><Loader size={18} className="pulse" /> Submitting...</>
-            ) : (
-              'Submit Attendance'
-            )}
-          </button>
-        </form>
+        ) : student ? (
+          <form onSubmit={handleSubmit}>
+            <div style={{
+              display: 'flex', alignItems: 'center', gap: 8,
+              padding: '10px 12px', borderRadius: 'var(--radius)',
+              background: '#eff6ff', fontSize: 13, marginBottom: 16,
+            }}>
+              <ShieldCheck size={16} color="var(--primary)" />
+              <div>
+                <div style={{ fontWeight: 600 }}>{student.name}</div>
+                <div style={{ color: 'var(--text-muted)' }}>{student.email}</div>
+              </div>
+            </div>
+            <SubmitButton submitting={submitting} />
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label className="form-label">Full Name</label>
+              <input
+                className="form-input"
+                placeholder="Enter your full name"
+                value={form.studentName}
+                onChange={e => setForm({ ...form, studentName: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">University Email</label>
+              <input
+                type="email"
+                className="form-input"
+                placeholder="your.name@university.edu"
+                value={form.email}
+                onChange={e => setForm({ ...form, email: e.target.value })}
+                required
+              />
+            </div>
+            <SubmitButton submitting={submitting} />
+          </form>
+        )}
 
         <div style={{ marginTop: 20, fontSize: 11, color: 'var(--text-muted)', textAlign: 'center' }}>
           By submitting, you consent to sharing your location data for attendance verification.
@@ -213,3 +314,76 @@ export default function StudentAttendance() {
     </div>
   );
 }
+
+function SubmitButton({ submitting }) {
+  return (
+    <button
+      type="submit"
+      className="btn btn-primary"
+      disabled={submitting}
+      style={{ width: '100%', justifyContent: 'center', padding: '12px', fontSize: 16, marginTop: 8 }}
+    >
+      {submitting ? (
+        <><Loader size={18} className="pulse" /> Submitting...</>
+      ) : (
+        'Submit Attendance'
+      )}
+    </button>
+  );
+}
+
+/**
+ * "Something went wrong?" — lets the student explain (e.g. GPS was off) to the teacher.
+ * Shown to everyone, so it doesn't reveal whether the submission was flagged.
+ */
+function AppealForm({ appealToken }) {
+  const [open, setOpen] = useState(false);
+  const [justification, setJustification] = useState('');
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    try {
+      await attendanceAPI.appeal(appealToken, justification);
+      setSent(true);
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || 'Failed to send. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (sent) {
+    return <p style={{ fontSize: 13, color: 'var(--text-muted)', marginTop: 16 }}>Your explanation was sent to your teacher.</p>;
+  }
+
+  if (!open) {
+    return (
+      <button type="button" className="btn btn-sm btn-secondary" onClick={() => setOpen(true)} style={{ marginTop: 16 }}>
+        <MessageSquare size={14} /> Problem with your check-in? Tell your teacher
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSend} style={{ marginTop: 16, textAlign: 'left' }}>
+      <div className="form-group">
+        <label className="form-label">What happened?</label>
+        <textarea
+          className="form-input"
+          rows={3}
+          maxLength={1000}
+          value={justification}
+          onChange={e => setJustification(e.target.value)}
+          placeholder="e.g. My phone's GPS was off, I was sitting in row 3"
+          required
+        />
+      </div>
+      <button type="submit" className="btn btn-primary" disabled={sending} style={{ width: '100%' }}>
+        {sending ? 'Sending...' : 'Send to teacher'}
+      </button>
+    </form>
+  );
+}
@@ -28,6 +28,9 @@ export const authAPI = {
   getMe: () => api.get('/auth/me'),
   logout: () => api.post('/auth/logout'),
   updateSettings: (settings) => api.put('/auth/settings', { settings }),
+  getStudentSignInUrl: (sessionId, qrToken) =>
+    api.get('/auth/student/google', { params: { sessionId, t: qrToken || undefined } }),
+  getStudentIdentity: (sessionId) => api.get('/auth/student/me', { params: { sessionId } }),
 };
 
 // Session API
@@ -38,15 +41,26 @@ export const sessionAPI = {
   getById: (id) => api.get(`/sessions/${id}`),
   deactivate: (id) => api.post(`/sessions/${id}/deactivate`),
   extend: (id, minutes) => api.post(`/sessions/${id}/extend`, { additionalMinutes: minutes }),
-  validate: (id) => api.get(`/sessions/${id}/validate`),
+  getQR: (id) => api.get(`/sessions/${id}/qr`),
+  getSyncStatus: (id) => api.get(`/sessions/${id}/sync`),
+  resync: (id) => api.post(`/sessions/${id}/sync`),
+  // Server-Sent Events stream — opened with EventSource, not axios
+  liveFeedUrl: (id) => `${API_URL}/sessions/${id}/live`,
+  validate: (id, qrToken) => api.get(`/sessions/${id}/validate`, { params: { t: qrToken || undefined } }),
 };
 
 // Attendance API
 export const attendanceAPI = {
   submit: (data) => api.post('/attendance/submit', data),
+  getDeviceToken: () => api.post('/attendance/device'),
+  appeal: (appealToken, justification) => api.post('/attendance/appeal', { appealToken, justification }),
   getBySession: (sessionId) => api.get(`/attendance/session/${sessionId}`),
   getByStudent: (email) => api.get(`/attendance/student/${email}`),
   getStats: () => api.get('/attendance/stats'),
+  addRecord: (sessionId, data) => api.post(`/attendance/session/${sessionId}/records`, data),
+  updateRecord: (id, data) => api.patch(`/attendance/${id}`, data),
+  deleteRecord: (id, reason) => api.delete(`/attendance/${id}`, { data: { reason } }),
+  getAudit: (sessionId) => api.get(`/attendance/session/${sessionId}/audit`),
 };
 
 // Schedule API
@@ -58,6 +72,51 @@ export const scheduleAPI = {
   getById: (id) => api.get(`/schedules/${id}`),
   update: (id, data) => api.put(`/schedules/${id}`, data),
   delete: (id) => api.delete(`/schedules/${id}`),
+  getFeed: () => api.get('/schedules/ical/feed'),
+  resetFeed: () => api.post('/schedules/ical/feed/reset'),
+  // file: File/Blob (.ics) sent as the raw body
+  importIcal: (file, { sessionType, year, sectionOrGroup }) =>
+    api.post('/schedules/ical/import', file, {
+      params: { sessionType, year, sectionOrGroup },
+      headers: { 'Content-Type': 'application/octet-stream' },
+    }),
+  // file: File/Blob (XLSX timetable grid) sent as the raw body; layout fields and semester dates are optional
+  previewGrid: (file, { sheet, orientation, headerRow, headerColumn, defaultSessionType, startDate, endDate }) =>
+    api.post('/schedules/grid/preview', file, {
+      params: { sheet, orientation, headerRow, headerColumn, defaultSessionType, startDate, endDate },
+      headers: { 'Content-Type': 'application/octet-stream' },
+    }),
+  importGrid: (data) => api.post('/schedules/grid/import', data),
+};
+
+// Roster API
+export const rosterAPI = {
+  getAll: () => api.get('/rosters'),
+  getById: (id) => api.get(`/rosters/${id}`),
+  // file: File/Blob (CSV or XLSX) sent as the raw body
+  import: (file, { subjectName, year, sectionOrGroup, mode }) =>
+    api.post('/rosters/import', file, {
+      params: { subjectName, year, sectionOrGroup, mode },
+      headers: { 'Content-Type': 'application/octet-stream' },
+    }),
+  addStudent: (id, student) => api.post(`/rosters/${id}/students`, student),
+  removeStudent: (id, email) => api.delete(`/rosters/${id}/students/${encodeURIComponent(email)}`),
+  delete: (id) => api.delete(`/rosters/${id}`),
+};
+
+// Room API (shared catalog)
+export const roomAPI = {
+  getAll: () => api.get('/rooms'),
+  create: (data) => api.post('/rooms', data),
+  update: (id, data) => api.put(`/rooms/${id}`, data),
+  delete: (id) => api.delete(`/rooms/${id}`),
+};
+
+// Academic Calendar API
+export const calendarAPI = {
+  getAll: () => api.get('/calendar'),
+  create: (data) => api.post('/calendar', data),
+  delete: (id) => api.delete(`/calendar/${id}`),
 };
 
 // Analytics API
@@ -65,6 +124,7 @@ export const analyticsAPI = {
   getOverview: () => api.get('/analytics/overview'),
   getTrends: (days = 30) => api.get(`/analytics/trends?days=${days}`),
   getCourses: () => api.get('/analytics/courses'),
+  getRooms: () => api.get('/analytics/rooms'),
   getLowAttendance: (threshold = 70) => api.get(`/analytics/low-attendance?threshold=${threshold}`),
 };
 
@@ -72,7 +132,15 @@ export const analyticsAPI = {
 export const cheatingAPI = {
   getViolations: (filters = {}) => api.get('/cheating/violations', { params: filters }),
   getSuspicious: (min = 3) => api.get(`/cheating/suspicious?minViolations=${min}`),
+  getClusters: (min = 3) => api.get(`/cheating/clusters?minSessions=${min}`),
   getStats: () => api.get('/cheating/stats'),
+  review: (id, status, note) => api.patch(`/cheating/violations/${id}/review`, { status, note }),
+};
+
+// Admin API
+export const adminAPI = {
+  getViolations: (filters = {}) => api.get('/admin/violations', { params: filters }),
+  getViolationFilters: () => api.get('/admin/violations/filters'),
 };
 
 // Drive API
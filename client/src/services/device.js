@@ -0,0 +1,97 @@
+import { attendanceAPI } from './api';
+
+// Where the signed device token is kept — both, so clearing one doesn't reset the device
+const STORAGE_KEY = 'attendance_device_token';
+const DB_NAME = 'attendance-device';
+const DB_STORE = 'device';
+
+/**
+ * Run one request against the device IndexedDB store (resolves null when unavailable)
+ */
+function withStore(mode, run) {
+  return new Promise((resolve) => {
+    if (!window.indexedDB) return resolve(null);
+    const open = window.indexedDB.open(DB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(DB_STORE);
+    open.onerror = () => resolve(null);
+    open.onsuccess = () => {
+      const db = open.result;
+      const request = run(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+      request.onsuccess = () => { resolve(request.result ?? null); db.close(); };
+      request.onerror = () => { resolve(null); db.close(); };
+    };
+  });
+}
+
+function readLocal() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null; // storage blocked (some private modes)
+  }
+}
+
+function saveToken(token) {
+  try {
+    localStorage.setItem(STORAGE_KEY, token);
+  } catch {
+    // storage blocked — IndexedDB may still work
+  }
+  return withStore('readwrite', store => store.put(token, STORAGE_KEY));
+}
+
+async function loadDeviceToken() {
+  const stored = readLocal() || await withStore('readonly', store => store.get(STORAGE_KEY));
+  if (stored) {
+    await saveToken(stored);
+    return stored;
+  }
+
+  try {
+    const res = await attendanceAPI.getDeviceToken();
+    await saveToken(res.data.deviceToken);
+    return res.data.deviceToken;
+  } catch {
+    return null;
+  }
+}
+
+// Shared by the page-load call and the submit, so a fresh browser is issued one token
+let tokenRequest = null;
+
+/**
+ * This browser's signed device token — read from storage, or issued by the server once
+ * (null if the server can't be reached; the submission then goes without one)
+ */
+export function getDeviceToken() {
+  if (!tokenRequest) {
+    tokenRequest = loadDeviceToken().then((token) => {
+      if (!token) tokenRequest = null; // try again on the next call
+      return token;
+    });
+  }
+  return tokenRequest;
+}
+
+/**
+ * SHA-256 of stable browser traits — supporting evidence only, identical phones share it
+ */
+export async function getFingerprint() {
+  if (!window.crypto?.subtle) return null;
+
+  const traits = [
+    navigator.userAgent,
+    navigator.language,
+    (navigator.languages || []).join(','),
+    navigator.platform,
+    navigator.hardwareConcurrency,
+    navigator.deviceMemory,
+    navigator.maxTouchPoints,
+    `${window.screen.width}x${window.screen.height}x${window.screen.colorDepth}`,
+    window.devicePixelRatio,
+    Intl.DateTimeFormat().resolvedOptions().timeZone,
+  ].join('|');
+
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(traits));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
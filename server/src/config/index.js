@@ -1,5 +1,13 @@
 require('dotenv').config();
 
+/**
+ * Integer environment variable, or the fallback when unset or not a number (0 is kept)
+ */
+function intEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
 module.exports = {
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -9,6 +17,8 @@ module.exports = {
     clientId: process.env.GOOGLE_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
     redirectUri: process.env.GOOGLE_REDIRECT_URI || 'http://localhost:5000/api/auth/google/callback',
+    studentRedirectUri:
+      process.env.GOOGLE_STUDENT_REDIRECT_URI || 'http://localhost:5000/api/auth/student/callback',
     scopes: [
       'https://www.googleapis.com/auth/userinfo.email',
       'https://www.googleapis.com/auth/userinfo.profile',
@@ -17,7 +27,43 @@ module.exports = {
     ],
   },
   clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
-  defaultGeofenceRadius: parseInt(process.env.DEFAULT_GEOFENCE_RADIUS, 10) || 100,
-  qrCodeValidityMinutes: parseInt(process.env.QR_CODE_VALIDITY_MINUTES, 10) || 15,
+  adminEmails: (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean),
+  // Institution-wide student email allowlist (empty = any domain); teachers can narrow it further
+  allowedEmailDomains: (process.env.ALLOWED_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(d => d.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean),
+  // Optional regex the part before "@" must match (e.g. student-ID style addresses)
+  studentEmailLocalPattern: process.env.STUDENT_EMAIL_LOCAL_PATTERN || '',
+  // Campus Wi-Fi ranges (CIDR) for every teacher; teachers can add their own in settings
+  campusNetworks: (process.env.CAMPUS_NETWORKS || '')
+    .split(',')
+    .map(c => c.trim())
+    .filter(Boolean),
+  // What happens to submissions from outside those ranges unless a session says otherwise:
+  // require (reject), prefer (flag) or ignore
+  networkPolicy: process.env.NETWORK_POLICY || 'ignore',
+  // Session defaults for the 0–100 submission risk score: flag at or above the first,
+  // reject at or above the second (unset = never reject)
+  riskFlagThreshold: intEnv('RISK_FLAG_THRESHOLD', 50),
+  riskRejectThreshold: intEnv('RISK_REJECT_THRESHOLD', null),
+  // Students signing in for verified-identity sessions must use this Google domain (any if empty)
+  studentEmailDomain: (process.env.STUDENT_EMAIL_DOMAIN || '').trim().toLowerCase().replace(/^@/, ''),
+  defaultGeofenceRadius: intEnv('DEFAULT_GEOFENCE_RADIUS', 100),
+  qrCodeValidityMinutes: intEnv('QR_CODE_VALIDITY_MINUTES', 15),
+  qrRotationSeconds: intEnv('QR_ROTATION_SECONDS', 30),
+  qrTokenGraceSeconds: intEnv('QR_TOKEN_GRACE_SECONDS', 90),
+  // GPS fixes older than this can't confirm a student is in the room (reviewed as "uncertain")
+  maxLocationAgeSeconds: intEnv('MAX_LOCATION_AGE_SECONDS', 120),
+  // Faster than this between two check-ins (km/h, after GPS error) is an Impossible Travel violation
+  maxTravelSpeedKmh: intEnv('MAX_TRAVEL_SPEED_KMH', 30),
+  lateGraceMinutes: intEnv('LATE_GRACE_MINUTES', 10),
+  // Schedule times are read in the teacher's time zone (Settings), or this one
+  timezone: process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  // A Monday of a "week A" — every-other-week classes marked week A / B alternate from it
+  weekAStart: /^\d{4}-\d{2}-\d{2}$/.test(process.env.WEEK_A_START || '') ? process.env.WEEK_A_START : null,
   academicYear: process.env.ACADEMIC_YEAR || '2025-2026',
 };
@@ -8,6 +8,10 @@ const rateLimit = require('express-rate-limit');
 const config = require('./config');
 const { flushAllStores, closeDatabase } = require('./services/store.service');
 const ResourceManager = require('./services/resource-manager.service');
+const SyncReconciler = require('./services/sync-reconciler.service');
+const BuddyPunching = require('./services/buddy-punching.service');
+const SessionScheduler = require('./services/session-scheduler.service');
+const LiveFeed = require('./services/live-feed.service');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -17,6 +21,10 @@ const scheduleRoutes = require('./routes/schedule.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const cheatingRoutes = require('./routes/cheating.routes');
 const driveRoutes = require('./routes/drive.routes');
+const adminRoutes = require('./routes/admin.routes');
+const rosterRoutes = require('./routes/roster.routes');
+const roomRoutes = require('./routes/room.routes');
+const calendarRoutes = require('./routes/calendar.routes');
 
 const app = express();
 
@@ -79,7 +87,13 @@ app.use('/api/schedules', teacherLimiter);
 app.use('/api/analytics', teacherLimiter);
 app.use('/api/cheating', teacherLimiter);
 app.use('/api/drive', teacherLimiter);
+app.use('/api/admin', teacherLimiter);
+app.use('/api/rosters', teacherLimiter);
+app.use('/api/rooms', teacherLimiter);
+app.use('/api/calendar', teacherLimiter);
 app.use('/api/attendance/submit', studentLimiter);
+app.use('/api/attendance/device', studentLimiter);
+app.use('/api/attendance/appeal', studentLimiter);
 app.use(globalLimiter);
 
 // Body parsing
@@ -102,6 +116,10 @@ app.use('/api/schedules', scheduleRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/cheating', cheatingRoutes);
 app.use('/api/drive', driveRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/rosters', rosterRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // In production, serve the React build as static files
 const clientBuildPath = path.join(__dirname, '..', '..', 'client', 'build');
@@ -150,14 +168,26 @@ app.use((req, res) => {
 
 // Boot server (async for initial database sync with Turso)
 (async () => {
-  const { syncDatabase } = require('./services/database');
+  const { syncDatabase, migrateDatabase } = require('./services/database');
   await syncDatabase();
+  // After the pull, so a fresh disk migrates the replica's data rather than an empty file
+  migrateDatabase();
+
+  // Resume Drive/Sheets jobs persisted before the last shutdown
+  const { resumeQueues } = require('./services/drive-sync.service');
+  resumeQueues();
 
   const PORT = config.port;
   const server = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT} in ${config.nodeEnv} mode`);
     // Start periodic resource cleanup (every 5 min)
     ResourceManager.startPeriodicCleanup(5 * 60 * 1000);
+    // Re-sync attendance/cheating rows that never reached Sheets (every 5 min)
+    SyncReconciler.startPeriodicReconcile(5 * 60 * 1000);
+    // Mine new submissions for students who check each other in (every 15 min)
+    BuddyPunching.startPeriodicAnalysis(15 * 60 * 1000);
+    // Open / close sessions for schedules set to start automatically
+    SessionScheduler.startScheduler();
   });
 
   // Increase keep-alive for concurrent connections
@@ -168,6 +198,10 @@ app.use((req, res) => {
   async function shutdown(signal) {
     console.log(`\n${signal} received. Syncing & closing database...`);
     ResourceManager.stopPeriodicCleanup();
+    SyncReconciler.stopPeriodicReconcile();
+    BuddyPunching.stopPeriodicAnalysis();
+    SessionScheduler.stopScheduler();
+    LiveFeed.closeAll();  // open SSE streams would keep server.close() waiting
     flushAllStores();   // WAL checkpoint + cloud sync
 
     // Wait briefly for the cloud sync to complete
@@ -2,6 +2,16 @@ const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { findTeacherById } = require('../services/store.service');
 
+// Roles of staff login tokens — device, student identity and appeal tokens share the
+// signing secret but must never pass as a login
+const STAFF_ROLES = ['teacher', 'admin'];
+
+/**
+ * Whether an email is on ADMIN_EMAILS right now (read per request, so removing an address
+ * revokes admin access without waiting for the login token to expire)
+ */
+const isAdminEmail = (email) => config.adminEmails.includes(String(email || '').toLowerCase());
+
 /**
  * Authentication middleware - verifies JWT token
  * Priority: 1) httpOnly cookie (secure), 2) Authorization header (legacy/API)
@@ -20,7 +30,11 @@ const authenticate = (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, config.jwtSecret);
-    req.user = decoded;
+    if (!STAFF_ROLES.includes(decoded.role)) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    // `isAdmin` in the token is a snapshot from sign-in — use the current list
+    req.user = { ...decoded, isAdmin: isAdminEmail(decoded.email) };
     next();
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
@@ -43,10 +57,10 @@ const requireTeacher = (req, res, next) => {
 };
 
 /**
- * Admin-only role middleware
+ * Admin-only role middleware (admin role, or a teacher flagged via ADMIN_EMAILS)
  */
 const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'admin') {
+  if (!req.user || (req.user.role !== 'admin' && !isAdminEmail(req.user.email))) {
     return res.status(403).json({ error: 'Admin access required' });
   }
   next();
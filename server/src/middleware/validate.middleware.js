@@ -1,4 +1,7 @@
-const { validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const Geofence = require('../services/geofence.service');
+const RoomService = require('../services/room.service');
+const Recurrence = require('../services/recurrence.service');
 
 /**
  * Middleware to check express-validator results
@@ -17,4 +20,65 @@ const validate = (req, res, next) => {
   next();
 };
 
-module.exports = { validate };
+/**
+ * Optional `geofence` body field (polygon / multi-circle shape), normalized on success.
+ * null clears it back to the single classroomLocation + geofenceRadius circle.
+ */
+const geofenceRule = () =>
+  body('geofence')
+    .optional({ values: 'null' })
+    .custom(geofence => !!Geofence.parseGeofence(geofence))
+    .bail()
+    .customSanitizer(Geofence.parseGeofence);
+
+/**
+ * Optional `roomId` body field — must reference a room in the catalog (null clears it)
+ */
+const roomRule = (field = 'roomId') =>
+  body(field)
+    .optional({ values: 'null' })
+    .isString()
+    .custom(roomId => !!RoomService.getRoom(roomId))
+    .withMessage('Room not found');
+
+/**
+ * Optional recurrence fields of a schedule: recurrence (weekly / biweekly / custom), an
+ * RRULE for custom, the A / B week for biweekly, and the semester's start / end dates
+ */
+const recurrenceRules = () => [
+  body('recurrence').optional().isIn(['weekly', 'biweekly', 'custom']).withMessage('Invalid recurrence'),
+  body('rrule')
+    .if(body('recurrence').equals('custom'))
+    .notEmpty()
+    .withMessage('Custom recurrence needs a rule'),
+  body('rrule')
+    .optional({ values: 'falsy' })
+    .custom((rrule) => {
+      Recurrence.parseRule(rrule);
+      return true;
+    }),
+  body('weekParity').optional({ values: 'null' }).isIn(['A', 'B']).withMessage('Week must be A or B'),
+  body('startDate')
+    .optional({ values: 'null' })
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Start date must be YYYY-MM-DD'),
+  body('endDate')
+    .optional({ values: 'null' })
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('End date must be YYYY-MM-DD')
+    .custom((endDate, { req }) => !req.body.startDate || endDate >= req.body.startDate)
+    .withMessage('End date must not be before the start date'),
+];
+
+/**
+ * Query filters + pagination shared by the teacher and admin violation lists
+ */
+const violationQueryRules = () => [
+  query('reviewStatus').optional({ values: 'falsy' }).isIn(['open', 'confirmed', 'dismissed']).withMessage('Invalid review status'),
+  query('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Start date must be a date'),
+  query('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('End date must be a date'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+];
+
+module.exports = { validate, geofenceRule, roomRule, recurrenceRules, violationQueryRules };
@@ -0,0 +1,100 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const { validate, violationQueryRules } = require('../middleware/validate.middleware');
+const { driveQueue, attendanceQueue } = require('../services/queue.service');
+const AntiCheatingService = require('../services/anticheating.service');
+const { listJobs, countJobs, getJob, getCheatingFilterOptions } = require('../services/store.service');
+
+const router = express.Router();
+
+// Queue name (as stored on jobs) → queue instance
+const QUEUES = {
+  [driveQueue.name]: driveQueue,
+  [attendanceQueue.name]: attendanceQueue,
+};
+
+/**
+ * GET /api/admin/jobs
+ * Inspect persisted queue jobs (filter by queue, status, type)
+ */
+router.get(
+  '/jobs',
+  authenticate,
+  requireAdmin,
+  [
+    query('queue').optional().isIn(Object.keys(QUEUES)),
+    query('status').optional().isIn(['pending', 'running', 'done', 'dead']),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  validate,
+  (req, res) => {
+    const { queue, status, type } = req.query;
+    const limit = req.query.limit || 50;
+    const offset = req.query.offset || 0;
+    const filters = { queue, status, type };
+
+    res.json({
+      jobs: listJobs(filters, { limit, offset }),
+      total: countJobs(filters),
+      stats: {
+        drive: driveQueue.stats,
+        attendance: attendanceQueue.stats,
+      },
+    });
+  }
+);
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Move a dead-lettered job back to pending
+ */
+router.post('/jobs/:id/retry', authenticate, requireAdmin, (req, res) => {
+  const job = getJob(parseInt(req.params.id));
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const queue = QUEUES[job.queue];
+  if (!queue || !queue.retry(job.id)) {
+    return res.status(400).json({ error: 'Only dead-lettered jobs can be retried' });
+  }
+
+  res.json({ message: 'Job re-queued', job: getJob(job.id) });
+});
+
+/**
+ * GET /api/admin/violations
+ * Every teacher's violations, filtered by department (teacher setting), course (subject)
+ * and teacher as well as the usual filters; paginated with limit/offset
+ */
+router.get('/violations', authenticate, requireAdmin, violationQueryRules(), validate, (req, res) => {
+  const {
+    department, subjectName, teacherId, sessionId, email, violationType, reviewStatus, startDate, endDate,
+  } = req.query;
+  const limit = req.query.limit || 50;
+  const offset = req.query.offset || 0;
+  const filters = {
+    department, subjectName, teacherId, sessionId, email, violationType, reviewStatus, startDate, endDate,
+  };
+
+  const { violations, total } = AntiCheatingService.getViolations(filters, { limit, offset });
+  res.json({
+    violations,
+    total,
+    limit,
+    offset,
+    stats: AntiCheatingService.getViolationStats(filters),
+  });
+});
+
+/**
+ * GET /api/admin/violations/filters
+ * Departments, courses and teachers to filter the admin violation list by
+ */
+router.get('/violations/filters', authenticate, requireAdmin, (req, res) => {
+  res.json(getCheatingFilterOptions());
+});
+
+module.exports = router;
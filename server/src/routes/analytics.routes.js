@@ -1,17 +1,36 @@
 const express = require('express');
 const { authenticate, requireTeacher } = require('../middleware/auth.middleware');
 const SessionService = require('../services/session.service');
+const RosterService = require('../services/roster.service');
 const { getAttendanceByTeacher } = require('../services/store.service');
 
 const router = express.Router();
 
+// Statuses that aren't student submissions: ABSENT is generated at session close,
+// EXCUSED is set by the teacher
+const NON_SUBMISSION_STATUSES = ['ABSENT', 'EXCUSED'];
+
+// Statuses that count as attended (a late arrival still attended)
+const ATTENDED_STATUSES = ['PRESENT', 'LATE'];
+
+/**
+ * Submitted attendance only
+ */
+const getSubmissionsByTeacher = (teacherId) =>
+  getAttendanceByTeacher(teacherId).filter(r => !NON_SUBMISSION_STATUSES.includes(r.status));
+
+/**
+ * Whether a session has stopped accepting submissions
+ */
+const isClosed = (session) => !session.isActive || new Date(session.expiresAt) < new Date();
+
 /**
  * GET /api/analytics/overview
  * Get overall analytics for teacher dashboard
  */
 router.get('/overview', authenticate, requireTeacher, (req, res) => {
   const allSessions = SessionService.getAllSessionsForTeacher(req.user.id);
-  const myAttendance = getAttendanceByTeacher(req.user.id);
+  const myAttendance = getSubmissionsByTeacher(req.user.id);
 
   // Today's stats
   const today = new Date().toISOString().split('T')[0];
@@ -47,6 +66,7 @@ router.get('/overview', authenticate, requireTeacher, (req, res) => {
     weeklyAttendees: weekAttendance.length,
     averageAttendancePerSession: avgAttendancePerSession,
     uniqueStudents: [...new Set(myAttendance.map(r => r.email))].length,
+    lateCount: myAttendance.filter(r => r.status === 'LATE').length,
     flaggedCount: myAttendance.filter(r => r.status === 'FLAGGED').length,
   });
 });
@@ -60,7 +80,7 @@ router.get('/trends', authenticate, requireTeacher, (req, res) => {
   const allSessions = SessionService.getAllSessionsForTeacher(req.user.id);
   const myAttendance = getAttendanceByTeacher(req.user.id);
 
-  // Group by date
+  // Group by date (total = submissions; absences are counted separately)
   const trends = {};
   const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
@@ -71,7 +91,9 @@ router.get('/trends', authenticate, requireTeacher, (req, res) => {
       date: dateStr,
       total: 0,
       present: 0,
+      late: 0,
       flagged: 0,
+      absent: 0,
       sessions: 0,
     };
   }
@@ -79,8 +101,14 @@ router.get('/trends', authenticate, requireTeacher, (req, res) => {
   myAttendance.forEach(record => {
     const dateStr = record.timestamp.split('T')[0];
     if (trends[dateStr]) {
+      if (record.status === 'ABSENT') {
+        trends[dateStr].absent++;
+        return;
+      }
+      if (record.status === 'EXCUSED') return;
       trends[dateStr].total++;
       if (record.status === 'PRESENT') trends[dateStr].present++;
+      if (record.status === 'LATE') trends[dateStr].late++;
       if (record.status === 'FLAGGED') trends[dateStr].flagged++;
     }
   });
@@ -97,11 +125,14 @@ router.get('/trends', authenticate, requireTeacher, (req, res) => {
 
 /**
  * GET /api/analytics/courses
- * Get per-course analytics
+ * Get per-course analytics.
+ * attendanceRate = present enrolled students / expected attendances across closed
+ * sessions (null for courses without a roster).
  */
 router.get('/courses', authenticate, requireTeacher, (req, res) => {
   const allSessions = SessionService.getAllSessionsForTeacher(req.user.id);
   const attendance = getAttendanceByTeacher(req.user.id);
+  const enrollment = RosterService.getEnrollmentIndex(req.user.id);
 
   const courses = {};
   allSessions.forEach(session => {
@@ -112,65 +143,174 @@ router.get('/courses', authenticate, requireTeacher, (req, res) => {
         sessionType: session.sessionType,
         totalSessions: 0,
         totalAttendees: 0,
+        totalLate: 0,
+        rooms: new Set(),
         uniqueStudents: new Set(),
+        enrolledStudents: new Set(),
+        expectedAttendances: 0,
+        enrolledPresent: 0,
         averageAttendance: 0,
       };
     }
-    courses[key].totalSessions++;
+    const course = courses[key];
+    course.totalSessions++;
+    if (session.roomName) course.rooms.add(session.roomName);
 
-    const sessionAttendance = attendance.filter(
-      r => r.sessionId === session.id && r.status === 'PRESENT'
+    const sessionRecords = attendance.filter(r => r.sessionId === session.id);
+    const sessionAttendance = sessionRecords.filter(r => ATTENDED_STATUSES.includes(r.status));
+    course.totalAttendees += sessionAttendance.length;
+    course.totalLate += sessionAttendance.filter(r => r.status === 'LATE').length;
+    sessionAttendance.forEach(r => course.uniqueStudents.add(r.email));
+
+    // Expected = one row per enrolled student (PRESENT/LATE/FLAGGED/ABSENT) once the session closed;
+    // excused students aren't expected
+    const roster = enrollment.get(RosterService.groupKey(session.subjectName, session.year, session.sectionOrGroup));
+    if (!roster) return;
+    roster.forEach((_, email) => course.enrolledStudents.add(`${session.year}|${session.sectionOrGroup}|${email}`));
+    if (!isClosed(session)) return;
+
+    const enrolledRecords = sessionRecords.filter(
+      r => r.status !== 'EXCUSED' && roster.has(r.email.toLowerCase())
     );
-    courses[key].totalAttendees += sessionAttendance.length;
-    sessionAttendance.forEach(r => courses[key].uniqueStudents.add(r.email));
+    course.expectedAttendances += enrolledRecords.length;
+    course.enrolledPresent += enrolledRecords.filter(r => ATTENDED_STATUSES.includes(r.status)).length;
   });
 
-  const courseList = Object.values(courses).map(c => ({
+  const courseList = Object.values(courses).map(({ enrolledPresent, ...c }) => ({
     ...c,
+    rooms: [...c.rooms].sort(),
     uniqueStudents: c.uniqueStudents.size,
+    enrolledStudents: c.enrolledStudents.size,
     averageAttendance:
       c.totalSessions > 0 ? Math.round(c.totalAttendees / c.totalSessions) : 0,
+    attendanceRate:
+      c.expectedAttendances > 0 ? Math.round((enrolledPresent / c.expectedAttendances) * 100) : null,
   }));
 
   res.json({ courses: courseList });
 });
 
+/**
+ * GET /api/analytics/rooms
+ * Get per-room usage for catalog rooms (sessions held there, attendees, late/flagged)
+ */
+router.get('/rooms', authenticate, requireTeacher, (req, res) => {
+  const allSessions = SessionService.getAllSessionsForTeacher(req.user.id);
+  const attendance = getAttendanceByTeacher(req.user.id);
+
+  const recordsBySession = {};
+  attendance.forEach(r => {
+    (recordsBySession[r.sessionId] = recordsBySession[r.sessionId] || []).push(r);
+  });
+
+  const rooms = {};
+  allSessions.forEach(session => {
+    if (!session.roomName) return;
+    if (!rooms[session.roomName]) {
+      rooms[session.roomName] = {
+        roomName: session.roomName,
+        roomId: session.roomId,
+        totalSessions: 0,
+        totalAttendees: 0,
+        totalLate: 0,
+        totalFlagged: 0,
+        subjects: new Set(),
+        lastUsed: null,
+      };
+    }
+    const room = rooms[session.roomName];
+    room.totalSessions++;
+    room.subjects.add(session.subjectName);
+    if (!room.lastUsed || session.createdAt > room.lastUsed) room.lastUsed = session.createdAt;
+
+    const records = recordsBySession[session.id] || [];
+    room.totalAttendees += records.filter(r => ATTENDED_STATUSES.includes(r.status)).length;
+    room.totalLate += records.filter(r => r.status === 'LATE').length;
+    room.totalFlagged += records.filter(r => r.status === 'FLAGGED').length;
+  });
+
+  const roomList = Object.values(rooms)
+    .map(r => ({
+      ...r,
+      subjects: [...r.subjects].sort(),
+      averageAttendance: Math.round(r.totalAttendees / r.totalSessions),
+    }))
+    .sort((a, b) => b.totalSessions - a.totalSessions);
+
+  res.json({ rooms: roomList });
+});
+
 /**
  * GET /api/analytics/low-attendance
- * Get students with low attendance
+ * Get students with low attendance, per course (subject + year + section/group).
+ * Enrolled students are measured against their own rows (one per closed session since
+ * enrollment, ABSENT included); students not on a roster against all closed sessions
+ * of the course. EXCUSED sessions don't count against anyone.
  */
 router.get('/low-attendance', authenticate, requireTeacher, (req, res) => {
   const threshold = parseInt(req.query.threshold) || 70;
   const allSessions = SessionService.getAllSessionsForTeacher(req.user.id);
   const myAttendance = getAttendanceByTeacher(req.user.id);
+  const enrollment = RosterService.getEnrollmentIndex(req.user.id);
+
+  // Closed sessions grouped by course
+  const closedSessions = new Map();   // sessionId → { key, session }
+  const closedPerCourse = {};         // course key → count
+  allSessions.filter(isClosed).forEach(session => {
+    const key = RosterService.groupKey(session.subjectName, session.year, session.sectionOrGroup);
+    closedSessions.set(session.id, { key, session });
+    closedPerCourse[key] = (closedPerCourse[key] || 0) + 1;
+  });
 
-  // Count attendance per student
+  // Count attendance per student per course
   const studentStats = {};
   myAttendance.forEach(record => {
-    if (!studentStats[record.email]) {
-      studentStats[record.email] = {
+    const closed = closedSessions.get(record.sessionId);
+    if (!closed) return;
+
+    const email = record.email.toLowerCase();
+    const statKey = `${closed.key}|${email}`;
+    if (!studentStats[statKey]) {
+      const enrolled = enrollment.get(closed.key)?.get(email);
+      studentStats[statKey] = {
         email: record.email,
-        studentName: record.studentName,
+        studentName: enrolled?.studentName || record.studentName,
+        subjectName: closed.session.subjectName,
+        year: closed.session.year,
+        sectionOrGroup: closed.session.sectionOrGroup,
+        enrolled: !!enrolled,
         present: 0,
+        late: 0,
         flagged: 0,
+        absent: 0,
+        excused: 0,
         total: 0,
+        courseKey: closed.key,
       };
     }
-    studentStats[record.email].total++;
-    if (record.status === 'PRESENT') {
-      studentStats[record.email].present++;
-    } else {
-      studentStats[record.email].flagged++;
+    const stats = studentStats[statKey];
+    if (record.status === 'EXCUSED') {
+      stats.excused++;
+      return;
     }
+    stats.total++;
+    if (ATTENDED_STATUSES.includes(record.status)) {
+      stats.present++;
+      if (record.status === 'LATE') stats.late++;
+    } else if (record.status === 'ABSENT') stats.absent++;
+    else stats.flagged++;
   });
 
   const lowAttendance = Object.values(studentStats)
-    .map(s => ({
-      ...s,
-      attendanceRate:
-        s.total > 0 ? Math.round((s.present / allSessions.length) * 100) : 0,
-    }))
-    .filter(s => s.attendanceRate < threshold)
+    .map(({ courseKey, ...s }) => {
+      const expected = s.enrolled ? s.total : closedPerCourse[courseKey] - s.excused;
+      return {
+        ...s,
+        total: expected,
+        attendanceRate: expected > 0 ? Math.round((s.present / expected) * 100) : 0,
+      };
+    })
+    .filter(s => s.total > 0 && s.attendanceRate < threshold)
     .sort((a, b) => a.attendanceRate - b.attendanceRate);
 
   res.json({ students: lowAttendance, threshold });
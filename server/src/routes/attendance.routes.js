@@ -1,15 +1,29 @@
 const express = require('express');
 const { body } = require('express-validator');
+const config = require('../config');
 const { authenticate, requireTeacher } = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validate.middleware');
 const SessionService = require('../services/session.service');
 const AntiCheatingService = require('../services/anticheating.service');
-const DriveService = require('../services/drive.service');
-const { attendanceQueue } = require('../services/queue.service');
+const RosterService = require('../services/roster.service');
+const StudentIdentity = require('../services/student-identity.service');
+const DeviceIdentity = require('../services/device-identity.service');
+const LiveFeed = require('../services/live-feed.service');
+const {
+  enqueueAttendanceSync,
+  enqueueViolationSync,
+  enqueueAttendanceOverride,
+} = require('../services/drive-sync.service');
 const {
   findTeacherById,
   addAttendanceRecord,
-  markAttendanceSynced,
+  clearAbsence,
+  getAttendanceById,
+  findAttendanceInSession,
+  updateAttendanceStatus,
+  deleteAttendanceRecord,
+  addAuditEntry,
+  getAuditBySession,
   getAttendanceBySession,
   getAttendanceByEmail,
   getAttendanceByTeacher,
@@ -17,6 +31,69 @@ const {
 
 const router = express.Router();
 
+// Statuses a teacher can set by hand
+const OVERRIDE_STATUSES = ['PRESENT', 'LATE', 'FLAGGED', 'EXCUSED', 'ABSENT'];
+
+// Statuses that count as attended (a late arrival still attended)
+const ATTENDED_STATUSES = ['PRESENT', 'LATE'];
+
+/**
+ * Load a session owned by the current teacher (404/403 otherwise)
+ */
+function loadOwnSession(req, res, sessionId) {
+  const session = SessionService.getSession(sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  if (session.teacherId !== req.user.id) {
+    res.status(403).json({ error: 'Not authorized' });
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Record a teacher override in the audit trail and mirror it to the session sheet
+ */
+function auditOverride(req, session, { attendanceId, email, action, oldValue, newValue }) {
+  const auditId = addAuditEntry({
+    attendanceId,
+    sessionId: session.id,
+    email,
+    teacherId: req.user.id,
+    action,
+    oldValue,
+    newValue,
+    reason: req.body.reason,
+  });
+  if (session.spreadsheetId) enqueueAttendanceOverride(session.id, auditId);
+  LiveFeed.publishCounts(session.id);
+  return auditId;
+}
+
+/**
+ * Accept a recorded submission. The response is the same whether or not it was flagged and
+ * carries an appeal token for the violations it logged — a flagged student never learns
+ * they were flagged, but can explain themselves to the teacher.
+ */
+function acknowledge(res, sessionId, email, violationIds) {
+  res.json({
+    success: true,
+    message: 'Attendance submitted successfully',
+    appealToken: AntiCheatingService.createAppealToken(sessionId, email, violationIds),
+  });
+}
+
+/**
+ * POST /api/attendance/device
+ * Issue a device token to a student's browser (public — kept in localStorage/IndexedDB
+ * and sent with every submission)
+ */
+router.post('/device', (req, res) => {
+  res.json({ deviceToken: DeviceIdentity.issueDeviceToken() });
+});
+
 /**
  * POST /api/attendance/submit
  * Student submits attendance (public endpoint - no auth required)
@@ -28,18 +105,38 @@ router.post(
     body('sessionId').notEmpty().withMessage('Session ID required'),
     body('studentName').notEmpty().trim().withMessage('Full name required'),
     body('email').isEmail().withMessage('Valid university email required'),
+    // Self-reported GPS error and fix age are capped, so neither can stretch the geofence
+    body('accuracy')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .toFloat()
+      .customSanitizer(accuracy => Math.min(accuracy, AntiCheatingService.MAX_GPS_ACCURACY_METERS)),
+    body('altitude').optional({ values: 'null' }).isFloat().toFloat(),
+    body('locationAge')
+      .optional({ values: 'null' })
+      .isInt({ min: 0 })
+      .toInt()
+      .customSanitizer(age => Math.min(age, AntiCheatingService.MAX_LOCATION_AGE_SECONDS)),
+    body('deviceToken').optional({ values: 'null' }).isString().isLength({ max: 1000 }),
+    body('fingerprint').optional({ values: 'null' }).isString().isLength({ max: 128 }),
+    body('scanTicket').optional({ values: 'null' }).isString().isLength({ max: 1000 }),
   ],
   validate,
   async (req, res) => {
     try {
       const {
         sessionId,
-        studentName,
-        email,
         macAddress,
         latitude,
         longitude,
+        accuracy,
+        altitude,
+        locationAge,
+        deviceToken,
       } = req.body;
+      let { studentName, email, qrToken } = req.body;
+      // Rosters and ABSENT rows store lowercase emails
+      email = email.trim().toLowerCase();
 
       const ipAddress =
         req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
@@ -54,11 +151,66 @@ router.post(
 
       const session = sessionCheck.session;
 
+      // Verified-identity sessions: name/email come from the student's Google sign-in,
+      // and the QR token is the one scanned before signing in (judged as of the scan)
+      let scannedAt;
+      if (session.requireVerifiedIdentity) {
+        const identity = StudentIdentity.readIdentity(req, sessionId);
+        if (!identity) {
+          return res.status(401).json({
+            error: 'Sign in with your university Google account to submit attendance',
+            requiresSignIn: true,
+          });
+        }
+        ({ email, qrToken, scannedAt } = identity);
+        studentName = identity.name;
+      } else {
+        // The scan ticket from /validate dates the token to the scan, not to this submit
+        const ticket = SessionService.readScanTicket(req.body.scanTicket, sessionId);
+        if (ticket) ({ qrToken, scannedAt } = ticket);
+      }
+
+      // Rotating QR: forged/missing tokens (e.g. the plain session link) are refused openly,
+      // stale ones are flagged below
+      const qrTokenResult = SessionService.verifyQRToken(session, qrToken, config.qrTokenGraceSeconds, scannedAt);
+      if (qrTokenResult.status === 'invalid') {
+        return res.status(400).json({ error: 'Scan the QR code on screen to submit attendance', invalidQr: true });
+      }
+
+      // Email allowlist (institution + teacher) — rejected openly so the student can fix a typo,
+      // and logged (once per email) so the attempt shows up in the cheating stats
+      const teacherSettings = findTeacherById(session.teacherId)?.settings || {};
+      const emailCheck = AntiCheatingService.checkEmailAllowed(email, teacherSettings);
+      if (!emailCheck.allowed) {
+        const logId = AntiCheatingService.logRejectedEmail({
+          sessionId,
+          studentName,
+          email,
+          ipAddress,
+          macAddress: macAddress || 'N/A',
+          reason: emailCheck.reason,
+        });
+        if (logId) {
+          if (session.spreadsheetId) enqueueViolationSync(session, email, [logId]);
+          LiveFeed.publishFlag(sessionId, {
+            studentName,
+            email,
+            violationType: AntiCheatingService.EMAIL_NOT_ALLOWED,
+            details: emailCheck.reason,
+          });
+        }
+        return res.status(400).json({ error: emailCheck.reason, emailNotAllowed: true });
+      }
+
       // 2. Duplicate check (from cache)
       if (SessionService.hasStudentSubmitted(sessionId, email)) {
         return res.json({ success: true, message: 'Attendance already recorded' });
       }
 
+      // Forged or missing tokens count as "no device" — the fingerprint is only a signal
+      const deviceId = DeviceIdentity.readDeviceToken(deviceToken);
+      const fingerprint = DeviceIdentity.normalizeFingerprint(req.body.fingerprint);
+
       // 3. Anti-cheating (lightweight — no I/O)
       const validationResult = await AntiCheatingService.validateSubmission({
         sessionId,
@@ -66,12 +218,53 @@ router.post(
         email,
         ipAddress,
         macAddress: macAddress || 'N/A',
-        studentLocation: latitude && longitude ? { lat: latitude, lng: longitude } : null,
+        deviceId,
+        fingerprint,
+        studentLocation: latitude && longitude
+          ? { lat: latitude, lng: longitude, accuracy, age: locationAge }
+          : null,
         classroomLocation: session.classroomLocation,
         geofenceRadius: session.geofenceRadius,
+        geofence: session.geofence,
+        qrTokenResult,
+        // req.ip honours `trust proxy`; the first x-forwarded-for entry is set by the client
+        networkAddress: req.ip,
+        networkPolicy: session.networkPolicy,
+        campusNetworks: teacherSettings.campusNetworks || [],
+        riskThresholds: {
+          flag: session.riskFlagThreshold ?? config.riskFlagThreshold,
+          reject: session.riskRejectThreshold,
+        },
       });
 
+      // Off campus under a "require" policy (the student can join the Wi-Fi and retry),
+      // or a risk score at the session's reject limit — both rejected openly. A retry logs
+      // nothing new, so it isn't synced or announced again.
+      if (validationResult.rejected) {
+        const offCampus = validationResult.rejectedBy === AntiCheatingService.OFF_CAMPUS_NETWORK;
+        if (validationResult.loggedViolationIds.length > 0) {
+          if (session.spreadsheetId) enqueueViolationSync(session, email, validationResult.loggedViolationIds);
+          LiveFeed.publishFlag(sessionId, {
+            studentName,
+            email,
+            violationType: validationResult.rejectedBy,
+            details: offCampus
+              ? validationResult.networkResult.reason
+              : `Risk score ${validationResult.risk.score}`,
+          });
+        }
+        return res.status(403).json(offCampus
+          ? { error: 'Connect to the campus Wi-Fi to submit attendance', offCampus: true }
+          : { error: 'Your attendance could not be accepted — please see your teacher', highRisk: true });
+      }
+
       // 4. Record attendance in SQLite (instant)
+      // A risk score at the flag threshold → FLAGGED; otherwise past the start time + grace → LATE
+      const now = new Date();
+      const minutesLate = SessionService.getMinutesLate(session, now);
+      let status = 'FLAGGED';
+      if (validationResult.isValid) status = minutesLate != null ? 'LATE' : 'PRESENT';
+
       const record = {
         sessionId,
         studentName,
@@ -80,69 +273,44 @@ router.post(
         macAddress: macAddress || 'N/A',
         latitude: latitude || 'N/A',
         longitude: longitude || 'N/A',
-        timestamp: new Date().toISOString(),
-        status: validationResult.isValid ? 'PRESENT' : 'FLAGGED',
+        timestamp: now.toISOString(),
+        status,
+        minutesLate,
         violations: validationResult.violations,
+        // Geofence decision (inside/uncertain/outside) + the fix it was based on, for review
+        locationDecision: validationResult.locationResult.decision,
+        distance: validationResult.locationResult.distance >= 0 ? validationResult.locationResult.distance : null,
+        locationAccuracy: accuracy ?? null,
+        altitude: altitude ?? null,
+        locationAge: locationAge ?? null,
+        deviceId,
+        fingerprint,
+        // Shared IP / fingerprint matches — scored lightly, shown to the teacher
+        deviceSignals: validationResult.duplicateResult.signals,
+        riskScore: validationResult.risk.score,
+        riskReasons: validationResult.risk.reasons,
       };
 
+      // Session was re-opened after absences were recorded — this submission replaces the ABSENT row
+      clearAbsence(sessionId, email);
       const recordId = addAttendanceRecord(record);
 
       // Update session attendee count (cache)
       SessionService.addAttendee(sessionId, email);
 
       // ── RESPOND INSTANTLY ──
-      res.json({ success: true, message: 'Attendance submitted successfully' });
+      acknowledge(res, sessionId, email, validationResult.loggedViolationIds);
+
+      // Push to the teacher's QR display
+      LiveFeed.publishCheckIn(sessionId, { ...record, id: recordId });
 
-      // 5. Queue Drive write — keyed by sessionId (parallel across sessions, sequential within)
+      // 5. Queue Drive writes — persisted jobs, resumed after a restart
       if (session.spreadsheetId) {
-        const config = require('../config');
-
-        // Attendance record → Sheets (freed from memory after sync via ResourceManager)
-        attendanceQueue.enqueue(
-          async () => {
-            const teacher = findTeacherById(session.teacherId);
-            if (!teacher?.googleTokens) return;
-            const driveService = new DriveService(teacher.googleTokens.access_token);
-            await driveService.appendAttendanceRecord(session.spreadsheetId, {
-              timestamp: record.timestamp,
-              studentName: record.studentName,
-              email: record.email,
-              status: record.status,
-              ipAddress: record.ipAddress,
-              macAddress: record.macAddress,
-              latitude: record.latitude,
-              longitude: record.longitude,
-            });
-          },
-          `attendance-${sessionId}-${email}`,
-          sessionId,
-          { onSuccess: () => { markAttendanceSynced(recordId); } }
-        );
-
-        // Violation logging — separate queue item (can fail independently)
-        if (!validationResult.isValid) {
-          attendanceQueue.enqueue(
-            async () => {
-              const teacher = findTeacherById(session.teacherId);
-              if (!teacher?.googleTokens) return;
-              const driveService = new DriveService(teacher.googleTokens.access_token);
-              const cheatingSheetId = await driveService.getOrCreateCheatingLog(config.academicYear);
-              for (const v of validationResult.violations) {
-                await driveService.logViolation(cheatingSheetId, {
-                  timestamp: record.timestamp,
-                  studentName: record.studentName,
-                  email: record.email,
-                  violationType: v.type,
-                  details: v.details,
-                  distance: v.distance,
-                  ipAddress: record.ipAddress,
-                  macAddress: record.macAddress,
-                });
-              }
-            },
-            `violation-${sessionId}-${email}`,
-            `violations-${session.teacherId}`
-          );
+        enqueueAttendanceSync(record, recordId);
+
+        // Violation logging — separate job (can fail independently)
+        if (validationResult.loggedViolationIds.length > 0) {
+          enqueueViolationSync(session, email, validationResult.loggedViolationIds);
         }
       }
     } catch (error) {
@@ -152,20 +320,193 @@ router.post(
   }
 );
 
+/**
+ * POST /api/attendance/appeal
+ * Student explains a problem with their submission (public — authorized by the appeal token
+ * from the submit response). Attached to their violations for the teacher's review.
+ */
+router.post(
+  '/appeal',
+  [
+    body('appealToken').notEmpty().withMessage('Appeal link is invalid'),
+    body('justification').trim().isLength({ min: 1, max: 1000 }).withMessage('Explanation must be 1-1000 characters'),
+  ],
+  validate,
+  (req, res) => {
+    const appeal = AntiCheatingService.readAppealToken(req.body.appealToken);
+    if (!appeal) {
+      return res.status(400).json({ error: 'This appeal link has expired' });
+    }
+
+    // Same answer whether or not there was anything to appeal (silent flagging)
+    AntiCheatingService.appealViolations(appeal, req.body.justification);
+    res.json({ success: true, message: 'Your explanation was sent to your teacher' });
+  }
+);
+
 /**
  * GET /api/attendance/session/:sessionId
  * Get attendance records for a specific session (teacher only)
  */
 router.get('/session/:sessionId', authenticate, requireTeacher, (req, res) => {
   const sessionRecords = getAttendanceBySession(req.params.sessionId);
+
+  // Rate against the roster (null when the group has no roster)
+  const session = SessionService.getSession(req.params.sessionId);
+  const enrolled = session ? RosterService.getEnrolledStudents(session) : null;
+  const enrolledEmails = new Set((enrolled || []).map(st => st.email));
+  const presentEnrolled = sessionRecords.filter(
+    r => ATTENDED_STATUSES.includes(r.status) && enrolledEmails.has(r.email.toLowerCase())
+  ).length;
+  // Excused students aren't expected to attend
+  const excusedEnrolled = sessionRecords.filter(
+    r => r.status === 'EXCUSED' && enrolledEmails.has(r.email.toLowerCase())
+  ).length;
+  const expected = enrolledEmails.size - excusedEnrolled;
+
   res.json({
     records: sessionRecords,
     total: sessionRecords.length,
     present: sessionRecords.filter(r => r.status === 'PRESENT').length,
+    late: sessionRecords.filter(r => r.status === 'LATE').length,
     flagged: sessionRecords.filter(r => r.status === 'FLAGGED').length,
+    // Accepted, but the GPS fix couldn't confirm the student was in the room
+    locationUncertain: sessionRecords.filter(r => r.locationDecision === AntiCheatingService.LOCATION.UNCERTAIN).length,
+    absent: sessionRecords.filter(r => r.status === 'ABSENT').length,
+    excused: sessionRecords.filter(r => r.status === 'EXCUSED').length,
+    enrolled: enrolled ? enrolledEmails.size : null,
+    attendanceRate: expected > 0 ? Math.round((presentEnrolled / expected) * 100) : null,
   });
 });
 
+/**
+ * POST /api/attendance/session/:sessionId/records
+ * Teacher adds a record by hand (e.g. a student whose phone died)
+ */
+router.post(
+  '/session/:sessionId/records',
+  authenticate,
+  requireTeacher,
+  [
+    body('studentName').trim().notEmpty().withMessage('Full name required'),
+    body('email').isEmail().withMessage('Valid email required'),
+    body('status').isIn(OVERRIDE_STATUSES).withMessage(`Status must be one of ${OVERRIDE_STATUSES.join(', ')}`),
+    body('reason').trim().notEmpty().withMessage('Reason required'),
+  ],
+  validate,
+  (req, res) => {
+    const session = loadOwnSession(req, res, req.params.sessionId);
+    if (!session) return;
+
+    const email = req.body.email.trim().toLowerCase();
+    if (findAttendanceInSession(session.id, email)) {
+      return res.status(409).json({ error: 'This student already has a record — change its status instead' });
+    }
+
+    const recordId = addAttendanceRecord({
+      sessionId: session.id,
+      studentName: req.body.studentName,
+      email,
+      timestamp: new Date().toISOString(),
+      status: req.body.status,
+    });
+    SessionService.addAttendee(session.id, email);
+
+    auditOverride(req, session, {
+      attendanceId: recordId,
+      email,
+      action: 'add',
+      oldValue: null,
+      newValue: { status: req.body.status, studentName: req.body.studentName },
+    });
+
+    res.status(201).json({ record: getAttendanceById(recordId) });
+  }
+);
+
+/**
+ * PATCH /api/attendance/:id
+ * Teacher changes a record's status
+ */
+router.patch(
+  '/:id',
+  authenticate,
+  requireTeacher,
+  [
+    body('status').isIn(OVERRIDE_STATUSES).withMessage(`Status must be one of ${OVERRIDE_STATUSES.join(', ')}`),
+    body('reason').trim().notEmpty().withMessage('Reason required'),
+  ],
+  validate,
+  (req, res) => {
+    const record = getAttendanceById(req.params.id);
+    if (!record) return res.status(404).json({ error: 'Record not found' });
+
+    const session = loadOwnSession(req, res, record.sessionId);
+    if (!session) return;
+
+    if (record.status === req.body.status) {
+      return res.status(400).json({ error: `Record is already ${record.status}` });
+    }
+
+    updateAttendanceStatus(record.id, req.body.status);
+    // A teacher decision is final — the student can't resubmit over it
+    SessionService.addAttendee(session.id, record.email);
+
+    auditOverride(req, session, {
+      attendanceId: record.id,
+      email: record.email,
+      action: 'update',
+      oldValue: { status: record.status, studentName: record.studentName },
+      newValue: { status: req.body.status, studentName: record.studentName },
+    });
+
+    res.json({ record: getAttendanceById(record.id) });
+  }
+);
+
+/**
+ * DELETE /api/attendance/:id
+ * Teacher removes a record (the student may submit again while the session is open)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requireTeacher,
+  [body('reason').trim().notEmpty().withMessage('Reason required')],
+  validate,
+  (req, res) => {
+    const record = getAttendanceById(req.params.id);
+    if (!record) return res.status(404).json({ error: 'Record not found' });
+
+    const session = loadOwnSession(req, res, record.sessionId);
+    if (!session) return;
+
+    deleteAttendanceRecord(record.id);
+    SessionService.removeAttendee(session.id, record.email);
+
+    auditOverride(req, session, {
+      attendanceId: record.id,
+      email: record.email,
+      action: 'remove',
+      oldValue: { status: record.status, studentName: record.studentName },
+      newValue: null,
+    });
+
+    res.json({ success: true, message: 'Record removed' });
+  }
+);
+
+/**
+ * GET /api/attendance/session/:sessionId/audit
+ * Audit trail of teacher overrides for a session (newest first)
+ */
+router.get('/session/:sessionId/audit', authenticate, requireTeacher, (req, res) => {
+  const session = loadOwnSession(req, res, req.params.sessionId);
+  if (!session) return;
+
+  res.json({ entries: getAuditBySession(session.id) });
+});
+
 /**
  * GET /api/attendance/student/:email
  * Get attendance for a specific student across all sessions (teacher only)
@@ -181,12 +522,17 @@ router.get('/student/:email', authenticate, requireTeacher, (req, res) => {
  */
 router.get('/stats', authenticate, requireTeacher, (req, res) => {
   const teacherSessions = SessionService.getAllSessionsForTeacher(req.user.id);
-  const teacherAttendance = getAttendanceByTeacher(req.user.id);
+  const teacherRecords = getAttendanceByTeacher(req.user.id);
+  // ABSENT rows are generated at session close and EXCUSED ones set by the teacher — neither is a submission
+  const teacherAttendance = teacherRecords.filter(r => r.status !== 'ABSENT' && r.status !== 'EXCUSED');
 
   const totalSessions = teacherSessions.length;
   const totalSubmissions = teacherAttendance.length;
   const presentCount = teacherAttendance.filter(r => r.status === 'PRESENT').length;
+  const lateRecords = teacherAttendance.filter(r => r.status === 'LATE');
   const flaggedCount = teacherAttendance.filter(r => r.status === 'FLAGGED').length;
+  const absentCount = teacherRecords.filter(r => r.status === 'ABSENT').length;
+  const excusedCount = teacherRecords.filter(r => r.status === 'EXCUSED').length;
 
   // Get unique students
   const uniqueStudents = [...new Set(teacherAttendance.map(r => r.email))];
@@ -207,7 +553,14 @@ router.get('/stats', authenticate, requireTeacher, (req, res) => {
     totalSessions,
     totalSubmissions,
     presentCount,
+    lateCount: lateRecords.length,
+    averageMinutesLate:
+      lateRecords.length > 0
+        ? Math.round(lateRecords.reduce((sum, r) => sum + (r.minutesLate || 0), 0) / lateRecords.length)
+        : 0,
     flaggedCount,
+    absentCount,
+    excusedCount,
     uniqueStudents: uniqueStudents.length,
     averageAttendance:
       totalSessions > 0 ? Math.round(totalSubmissions / totalSessions) : 0,
@@ -1,12 +1,21 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const { google } = require('googleapis');
+const { body } = require('express-validator');
 const config = require('../config');
 const { findTeacherByEmail, addTeacher, updateTeacher, findTeacherById } = require('../services/store.service');
 const { authenticate } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { isDriveConnected, forgetClient } = require('../services/token-manager.service');
+const SessionService = require('../services/session.service');
+const StudentIdentity = require('../services/student-identity.service');
+const Network = require('../services/network.service');
+const ScheduleService = require('../services/schedule.service');
 
 const router = express.Router();
 
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
 // Cookie options for JWT — httpOnly prevents XSS token theft
 const cookieOpts = () => ({
   httpOnly: true,
@@ -16,6 +25,19 @@ const cookieOpts = () => ({
   path: '/',
 });
 
+/**
+ * Strip Google tokens and expose the Drive connection state instead
+ */
+const toSafeUser = (teacher) => {
+  const { googleTokens, ...safeTeacher } = teacher;
+  return {
+    ...safeTeacher,
+    role: 'teacher',
+    isAdmin: config.adminEmails.includes(teacher.email.toLowerCase()),
+    driveStatus: isDriveConnected(teacher) ? 'connected' : 'disconnected',
+  };
+};
+
 /**
  * GET /api/auth/google
  * Redirect to Google OAuth consent screen
@@ -74,22 +96,29 @@ router.get('/google/callback', async (req, res) => {
         settings: {
           defaultGeofenceRadius: config.defaultGeofenceRadius,
           qrCodeValidityMinutes: config.qrCodeValidityMinutes,
+          qrRotationSeconds: config.qrRotationSeconds,
+          lateGraceMinutes: config.lateGraceMinutes,
         },
       });
     } else {
+      // Keep the stored refresh token if Google didn't send a new one
       teacher = updateTeacher(teacher.id, {
-        googleTokens: tokens,
+        googleTokens: { ...teacher.googleTokens, ...tokens },
+        driveStatus: 'connected',
         lastLogin: new Date().toISOString(),
       });
+      forgetClient(teacher.id);
     }
 
-    // Generate JWT — always set role to 'teacher' (role doesn't need to be in DB)
+    // Generate JWT — always set role to 'teacher' (role doesn't need to be in DB);
+    // admins are teachers listed in ADMIN_EMAILS
     const jwtToken = jwt.sign(
       {
         id: teacher.id,
         email: teacher.email,
         name: teacher.name,
         role: 'teacher',
+        isAdmin: config.adminEmails.includes(teacher.email.toLowerCase()),
       },
       config.jwtSecret,
       { expiresIn: config.jwtExpiresIn }
@@ -104,9 +133,89 @@ router.get('/google/callback', async (req, res) => {
   }
 });
 
+// ── Student sign-in (verified-identity sessions) ──
+
+/**
+ * GET /api/auth/student/google?sessionId=&t=<qrToken>
+ * Google consent URL for a student; the scanned QR token is checked now and carried
+ * through the sign-in
+ */
+router.get('/student/google', (req, res) => {
+  const { sessionId, t: qrToken } = req.query;
+  const sessionCheck = SessionService.isSessionValid(sessionId);
+  if (!sessionCheck.valid) {
+    return res.status(400).json({ error: sessionCheck.reason });
+  }
+
+  const session = sessionCheck.session;
+  if (!session.requireVerifiedIdentity) {
+    return res.status(400).json({ error: 'This session does not require sign-in' });
+  }
+  if (SessionService.verifyQRToken(session, qrToken, config.qrTokenGraceSeconds).status === 'invalid') {
+    return res.status(400).json({ error: 'Invalid QR code — scan the code shown in class' });
+  }
+
+  const { authUrl, nonce } = StudentIdentity.getSignInUrl(session.id, qrToken);
+  res.cookie(StudentIdentity.SIGNIN_COOKIE, nonce, {
+    ...cookieOpts(),
+    maxAge: StudentIdentity.STATE_TTL_SECONDS * 1000,
+  });
+  res.json({ authUrl });
+});
+
+/**
+ * GET /api/auth/student/callback
+ * Handle the student's Google OAuth callback and set the identity cookie (only in the
+ * browser that started the sign-in)
+ */
+router.get('/student/callback', async (req, res) => {
+  const state = StudentIdentity.readSignInState(req, req.query.state);
+  res.clearCookie(StudentIdentity.SIGNIN_COOKIE, { httpOnly: true, path: '/' });
+  if (!state) {
+    return res.redirect(`${config.clientUrl}/login?error=auth_failed`);
+  }
+  const backToSession = (query) =>
+    res.redirect(`${config.clientUrl}/attend/${state.sessionId}?${query}`);
+
+  try {
+    if (!req.query.code) return backToSession('error=no_code');
+
+    const user = await StudentIdentity.verifyGoogleUser(req.query.code);
+    if (!user.verified) return backToSession(`error=${user.reason}`);
+
+    const identityToken = StudentIdentity.issueIdentityToken({
+      sessionId: state.sessionId,
+      qrToken: state.qrToken,
+      scannedAt: state.scannedAt,
+      email: user.email,
+      name: user.name,
+    });
+    res.cookie(StudentIdentity.IDENTITY_COOKIE, identityToken, {
+      ...cookieOpts(),
+      maxAge: StudentIdentity.IDENTITY_TTL_SECONDS * 1000,
+    });
+    backToSession('verified=1');
+  } catch (error) {
+    console.error('Student Google OAuth error:', error);
+    backToSession('error=auth_failed');
+  }
+});
+
+/**
+ * GET /api/auth/student/me?sessionId=
+ * Verified student identity for a session (401 if not signed in for it)
+ */
+router.get('/student/me', (req, res) => {
+  const identity = StudentIdentity.readIdentity(req, req.query.sessionId);
+  if (!identity) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+  res.json({ student: { email: identity.email, name: identity.name } });
+});
+
 /**
  * GET /api/auth/me
- * Get current user info
+ * Get current user info (driveStatus: 'connected' | 'disconnected')
  */
 router.get('/me', authenticate, (req, res) => {
   const teacher = findTeacherById(req.user.id);
@@ -114,8 +223,7 @@ router.get('/me', authenticate, (req, res) => {
     return res.status(404).json({ error: 'User not found' });
   }
 
-  const { googleTokens, ...safeTeacher } = teacher;
-  res.json({ user: { ...safeTeacher, role: 'teacher' } });
+  res.json({ user: toSafeUser(teacher) });
 });
 
 /**
@@ -130,15 +238,55 @@ router.post('/logout', (req, res) => {
 /**
  * PUT /api/auth/settings
  * Update user settings
+ * allowedEmailDomains / emailLocalPattern narrow which student emails the teacher's sessions accept;
+ * campusNetworks (CIDR ranges) add to the institution's campus Wi-Fi, networkPolicy is the session default;
+ * department groups the teacher's violations in the admin view;
+ * timezone (IANA name) is the one schedule times are read in
  */
-router.put('/settings', authenticate, (req, res) => {
-  const { settings } = req.body;
-  const teacher = updateTeacher(req.user.id, { settings });
-  if (!teacher) {
-    return res.status(404).json({ error: 'User not found' });
+router.put(
+  '/settings',
+  authenticate,
+  [
+    body('settings').isObject().withMessage('Settings required'),
+    body('settings.allowedEmailDomains').optional().isArray().withMessage('Allowed domains must be a list'),
+    body('settings.allowedEmailDomains.*')
+      .customSanitizer(d => String(d).trim().toLowerCase().replace(/^@/, ''))
+      .matches(DOMAIN_PATTERN)
+      .withMessage('Invalid email domain'),
+    body('settings.emailLocalPattern')
+      .optional({ values: 'falsy' })
+      .isLength({ max: 200 })
+      .withMessage('Pattern too long')
+      .custom(pattern => {
+        new RegExp(pattern); // throws → validation error
+        return true;
+      })
+      .withMessage('Invalid regular expression'),
+    body('settings.campusNetworks').optional().isArray({ max: 50 }).withMessage('Campus networks must be a list'),
+    body('settings.campusNetworks.*')
+      .custom(cidr => !!Network.parseCidr(cidr))
+      .bail()
+      .customSanitizer(cidr => Network.parseCidr(cidr).cidr),
+    body('settings.networkPolicy')
+      .optional()
+      .isIn(Network.POLICIES)
+      .withMessage(`Network policy must be one of ${Network.POLICIES.join(', ')}`),
+    body('settings.department').optional({ values: 'null' }).isString().trim().isLength({ max: 100 })
+      .withMessage('Department must be at most 100 characters'),
+    body('settings.timezone')
+      .optional({ values: 'falsy' })
+      .custom(timeZone => ScheduleService.isValidTimeZone(timeZone))
+      .withMessage('Unknown time zone'),
+  ],
+  validate,
+  (req, res) => {
+    const { settings } = req.body;
+    const teacher = updateTeacher(req.user.id, { settings });
+    if (!teacher) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ user: toSafeUser(teacher) });
   }
-  const { googleTokens, ...safeTeacher } = teacher;
-  res.json({ user: { ...safeTeacher, role: 'teacher' } });
-});
+);
 
 module.exports = router;
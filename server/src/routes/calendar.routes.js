@@ -0,0 +1,82 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticate, requireTeacher } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const CalendarService = require('../services/calendar.service');
+const ScheduleService = require('../services/schedule.service');
+
+const router = express.Router();
+
+/**
+ * GET /api/calendar
+ * Get the academic calendar (holidays, exam weeks, and the caller's cancelled classes —
+ * every teacher's for admins)
+ */
+router.get('/', authenticate, requireTeacher, (req, res) => {
+  res.json({ exceptions: CalendarService.listExceptionsFor(req.user) });
+});
+
+/**
+ * POST /api/calendar
+ * Add a calendar entry: kind, label, startDate, endDate (defaults to startDate).
+ * Without a scheduleId it suspends every class (admins only); with one it cancels
+ * that class of the teacher's.
+ */
+router.post(
+  '/',
+  authenticate,
+  requireTeacher,
+  [
+    body('kind').isIn(CalendarService.KINDS).withMessage(`Kind must be one of ${CalendarService.KINDS.join(', ')}`),
+    body('label').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+    body('startDate').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start date must be YYYY-MM-DD'),
+    body('endDate')
+      .optional({ values: 'falsy' })
+      .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+      .withMessage('End date must be YYYY-MM-DD')
+      .custom((endDate, { req }) => endDate >= req.body.startDate)
+      .withMessage('End date must not be before the start date'),
+    body('scheduleId').optional({ values: 'falsy' }).isString(),
+  ],
+  validate,
+  (req, res) => {
+    const { kind, label, startDate, endDate, scheduleId } = req.body;
+
+    if (scheduleId) {
+      const schedule = ScheduleService.getScheduleById(scheduleId);
+      if (!schedule || schedule.teacherId !== req.user.id) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+    } else if (!CalendarService.canEdit({ scheduleId: null }, req.user)) {
+      return res.status(403).json({ error: 'Only admins can add institution-wide dates' });
+    }
+
+    const exception = CalendarService.createException({
+      kind,
+      label,
+      startDate,
+      endDate,
+      scheduleId,
+      createdBy: req.user.id,
+    });
+    res.status(201).json({ exception });
+  }
+);
+
+/**
+ * DELETE /api/calendar/:id
+ * Remove a calendar entry
+ */
+router.delete('/:id', authenticate, requireTeacher, (req, res) => {
+  const exception = CalendarService.getException(req.params.id);
+  if (!exception) {
+    return res.status(404).json({ error: 'Calendar entry not found' });
+  }
+  if (!CalendarService.canEdit(exception, req.user)) {
+    return res.status(403).json({ error: 'Only admins can remove institution-wide dates' });
+  }
+  CalendarService.deleteException(exception.id);
+  res.json({ success: true });
+});
+
+module.exports = router;
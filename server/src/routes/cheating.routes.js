@@ -1,60 +1,125 @@
 const express = require('express');
+const { body } = require('express-validator');
 const { authenticate, requireTeacherOrAdmin } = require('../middleware/auth.middleware');
+const { validate, violationQueryRules } = require('../middleware/validate.middleware');
 const AntiCheatingService = require('../services/anticheating.service');
+const BuddyPunching = require('../services/buddy-punching.service');
+const LiveFeed = require('../services/live-feed.service');
+const { enqueueAttendanceOverride } = require('../services/drive-sync.service');
+const {
+  getSession,
+  getCheatingLogById,
+  addAuditEntry,
+} = require('../services/store.service');
+
+const REVIEW_STATUSES = Object.values(AntiCheatingService.REVIEW);
 
 const router = express.Router();
 
+/**
+ * Teachers only see violations from their own sessions; the admin role sees everyone's
+ * (teachers flagged as admins get the full list under /api/admin/violations)
+ */
+function ownerScope(req) {
+  return req.user.role === 'admin' ? {} : { teacherId: req.user.id };
+}
+
 /**
  * GET /api/cheating/violations
- * Get cheating violations with optional filters
+ * Get cheating violations with optional filters (newest first, paginated with limit/offset)
  */
-router.get('/violations', authenticate, requireTeacherOrAdmin, (req, res) => {
-  const { sessionId, email, violationType, startDate, endDate } = req.query;
-
-  const violations = AntiCheatingService.getViolations({
-    sessionId,
-    email,
-    violationType,
-    startDate,
-    endDate,
-  });
-
-  res.json({
-    violations,
-    total: violations.length,
-  });
+router.get('/violations', authenticate, requireTeacherOrAdmin, violationQueryRules(), validate, (req, res) => {
+  const { sessionId, email, violationType, reviewStatus, startDate, endDate } = req.query;
+  const limit = req.query.limit || 50;
+  const offset = req.query.offset || 0;
+
+  const { violations, total } = AntiCheatingService.getViolations(
+    { ...ownerScope(req), sessionId, email, violationType, reviewStatus, startDate, endDate },
+    { limit, offset }
+  );
+
+  res.json({ violations, total, limit, offset });
 });
 
+/**
+ * PATCH /api/cheating/violations/:id/review
+ * Confirm or dismiss a violation (or reopen it) with a note. Dismissing a student's last
+ * standing violation in a session restores their FLAGGED record.
+ */
+router.patch(
+  '/violations/:id/review',
+  authenticate,
+  requireTeacherOrAdmin,
+  [
+    body('status').isIn(REVIEW_STATUSES).withMessage(`Status must be one of ${REVIEW_STATUSES.join(', ')}`),
+    body('note').optional({ values: 'null' }).trim().isLength({ max: 1000 }),
+  ],
+  validate,
+  (req, res) => {
+    const log = getCheatingLogById(req.params.id);
+    if (!log) return res.status(404).json({ error: 'Violation not found' });
+
+    const session = log.sessionId ? getSession(log.sessionId) : null;
+    const isAdmin = req.user.role === 'admin' || !!req.user.isAdmin;
+    if (!isAdmin && session?.teacherId !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const { violation, restored } = AntiCheatingService.reviewViolation(log, {
+      status: req.body.status,
+      note: req.body.note,
+      reviewerId: req.user.id,
+    });
+
+    // The restored record goes through the same audit trail as a manual override
+    if (restored) {
+      const auditId = addAuditEntry({
+        attendanceId: restored.record.id,
+        sessionId: session.id,
+        email: restored.record.email,
+        teacherId: req.user.id,
+        action: 'update',
+        oldValue: { status: restored.record.status, studentName: restored.record.studentName },
+        newValue: { status: restored.newStatus, studentName: restored.record.studentName },
+        reason: `Violation dismissed${req.body.note ? `: ${req.body.note}` : ''}`,
+      });
+      if (session.spreadsheetId) enqueueAttendanceOverride(session.id, auditId);
+      LiveFeed.publishCounts(session.id);
+    }
+
+    res.json({
+      violation: { ...violation, reviewerName: req.user.name },
+      recordStatus: restored ? restored.newStatus : null,
+    });
+  }
+);
+
 /**
  * GET /api/cheating/suspicious
  * Get students with suspicious patterns
  */
 router.get('/suspicious', authenticate, requireTeacherOrAdmin, (req, res) => {
   const minViolations = parseInt(req.query.minViolations) || 3;
-  const suspicious = AntiCheatingService.getSuspiciousStudents(minViolations);
+  const suspicious = AntiCheatingService.getSuspiciousStudents(minViolations, ownerScope(req));
   res.json({ students: suspicious });
 });
 
+/**
+ * GET /api/cheating/clusters
+ * Groups of students who keep submitting together (same IP / device within seconds),
+ * with the sessions as evidence. Refreshed by a background job every 15 minutes.
+ */
+router.get('/clusters', authenticate, requireTeacherOrAdmin, (req, res) => {
+  const minSessions = parseInt(req.query.minSessions) || BuddyPunching.DEFAULT_MIN_SESSIONS;
+  res.json({ clusters: BuddyPunching.getClusters(ownerScope(req), Math.max(2, minSessions)) });
+});
+
 /**
  * GET /api/cheating/stats
  * Get cheating statistics overview
  */
 router.get('/stats', authenticate, requireTeacherOrAdmin, (req, res) => {
-  const allViolations = AntiCheatingService.getViolations();
-
-  const byType = {};
-  allViolations.forEach(v => {
-    byType[v.violationType] = (byType[v.violationType] || 0) + 1;
-  });
-
-  const uniqueStudents = [...new Set(allViolations.map(v => v.email))];
-
-  res.json({
-    totalViolations: allViolations.length,
-    uniqueStudentsFlagged: uniqueStudents.length,
-    byType,
-    recentViolations: allViolations.slice(-10).reverse(),
-  });
+  res.json(AntiCheatingService.getViolationStats(ownerScope(req)));
 });
 
 module.exports = router;
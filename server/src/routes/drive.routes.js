@@ -1,7 +1,6 @@
 const express = require('express');
 const { authenticate, requireTeacher } = require('../middleware/auth.middleware');
-const DriveService = require('../services/drive.service');
-const { findTeacherById } = require('../services/store.service');
+const { getDriveService } = require('../services/token-manager.service');
 const config = require('../config');
 
 const router = express.Router();
@@ -12,12 +11,11 @@ const router = express.Router();
  */
 router.get('/folders', authenticate, requireTeacher, async (req, res) => {
   try {
-    const teacher = findTeacherById(req.user.id);
-    if (!teacher || !teacher.googleTokens) {
+    const driveService = await getDriveService(req.user.id);
+    if (!driveService) {
       return res.status(401).json({ error: 'Google Drive not connected' });
     }
 
-    const driveService = new DriveService(teacher.googleTokens.access_token);
     const rootFolder = await driveService.findFolder(`Attendance-${config.academicYear}`);
 
     if (!rootFolder) {
@@ -38,12 +36,11 @@ router.get('/folders', authenticate, requireTeacher, async (req, res) => {
  */
 router.get('/folder/:folderId/files', authenticate, requireTeacher, async (req, res) => {
   try {
-    const teacher = findTeacherById(req.user.id);
-    if (!teacher || !teacher.googleTokens) {
+    const driveService = await getDriveService(req.user.id);
+    if (!driveService) {
       return res.status(401).json({ error: 'Google Drive not connected' });
     }
 
-    const driveService = new DriveService(teacher.googleTokens.access_token);
     const files = await driveService.listFilesInFolder(req.params.folderId);
     res.json({ files });
   } catch (error) {
@@ -58,12 +55,11 @@ router.get('/folder/:folderId/files', authenticate, requireTeacher, async (req,
  */
 router.get('/sheet/:spreadsheetId', authenticate, requireTeacher, async (req, res) => {
   try {
-    const teacher = findTeacherById(req.user.id);
-    if (!teacher || !teacher.googleTokens) {
+    const driveService = await getDriveService(req.user.id);
+    if (!driveService) {
       return res.status(401).json({ error: 'Google Drive not connected' });
     }
 
-    const driveService = new DriveService(teacher.googleTokens.access_token);
     const records = await driveService.readAttendanceSheet(req.params.spreadsheetId);
     res.json({ records, total: records.length });
   } catch (error) {
@@ -0,0 +1,121 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticate, requireTeacher } = require('../middleware/auth.middleware');
+const { validate, geofenceRule } = require('../middleware/validate.middleware');
+const RoomService = require('../services/room.service');
+
+const router = express.Router();
+
+const roomRules = [
+  body('name').trim().notEmpty().withMessage('Room name required').isLength({ max: 100 }),
+  body('building').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+  body('location.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+  body('location.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+  body('defaultRadius').optional().isInt({ min: 10, max: 1000 }).withMessage('Radius must be 10-1000 meters').toInt(),
+  geofenceRule(),
+];
+
+/**
+ * Room fields from a validated body (400 when it has neither coordinates nor a shape,
+ * 409 when the building already has a room with that name)
+ */
+function readRoom(req, res, exceptId = null) {
+  const { name, building, geofence, defaultRadius } = req.body;
+  const location = req.body.location?.lat != null && req.body.location?.lng != null
+    ? { lat: req.body.location.lat, lng: req.body.location.lng }
+    : null;
+
+  if (!location && !geofence) {
+    res.status(400).json({ error: 'A room needs coordinates or a geofence shape' });
+    return null;
+  }
+  if (RoomService.findDuplicate({ name, building }, exceptId)) {
+    res.status(409).json({ error: 'This building already has a room with that name' });
+    return null;
+  }
+  return { name, building, location, geofence, defaultRadius };
+}
+
+/**
+ * Load a room the current user may edit (404/403 otherwise)
+ */
+function loadEditableRoom(req, res) {
+  const room = RoomService.getRoom(req.params.id);
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return null;
+  }
+  if (!RoomService.canEdit(room, req.user)) {
+    res.status(403).json({ error: 'Only the teacher who added this room can change it' });
+    return null;
+  }
+  return room;
+}
+
+/**
+ * GET /api/rooms
+ * Get the shared room catalog
+ */
+router.get('/', authenticate, requireTeacher, (req, res) => {
+  res.json({ rooms: RoomService.listRooms() });
+});
+
+/**
+ * GET /api/rooms/:id
+ * Get a room
+ */
+router.get('/:id', authenticate, requireTeacher, (req, res) => {
+  const room = RoomService.getRoom(req.params.id);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  res.json({ room });
+});
+
+/**
+ * POST /api/rooms
+ * Add a room: name, building, coordinates ({ lat, lng }) or a geofence shape, default radius
+ */
+router.post('/', authenticate, requireTeacher, roomRules, validate, (req, res) => {
+  const fields = readRoom(req, res);
+  if (!fields) return;
+
+  const room = RoomService.createRoom({ ...fields, createdBy: req.user.id });
+  res.status(201).json({ room });
+});
+
+/**
+ * PUT /api/rooms/:id
+ * Replace a room's details (creator or admin)
+ */
+router.put('/:id', authenticate, requireTeacher, roomRules, validate, (req, res) => {
+  const room = loadEditableRoom(req, res);
+  if (!room) return;
+
+  const fields = readRoom(req, res, room.id);
+  if (!fields) return;
+
+  res.json({ room: RoomService.updateRoom(room, fields) });
+});
+
+/**
+ * DELETE /api/rooms/:id
+ * Delete a room (creator or admin). Rooms still used by a schedule can't be deleted;
+ * past sessions keep the room name they were held in.
+ */
+router.delete('/:id', authenticate, requireTeacher, (req, res) => {
+  const room = loadEditableRoom(req, res);
+  if (!room) return;
+
+  const schedules = RoomService.getSchedulesUsingRoom(room.id);
+  if (schedules.length > 0) {
+    return res.status(409).json({
+      error: `This room is used by ${schedules.length} schedule${schedules.length === 1 ? '' : 's'}`,
+    });
+  }
+
+  RoomService.deleteRoom(room.id);
+  res.json({ success: true, message: 'Room deleted' });
+});
+
+module.exports = router;
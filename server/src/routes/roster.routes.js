@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticate, requireTeacher } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const RosterService = require('../services/roster.service');
+
+const router = express.Router();
+
+// Roster files are uploaded as the raw request body (CSV or XLSX bytes)
+const rawUpload = express.raw({ type: () => true, limit: '5mb' });
+
+/**
+ * Load a roster owned by the current teacher (404/403 otherwise)
+ */
+function loadOwnRoster(req, res) {
+  const roster = RosterService.getRosterWithStudents(req.params.id);
+  if (!roster) {
+    res.status(404).json({ error: 'Roster not found' });
+    return null;
+  }
+  if (roster.teacherId !== req.user.id) {
+    res.status(403).json({ error: 'Not authorized' });
+    return null;
+  }
+  return roster;
+}
+
+/**
+ * GET /api/rosters
+ * Get all rosters for current teacher (with student counts)
+ */
+router.get('/', authenticate, requireTeacher, (req, res) => {
+  res.json({ rosters: RosterService.getRostersForTeacher(req.user.id) });
+});
+
+/**
+ * POST /api/rosters/import?subjectName=&year=&sectionOrGroup=&mode=replace|merge
+ * Upload a CSV/XLSX roster (raw file body) for a subject + year + section/group.
+ * Needs an Email column and a Name (or First/Last name) column; Student ID is optional.
+ */
+router.post(
+  '/import',
+  authenticate,
+  requireTeacher,
+  rawUpload,
+  [
+    query('subjectName').trim().notEmpty().withMessage('Subject name required'),
+    query('year').isInt({ min: 1, max: 5 }).withMessage('Valid year required').toInt(),
+    query('sectionOrGroup').trim().notEmpty().withMessage('Section or group required'),
+    query('mode').optional().isIn(['replace', 'merge']),
+  ],
+  validate,
+  (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Roster file required' });
+    }
+
+    let parsed;
+    try {
+      parsed = RosterService.parseRosterFile(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (parsed.students.length === 0) {
+      return res.status(400).json({ error: 'No valid students found', skipped: parsed.skipped });
+    }
+
+    const { subjectName, year, sectionOrGroup, mode } = req.query;
+    const roster = RosterService.importRoster({
+      teacherId: req.user.id,
+      subjectName,
+      year,
+      sectionOrGroup,
+      students: parsed.students,
+      replace: mode !== 'merge',
+    });
+
+    res.status(201).json({
+      roster,
+      imported: parsed.students.length,
+      skipped: parsed.skipped,
+    });
+  }
+);
+
+/**
+ * GET /api/rosters/:id
+ * Get a roster with its students
+ */
+router.get('/:id', authenticate, requireTeacher, (req, res) => {
+  const roster = loadOwnRoster(req, res);
+  if (roster) res.json({ roster });
+});
+
+/**
+ * POST /api/rosters/:id/students
+ * Add a single student to a roster
+ */
+router.post(
+  '/:id/students',
+  authenticate,
+  requireTeacher,
+  [
+    body('email').isEmail().withMessage('Valid email required'),
+    body('studentName').trim().notEmpty().withMessage('Student name required'),
+    body('studentId').optional().trim(),
+  ],
+  validate,
+  (req, res) => {
+    const roster = loadOwnRoster(req, res);
+    if (!roster) return;
+
+    RosterService.addStudent(roster.id, {
+      email: req.body.email.trim().toLowerCase(),
+      studentName: req.body.studentName,
+      studentId: req.body.studentId || null,
+    });
+    res.status(201).json({ roster: RosterService.getRosterWithStudents(roster.id) });
+  }
+);
+
+/**
+ * DELETE /api/rosters/:id/students/:email
+ * Remove a student from a roster (past attendance is kept)
+ */
+router.delete('/:id/students/:email', authenticate, requireTeacher, (req, res) => {
+  const roster = loadOwnRoster(req, res);
+  if (!roster) return;
+
+  if (!RosterService.removeStudent(roster.id, req.params.email.toLowerCase())) {
+    return res.status(404).json({ error: 'Student not on this roster' });
+  }
+  res.json({ success: true, message: 'Student removed' });
+});
+
+/**
+ * DELETE /api/rosters/:id
+ * Delete a roster
+ */
+router.delete('/:id', authenticate, requireTeacher, (req, res) => {
+  const roster = loadOwnRoster(req, res);
+  if (!roster) return;
+
+  RosterService.deleteRoster(roster.id);
+  res.json({ success: true, message: 'Roster deleted' });
+});
+
+module.exports = router;
@@ -1,14 +1,28 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { authenticate, requireTeacher } = require('../middleware/auth.middleware');
-const { validate } = require('../middleware/validate.middleware');
+const { validate, geofenceRule, roomRule, recurrenceRules } = require('../middleware/validate.middleware');
 const ScheduleService = require('../services/schedule.service');
+const Ical = require('../services/ical.service');
+const TimetableGrid = require('../services/timetable-grid.service');
+const { findTeacherById } = require('../services/store.service');
 
 const router = express.Router();
 
+// .ics and timetable files are uploaded as the raw request body
+const rawUpload = express.raw({ type: () => true, limit: '2mb' });
+
+/**
+ * Public URL of a teacher's timetable feed
+ */
+function feedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/ical/${token}.ics`;
+}
+
 /**
  * POST /api/schedules
- * Create a new schedule
+ * Create a new schedule (recurrence: weekly, biweekly with an A / B week, or custom with
+ * an RRULE; startDate / endDate bound the semester)
  */
 router.post(
   '/',
@@ -22,6 +36,10 @@ router.post(
     body('dayOfWeek').isInt({ min: 0, max: 6 }),
     body('startTime').matches(/^\d{2}:\d{2}$/),
     body('endTime').matches(/^\d{2}:\d{2}$/),
+    body('autoStart').optional().isBoolean().toBoolean(),
+    ...recurrenceRules(),
+    geofenceRule(),
+    roomRule(),
   ],
   validate,
   (req, res) => {
@@ -44,7 +62,7 @@ router.get('/', authenticate, requireTeacher, (req, res) => {
 
 /**
  * GET /api/schedules/today
- * Get today's scheduled sessions
+ * Get today's scheduled sessions (in the teacher's time zone, minus calendar exceptions)
  */
 router.get('/today', authenticate, requireTeacher, (req, res) => {
   const schedules = ScheduleService.getTodaySchedules(req.user.id);
@@ -60,6 +78,168 @@ router.get('/upcoming', authenticate, requireTeacher, (req, res) => {
   res.json({ schedules });
 });
 
+/**
+ * GET /api/schedules/ical/feed
+ * Get the teacher's timetable feed URL (issued on first request)
+ */
+router.get('/ical/feed', authenticate, requireTeacher, (req, res) => {
+  res.json({ url: feedUrl(req, Ical.feedToken(req.user.id)) });
+});
+
+/**
+ * POST /api/schedules/ical/feed/reset
+ * Replace the feed URL — calendars subscribed to the old one stop updating
+ */
+router.post('/ical/feed/reset', authenticate, requireTeacher, (req, res) => {
+  res.json({ url: feedUrl(req, Ical.resetFeedToken(req.user.id)) });
+});
+
+/**
+ * GET /api/schedules/ical/:token.ics
+ * Timetable feed for calendar apps (no login — the token in the URL is the credential)
+ */
+router.get('/ical/:token.ics', (req, res) => {
+  const teacher = Ical.teacherForToken(req.params.token);
+  if (!teacher) {
+    return res.status(404).json({ error: 'Calendar feed not found' });
+  }
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="timetable.ics"',
+    'Cache-Control': 'private, max-age=900',
+  });
+  res.send(Ical.buildFeed(teacher));
+});
+
+/**
+ * POST /api/schedules/ical/import?sessionType=&year=&sectionOrGroup=
+ * Create schedules from the recurring events of an .ics file (raw file body).
+ * SUMMARY → subject, LOCATION → room or classroom name; the query fills in the rest.
+ */
+router.post(
+  '/ical/import',
+  authenticate,
+  requireTeacher,
+  rawUpload,
+  [
+    query('sessionType').isIn(['lecture', 'td', 'lab']).withMessage('Valid session type required'),
+    query('year').isInt({ min: 1, max: 5 }).withMessage('Valid year required').toInt(),
+    query('sectionOrGroup').trim().notEmpty().withMessage('Section or group required'),
+  ],
+  validate,
+  (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Calendar file required' });
+    }
+    const teacher = findTeacherById(req.user.id);
+    if (!teacher) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { sessionType, year, sectionOrGroup } = req.query;
+    let result;
+    try {
+      result = Ical.importCalendar(req.body.toString('utf8'), teacher, { sessionType, year, sectionOrGroup });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (result.created.length === 0) {
+      return res.status(400).json({ error: 'No recurring events could be imported', skipped: result.skipped });
+    }
+
+    res.status(201).json({ schedules: result.created, imported: result.created.length, skipped: result.skipped });
+  }
+);
+
+/**
+ * POST /api/schedules/grid/preview?sheet=&orientation=&headerRow=&headerColumn=&defaultSessionType=&startDate=&endDate=
+ * Parse the department's timetable grid (raw XLSX body) into schedule candidates, each
+ * marked with its conflicts (checked within the semester dates, when given). Nothing is
+ * saved; the detected layout is returned so the teacher can correct it and preview again.
+ */
+router.post(
+  '/grid/preview',
+  authenticate,
+  requireTeacher,
+  rawUpload,
+  [
+    query('sheet').optional({ values: 'falsy' }).isString().isLength({ max: 100 }),
+    query('orientation').optional({ values: 'falsy' }).isIn(TimetableGrid.ORIENTATIONS).withMessage('Invalid orientation'),
+    query('headerRow').optional({ values: 'falsy' }).isInt({ min: 1, max: 1000 }).withMessage('Invalid header row').toInt(),
+    query('headerColumn').optional({ values: 'falsy' }).isInt({ min: 1, max: 1000 }).withMessage('Invalid header column').toInt(),
+    query('defaultSessionType').optional({ values: 'falsy' }).isIn(['lecture', 'td', 'lab']).withMessage('Invalid session type'),
+    query('startDate').optional({ values: 'falsy' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start date must be YYYY-MM-DD'),
+    query('endDate').optional({ values: 'falsy' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('End date must be YYYY-MM-DD'),
+  ],
+  validate,
+  (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Timetable file required' });
+    }
+
+    let result;
+    try {
+      result = TimetableGrid.parseGrid(req.body, req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ ...result, items: TimetableGrid.findConflicts(result.items, req.user.id) });
+  }
+);
+
+/**
+ * POST /api/schedules/grid/import
+ * Create the schedules picked from a grid preview in one go (year, recurrence and
+ * semester dates apply to all of them; a class marked week A or B alternates instead)
+ */
+router.post(
+  '/grid/import',
+  authenticate,
+  requireTeacher,
+  [
+    body('year').isInt({ min: 1, max: 5 }).withMessage('Valid year required').toInt(),
+    body('schedules').isArray({ min: 1, max: 200 }).withMessage('Pick 1 to 200 schedules'),
+    body('schedules.*.sessionType').isIn(['lecture', 'td', 'lab']).withMessage('Valid session type required'),
+    body('schedules.*.subjectName').trim().notEmpty().withMessage('Subject required'),
+    body('schedules.*.sectionOrGroup').trim().notEmpty().withMessage('Section or group required'),
+    body('schedules.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('Valid day required').toInt(),
+    body('schedules.*.startTime').matches(/^\d{2}:\d{2}$/).withMessage('Start time must be HH:MM'),
+    body('schedules.*.endTime')
+      .matches(/^\d{2}:\d{2}$/)
+      .withMessage('End time must be HH:MM')
+      .custom((endTime, { req, path }) => endTime > req.body.schedules[Number(path.match(/\d+/)[0])].startTime)
+      .withMessage('End time must be after the start time'),
+    body('schedules.*.classroomName').optional().isString().isLength({ max: 200 }),
+    roomRule('schedules.*.roomId'),
+    body('schedules.*.weekParity').optional({ values: 'null' }).isIn(['A', 'B']).withMessage('Week must be A or B'),
+    ...recurrenceRules(),
+  ],
+  validate,
+  (req, res) => {
+    const { year, recurrence, rrule, weekParity, startDate, endDate } = req.body;
+    const schedules = req.body.schedules.map(item => ScheduleService.createSchedule({
+      sessionType: item.sessionType,
+      subjectName: item.subjectName,
+      sectionOrGroup: item.sectionOrGroup,
+      dayOfWeek: item.dayOfWeek,
+      startTime: item.startTime,
+      endTime: item.endTime,
+      classroomName: item.classroomName,
+      roomId: item.roomId,
+      year,
+      ...(item.weekParity
+        ? { recurrence: 'biweekly', rrule: null, weekParity: item.weekParity }
+        : { recurrence, rrule, weekParity }),
+      startDate,
+      endDate,
+      teacherId: req.user.id,
+    }));
+
+    res.status(201).json({ schedules, imported: schedules.length });
+  }
+);
+
 /**
  * GET /api/schedules/:id
  * Get a specific schedule
@@ -74,15 +254,22 @@ router.get('/:id', authenticate, requireTeacher, (req, res) => {
 
 /**
  * PUT /api/schedules/:id
- * Update a schedule
+ * Update a schedule (autoStart: open and close its sessions automatically)
  */
-router.put('/:id', authenticate, requireTeacher, (req, res) => {
-  const updated = ScheduleService.updateSchedule(req.params.id, req.user.id, req.body);
-  if (!updated) {
-    return res.status(404).json({ error: 'Schedule not found' });
+router.put(
+  '/:id',
+  authenticate,
+  requireTeacher,
+  [body('autoStart').optional().isBoolean().toBoolean(), ...recurrenceRules(), geofenceRule(), roomRule()],
+  validate,
+  (req, res) => {
+    const updated = ScheduleService.updateSchedule(req.params.id, req.user.id, req.body);
+    if (!updated) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ schedule: updated });
   }
-  res.json({ schedule: updated });
-});
+);
 
 /**
  * DELETE /api/schedules/:id
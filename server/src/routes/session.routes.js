@@ -1,12 +1,23 @@
 const express = require('express');
 const { body } = require('express-validator');
-const config = require('../config');
 const { authenticate, requireTeacher } = require('../middleware/auth.middleware');
-const { validate } = require('../middleware/validate.middleware');
+const { validate, geofenceRule, roomRule } = require('../middleware/validate.middleware');
 const SessionService = require('../services/session.service');
-const DriveService = require('../services/drive.service');
-const { findTeacherById } = require('../services/store.service');
-const { driveQueue } = require('../services/queue.service');
+const RosterService = require('../services/roster.service');
+const ScheduleService = require('../services/schedule.service');
+const RoomService = require('../services/room.service');
+const StudentIdentity = require('../services/student-identity.service');
+const LiveFeed = require('../services/live-feed.service');
+const Geofence = require('../services/geofence.service');
+const Network = require('../services/network.service');
+const config = require('../config');
+const { findTeacherById, getSyncStatusByTeacher } = require('../services/store.service');
+const { isDriveConnected } = require('../services/token-manager.service');
+const {
+  enqueueSessionSetup,
+  enqueueAttendanceReconcile,
+  enqueueViolationReconcile,
+} = require('../services/drive-sync.service');
 
 const router = express.Router();
 
@@ -23,12 +34,22 @@ router.post(
     body('subjectName').notEmpty().withMessage('Subject name required'),
     body('year').isInt({ min: 1, max: 5 }).withMessage('Valid year required'),
     body('sectionOrGroup').notEmpty().withMessage('Section or group required'),
+    body('qrRotationSeconds').optional().isInt({ min: 0, max: 300 }).withMessage('Rotation must be 0-300 seconds'),
+    body('scheduleId').optional({ values: 'falsy' }).isString(),
+    body('startTime').optional({ values: 'falsy' }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:MM'),
+    body('lateGraceMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Grace period must be 0-120 minutes').toInt(),
+    body('requireVerifiedIdentity').optional().isBoolean().toBoolean(),
+    body('networkPolicy').optional().isIn(Network.POLICIES).withMessage(`Network policy must be one of ${Network.POLICIES.join(', ')}`),
+    body('riskFlagThreshold').optional().isInt({ min: 1, max: 100 }).withMessage('Flag threshold must be 1-100').toInt(),
+    body('riskRejectThreshold').optional({ values: 'falsy' }).isInt({ min: 1, max: 100 }).withMessage('Reject threshold must be 1-100').toInt(),
+    geofenceRule(),
+    roomRule(),
   ],
   validate,
   async (req, res) => {
     try {
       const teacher = findTeacherById(req.user.id);
-      if (!teacher || !teacher.googleTokens) {
+      if (!isDriveConnected(teacher)) {
         return res.status(401).json({ error: 'Google Drive not connected' });
       }
 
@@ -39,8 +60,39 @@ router.post(
         sectionOrGroup,
         classroomLocation,
         geofenceRadius,
+        qrRotationSeconds,
+        scheduleId,
+        startTime,
+        lateGraceMinutes,
+        requireVerifiedIdentity,
+        networkPolicy,
+        riskFlagThreshold,
+        riskRejectThreshold,
+        geofence,
+        roomId,
       } = req.body;
 
+      // Late arrivals are measured from the schedule's start time (or one the teacher picked)
+      let schedule = null;
+      if (scheduleId) {
+        schedule = ScheduleService.getScheduleById(scheduleId);
+        if (!schedule || schedule.teacherId !== req.user.id) {
+          return res.status(404).json({ error: 'Schedule not found' });
+        }
+      }
+      // An explicit (even empty) startTime overrides the schedule's
+      const sessionStart = startTime !== undefined ? startTime : schedule?.startTime;
+
+      // A catalog room (picked here, or the schedule's) supplies the location and geofence;
+      // otherwise the teacher's captured location / drawn shape is used
+      const sessionRoomId = roomId !== undefined ? roomId : schedule?.roomId;
+      const room = sessionRoomId ? RoomService.getRoom(sessionRoomId) : null;
+      const place = room ? RoomService.sessionLocation(room) : {
+        classroomLocation: geofence ? Geofence.getCenter(geofence) : classroomLocation || null,
+        geofence: geofence || null,
+        geofenceRadius,
+      };
+
       // ── FAST PATH: Generate QR immediately (no Drive wait) ──
       const result = await SessionService.generateQRCode({
         teacherId: req.user.id,
@@ -48,8 +100,19 @@ router.post(
         subjectName,
         year,
         sectionOrGroup,
-        classroomLocation: classroomLocation || null,
-        geofenceRadius: geofenceRadius || teacher.settings?.defaultGeofenceRadius,
+        ...place,
+        geofenceRadius: place.geofenceRadius || teacher.settings?.defaultGeofenceRadius,
+        qrRotationSeconds: qrRotationSeconds ?? teacher.settings?.qrRotationSeconds,
+        scheduleId: schedule?.id,
+        startsAt: sessionStart
+          ? ScheduleService.timeOnDate(sessionStart, new Date(), ScheduleService.teacherTimeZone(teacher)).toISOString()
+          : null,
+        lateGraceMinutes: lateGraceMinutes ?? teacher.settings?.lateGraceMinutes,
+        requireVerifiedIdentity: requireVerifiedIdentity ?? !!teacher.settings?.requireVerifiedIdentity,
+        networkPolicy: networkPolicy || teacher.settings?.networkPolicy || config.networkPolicy,
+        // Risk score limits — an explicit empty reject threshold means "never reject"
+        riskFlagThreshold: riskFlagThreshold ?? config.riskFlagThreshold,
+        riskRejectThreshold: riskRejectThreshold !== undefined ? riskRejectThreshold || null : config.riskRejectThreshold,
         spreadsheetId: null,   // updated async
         driveFolder: null,     // updated async
       });
@@ -60,38 +123,18 @@ router.post(
         sessionId: result.sessionId,
         qrCodeDataUrl: result.qrCodeDataUrl,
         attendanceUrl: result.attendanceUrl,
+        qrRotationSeconds: result.session.qrRotationSeconds,
+        rotatesAt: result.rotatesAt,
+        startsAt: result.session.startsAt,
+        roomName: result.session.roomName,
         expiresAt: result.expiresAt,
         spreadsheetUrl: null,
         driveStatus: 'creating',
       });
 
       // ── BACKGROUND: Create Drive resources and link to session ──
-      // Keyed by sessionId — each session setup runs independently in parallel
-      driveQueue.enqueue(
-        async () => {
-          const driveService = new DriveService(teacher.googleTokens.access_token);
-
-          const folder = await driveService.createFolderStructure(
-            sessionType,
-            year,
-            sectionOrGroup,
-            config.academicYear
-          );
-
-          const today = new Date().toISOString().split('T')[0];
-          const sheetTitle = `${subjectName}_${sessionType.toUpperCase()}_${today}`;
-          const sheet = await driveService.createAttendanceSheet(sheetTitle, folder.id);
-
-          // Update session with Drive info
-          SessionService.updateSession(result.sessionId, {
-            spreadsheetId: sheet.spreadsheetId,
-            spreadsheetUrl: sheet.spreadsheetUrl,
-            driveFolder: folder,
-          });
-        },
-        `drive-setup-${result.sessionId}`,
-        result.sessionId
-      );
+      // Persisted job keyed by sessionId — each session setup runs independently in parallel
+      enqueueSessionSetup(result.sessionId);
     } catch (error) {
       console.error('QR generation error:', error);
       res.status(500).json({ error: 'Failed to generate QR code' });
@@ -108,13 +151,24 @@ router.get('/active', authenticate, requireTeacher, (req, res) => {
   res.json({ sessions });
 });
 
+// Sync counts for a session with no rows yet
+const EMPTY_SYNC_STATUS = {
+  attendance: { pending: 0, failed: 0, synced: 0 },
+  violations: { pending: 0, failed: 0, synced: 0 },
+};
+
 /**
  * GET /api/sessions/history
- * Get session history for current teacher
+ * Get session history for current teacher (with Sheets sync status per session)
  */
 router.get('/history', authenticate, requireTeacher, (req, res) => {
   const sessions = SessionService.getAllSessionsForTeacher(req.user.id);
-  res.json({ sessions: sessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)) });
+  const syncStatus = getSyncStatusByTeacher(req.user.id);
+  res.json({
+    sessions: sessions
+      .map(s => ({ ...s, syncStatus: syncStatus[s.id] || EMPTY_SYNC_STATUS }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+  });
 });
 
 /**
@@ -140,6 +194,89 @@ router.get('/:id', authenticate, async (req, res) => {
   res.json({ session });
 });
 
+/**
+ * GET /api/sessions/:id/qr
+ * Get the QR code for the current rotation step (polled by the QR display)
+ */
+router.get('/:id/qr', authenticate, requireTeacher, async (req, res) => {
+  const session = SessionService.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.teacherId !== req.user.id) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+
+  try {
+    const qr = await SessionService.getCurrentQRCode(req.params.id);
+    res.json(qr);
+  } catch (error) {
+    console.error('QR refresh error:', error);
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/live
+ * Server-Sent Events stream of check-ins, flags and count changes for the QR display.
+ * Starts with a `snapshot` event (counts + recent check-ins).
+ */
+router.get('/:id/live', authenticate, requireTeacher, (req, res) => {
+  const session = SessionService.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.teacherId !== req.user.id) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+
+  LiveFeed.subscribe(session.id, req, res);
+});
+
+/**
+ * GET /api/sessions/:id/sync
+ * Sheets sync status (pending/failed/synced counts) for a session
+ */
+router.get('/:id/sync', authenticate, requireTeacher, (req, res) => {
+  const session = SessionService.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.teacherId !== req.user.id) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+
+  const syncStatus = getSyncStatusByTeacher(req.user.id)[session.id] || EMPTY_SYNC_STATUS;
+  res.json({ syncStatus, spreadsheetUrl: session.spreadsheetUrl || null });
+});
+
+/**
+ * POST /api/sessions/:id/sync
+ * Re-sync the session's unsynced rows now instead of waiting for the reconciler
+ */
+router.post('/:id/sync', authenticate, requireTeacher, (req, res) => {
+  const session = SessionService.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.teacherId !== req.user.id) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+  if (!session.spreadsheetId) {
+    return res.status(409).json({ error: 'Attendance sheet is still being created' });
+  }
+  if (!isDriveConnected(findTeacherById(req.user.id))) {
+    return res.status(401).json({ error: 'Google Drive not connected' });
+  }
+
+  const queued = enqueueAttendanceReconcile(session.id);
+  enqueueViolationReconcile(session.teacherId);
+  res.json({
+    success: true,
+    message: queued ? 'Re-sync queued' : 'Sync already in progress',
+  });
+});
+
 /**
  * POST /api/sessions/:id/deactivate
  * Deactivate a session
@@ -154,7 +291,11 @@ router.post('/:id/deactivate', authenticate, requireTeacher, (req, res) => {
   }
 
   SessionService.deactivateSession(req.params.id);
-  res.json({ success: true, message: 'Session deactivated' });
+  // Enrolled students who didn't submit are marked ABSENT right away
+  const absent = RosterService.recordAbsences(SessionService.getSession(req.params.id));
+  LiveFeed.publishCounts(req.params.id);
+  LiveFeed.publishClosed(req.params.id);
+  res.json({ success: true, message: 'Session deactivated', absent });
 });
 
 /**
@@ -182,12 +323,50 @@ router.post(
 );
 
 /**
- * GET /api/sessions/:id/validate
+ * GET /api/sessions/:id/validate?t=<qrToken>
  * Check if session is valid (used by student-facing app)
+ * For rotating sessions the scanned token must be within the grace period; the response
+ * carries a scan ticket so the submission is judged as of this scan.
  */
 router.get('/:id/validate', (req, res) => {
   const result = SessionService.isSessionValid(req.params.id);
-  res.json(result);
+  if (!result.valid) {
+    return res.json(result);
+  }
+
+  const { session } = result;
+
+  // A signed-in student's QR token was checked when they left for Google — judge it as of then
+  const identity = StudentIdentity.readIdentity(req, session.id);
+  const tokenCheck = identity
+    ? SessionService.verifyQRToken(session, identity.qrToken, config.qrTokenGraceSeconds, identity.scannedAt)
+    : SessionService.verifyQRToken(session, req.query.t, config.qrTokenGraceSeconds);
+  if (tokenCheck.status === 'invalid') {
+    return res.json({ valid: false, reason: 'Invalid QR code — scan the code shown in class' });
+  }
+  if (tokenCheck.status === 'stale') {
+    return res.json({ valid: false, stale: true, reason: 'This QR code has expired — scan the code currently on screen' });
+  }
+
+  res.json({
+    valid: true,
+    // Only what the student page shows — geofence, network policy and risk thresholds stay private
+    session: {
+      id: session.id,
+      subjectName: session.subjectName,
+      sessionType: session.sessionType,
+      year: session.year,
+      sectionOrGroup: session.sectionOrGroup,
+      roomName: session.roomName,
+      expiresAt: session.expiresAt,
+      requireVerifiedIdentity: session.requireVerifiedIdentity,
+    },
+    studentEmailDomain: session.requireVerifiedIdentity ? config.studentEmailDomain || null : undefined,
+    // Rotating codes only — signed-in students' scan time travels in the identity cookie
+    scanTicket: tokenCheck.status === 'fresh' && !identity
+      ? SessionService.createScanTicket(session.id, req.query.t)
+      : undefined,
+  });
 });
 
 module.exports = router;
@@ -1,73 +1,498 @@
 const geolib = require('geolib');
+const jwt = require('jsonwebtoken');
 const config = require('../config');
+const Geofence = require('./geofence.service');
+const Network = require('./network.service');
 const {
   getAttendanceBySession,
   addCheatingLog,
-  getCheatingStore,
+  listCheatingLogs,
+  countCheatingLogs,
+  summarizeCheatingLogs,
+  listRepeatOffenders,
   getCheatingBySession,
   getCheatingByEmail,
+  reviewCheatingLog,
+  appealCheatingLogs,
+  hasCheatingLog,
+  findAttendanceInSession,
+  getLastLocatedCheckIn,
+  updateAttendanceStatus,
 } = require('./store.service');
 
+// Violation logged for submissions rejected by the email allowlist
+const EMAIL_NOT_ALLOWED = 'Email Not Allowed';
+
+// Violation logged for submissions from outside the campus networks
+const OFF_CAMPUS_NETWORK = 'Off-Campus Network';
+
+// Violation logged when one browser (device token) submits for several students
+const DUPLICATE_DEVICE = 'Duplicate Device';
+
+// Weak device evidence — stored on the record for review, never flags it on its own
+const SIGNAL_WEIGHT = {
+  LOW: 'low',         // e.g. a shared IP: the whole lecture hall sits behind one NAT
+  MEDIUM: 'medium',   // e.g. the same browser fingerprint under a different device token
+};
+
+// Violation logged when the student couldn't have got here from their previous check-in in time
+const IMPOSSIBLE_TRAVEL = 'Impossible Travel';
+
+// Check-ins closer than this (after GPS error) are the same or a neighbouring building
+const TRAVEL_MIN_METERS = 500;
+
+// Violation logged for submissions flagged or rejected for their risk score
+const HIGH_RISK = 'High Risk Submission';
+
+// Teacher review of a logged violation
+const REVIEW = {
+  OPEN: 'open',
+  CONFIRMED: 'confirmed',
+  DISMISSED: 'dismissed',
+};
+
+// How long after submitting a student can still appeal
+const APPEAL_TTL_SECONDS = 14 * 24 * 60 * 60;
+
+// Geofence decisions stored with each attendance record
+const LOCATION = {
+  INSIDE: 'inside',
+  UNCERTAIN: 'uncertain',
+  OUTSIDE: 'outside',
+  UNKNOWN: 'unknown',   // the student shared no location
+  SKIPPED: 'skipped',   // the session has no classroom location
+};
+
+// The client reports its own GPS error and fix age — anything beyond these is capped, so a
+// made-up error radius can't stretch over a student who is far from the classroom
+const MAX_GPS_ACCURACY_METERS = 500;
+const MAX_LOCATION_AGE_SECONDS = 60 * 60;
+
+// Compiled local-part patterns, keyed by source (null = invalid, ignored)
+const patternCache = new Map();
+function compilePattern(source) {
+  if (!patternCache.has(source)) {
+    try {
+      patternCache.set(source, new RegExp(`^(?:${source})$`, 'i'));
+    } catch (err) {
+      console.warn(`[AntiCheating] Ignoring invalid email pattern "${source}": ${err.message}`);
+      patternCache.set(source, null);
+    }
+  }
+  return patternCache.get(source);
+}
+
+// ── Risk scoring ──
+// Points each piece of evidence adds to a submission's 0–100 risk score
+const RISK_WEIGHTS = {
+  outside: 50,               // confidently outside the geofence (never below the flag threshold)...
+  outsidePer100m: 10,        // ...plus this per 100 m beyond the edge
+  outsideMax: 30,
+  uncertain: 15,             // GPS couldn't confirm either way
+  noLocation: 20,            // the student shared no location
+  coarseFixMeters: 100,      // fixes less precise than this...
+  coarseFix: 10,             // ...add this
+  staleFix: 10,
+  duplicateDevice: 70,       // same device token as another student
+  deviceSignal: { [SIGNAL_WEIGHT.LOW]: 5, [SIGNAL_WEIGHT.MEDIUM]: 15 },
+  offCampus: 50,
+  impossibleTravel: 60,
+  staleQrToken: 50,          // scanned after the grace period (a photo of an old code)
+  lateScanMax: 15,           // scanned after rotation but within the grace period, scaled by age
+  pastViolation: 5,          // per violation in earlier sessions...
+  historyMax: 20,            // ...up to this
+};
+
+/**
+ * Scorers turn the checks' results into risk points. Each takes the submission context
+ * ({ sessionId, email, studentLocation, locationResult, duplicateResult, networkResult,
+ * travelResult, qrTokenResult, riskThresholds }) and returns one { points, reason }, several, or null.
+ * Add more with AntiCheatingService.registerRiskScorer().
+ */
+const riskScorers = [
+  {
+    signal: 'distance',
+    score({ locationResult, riskThresholds }) {
+      switch (locationResult.decision) {
+        case LOCATION.OUTSIDE: {
+          const extra = Math.min(
+            RISK_WEIGHTS.outsideMax,
+            Math.floor(locationResult.distance / 100) * RISK_WEIGHTS.outsidePer100m
+          );
+          const points = Math.max(RISK_WEIGHTS.outside + extra, riskThresholds?.flag || 0);
+          return { points, reason: locationResult.reason };
+        }
+        case LOCATION.UNCERTAIN:
+          return { points: RISK_WEIGHTS.uncertain, reason: locationResult.reason };
+        case LOCATION.UNKNOWN:
+          return { points: RISK_WEIGHTS.noLocation, reason: 'No location shared' };
+        default:
+          return null;
+      }
+    },
+  },
+  {
+    signal: 'gpsAccuracy',
+    score({ studentLocation }) {
+      if (!studentLocation) return null;
+      const results = [];
+      if (studentLocation.accuracy > RISK_WEIGHTS.coarseFixMeters) {
+        results.push({ points: RISK_WEIGHTS.coarseFix, reason: `Coarse GPS fix (±${Math.round(studentLocation.accuracy)}m)` });
+      }
+      if (studentLocation.age > config.maxLocationAgeSeconds) {
+        results.push({ points: RISK_WEIGHTS.staleFix, reason: `GPS fix was ${studentLocation.age}s old` });
+      }
+      return results;
+    },
+  },
+  {
+    signal: 'device',
+    score({ duplicateResult }) {
+      if (duplicateResult.isDuplicate) {
+        return { points: RISK_WEIGHTS.duplicateDevice, reason: duplicateResult.reason };
+      }
+      return duplicateResult.signals.map(sig => ({
+        points: RISK_WEIGHTS.deviceSignal[sig.weight] || 0,
+        reason: sig.details,
+      }));
+    },
+  },
+  {
+    signal: 'network',
+    score({ networkResult }) {
+      return networkResult.offCampus ? { points: RISK_WEIGHTS.offCampus, reason: networkResult.reason } : null;
+    },
+  },
+  {
+    signal: 'travel',
+    score({ travelResult }) {
+      return travelResult.impossible ? { points: RISK_WEIGHTS.impossibleTravel, reason: travelResult.reason } : null;
+    },
+  },
+  {
+    signal: 'timing',
+    score({ qrTokenResult }) {
+      if (!qrTokenResult || !qrTokenResult.ageSeconds) return null;
+      if (qrTokenResult.status === 'stale') {
+        return {
+          points: RISK_WEIGHTS.staleQrToken,
+          reason: `QR code was scanned ${qrTokenResult.ageSeconds}s after it rotated off screen`,
+        };
+      }
+      const share = Math.min(1, qrTokenResult.ageSeconds / config.qrTokenGraceSeconds);
+      return {
+        points: Math.round(RISK_WEIGHTS.lateScanMax * share),
+        reason: `QR code was scanned ${qrTokenResult.ageSeconds}s after it rotated (within the grace period)`,
+      };
+    },
+  },
+  {
+    signal: 'history',
+    score({ sessionId, email }) {
+      const past = getCheatingByEmail(email)
+        .filter(l => l.sessionId !== sessionId && l.reviewStatus !== REVIEW.DISMISSED);
+      if (past.length === 0) return null;
+      return {
+        points: Math.min(RISK_WEIGHTS.historyMax, past.length * RISK_WEIGHTS.pastViolation),
+        reason: `${past.length} violation${past.length === 1 ? '' : 's'} in earlier sessions`,
+      };
+    },
+  },
+];
+
+/**
+ * Date filters as ISO timestamps, so SQL can compare them with the stored ones
+ */
+function normalizeDates(filters) {
+  const toIso = (value) => (value ? new Date(value).toISOString() : undefined);
+  return { ...filters, startDate: toIso(filters.startDate), endDate: toIso(filters.endDate) };
+}
+
+/**
+ * Whether a domain is on a list (subdomains of a listed domain count)
+ */
+function domainAllowed(domain, allowed) {
+  return allowed.some(d => domain === d || domain.endsWith(`.${d}`));
+}
+
 /**
  * Anti-Cheating Service
  * Handles location verification, duplicate detection, and violation logging
  */
 class AntiCheatingService {
   /**
-   * Validate student's location against classroom geofence
-   * @returns {{ valid: boolean, distance: number }}
+   * Validate student's location against classroom geofence, weighing the GPS error radius.
+   *
+   * - outside:   even the nearest point of the error circle is beyond the geofence — old
+   *              fixes included, and the error radius counts for at most 500 m
+   * - inside:    the fix is inside, fresh, and no less precise than the geofence itself
+   * - uncertain: anything in between (indoor GPS drift, coarse or old fixes) — left for review
+   *
+   * Fixes without an accuracy (older clients) are judged as a single point.
+   * With a polygon / multi-circle `geofence`, `distance` is measured to the nearest edge;
+   * with the legacy single circle it stays the distance to the classroom point.
+   * @param {Object} studentLocation - { lat, lng, accuracy?, age? } (accuracy in m, age in s)
+   * @param {Object} [geofence] - stored shape (see geofence.service), overrides the circle
+   * @returns {{ valid: boolean, decision: string, distance: number, reason: string }}
    */
-  static validateLocation(studentLocation, classroomLocation, radius) {
+  static validateLocation(studentLocation, classroomLocation, radius, geofence = null) {
     if (!studentLocation || !studentLocation.lat || !studentLocation.lng) {
-      return { valid: false, distance: -1, reason: 'No location data' };
+      return { valid: false, decision: LOCATION.UNKNOWN, distance: -1, reason: 'No location data' };
     }
 
-    if (!classroomLocation || !classroomLocation.lat || !classroomLocation.lng) {
+    if (!geofence && (!classroomLocation || !classroomLocation.lat || !classroomLocation.lng)) {
       // If no classroom location set, skip geofencing
-      return { valid: true, distance: 0, reason: 'No classroom location configured' };
+      return { valid: true, decision: LOCATION.SKIPPED, distance: 0, reason: 'No classroom location configured' };
     }
 
-    const distance = geolib.getDistance(
-      { latitude: studentLocation.lat, longitude: studentLocation.lng },
-      { latitude: classroomLocation.lat, longitude: classroomLocation.lng }
-    );
-
     const geofenceRadius = radius || config.defaultGeofenceRadius;
+    const shape = geofence || { type: 'circles', circles: [{ ...classroomLocation, radius: geofenceRadius }] };
+    const { inside, edgeDistance, scale } = Geofence.measure(studentLocation, shape);
+
+    let distance;
+    let where;
+    if (geofence) {
+      distance = edgeDistance;
+      where = inside ? 'inside the geofence' : `${edgeDistance}m from the nearest geofence edge`;
+    } else {
+      distance = geolib.getDistance(
+        { latitude: studentLocation.lat, longitude: studentLocation.lng },
+        { latitude: classroomLocation.lat, longitude: classroomLocation.lng }
+      );
+      where = `${distance}m away`;
+    }
 
+    const accuracy = studentLocation.accuracy > 0
+      ? Math.round(Math.min(studentLocation.accuracy, MAX_GPS_ACCURACY_METERS))
+      : 0;
+    const isStale = studentLocation.age > config.maxLocationAgeSeconds;
+    const limits = [
+      !geofence && `limit: ${geofenceRadius}m`,
+      accuracy && `GPS accuracy: ±${accuracy}m`,
+    ].filter(Boolean).join(', ');
+    const describe = (text) => (limits ? `${text} (${limits})` : text);
+
+    if (!inside && edgeDistance > accuracy) {
+      return {
+        valid: false,
+        decision: LOCATION.OUTSIDE,
+        distance,
+        reason: describe(`Student is ${where}`),
+      };
+    }
+    if (isStale) {
+      return {
+        valid: true,
+        decision: LOCATION.UNCERTAIN,
+        distance,
+        reason: describe(`Location fix was ${studentLocation.age}s old — student was ${where}`),
+      };
+    }
+    if (inside && accuracy <= scale) {
+      return { valid: true, decision: LOCATION.INSIDE, distance, reason: 'Within geofence' };
+    }
     return {
-      valid: distance <= geofenceRadius,
+      valid: true,
+      decision: LOCATION.UNCERTAIN,
       distance,
-      reason: distance > geofenceRadius
-        ? `Student is ${distance}m away (limit: ${geofenceRadius}m)`
-        : 'Within geofence',
+      reason: describe(`GPS error overlaps the geofence edge — student is ${where}`),
     };
   }
 
   /**
-   * Check for duplicate device (same IP or MAC in same session)
-   * @returns {{ isDuplicate: boolean, duplicateOf: string[] }}
+   * Check a student email against the institution allowlist and the teacher's own.
+   * Each level can only narrow what's accepted: the email must pass both.
+   * @param {Object} [teacherSettings] - { allowedEmailDomains: string[], emailLocalPattern: string }
+   * @returns {{ allowed: boolean, reason: string }}
    */
-  static checkDuplicateDevice(sessionId, ipAddress, macAddress) {
-    const sessionRecords = getAttendanceBySession(sessionId);
+  static checkEmailAllowed(email, teacherSettings = {}) {
+    const [localPart, domain = ''] = String(email).toLowerCase().split('@');
 
-    const duplicates = sessionRecords.filter(r =>
-      (ipAddress && r.ipAddress === ipAddress) ||
-      (macAddress && r.macAddress === macAddress)
-    );
+    const levels = [
+      { domains: config.allowedEmailDomains, pattern: config.studentEmailLocalPattern },
+      { domains: teacherSettings.allowedEmailDomains || [], pattern: teacherSettings.emailLocalPattern },
+    ];
+
+    for (const { domains, pattern } of levels) {
+      if (domains.length > 0 && !domainAllowed(domain, domains)) {
+        return {
+          allowed: false,
+          reason: `Use your university email (${domains.map(d => `@${d}`).join(', ')})`,
+        };
+      }
+      const regex = pattern && compilePattern(pattern);
+      if (regex && !regex.test(localPart)) {
+        return { allowed: false, reason: 'This email address is not a valid student address' };
+      }
+    }
+
+    return { allowed: true, reason: 'Email allowed' };
+  }
+
+  /**
+   * Log a submission rejected by the email allowlist — once per session and email, so
+   * retries (or a script hammering the public endpoint) don't pile up rows and sync jobs
+   * @returns {number|null} cheating log ID (null when already logged)
+   */
+  static logRejectedEmail({ sessionId, studentName, email, ipAddress, macAddress, reason }) {
+    if (hasCheatingLog(sessionId, email, EMAIL_NOT_ALLOWED)) return null;
+    return this.logViolation({
+      timestamp: new Date().toISOString(),
+      sessionId,
+      studentName,
+      email,
+      violationType: EMAIL_NOT_ALLOWED,
+      details: `Submission rejected — ${reason}`,
+      distance: 0,
+      ipAddress,
+      macAddress,
+    });
+  }
+
+  /**
+   * Check the submitting address against the campus networks (institution ranges + the teacher's)
+   * @param {string} policy - session network policy (require / prefer / ignore)
+   * @returns {{ offCampus: boolean, reason: string }}
+   */
+  static checkNetwork(ipAddress, policy, teacherNetworks = []) {
+    const ranges = [...config.campusNetworks, ...teacherNetworks];
+    if (!policy || policy === Network.POLICY.IGNORE || ranges.length === 0) {
+      return { offCampus: false, reason: 'Network not checked' };
+    }
+    if (Network.isInNetworks(ipAddress, ranges)) {
+      return { offCampus: false, reason: 'On a campus network' };
+    }
+    return {
+      offCampus: true,
+      reason: `Submitted from ${ipAddress || 'an unknown address'}, outside the campus networks`,
+    };
+  }
 
-    if (duplicates.length > 0) {
+  /**
+   * Check whether this browser already submitted for someone else in the session.
+   *
+   * Only the signed device token is proof: the same token under a different email is a
+   * duplicate. A matching fingerprint (identical phone models collide) or IP address
+   * (campus NAT) is returned as a signal for review instead.
+   * @param {Object} device - { email, deviceId, fingerprint, ipAddress }
+   * @returns {{ isDuplicate: boolean, duplicateOf: string[], reason: string, signals: Object[] }}
+   */
+  static checkDuplicateDevice(sessionId, { email, deviceId, fingerprint, ipAddress }) {
+    const others = getAttendanceBySession(sessionId)
+      .filter(r => r.email.toLowerCase() !== String(email).toLowerCase());
+    const names = (records) => records.map(r => `${r.studentName} (${r.email})`).join(', ');
+
+    const sameDevice = deviceId ? others.filter(r => r.deviceId === deviceId) : [];
+    if (sameDevice.length > 0) {
       return {
         isDuplicate: true,
-        duplicateOf: duplicates.map(d => d.email),
-        reason: `Device already used by: ${duplicates.map(d => d.studentName).join(', ')}`,
+        duplicateOf: sameDevice.map(r => r.email),
+        reason: `Device already used by: ${names(sameDevice)}`,
+        signals: [],
       };
     }
 
-    return { isDuplicate: false, duplicateOf: [], reason: 'No duplicates found' };
+    const signals = [];
+    if (!deviceId) {
+      signals.push({
+        type: 'No Device Token',
+        weight: SIGNAL_WEIGHT.LOW,
+        details: 'Browser sent no valid device token (private browsing or cleared storage)',
+      });
+    }
+
+    const sameFingerprint = fingerprint ? others.filter(r => r.fingerprint === fingerprint) : [];
+    if (sameFingerprint.length > 0) {
+      signals.push({
+        type: 'Same Fingerprint',
+        weight: SIGNAL_WEIGHT.MEDIUM,
+        details: `Same browser fingerprint as ${names(sameFingerprint.slice(0, 3))}` +
+          (sameFingerprint.length > 3 ? ` and ${sameFingerprint.length - 3} more` : ''),
+      });
+    }
+
+    const sameNetwork = ipAddress ? others.filter(r => r.ipAddress === ipAddress) : [];
+    if (sameNetwork.length > 0) {
+      signals.push({
+        type: 'Shared Network',
+        weight: SIGNAL_WEIGHT.LOW,
+        details: `Same IP address as ${sameNetwork.length} earlier submission${sameNetwork.length === 1 ? '' : 's'}`,
+      });
+    }
+
+    return { isDuplicate: false, duplicateOf: [], reason: 'No duplicates found', signals };
   }
 
   /**
-   * Full validation pipeline for attendance submission
+   * Compare this check-in with the student's previous one in another session: the distance
+   * between them (less both fixes' GPS error) over the time between them is the speed they
+   * must have travelled at. Above MAX_TRAVEL_SPEED_KMH someone else is checking them in.
+   * @param {Object} studentLocation - { lat, lng, accuracy? }
+   * @returns {{ impossible: boolean, speedKmh: number|null, reason: string }}
+   */
+  static checkImpossibleTravel(sessionId, email, studentLocation, now = new Date()) {
+    if (!studentLocation || !studentLocation.lat || !studentLocation.lng) {
+      return { impossible: false, speedKmh: null, reason: 'No location data' };
+    }
+    const previous = getLastLocatedCheckIn(email, sessionId);
+    if (!previous) {
+      return { impossible: false, speedKmh: null, reason: 'No earlier check-in with a location' };
+    }
+
+    // Records without a usable fix (stored as "N/A" or garbage) can't place the student
+    const from = { latitude: parseFloat(previous.latitude), longitude: parseFloat(previous.longitude) };
+    const to = { latitude: parseFloat(studentLocation.lat), longitude: parseFloat(studentLocation.lng) };
+    if (![from.latitude, from.longitude, to.latitude, to.longitude].every(Number.isFinite)) {
+      return { impossible: false, speedKmh: null, reason: 'No usable location to compare' };
+    }
+
+    const meters = geolib.getDistance(to, from);
+    const distance = Math.max(0, meters - (studentLocation.accuracy || 0) - (previous.locationAccuracy || 0));
+    const elapsedMs = Math.max(now - new Date(previous.timestamp), 60 * 1000); // at least a minute
+    const speedKmh = Math.round((distance / 1000) / (elapsedMs / 3600000));
+    const minutes = Math.round(elapsedMs / 60000);
+
+    if (distance < TRAVEL_MIN_METERS || speedKmh <= config.maxTravelSpeedKmh) {
+      return { impossible: false, speedKmh, reason: 'Plausible travel from the previous check-in' };
+    }
+    return {
+      impossible: true,
+      speedKmh,
+      reason: `Checked in ${(distance / 1000).toFixed(1)}km away ${minutes} min earlier ` +
+        `(~${speedKmh} km/h, limit: ${config.maxTravelSpeedKmh} km/h)`,
+    };
+  }
+
+  /**
+   * Add a scorer to the risk pipeline
+   * @param {{ signal: string, score: Function }} scorer - see riskScorers
+   */
+  static registerRiskScorer(scorer) {
+    riskScorers.push(scorer);
+  }
+
+  /**
+   * Combine every scorer's points into a 0–100 risk score
+   * @returns {{ score: number, reasons: Array<{ signal: string, points: number, reason: string }> }}
+   */
+  static scoreRisk(context) {
+    const reasons = [];
+    for (const scorer of riskScorers) {
+      for (const result of [].concat(scorer.score(context) || [])) {
+        if (result.points > 0) reasons.push({ signal: scorer.signal, ...result });
+      }
+    }
+    reasons.sort((a, b) => b.points - a.points);
+
+    const total = reasons.reduce((sum, r) => sum + r.points, 0);
+    return { score: Math.min(100, total), reasons };
+  }
+
+  /**
+   * Full validation pipeline for attendance submission.
+   * The checks log their violations; whether the record is flagged (or rejected) is decided
+   * by the combined risk score against the session's thresholds.
+   * @param {Object} params.riskThresholds - { flag, reject } (reject null = never reject)
    */
   static async validateSubmission(params) {
     const {
@@ -76,21 +501,61 @@ class AntiCheatingService {
       email,
       ipAddress,
       macAddress,
+      deviceId,
+      fingerprint,
       studentLocation,
       classroomLocation,
       geofenceRadius,
+      geofence,
+      qrTokenResult,
+      networkAddress,
+      networkPolicy,
+      campusNetworks,
+      riskThresholds,
     } = params;
 
     const violations = [];
 
+    // 0. Campus network — "require" rejects the submission before anything is recorded.
+    // Logged once per session and email, so retries until the student joins the Wi-Fi
+    // don't pile up rows and sync jobs.
+    const networkResult = this.checkNetwork(networkAddress, networkPolicy, campusNetworks);
+    if (networkResult.offCampus && networkPolicy === Network.POLICY.REQUIRE) {
+      const violation = { type: OFF_CAMPUS_NETWORK, details: `Submission rejected — ${networkResult.reason}`, distance: 0 };
+      const loggedViolationIds = [];
+      if (!hasCheatingLog(sessionId, email, OFF_CAMPUS_NETWORK)) {
+        loggedViolationIds.push(this.logViolation({
+          timestamp: new Date().toISOString(),
+          sessionId,
+          studentName,
+          email,
+          violationType: violation.type,
+          details: violation.details,
+          distance: violation.distance,
+          ipAddress,
+          macAddress,
+        }));
+      }
+      return {
+        isValid: false,
+        rejected: true,
+        rejectedBy: OFF_CAMPUS_NETWORK,
+        violations: [violation],
+        loggedViolationIds,
+        networkResult,
+      };
+    }
+
     // 1. Location validation
     const locationResult = this.validateLocation(
       studentLocation,
       classroomLocation,
-      geofenceRadius
+      geofenceRadius,
+      geofence
     );
 
-    if (!locationResult.valid && locationResult.distance >= 0) {
+    // Only a confident "outside" is a violation — "uncertain" is stored on the record for review
+    if (locationResult.decision === LOCATION.OUTSIDE) {
       violations.push({
         type: 'Location Violation',
         details: locationResult.reason,
@@ -98,21 +563,78 @@ class AntiCheatingService {
       });
     }
 
-    // 2. Duplicate device detection
-    const duplicateResult = this.checkDuplicateDevice(sessionId, ipAddress, macAddress);
+    // 2. Duplicate device detection (device token; fingerprint / IP matches are only signals)
+    const duplicateResult = this.checkDuplicateDevice(sessionId, { email, deviceId, fingerprint, ipAddress });
 
     if (duplicateResult.isDuplicate) {
       violations.push({
-        type: 'Duplicate Device',
+        type: DUPLICATE_DEVICE,
         details: duplicateResult.reason,
         distance: locationResult.distance >= 0 ? locationResult.distance : 0,
       });
     }
 
-    // 3. Log violations if any
+    // 3. Stale QR token (scanned from a photo of an older code)
+    if (qrTokenResult && qrTokenResult.status === 'stale') {
+      violations.push({
+        type: 'Stale QR Token',
+        details: `QR code was scanned ${qrTokenResult.ageSeconds}s after it rotated off screen ` +
+          `(limit: ${config.qrTokenGraceSeconds}s)`,
+        distance: locationResult.distance >= 0 ? locationResult.distance : 0,
+      });
+    }
+
+    // 4. Off-campus network under "prefer" — accepted, but flagged
+    if (networkResult.offCampus) {
+      violations.push({
+        type: OFF_CAMPUS_NETWORK,
+        details: networkResult.reason,
+        distance: locationResult.distance >= 0 ? locationResult.distance : 0,
+      });
+    }
+
+    // 5. Impossible travel since the student's previous check-in (a proxy checking them in)
+    const travelResult = this.checkImpossibleTravel(sessionId, email, studentLocation);
+    if (travelResult.impossible) {
+      violations.push({
+        type: IMPOSSIBLE_TRAVEL,
+        details: travelResult.reason,
+        distance: locationResult.distance >= 0 ? locationResult.distance : 0,
+      });
+    }
+
+    // 6. Risk score — flags the record, or rejects it outright at the session's limit
+    const risk = this.scoreRisk({
+      sessionId,
+      email,
+      studentLocation,
+      locationResult,
+      duplicateResult,
+      networkResult,
+      travelResult,
+      qrTokenResult,
+      riskThresholds,
+    });
+    // Logged whenever the score flags the record, so there is always something to review or
+    // appeal — weak signals can add up to a flag without any single violation
+    const rejected = riskThresholds.reject != null && risk.score >= riskThresholds.reject;
+    const flagged = risk.score >= riskThresholds.flag;
+    if (rejected || flagged) {
+      const outcome = rejected ? 'Submission rejected' : 'Submission flagged';
+      violations.push({
+        type: HIGH_RISK,
+        details: `${outcome} — risk score ${risk.score}: ${risk.reasons.map(r => r.reason).join('; ')}`,
+        distance: locationResult.distance >= 0 ? locationResult.distance : 0,
+      });
+    }
+
+    // 7. Log violations if any. A rejected submission records nothing, so the student may
+    // retry — each violation type is logged once per session and email, like rejected emails.
+    const loggedViolationIds = [];
     if (violations.length > 0) {
       for (const v of violations) {
-        this.logViolation({
+        if (rejected && hasCheatingLog(sessionId, email, v.type)) continue;
+        loggedViolationIds.push(this.logViolation({
           timestamp: new Date().toISOString(),
           sessionId,
           studentName,
@@ -122,95 +644,166 @@ class AntiCheatingService {
           distance: v.distance,
           ipAddress,
           macAddress,
-        });
+        }));
       }
 
-      // Also flag the FIRST previous duplicate (limit to avoid O(N²) with shared WiFi)
+      // Also flag the FIRST previous student on this device (not all N) — synced with the rest
       if (duplicateResult.isDuplicate && duplicateResult.duplicateOf.length > 0) {
-        // Only back-flag the first matching student, not all N
         const firstDupEmail = duplicateResult.duplicateOf[0];
         const records = getAttendanceBySession(sessionId);
         const existingRecord = records.find(r => r.email === firstDupEmail);
-        if (existingRecord) {
-          this.logViolation({
+        const alreadyLogged = rejected && hasCheatingLog(sessionId, firstDupEmail, DUPLICATE_DEVICE);
+        if (existingRecord && !alreadyLogged) {
+          loggedViolationIds.push(this.logViolation({
             timestamp: new Date().toISOString(),
             sessionId,
             studentName: existingRecord.studentName,
             email: firstDupEmail,
-            violationType: 'Duplicate Device',
+            violationType: DUPLICATE_DEVICE,
             details: `Same device used by ${studentName} (${email})`,
             distance: 0,
             ipAddress,
             macAddress,
-          });
+          }));
         }
       }
     }
 
     return {
-      isValid: violations.length === 0,
+      isValid: !flagged,
+      rejected,
+      rejectedBy: rejected ? HIGH_RISK : null,
+      risk,
       violations,
+      loggedViolationIds,
       locationResult,
       duplicateResult,
+      networkResult,
+      travelResult,
     };
   }
 
   /**
    * Log a violation to the cheating store
+   * @returns {number} cheating log ID
    */
   static logViolation(violation) {
-    addCheatingLog(violation);
+    return addCheatingLog(violation);
   }
 
   /**
-   * Get all violations, optionally filtered
+   * Record a teacher's review of a violation. Once every violation the student has in that
+   * session is dismissed, their FLAGGED record is restored (LATE if they were late).
+   * @returns {{ violation: Object, restored: { record: Object, newStatus: string } | null }}
    */
-  static getViolations(filters = {}) {
-    let logs = getCheatingStore();
+  static reviewViolation(log, { status, note, reviewerId }) {
+    const violation = reviewCheatingLog(log.id, { status, reviewedBy: reviewerId, note });
+    if (status !== REVIEW.DISMISSED || !log.sessionId) return { violation, restored: null };
 
-    if (filters.sessionId) {
-      logs = logs.filter(l => l.sessionId === filters.sessionId);
-    }
-    if (filters.email) {
-      logs = logs.filter(l => l.email === filters.email);
-    }
-    if (filters.violationType) {
-      logs = logs.filter(l => l.violationType === filters.violationType);
-    }
-    if (filters.startDate) {
-      logs = logs.filter(l => new Date(l.timestamp) >= new Date(filters.startDate));
+    const standing = getCheatingBySession(log.sessionId).filter(l =>
+      l.email.toLowerCase() === log.email.toLowerCase() && l.reviewStatus !== REVIEW.DISMISSED
+    );
+    const record = findAttendanceInSession(log.sessionId, log.email);
+    if (standing.length > 0 || !record || record.status !== 'FLAGGED') {
+      return { violation, restored: null };
     }
-    if (filters.endDate) {
-      logs = logs.filter(l => new Date(l.timestamp) <= new Date(filters.endDate));
+
+    const newStatus = record.minutesLate != null ? 'LATE' : 'PRESENT';
+    updateAttendanceStatus(record.id, newStatus);
+    return { violation, restored: { record, newStatus } };
+  }
+
+  /**
+   * Token handed to every student whose submission was recorded, so they can appeal a flag
+   * they can't see (silent flagging) without an account. It only covers the violations that
+   * submission logged (none for a clean one), never others filed under the same email.
+   */
+  static createAppealToken(sessionId, email, violationIds = []) {
+    return jwt.sign(
+      { typ: 'appeal', sessionId, email, violationIds },
+      config.jwtSecret,
+      { expiresIn: APPEAL_TTL_SECONDS }
+    );
+  }
+
+  /**
+   * Session, email and violation IDs from an appeal token (null if forged or expired)
+   */
+  static readAppealToken(token) {
+    try {
+      const payload = jwt.verify(token, config.jwtSecret);
+      if (payload.typ !== 'appeal') return null;
+      return {
+        sessionId: payload.sessionId,
+        email: payload.email,
+        violationIds: Array.isArray(payload.violationIds) ? payload.violationIds : [],
+      };
+    } catch {
+      return null;
     }
+  }
 
-    return logs;
+  /**
+   * Attach a student's justification to the standing violations their token covers
+   * @returns {number} violations appealed (0 when there was nothing to appeal)
+   */
+  static appealViolations({ sessionId, email, violationIds }, justification) {
+    if (violationIds.length === 0) return 0;
+    return appealCheatingLogs(sessionId, email, violationIds, justification);
   }
 
   /**
-   * Get students with multiple violations (suspicious patterns)
+   * One page of violations, newest first. Filtering runs in SQL, joined through the
+   * session: pass `teacherId` to scope to a teacher's own sessions, `department` /
+   * `subjectName` for the admin view.
+   * @returns {{ violations: Object[], total: number }}
    */
-  static getSuspiciousStudents(minViolations = 3) {
-    const logs = getCheatingStore();
-    const violationCount = {};
+  static getViolations(filters = {}, page = {}) {
+    const query = normalizeDates(filters);
+    return {
+      violations: listCheatingLogs(query, page),
+      total: countCheatingLogs(query),
+    };
+  }
 
-    logs.forEach(log => {
-      if (!violationCount[log.email]) {
-        violationCount[log.email] = {
-          email: log.email,
-          studentName: log.studentName,
-          count: 0,
-          violations: [],
-        };
-      }
-      violationCount[log.email].count++;
-      violationCount[log.email].violations.push(log);
-    });
+  /**
+   * Overview counts for the same filters as getViolations
+   */
+  static getViolationStats(filters = {}) {
+    const query = normalizeDates(filters);
+    const { byType, students } = summarizeCheatingLogs(query);
+    const open = { ...query, reviewStatus: REVIEW.OPEN };
 
-    return Object.values(violationCount)
-      .filter(s => s.count >= minViolations)
-      .sort((a, b) => b.count - a.count);
+    return {
+      totalViolations: Object.values(byType).reduce((sum, n) => sum + n, 0),
+      uniqueStudentsFlagged: students,
+      byType,
+      // Submissions refused by the email allowlist (never recorded as attendance)
+      rejectedSubmissions: byType[EMAIL_NOT_ALLOWED] || 0,
+      // Waiting for a teacher decision; appealed ones first in line
+      openViolations: countCheatingLogs(open),
+      pendingAppeals: countCheatingLogs({ ...open, appealed: true }),
+      recentViolations: listCheatingLogs(query, { limit: 10 }),
+    };
+  }
+
+  /**
+   * Get students with multiple violations (suspicious patterns) — dismissed ones don't count
+   * @param {Object} [filters] - same as getViolations (e.g. { teacherId })
+   */
+  static getSuspiciousStudents(minViolations = 3, filters = {}) {
+    return listRepeatOffenders({ ...normalizeDates(filters), excludeDismissed: true }, minViolations);
   }
 }
 
+AntiCheatingService.EMAIL_NOT_ALLOWED = EMAIL_NOT_ALLOWED;
+AntiCheatingService.OFF_CAMPUS_NETWORK = OFF_CAMPUS_NETWORK;
+AntiCheatingService.DUPLICATE_DEVICE = DUPLICATE_DEVICE;
+AntiCheatingService.HIGH_RISK = HIGH_RISK;
+AntiCheatingService.SIGNAL_WEIGHT = SIGNAL_WEIGHT;
+AntiCheatingService.LOCATION = LOCATION;
+AntiCheatingService.MAX_GPS_ACCURACY_METERS = MAX_GPS_ACCURACY_METERS;
+AntiCheatingService.MAX_LOCATION_AGE_SECONDS = MAX_LOCATION_AGE_SECONDS;
+AntiCheatingService.REVIEW = REVIEW;
+
 module.exports = AntiCheatingService;
@@ -0,0 +1,150 @@
+/**
+ * Buddy-Punching Detection
+ *
+ * Friends who check each other in submit from the same phone or the same hotspot seconds
+ * apart — once is a coincidence (the whole lecture hall shares the campus NAT), in session
+ * after session it is a pattern. A periodic job mines every session with new submissions
+ * (attendance records and rejected submissions in the cheating logs) for pairs of students
+ * whose submissions share a device token, fingerprint or a little-used IP address (a
+ * hotspot, not the campus NAT) within a short window, and stores them in `co_submissions`.
+ *
+ * Reports group the pairs seen together in several sessions into clusters: students linked
+ * directly or through a common friend.
+ */
+
+const {
+  getSessionsWithSubmissionsSince,
+  mineCoSubmissions,
+  listRepeatedCoSubmissions,
+} = require('./store.service');
+
+// ── Thresholds ──
+const CO_SUBMIT_WINDOW_SECONDS = 30;  // submissions further apart than this aren't "together"
+const MAX_IP_SHARERS = 3;             // an IP used by more submitters in a session is a NAT, not a hotspot
+const DEFAULT_MIN_SESSIONS = 3;       // pairs seen together less often are left out of reports
+
+let _analysisInterval = null;
+let _lastRunAt = null;  // null until the first run — which mines every session
+
+/**
+ * Start the periodic analysis (first run right away, to cover data from before the restart)
+ */
+function startPeriodicAnalysis(intervalMs = 15 * 60 * 1000) {
+  if (_analysisInterval) clearInterval(_analysisInterval);
+  _analysisInterval = setInterval(() => analyze(), intervalMs);
+  setImmediate(() => analyze());
+  console.log(`[BuddyPunching] Periodic analysis every ${Math.round(intervalMs / 1000)}s`);
+}
+
+/**
+ * Stop the analysis timer
+ */
+function stopPeriodicAnalysis() {
+  if (_analysisInterval) {
+    clearInterval(_analysisInterval);
+    _analysisInterval = null;
+  }
+}
+
+/**
+ * Run one analysis cycle over the sessions that had submissions since the last run
+ */
+function analyze() {
+  const startedAt = new Date().toISOString();
+  const stats = { sessions: 0, pairs: 0 };
+
+  try {
+    for (const sessionId of getSessionsWithSubmissionsSince(_lastRunAt || '')) {
+      stats.pairs += mineCoSubmissions(sessionId, CO_SUBMIT_WINDOW_SECONDS, MAX_IP_SHARERS);
+      stats.sessions++;
+    }
+    _lastRunAt = startedAt;
+  } catch (err) {
+    console.error('[BuddyPunching] Analysis failed:', err.message);
+    return stats;
+  }
+
+  if (stats.sessions > 0) {
+    console.log(`[BuddyPunching] Analyzed ${stats.sessions} sessions, ${stats.pairs} co-submitting pairs`);
+  }
+  return stats;
+}
+
+/**
+ * Describe what a pair shared in one session
+ */
+function sharedSignals(pair) {
+  return [
+    pair.sameDevice && 'Same device',
+    pair.sameFingerprint && 'Same fingerprint',
+    pair.sameIp && 'Same IP',
+  ].filter(Boolean);
+}
+
+/**
+ * Clusters of students who repeatedly submit together, most sessions first.
+ * Each cluster lists its members, the linked pairs and, as evidence, every session
+ * in which members submitted together.
+ * @param {Object} filters - { teacherId } (omit for every teacher's sessions)
+ * @returns {Array<{ members: Object[], pairs: Object[], sessions: Object[] }>}
+ */
+function getClusters(filters = {}, minSessions = DEFAULT_MIN_SESSIONS) {
+  const rows = listRepeatedCoSubmissions(filters, minSessions);
+
+  // Union-find over the repeated pairs — connected students form one cluster
+  const parent = new Map();
+  const find = (email) => {
+    if (!parent.has(email)) parent.set(email, email);
+    let root = email;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(email, root);
+    return root;
+  };
+  for (const row of rows) parent.set(find(row.emailA), find(row.emailB));
+
+  const clusters = new Map();
+  for (const row of rows) {
+    const root = find(row.emailA);
+    if (!clusters.has(root)) clusters.set(root, { members: new Map(), pairs: new Map(), sessions: new Map() });
+    const cluster = clusters.get(root);
+
+    cluster.members.set(row.emailA, row.nameA);
+    cluster.members.set(row.emailB, row.nameB);
+
+    const pairKey = `${row.emailA}|${row.emailB}`;
+    const pair = cluster.pairs.get(pairKey) || { emails: [row.emailA, row.emailB], sessions: 0 };
+    pair.sessions++;
+    cluster.pairs.set(pairKey, pair);
+
+    const session = cluster.sessions.get(row.sessionId) || {
+      sessionId: row.sessionId,
+      subjectName: row.subjectName,
+      sessionType: row.sessionType,
+      date: row.sessionDate,
+      students: new Set(),
+      signals: new Set(),
+      gapSeconds: row.gapSeconds,
+    };
+    session.students.add(row.emailA).add(row.emailB);
+    sharedSignals(row).forEach(signal => session.signals.add(signal));
+    session.gapSeconds = Math.min(session.gapSeconds, row.gapSeconds);
+    cluster.sessions.set(row.sessionId, session);
+  }
+
+  return [...clusters.values()]
+    .map(c => ({
+      members: [...c.members].map(([email, studentName]) => ({ email, studentName })),
+      pairs: [...c.pairs.values()].sort((a, b) => b.sessions - a.sessions),
+      sessions: [...c.sessions.values()]
+        .map(s => ({ ...s, students: [...s.students], signals: [...s.signals] })),
+    }))
+    .sort((a, b) => b.sessions.length - a.sessions.length || b.members.length - a.members.length);
+}
+
+module.exports = {
+  DEFAULT_MIN_SESSIONS,
+  startPeriodicAnalysis,
+  stopPeriodicAnalysis,
+  analyze,
+  getClusters,
+};
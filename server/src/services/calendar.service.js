@@ -0,0 +1,83 @@
+const { v4: uuidv4 } = require('uuid');
+const {
+  getCalendarException,
+  getAllCalendarExceptions,
+  addCalendarException,
+  deleteCalendarException,
+  getSchedulesByTeacher,
+} = require('./store.service');
+
+// Kinds of calendar entry — each one suspends classes on its dates
+const KIND = {
+  HOLIDAY: 'holiday',
+  EXAMS: 'exams',
+  CANCELLED: 'cancelled',
+};
+
+const KINDS = Object.values(KIND);
+
+/**
+ * Academic Calendar Service
+ * Holidays, exam weeks and cancelled dates. Institution-wide entries (set by admins) suspend
+ * every schedule; an entry with a scheduleId cancels that one class (set by its teacher).
+ */
+class CalendarService {
+  static listExceptions() {
+    return getAllCalendarExceptions();
+  }
+
+  /**
+   * Entries a user may see — admins all of them, teachers the institution-wide ones and
+   * the cancellations of their own classes
+   */
+  static listExceptionsFor(user) {
+    const exceptions = this.listExceptions();
+    if (user.role === 'admin' || user.isAdmin) return exceptions;
+    const ownSchedules = new Set(getSchedulesByTeacher(user.id).map(s => s.id));
+    return exceptions.filter(e => !e.scheduleId || ownSchedules.has(e.scheduleId) || e.createdBy === user.id);
+  }
+
+  static getException(id) {
+    return getCalendarException(id);
+  }
+
+  static createException({ kind, label, startDate, endDate, scheduleId, createdBy }) {
+    return addCalendarException({
+      id: uuidv4(),
+      kind,
+      label: label || '',
+      startDate,
+      endDate: endDate || startDate,
+      scheduleId: scheduleId || null,
+      createdBy,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  static deleteException(id) {
+    deleteCalendarException(id);
+  }
+
+  /**
+   * Whether a user may remove an entry — admins any, teachers the class cancellations they added
+   */
+  static canEdit(entry, user) {
+    if (user.role === 'admin' || user.isAdmin) return true;
+    return !!entry.scheduleId && entry.createdBy === user.id;
+  }
+
+  /**
+   * The entry that suspends a schedule's class on a date, if any
+   * @param {Object[]} [exceptions] - preloaded entries (loaded when omitted)
+   */
+  static exceptionOn(schedule, date, exceptions = this.listExceptions()) {
+    return exceptions.find(e =>
+      date >= e.startDate && date <= e.endDate && (!e.scheduleId || e.scheduleId === schedule.id)
+    ) || null;
+  }
+}
+
+CalendarService.KIND = KIND;
+CalendarService.KINDS = KINDS;
+
+module.exports = CalendarService;
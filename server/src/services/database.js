@@ -10,12 +10,22 @@
  *  - session_attendees — per-session duplicate tracking
  *  - attendance      — student attendance records
  *  - cheating_logs   — anti-cheat violation records
- *  - json_stores     — generic key-value for schedules, courses, etc.
+ *  - json_stores     — generic key-value blobs (schedules / courses lived here before their tables)
+ *  - schedules       — recurring class schedules per teacher
+ *  - courses         — teachers' courses (subject + year + section/group)
+ *  - jobs            — durable background queue (Drive/Sheets writes)
+ *  - rosters         — enrolled-student lists per subject + year + section/group
+ *  - roster_students — students on each roster
+ *  - attendance_audit — teacher overrides of attendance records (who/when/why/old value)
+ *  - rooms           — shared room catalog (saved coordinates / geofence shape per room)
+ *  - co_submissions  — pairs of students who submitted together (same IP/device within seconds)
+ *  - calendar_exceptions — holidays, exam weeks and cancelled dates (institution-wide or one schedule)
  */
 
 const Database = require('libsql');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Database file location
 const DB_DIR = path.join(__dirname, '..', '..', 'data');
@@ -125,6 +135,133 @@ db.exec(`
     data TEXT NOT NULL DEFAULT '[]'
   );
 
+  CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    queue TEXT NOT NULL,
+    type TEXT NOT NULL,
+    lane_key TEXT NOT NULL,
+    label TEXT,
+    payload TEXT NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    last_error TEXT,
+    run_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS rosters (
+    id TEXT PRIMARY KEY,
+    teacher_id TEXT NOT NULL,
+    subject_name TEXT NOT NULL COLLATE NOCASE,
+    year INTEGER NOT NULL,
+    section_or_group TEXT NOT NULL COLLATE NOCASE,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (teacher_id, subject_name, year, section_or_group),
+    FOREIGN KEY (teacher_id) REFERENCES teachers(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS roster_students (
+    roster_id TEXT NOT NULL,
+    email TEXT NOT NULL,
+    student_name TEXT NOT NULL,
+    student_id TEXT,
+    enrolled_at TEXT NOT NULL,
+    PRIMARY KEY (roster_id, email),
+    FOREIGN KEY (roster_id) REFERENCES rosters(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS attendance_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    attendance_id INTEGER,
+    session_id TEXT NOT NULL,
+    email TEXT NOT NULL,
+    teacher_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    reason TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    synced INTEGER DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS rooms (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL COLLATE NOCASE,
+    building TEXT NOT NULL DEFAULT '' COLLATE NOCASE,
+    location TEXT,
+    geofence TEXT,
+    default_radius INTEGER DEFAULT 100,
+    created_by TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (building, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS co_submissions (
+    session_id TEXT NOT NULL,
+    email_a TEXT NOT NULL,
+    email_b TEXT NOT NULL,
+    name_a TEXT,
+    name_b TEXT,
+    same_ip INTEGER DEFAULT 0,
+    same_device INTEGER DEFAULT 0,
+    same_fingerprint INTEGER DEFAULT 0,
+    gap_seconds REAL,
+    detected_at TEXT NOT NULL,
+    PRIMARY KEY (session_id, email_a, email_b)
+  );
+
+  CREATE TABLE IF NOT EXISTS calendar_exceptions (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    label TEXT NOT NULL DEFAULT '',
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    schedule_id TEXT,
+    created_by TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS schedules (
+    id TEXT PRIMARY KEY,
+    teacher_id TEXT NOT NULL,
+    session_type TEXT NOT NULL,
+    subject_name TEXT NOT NULL,
+    year INTEGER,
+    section_or_group TEXT,
+    day_of_week INTEGER NOT NULL,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    classroom_location TEXT,
+    classroom_name TEXT DEFAULT '',
+    recurrence TEXT DEFAULT 'weekly',
+    rrule TEXT,
+    week_parity TEXT,
+    start_date TEXT,
+    end_date TEXT,
+    geofence_radius INTEGER DEFAULT 100,
+    geofence TEXT,
+    room_id TEXT,
+    auto_start INTEGER DEFAULT 0,
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    deleted_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS courses (
+    id TEXT PRIMARY KEY,
+    teacher_id TEXT NOT NULL,
+    session_type TEXT,
+    subject_name TEXT NOT NULL,
+    year INTEGER,
+    section_or_group TEXT,
+    created_at TEXT NOT NULL
+  );
+
   -- Indexes for hot queries
   CREATE INDEX IF NOT EXISTS idx_sessions_teacher_active
     ON sessions(teacher_id, is_active);
@@ -142,11 +279,81 @@ db.exec(`
     ON cheating_logs(synced, timestamp);
   CREATE INDEX IF NOT EXISTS idx_cheating_email
     ON cheating_logs(email);
+  CREATE INDEX IF NOT EXISTS idx_audit_session
+    ON attendance_audit(session_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_jobs_lane
+    ON jobs(queue, status, lane_key, id);
+  CREATE INDEX IF NOT EXISTS idx_jobs_updated
+    ON jobs(status, updated_at);
+  CREATE INDEX IF NOT EXISTS idx_co_submissions_pair
+    ON co_submissions(email_a, email_b);
+  CREATE INDEX IF NOT EXISTS idx_schedules_teacher
+    ON schedules(teacher_id, is_active, day_of_week, start_time);
+  CREATE INDEX IF NOT EXISTS idx_schedules_day
+    ON schedules(is_active, day_of_week, start_time);
+  CREATE INDEX IF NOT EXISTS idx_courses_teacher
+    ON courses(teacher_id);
 `);
 } catch (e) {
   console.error('[DB] Schema creation error (may be OK if tables exist):', e.message);
 }
 
+// ── Migrations ──
+// Columns added after the initial schema. CREATE TABLE IF NOT EXISTS won't
+// touch existing databases, so each one is added here only if missing.
+function ensureColumn(table, column, definition) {
+  try {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  } catch (e) {
+    console.warn(`[DB] Migration "${table}.${column}" skipped:`, e.message);
+  }
+}
+
+ensureColumn('sessions', 'qr_rotation_seconds', 'INTEGER DEFAULT 0');
+ensureColumn('teachers', 'drive_status', "TEXT DEFAULT 'connected'");
+ensureColumn('attendance', 'sync_error', 'TEXT');
+ensureColumn('cheating_logs', 'sync_error', 'TEXT');
+ensureColumn('sessions', 'absences_recorded', 'INTEGER DEFAULT 0');
+ensureColumn('sessions', 'schedule_id', 'TEXT');
+ensureColumn('sessions', 'starts_at', 'TEXT');
+ensureColumn('sessions', 'late_grace_minutes', 'INTEGER');
+ensureColumn('attendance', 'minutes_late', 'INTEGER');
+ensureColumn('sessions', 'require_verified_identity', 'INTEGER DEFAULT 0');
+ensureColumn('attendance', 'location_accuracy', 'REAL');
+ensureColumn('attendance', 'altitude', 'REAL');
+ensureColumn('attendance', 'location_age', 'INTEGER');
+ensureColumn('attendance', 'distance', 'INTEGER');
+ensureColumn('attendance', 'location_decision', 'TEXT');
+ensureColumn('sessions', 'geofence', 'TEXT');
+ensureColumn('sessions', 'room_id', 'TEXT');
+ensureColumn('sessions', 'room_name', 'TEXT');
+ensureColumn('sessions', 'network_policy', "TEXT DEFAULT 'ignore'");
+ensureColumn('attendance', 'device_id', 'TEXT');
+ensureColumn('attendance', 'fingerprint', 'TEXT');
+ensureColumn('attendance', 'device_signals', 'TEXT');
+ensureColumn('attendance', 'risk_score', 'INTEGER');
+ensureColumn('attendance', 'risk_reasons', 'TEXT');
+ensureColumn('sessions', 'risk_flag_threshold', 'INTEGER');
+ensureColumn('sessions', 'risk_reject_threshold', 'INTEGER');
+ensureColumn('cheating_logs', 'review_status', "TEXT DEFAULT 'open'");
+ensureColumn('cheating_logs', 'reviewed_by', 'TEXT');
+ensureColumn('cheating_logs', 'reviewed_at', 'TEXT');
+ensureColumn('cheating_logs', 'review_note', 'TEXT');
+ensureColumn('cheating_logs', 'appeal', 'TEXT');
+ensureColumn('cheating_logs', 'appealed_at', 'TEXT');
+ensureColumn('sessions', 'auto_started', 'INTEGER DEFAULT 0');
+ensureColumn('teachers', 'calendar_token', 'TEXT');
+
+// Feed URLs are looked up by token, so it has to be unique (and indexed)
+try {
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_teachers_calendar_token ON teachers(calendar_token)');
+} catch (e) {
+  console.warn('[DB] Migration "idx_teachers_calendar_token" skipped:', e.message);
+}
+
 // ── Prepared Statements ──
 // (better-sqlite3 caches these internally — this is just for clarity)
 
@@ -155,8 +362,8 @@ const stmts = {
   findTeacherByEmail: db.prepare('SELECT * FROM teachers WHERE email = ?'),
   findTeacherById: db.prepare('SELECT * FROM teachers WHERE id = ?'),
   insertTeacher: db.prepare(`
-    INSERT INTO teachers (id, email, name, picture, google_tokens, settings, created_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO teachers (id, email, name, picture, google_tokens, settings, created_at, drive_status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `),
   updateTeacher: db.prepare(`
     UPDATE teachers SET
@@ -164,19 +371,32 @@ const stmts = {
       name = COALESCE(?, name),
       picture = COALESCE(?, picture),
       google_tokens = COALESCE(?, google_tokens),
-      settings = COALESCE(?, settings)
+      settings = COALESCE(?, settings),
+      drive_status = COALESCE(?, drive_status)
     WHERE id = ?
   `),
   getAllTeachers: db.prepare('SELECT * FROM teachers'),
+  // Timetable feed tokens (kept out of the teacher object so they never reach the client unasked)
+  getCalendarToken: db.prepare('SELECT calendar_token FROM teachers WHERE id = ?'),
+  findTeacherByCalendarToken: db.prepare('SELECT * FROM teachers WHERE calendar_token = ?'),
+  setCalendarToken: db.prepare('UPDATE teachers SET calendar_token = ? WHERE id = ?'),
 
   // Sessions
   insertSession: db.prepare(`
     INSERT INTO sessions (id, teacher_id, session_type, subject_name, year,
       section_or_group, classroom_location, geofence_radius, spreadsheet_id,
       spreadsheet_url, drive_folder, qr_code_data_url, attendance_url,
-      created_at, expires_at, is_active, attendee_count)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      created_at, expires_at, is_active, attendee_count, qr_rotation_seconds,
+      schedule_id, starts_at, late_grace_minutes, require_verified_identity, geofence,
+      room_id, room_name, network_policy, risk_flag_threshold, risk_reject_threshold, auto_started)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
+  findScheduleSession: db.prepare(
+    'SELECT * FROM sessions WHERE schedule_id = ? AND created_at >= ? ORDER BY created_at DESC LIMIT 1'
+  ),
+  getEndedAutoStartedSessions: db.prepare(
+    'SELECT * FROM sessions WHERE auto_started = 1 AND is_active = 1 AND expires_at <= ?'
+  ),
   getSession: db.prepare('SELECT * FROM sessions WHERE id = ?'),
   getActiveSessionsByTeacher: db.prepare(
     'SELECT * FROM sessions WHERE teacher_id = ? AND is_active = 1'
@@ -203,6 +423,13 @@ const stmts = {
   deactivateExpired: db.prepare(
     "UPDATE sessions SET is_active = 0, deactivated_at = ? WHERE is_active = 1 AND expires_at < ?"
   ),
+  // Closed sessions whose ABSENT rows haven't been written yet
+  getClosedSessionsPendingAbsences: db.prepare(
+    'SELECT * FROM sessions WHERE absences_recorded = 0 AND (is_active = 0 OR expires_at < ?)'
+  ),
+  setAbsencesRecorded: db.prepare(
+    'UPDATE sessions SET absences_recorded = ? WHERE id = ?'
+  ),
   stripQRFromOldSessions: db.prepare(
     "UPDATE sessions SET qr_code_data_url = NULL WHERE is_active = 0 AND deactivated_at < ? AND qr_code_data_url IS NOT NULL"
   ),
@@ -211,6 +438,9 @@ const stmts = {
   addAttendee: db.prepare(
     'INSERT OR IGNORE INTO session_attendees (session_id, email) VALUES (?, ?)'
   ),
+  removeAttendee: db.prepare(
+    'DELETE FROM session_attendees WHERE session_id = ? AND email = ?'
+  ),
   hasAttendee: db.prepare(
     'SELECT 1 FROM session_attendees WHERE session_id = ? AND email = ?'
   ),
@@ -224,9 +454,12 @@ const stmts = {
   // Attendance
   insertAttendance: db.prepare(`
     INSERT INTO attendance (session_id, student_name, email, ip_address, mac_address,
-      latitude, longitude, timestamp, status, violations, synced)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+      latitude, longitude, timestamp, status, violations, minutes_late,
+      location_accuracy, altitude, location_age, distance, location_decision,
+      device_id, fingerprint, device_signals, risk_score, risk_reasons, synced)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
   `),
+  getAttendanceById: db.prepare('SELECT * FROM attendance WHERE id = ?'),
   getAttendanceBySession: db.prepare(
     'SELECT * FROM attendance WHERE session_id = ?'
   ),
@@ -237,11 +470,33 @@ const stmts = {
     'SELECT * FROM attendance WHERE session_id IN (SELECT id FROM sessions WHERE teacher_id = ?)'
   ),
   markAttendanceSynced: db.prepare(
-    'UPDATE attendance SET synced = 1 WHERE id = ?'
+    'UPDATE attendance SET synced = 1, sync_error = NULL WHERE id = ?'
+  ),
+  markAttendanceSyncFailed: db.prepare(
+    'UPDATE attendance SET sync_error = ? WHERE id = ? AND synced = 0'
   ),
   getUnsyncedAttendance: db.prepare(
     'SELECT * FROM attendance WHERE synced = 0'
   ),
+  getUnsyncedAttendanceBySession: db.prepare(
+    'SELECT * FROM attendance WHERE session_id = ? AND synced = 0 ORDER BY id LIMIT ?'
+  ),
+  // Sessions with a linked sheet and attendance rows unsynced since before the cutoff
+  getSessionsWithUnsyncedAttendance: db.prepare(`
+    SELECT a.session_id, s.teacher_id, COUNT(*) as count
+    FROM attendance a JOIN sessions s ON s.id = a.session_id
+    WHERE a.synced = 0 AND a.timestamp < ? AND s.spreadsheet_id IS NOT NULL
+    GROUP BY a.session_id
+  `),
+  getAttendanceSyncStatusByTeacher: db.prepare(`
+    SELECT session_id,
+      SUM(CASE WHEN synced = 1 THEN 1 ELSE 0 END) as synced,
+      SUM(CASE WHEN synced = 0 AND sync_error IS NULL THEN 1 ELSE 0 END) as pending,
+      SUM(CASE WHEN synced = 0 AND sync_error IS NOT NULL THEN 1 ELSE 0 END) as failed
+    FROM attendance
+    WHERE session_id IN (SELECT id FROM sessions WHERE teacher_id = ?)
+    GROUP BY session_id
+  `),
   purgeOldSyncedAttendance: db.prepare(
     "DELETE FROM attendance WHERE synced = 1 AND timestamp < ?"
   ),
@@ -250,9 +505,42 @@ const stmts = {
     SELECT
       COUNT(*) as total,
       SUM(CASE WHEN status = 'PRESENT' THEN 1 ELSE 0 END) as present,
-      SUM(CASE WHEN status = 'FLAGGED' THEN 1 ELSE 0 END) as flagged
+      SUM(CASE WHEN status = 'LATE' THEN 1 ELSE 0 END) as late,
+      SUM(CASE WHEN status = 'FLAGGED' THEN 1 ELSE 0 END) as flagged,
+      SUM(CASE WHEN status = 'ABSENT' THEN 1 ELSE 0 END) as absent
     FROM attendance WHERE session_id = ?
   `),
+  updateAttendanceStatus: db.prepare(
+    'UPDATE attendance SET status = ? WHERE id = ?'
+  ),
+  deleteAttendance: db.prepare('DELETE FROM attendance WHERE id = ?'),
+  findAttendanceInSession: db.prepare(
+    'SELECT * FROM attendance WHERE session_id = ? AND email = ? COLLATE NOCASE'
+  ),
+  getLastLocatedCheckIn: db.prepare(`
+    SELECT * FROM attendance
+    WHERE email = ? COLLATE NOCASE AND session_id != ?
+      AND latitude IS NOT NULL AND latitude NOT IN ('', 'N/A')
+      AND longitude IS NOT NULL AND longitude NOT IN ('', 'N/A')
+    ORDER BY timestamp DESC LIMIT 1
+  `),
+  deleteAbsentRecord: db.prepare(
+    "DELETE FROM attendance WHERE session_id = ? AND email = ? COLLATE NOCASE AND status = 'ABSENT'"
+  ),
+
+  // Attendance audit (teacher overrides)
+  insertAudit: db.prepare(`
+    INSERT INTO attendance_audit (attendance_id, session_id, email, teacher_id, action,
+      old_value, new_value, reason, created_at, synced)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+  `),
+  getAudit: db.prepare('SELECT * FROM attendance_audit WHERE id = ?'),
+  getAuditBySession: db.prepare(
+    'SELECT * FROM attendance_audit WHERE session_id = ? ORDER BY id DESC'
+  ),
+  markAuditSynced: db.prepare(
+    'UPDATE attendance_audit SET synced = 1 WHERE id = ?'
+  ),
 
   // Cheating Logs
   insertCheatingLog: db.prepare(`
@@ -260,26 +548,267 @@ const stmts = {
       details, distance, ip_address, mac_address, timestamp, synced)
     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
   `),
+  getCheatingById: db.prepare('SELECT * FROM cheating_logs WHERE id = ?'),
   getCheatingBySession: db.prepare(
     'SELECT * FROM cheating_logs WHERE session_id = ?'
   ),
+  hasCheatingLog: db.prepare(
+    'SELECT 1 FROM cheating_logs WHERE session_id = ? AND email = ? COLLATE NOCASE AND violation_type = ? LIMIT 1'
+  ),
   getCheatingByEmail: db.prepare(
     'SELECT * FROM cheating_logs WHERE email = ?'
   ),
   getAllCheatingLogs: db.prepare('SELECT * FROM cheating_logs'),
+  reviewCheatingLog: db.prepare(`
+    UPDATE cheating_logs SET review_status = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?
+    WHERE id = ?
+  `),
+  // A student's appeal covers their violations in the session that are still standing
+  appealCheatingLogs: db.prepare(`
+    UPDATE cheating_logs SET appeal = ?, appealed_at = ?
+    WHERE id IN (SELECT value FROM json_each(?)) AND session_id = ? AND email = ? COLLATE NOCASE
+      AND review_status != 'dismissed'
+  `),
   markCheatingSynced: db.prepare(
-    'UPDATE cheating_logs SET synced = 1 WHERE id = ?'
+    'UPDATE cheating_logs SET synced = 1, sync_error = NULL WHERE id = ?'
   ),
-  purgeOldSyncedCheating: db.prepare(
-    "DELETE FROM cheating_logs WHERE synced = 1 AND timestamp < ?"
+  markCheatingSyncFailed: db.prepare(
+    'UPDATE cheating_logs SET sync_error = ? WHERE id = ? AND synced = 0'
   ),
+  getUnsyncedCheatingByTeacher: db.prepare(`
+    SELECT * FROM cheating_logs
+    WHERE synced = 0 AND session_id IN (SELECT id FROM sessions WHERE teacher_id = ?)
+    ORDER BY id LIMIT ?
+  `),
+  // Teachers with violation rows unsynced since before the cutoff
+  getTeachersWithUnsyncedCheating: db.prepare(`
+    SELECT s.teacher_id, COUNT(*) as count
+    FROM cheating_logs c JOIN sessions s ON s.id = c.session_id
+    WHERE c.synced = 0 AND c.timestamp < ?
+    GROUP BY s.teacher_id
+  `),
+  getCheatingSyncStatusByTeacher: db.prepare(`
+    SELECT session_id,
+      SUM(CASE WHEN synced = 1 THEN 1 ELSE 0 END) as synced,
+      SUM(CASE WHEN synced = 0 AND sync_error IS NULL THEN 1 ELSE 0 END) as pending,
+      SUM(CASE WHEN synced = 0 AND sync_error IS NOT NULL THEN 1 ELSE 0 END) as failed
+    FROM cheating_logs
+    WHERE session_id IN (SELECT id FROM sessions WHERE teacher_id = ?)
+    GROUP BY session_id
+  `),
+  // Only reviewed violations go — open ones and appeals still awaiting a decision are kept
+  purgeOldSyncedCheating: db.prepare(`
+    DELETE FROM cheating_logs WHERE synced = 1 AND timestamp < ?
+      AND review_status != 'open'
+      AND (appealed_at IS NULL OR reviewed_at >= appealed_at)
+  `),
   countCheating: db.prepare('SELECT COUNT(*) as count FROM cheating_logs'),
 
-  // JSON generic stores (schedules, courses)
-  getJsonStore: db.prepare('SELECT data FROM json_stores WHERE name = ?'),
-  upsertJsonStore: db.prepare(
-    'INSERT INTO json_stores (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = ?'
+  // Jobs (durable queue)
+  insertJob: db.prepare(`
+    INSERT INTO jobs (queue, type, lane_key, label, payload, status, attempts,
+      max_attempts, run_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?, ?)
+  `),
+  getJob: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+  // Head (oldest open job) of every lane — only the head of a lane may run
+  getLaneHeads: db.prepare(`
+    SELECT j.* FROM jobs j
+    JOIN (
+      SELECT MIN(id) AS head_id FROM jobs
+      WHERE queue = ? AND status IN ('pending', 'running')
+      GROUP BY lane_key
+    ) h ON j.id = h.head_id
+    ORDER BY j.run_at
+  `),
+  getLaneHead: db.prepare(`
+    SELECT * FROM jobs WHERE queue = ? AND lane_key = ? AND status = 'pending'
+    ORDER BY id LIMIT 1
+  `),
+  markJobRunning: db.prepare(
+    "UPDATE jobs SET status = 'running', updated_at = ? WHERE id = ?"
+  ),
+  completeJob: db.prepare(
+    "UPDATE jobs SET status = 'done', attempts = attempts + 1, last_error = NULL, updated_at = ? WHERE id = ?"
+  ),
+  retryJob: db.prepare(
+    "UPDATE jobs SET status = 'pending', attempts = ?, last_error = ?, run_at = ?, updated_at = ? WHERE id = ?"
+  ),
+  deadLetterJob: db.prepare(
+    "UPDATE jobs SET status = 'dead', attempts = ?, last_error = ?, updated_at = ? WHERE id = ?"
+  ),
+  requeueJob: db.prepare(
+    "UPDATE jobs SET status = 'pending', attempts = 0, run_at = ?, updated_at = ? WHERE id = ? AND status = 'dead'"
+  ),
+  resetRunningJobs: db.prepare(
+    "UPDATE jobs SET status = 'pending', updated_at = ? WHERE queue = ? AND status = 'running'"
+  ),
+  countJobsByStatus: db.prepare(
+    'SELECT status, COUNT(*) as count FROM jobs WHERE queue = ? GROUP BY status'
+  ),
+  // Backpressure check on every enqueue — served by idx_jobs_lane, never scans done jobs
+  countOpenJobs: db.prepare(
+    "SELECT COUNT(*) as count FROM jobs WHERE queue = ? AND status IN ('pending', 'running')"
+  ),
+  countOpenLanes: db.prepare(
+    "SELECT COUNT(DISTINCT lane_key) as count FROM jobs WHERE queue = ? AND status IN ('pending', 'running')"
+  ),
+  hasOpenLaneJobs: db.prepare(
+    "SELECT 1 FROM jobs WHERE queue = ? AND lane_key = ? AND status IN ('pending', 'running') LIMIT 1"
+  ),
+  getDeadLaneJob: db.prepare(
+    "SELECT * FROM jobs WHERE queue = ? AND type = ? AND lane_key = ? AND status = 'dead' ORDER BY id DESC LIMIT 1"
+  ),
+  purgeFinishedJobs: db.prepare(
+    "DELETE FROM jobs WHERE status = 'done' AND updated_at < ?"
+  ),
+
+  // Rosters
+  getRoster: db.prepare('SELECT * FROM rosters WHERE id = ?'),
+  findRoster: db.prepare(
+    'SELECT * FROM rosters WHERE teacher_id = ? AND subject_name = ? AND year = ? AND section_or_group = ?'
+  ),
+  getRostersByTeacher: db.prepare(`
+    SELECT r.*, COUNT(rs.email) as student_count
+    FROM rosters r LEFT JOIN roster_students rs ON rs.roster_id = r.id
+    WHERE r.teacher_id = ?
+    GROUP BY r.id
+    ORDER BY r.subject_name, r.year, r.section_or_group
+  `),
+  insertRoster: db.prepare(`
+    INSERT INTO rosters (id, teacher_id, subject_name, year, section_or_group, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  touchRoster: db.prepare('UPDATE rosters SET updated_at = ? WHERE id = ?'),
+  deleteRoster: db.prepare('DELETE FROM rosters WHERE id = ?'),
+  getRosterStudents: db.prepare(
+    'SELECT * FROM roster_students WHERE roster_id = ? ORDER BY student_name'
+  ),
+  getRosterStudentsByTeacher: db.prepare(`
+    SELECT rs.*, r.subject_name, r.year, r.section_or_group
+    FROM roster_students rs JOIN rosters r ON r.id = rs.roster_id
+    WHERE r.teacher_id = ?
+  `),
+  // Keeps the original enrolled_at so re-imports don't reset absence history
+  upsertRosterStudent: db.prepare(`
+    INSERT INTO roster_students (roster_id, email, student_name, student_id, enrolled_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (roster_id, email) DO UPDATE SET
+      student_name = excluded.student_name,
+      student_id = COALESCE(excluded.student_id, student_id)
+  `),
+  deleteRosterStudent: db.prepare(
+    'DELETE FROM roster_students WHERE roster_id = ? AND email = ?'
+  ),
+  deleteRosterStudents: db.prepare('DELETE FROM roster_students WHERE roster_id = ?'),
+
+  // Rooms
+  getRoom: db.prepare('SELECT * FROM rooms WHERE id = ?'),
+  findRoom: db.prepare('SELECT * FROM rooms WHERE building = ? AND name = ?'),
+  getAllRooms: db.prepare('SELECT * FROM rooms ORDER BY building, name'),
+  insertRoom: db.prepare(`
+    INSERT INTO rooms (id, name, building, location, geofence, default_radius, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  updateRoom: db.prepare(`
+    UPDATE rooms SET name = ?, building = ?, location = ?, geofence = ?, default_radius = ?, updated_at = ?
+    WHERE id = ?
+  `),
+  deleteRoom: db.prepare('DELETE FROM rooms WHERE id = ?'),
+
+  // Co-submissions (buddy-punching analysis)
+  getSessionsWithSubmissionsSince: db.prepare(`
+    SELECT session_id FROM attendance WHERE timestamp >= ?
+    UNION
+    SELECT session_id FROM cheating_logs WHERE session_id IS NOT NULL AND timestamp >= ?
+  `),
+  findCoSubmissions: db.prepare(`
+    WITH submissions AS (
+      SELECT lower(email) AS email, student_name, ip_address, device_id, fingerprint, timestamp
+      FROM attendance WHERE session_id = ? AND status != 'ABSENT'
+      UNION ALL
+      SELECT lower(email), student_name, ip_address, NULL, NULL, timestamp
+      FROM cheating_logs WHERE session_id = ?
+    ),
+    -- An IP shared by only a few submitters (a hotspot); the campus NAT's shared by many isn't evidence
+    small_networks AS (
+      SELECT ip_address FROM submissions WHERE ip_address IS NOT NULL
+      GROUP BY ip_address HAVING COUNT(DISTINCT email) <= ?
+    )
+    SELECT a.email AS email_a, b.email AS email_b,
+      MAX(a.student_name) AS name_a, MAX(b.student_name) AS name_b,
+      MAX(a.ip_address = b.ip_address AND a.ip_address IN (SELECT ip_address FROM small_networks)) AS same_ip,
+      MAX(COALESCE(a.device_id = b.device_id, 0)) AS same_device,
+      MAX(COALESCE(a.fingerprint = b.fingerprint, 0)) AS same_fingerprint,
+      MIN(ABS(julianday(a.timestamp) - julianday(b.timestamp)) * 86400) AS gap_seconds
+    FROM submissions a JOIN submissions b ON a.email < b.email
+    WHERE ABS(julianday(a.timestamp) - julianday(b.timestamp)) * 86400 <= ?
+      AND (a.device_id = b.device_id OR a.fingerprint = b.fingerprint
+        OR (a.ip_address = b.ip_address AND a.ip_address IN (SELECT ip_address FROM small_networks)))
+    GROUP BY a.email, b.email
+  `),
+  deleteCoSubmissions: db.prepare('DELETE FROM co_submissions WHERE session_id = ?'),
+  insertCoSubmission: db.prepare(`
+    INSERT INTO co_submissions (session_id, email_a, email_b, name_a, name_b, same_ip, same_device,
+      same_fingerprint, gap_seconds, detected_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  // Academic calendar
+  getCalendarException: db.prepare('SELECT * FROM calendar_exceptions WHERE id = ?'),
+  getAllCalendarExceptions: db.prepare('SELECT * FROM calendar_exceptions ORDER BY start_date, end_date'),
+  insertCalendarException: db.prepare(`
+    INSERT INTO calendar_exceptions (id, kind, label, start_date, end_date, schedule_id, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  deleteCalendarException: db.prepare('DELETE FROM calendar_exceptions WHERE id = ?'),
+
+  // Schedules
+  getSchedule: db.prepare('SELECT * FROM schedules WHERE id = ?'),
+  getSchedulesByTeacher: db.prepare(
+    'SELECT * FROM schedules WHERE teacher_id = ? AND is_active = 1 ORDER BY day_of_week, start_time'
+  ),
+  getActiveSchedules: db.prepare(
+    'SELECT * FROM schedules WHERE is_active = 1 ORDER BY day_of_week, start_time'
+  ),
+  getActiveSchedulesByRoom: db.prepare('SELECT * FROM schedules WHERE is_active = 1 AND room_id = ?'),
+  upsertSchedule: db.prepare(`
+    INSERT INTO schedules (id, teacher_id, session_type, subject_name, year, section_or_group,
+      day_of_week, start_time, end_time, classroom_location, classroom_name, recurrence, rrule,
+      week_parity, start_date, end_date, geofence_radius, geofence, room_id, auto_start, is_active,
+      created_at, updated_at, deleted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET
+      session_type = excluded.session_type, subject_name = excluded.subject_name,
+      year = excluded.year, section_or_group = excluded.section_or_group,
+      day_of_week = excluded.day_of_week, start_time = excluded.start_time, end_time = excluded.end_time,
+      classroom_location = excluded.classroom_location, classroom_name = excluded.classroom_name,
+      recurrence = excluded.recurrence, rrule = excluded.rrule, week_parity = excluded.week_parity,
+      start_date = excluded.start_date, end_date = excluded.end_date,
+      geofence_radius = excluded.geofence_radius, geofence = excluded.geofence, room_id = excluded.room_id,
+      auto_start = excluded.auto_start, is_active = excluded.is_active,
+      updated_at = excluded.updated_at, deleted_at = excluded.deleted_at
+  `),
+  deactivateSchedule: db.prepare(
+    'UPDATE schedules SET is_active = 0, deleted_at = ? WHERE id = ? AND teacher_id = ? AND is_active = 1'
   ),
+
+  // Courses
+  getCoursesByTeacher: db.prepare(
+    'SELECT * FROM courses WHERE teacher_id = ? ORDER BY subject_name COLLATE NOCASE, year, section_or_group'
+  ),
+  upsertCourse: db.prepare(`
+    INSERT INTO courses (id, teacher_id, session_type, subject_name, year, section_or_group, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET
+      session_type = excluded.session_type, subject_name = excluded.subject_name,
+      year = excluded.year, section_or_group = excluded.section_or_group
+  `),
+  deleteCourse: db.prepare('DELETE FROM courses WHERE id = ? AND teacher_id = ?'),
+
+  // JSON generic stores (only read by the one-time migration below)
+  getJsonStore: db.prepare('SELECT data FROM json_stores WHERE name = ?'),
+  deleteJsonStore: db.prepare('DELETE FROM json_stores WHERE name = ?'),
 };
 
 // ── Helper: serialize/deserialize session rows ──
@@ -303,6 +832,18 @@ function serializeSession(s) {
     expires_at: s.expiresAt,
     is_active: s.isActive ? 1 : 0,
     attendee_count: s.attendeeCount || 0,
+    qr_rotation_seconds: s.qrRotationSeconds || 0,
+    schedule_id: s.scheduleId || null,
+    starts_at: s.startsAt || null,
+    late_grace_minutes: s.lateGraceMinutes ?? null,
+    require_verified_identity: s.requireVerifiedIdentity ? 1 : 0,
+    geofence: s.geofence ? JSON.stringify(s.geofence) : null,
+    room_id: s.roomId || null,
+    room_name: s.roomName || null,
+    network_policy: s.networkPolicy || 'ignore',
+    risk_flag_threshold: s.riskFlagThreshold ?? null,
+    risk_reject_threshold: s.riskRejectThreshold ?? null,
+    auto_started: s.autoStarted ? 1 : 0,
   };
 }
 
@@ -327,6 +868,19 @@ function deserializeSession(row) {
     isActive: !!row.is_active,
     deactivatedAt: row.deactivated_at,
     attendeeCount: row.attendee_count,
+    qrRotationSeconds: row.qr_rotation_seconds || 0,
+    absencesRecorded: !!row.absences_recorded,
+    scheduleId: row.schedule_id || null,
+    startsAt: row.starts_at || null,
+    lateGraceMinutes: row.late_grace_minutes ?? null,
+    requireVerifiedIdentity: !!row.require_verified_identity,
+    geofence: row.geofence ? JSON.parse(row.geofence) : null,
+    roomId: row.room_id || null,
+    roomName: row.room_name || null,
+    networkPolicy: row.network_policy || 'ignore',
+    riskFlagThreshold: row.risk_flag_threshold ?? null,
+    riskRejectThreshold: row.risk_reject_threshold ?? null,
+    autoStarted: !!row.auto_started,
   };
 }
 
@@ -339,6 +893,7 @@ function serializeTeacher(t) {
     google_tokens: t.googleTokens ? JSON.stringify(t.googleTokens) : null,
     settings: t.settings ? JSON.stringify(t.settings) : null,
     created_at: t.createdAt || new Date().toISOString(),
+    drive_status: t.driveStatus || 'connected',
   };
 }
 
@@ -352,6 +907,7 @@ function deserializeTeacher(row) {
     googleTokens: row.google_tokens ? JSON.parse(row.google_tokens) : null,
     settings: row.settings ? JSON.parse(row.settings) : null,
     createdAt: row.created_at,
+    driveStatus: row.drive_status || 'connected',
   };
 }
 
@@ -367,6 +923,17 @@ function serializeAttendance(r) {
     timestamp: r.timestamp,
     status: r.status,
     violations: r.violations ? JSON.stringify(r.violations) : null,
+    minutes_late: r.minutesLate ?? null,
+    location_accuracy: r.locationAccuracy ?? null,
+    altitude: r.altitude ?? null,
+    location_age: r.locationAge ?? null,
+    distance: r.distance ?? null,
+    location_decision: r.locationDecision || null,
+    device_id: r.deviceId || null,
+    fingerprint: r.fingerprint || null,
+    device_signals: r.deviceSignals?.length ? JSON.stringify(r.deviceSignals) : null,
+    risk_score: r.riskScore ?? null,
+    risk_reasons: r.riskReasons?.length ? JSON.stringify(r.riskReasons) : null,
   };
 }
 
@@ -384,7 +951,19 @@ function deserializeAttendance(row) {
     timestamp: row.timestamp,
     status: row.status,
     violations: row.violations ? JSON.parse(row.violations) : [],
+    minutesLate: row.minutes_late ?? null,
+    locationAccuracy: row.location_accuracy ?? null,
+    altitude: row.altitude ?? null,
+    locationAge: row.location_age ?? null,
+    distance: row.distance ?? null,
+    locationDecision: row.location_decision || null,
+    deviceId: row.device_id || null,
+    fingerprint: row.fingerprint || null,
+    deviceSignals: row.device_signals ? JSON.parse(row.device_signals) : [],
+    riskScore: row.risk_score ?? null,
+    riskReasons: row.risk_reasons ? JSON.parse(row.risk_reasons) : [],
     _synced: !!row.synced,
+    _syncError: row.sync_error || null,
   };
 }
 
@@ -401,10 +980,284 @@ function deserializeCheating(row) {
     ipAddress: row.ip_address,
     macAddress: row.mac_address,
     timestamp: row.timestamp,
+    reviewStatus: row.review_status || 'open',
+    reviewedBy: row.reviewed_by || null,
+    reviewedAt: row.reviewed_at || null,
+    reviewNote: row.review_note || null,
+    appeal: row.appeal || null,
+    appealedAt: row.appealed_at || null,
+    _synced: !!row.synced,
+    _syncError: row.sync_error || null,
+  };
+}
+
+function deserializeJob(row) {
+  if (!row) return null;
+  let payload = {};
+  try { payload = JSON.parse(row.payload); } catch { /* keep empty */ }
+  return {
+    id: row.id,
+    queue: row.queue,
+    type: row.type,
+    key: row.lane_key,
+    label: row.label,
+    payload,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    lastError: row.last_error,
+    runAt: row.run_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function deserializeAudit(row) {
+  if (!row) return null;
+  const parse = (v) => { try { return v ? JSON.parse(v) : null; } catch { return null; } };
+  return {
+    id: row.id,
+    attendanceId: row.attendance_id,
+    sessionId: row.session_id,
+    email: row.email,
+    teacherId: row.teacher_id,
+    action: row.action,
+    oldValue: parse(row.old_value),
+    newValue: parse(row.new_value),
+    reason: row.reason,
+    createdAt: row.created_at,
     _synced: !!row.synced,
   };
 }
 
+function deserializeRoster(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    teacherId: row.teacher_id,
+    subjectName: row.subject_name,
+    year: row.year,
+    sectionOrGroup: row.section_or_group,
+    studentCount: row.student_count ?? undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function deserializeRosterStudent(row) {
+  if (!row) return null;
+  return {
+    rosterId: row.roster_id,
+    email: row.email,
+    studentName: row.student_name,
+    studentId: row.student_id,
+    enrolledAt: row.enrolled_at,
+  };
+}
+
+function serializeRoom(r) {
+  return {
+    id: r.id,
+    name: r.name,
+    building: r.building || '',
+    location: r.location ? JSON.stringify(r.location) : null,
+    geofence: r.geofence ? JSON.stringify(r.geofence) : null,
+    default_radius: r.defaultRadius || 100,
+    created_by: r.createdBy,
+    created_at: r.createdAt,
+    updated_at: r.updatedAt,
+  };
+}
+
+function deserializeRoom(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    building: row.building || '',
+    location: row.location ? JSON.parse(row.location) : null,
+    geofence: row.geofence ? JSON.parse(row.geofence) : null,
+    defaultRadius: row.default_radius,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function deserializeCalendarException(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    kind: row.kind,
+    label: row.label || '',
+    startDate: row.start_date,
+    endDate: row.end_date,
+    scheduleId: row.schedule_id || null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+function serializeSchedule(s) {
+  return {
+    id: s.id,
+    teacher_id: s.teacherId,
+    session_type: s.sessionType,
+    subject_name: s.subjectName,
+    year: s.year ?? null,
+    section_or_group: s.sectionOrGroup ?? null,
+    day_of_week: Number(s.dayOfWeek),
+    start_time: s.startTime,
+    end_time: s.endTime,
+    classroom_location: s.classroomLocation ? JSON.stringify(s.classroomLocation) : null,
+    classroom_name: s.classroomName || '',
+    recurrence: s.recurrence || 'weekly',
+    rrule: s.rrule || null,
+    week_parity: s.weekParity || null,
+    start_date: s.startDate || null,
+    end_date: s.endDate || null,
+    geofence_radius: s.geofenceRadius || 100,
+    geofence: s.geofence ? JSON.stringify(s.geofence) : null,
+    room_id: s.roomId || null,
+    auto_start: s.autoStart ? 1 : 0,
+    is_active: s.isActive === false ? 0 : 1,
+    created_at: s.createdAt,
+    updated_at: s.updatedAt || null,
+    deleted_at: s.deletedAt || null,
+  };
+}
+
+function deserializeSchedule(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    teacherId: row.teacher_id,
+    sessionType: row.session_type,
+    subjectName: row.subject_name,
+    year: row.year,
+    sectionOrGroup: row.section_or_group,
+    dayOfWeek: row.day_of_week,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    classroomLocation: row.classroom_location ? JSON.parse(row.classroom_location) : null,
+    classroomName: row.classroom_name || '',
+    recurrence: row.recurrence || 'weekly',
+    rrule: row.rrule || null,
+    weekParity: row.week_parity || null,
+    startDate: row.start_date || null,
+    endDate: row.end_date || null,
+    geofenceRadius: row.geofence_radius,
+    geofence: row.geofence ? JSON.parse(row.geofence) : null,
+    roomId: row.room_id || null,
+    autoStart: !!row.auto_start,
+    isActive: !!row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || null,
+    deletedAt: row.deleted_at || null,
+  };
+}
+
+function serializeCourse(c) {
+  return {
+    id: c.id,
+    teacher_id: c.teacherId,
+    session_type: c.sessionType || null,
+    subject_name: c.subjectName,
+    year: c.year ?? null,
+    section_or_group: c.sectionOrGroup ?? null,
+    created_at: c.createdAt,
+  };
+}
+
+function deserializeCourse(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    teacherId: row.teacher_id,
+    sessionType: row.session_type,
+    subjectName: row.subject_name,
+    year: row.year,
+    sectionOrGroup: row.section_or_group,
+    createdAt: row.created_at,
+  };
+}
+
+function writeScheduleRow(s) {
+  stmts.upsertSchedule.run(
+    s.id, s.teacher_id, s.session_type, s.subject_name, s.year, s.section_or_group,
+    s.day_of_week, s.start_time, s.end_time, s.classroom_location, s.classroom_name, s.recurrence, s.rrule,
+    s.week_parity, s.start_date, s.end_date, s.geofence_radius, s.geofence, s.room_id, s.auto_start, s.is_active,
+    s.created_at, s.updated_at, s.deleted_at
+  );
+}
+
+function writeCourseRow(c) {
+  stmts.upsertCourse.run(c.id, c.teacher_id, c.session_type, c.subject_name, c.year, c.section_or_group, c.created_at);
+}
+
+// ── One-time migration: schedules / courses out of json_stores ──
+// Both used to be whole-array JSON blobs rewritten on every change. Each blob is copied into
+// its table (keeping IDs, so sessions still point at their schedule) and then removed, in one
+// transaction — a crash leaves the blob in place and the next start simply retries.
+// Run at startup after syncDatabase(): with Turso the local file only has the blobs once the
+// replica has been pulled.
+function readJsonStore(name) {
+  const row = stmts.getJsonStore.get(name);
+  if (!row) return null;
+  try {
+    const data = JSON.parse(row.data);
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+const migrateJsonStores = db.transaction(() => {
+  const counts = { schedules: 0, courses: 0 };
+  const now = new Date().toISOString();
+
+  const schedules = readJsonStore('schedules');
+  if (schedules) {
+    for (const schedule of schedules) {
+      if (!schedule?.id || !schedule.teacherId) continue;
+      writeScheduleRow(serializeSchedule({ ...schedule, createdAt: schedule.createdAt || now }));
+      counts.schedules++;
+    }
+    stmts.deleteJsonStore.run('schedules');
+  }
+
+  const courses = readJsonStore('courses');
+  if (courses) {
+    for (const course of courses) {
+      if (!course?.teacherId || !course.subjectName) continue;
+      writeCourseRow(serializeCourse({
+        ...course,
+        id: course.id || crypto.randomUUID(),
+        createdAt: course.createdAt || now,
+      }));
+      counts.courses++;
+    }
+    stmts.deleteJsonStore.run('courses');
+  }
+  return counts;
+});
+
+/**
+ * Move any schedules / courses still stored as json_stores blobs into their tables
+ * (and push the result to Turso)
+ */
+function migrateDatabase() {
+  try {
+    const migrated = migrateJsonStores();
+    if (migrated.schedules || migrated.courses) {
+      console.log(`[DB] Migrated ${migrated.schedules} schedules and ${migrated.courses} courses out of json_stores`);
+      syncToCloud();
+    }
+  } catch (e) {
+    console.error('[DB] Schedule/course migration failed (will retry on next start):', e.message);
+  }
+}
+
 /**
  * Sync local database with Turso cloud.
  * Called at startup (pull remote data) and periodically (push local changes).
@@ -455,6 +1308,7 @@ module.exports = {
   db,
   stmts,
   syncDatabase,
+  migrateDatabase,
   syncToCloud,
   debouncedSync,
   serializeSession,
@@ -464,4 +1318,17 @@ module.exports = {
   serializeAttendance,
   deserializeAttendance,
   deserializeCheating,
+  deserializeJob,
+  deserializeRoster,
+  deserializeRosterStudent,
+  deserializeAudit,
+  serializeRoom,
+  deserializeRoom,
+  deserializeCalendarException,
+  serializeSchedule,
+  deserializeSchedule,
+  serializeCourse,
+  deserializeCourse,
+  writeScheduleRow,
+  writeCourseRow,
 };
@@ -0,0 +1,53 @@
+/**
+ * Student Device Identity
+ *
+ * A browser has no usable hardware ID (the MAC address isn't exposed and the IP is
+ * shared by everyone behind the campus NAT), so each browser gets a signed device
+ * token on its first visit and keeps it in localStorage/IndexedDB. The token is what
+ * ties two submissions to the same phone; the client's fingerprint hash (user agent,
+ * screen, timezone, ...) is only supporting evidence — identical phone models collide.
+ */
+
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+// Tells device tokens apart from the other tokens signed with the same secret
+const TOKEN_TYPE = 'device';
+
+// SHA-256 hex digest computed in the browser
+const FINGERPRINT_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * A new device token for a browser (no expiry — it identifies the device, not a visit)
+ */
+function issueDeviceToken() {
+  return jwt.sign({ typ: TOKEN_TYPE }, config.jwtSecret, { subject: uuidv4() });
+}
+
+/**
+ * Device ID from a token (null if missing, forged or not a device token)
+ */
+function readDeviceToken(token) {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, config.jwtSecret);
+    return payload.typ === TOKEN_TYPE ? payload.sub : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalized fingerprint hash (null if it isn't a SHA-256 hex digest)
+ */
+function normalizeFingerprint(fingerprint) {
+  const value = String(fingerprint || '').toLowerCase();
+  return FINGERPRINT_PATTERN.test(value) ? value : null;
+}
+
+module.exports = {
+  issueDeviceToken,
+  readDeviceToken,
+  normalizeFingerprint,
+};
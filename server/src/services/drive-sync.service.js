@@ -0,0 +1,292 @@
+/**
+ * Drive Sync Jobs
+ *
+ * Job handlers and enqueue helpers for everything written to Google Drive/Sheets.
+ * Payloads only carry IDs — handlers re-read the current rows from SQLite, so a
+ * job resumed after a restart writes the same data it would have written before.
+ */
+
+const config = require('../config');
+const { driveQueue, attendanceQueue } = require('./queue.service');
+const { getDriveService } = require('./token-manager.service');
+const SessionService = require('./session.service');
+const { stmts } = require('./database');
+const {
+  getAttendanceById,
+  markAttendanceSynced,
+  markAttendanceSyncFailed,
+  getUnsyncedAttendanceBySession,
+  getCheatingLogById,
+  markCheatingSynced,
+  markCheatingSyncFailed,
+  getUnsyncedCheatingByTeacher,
+  getAuditEntry,
+  markAuditSynced,
+  findTeacherById,
+} = require('./store.service');
+
+// Rows written per Sheets append when catching up
+const RECONCILE_BATCH_SIZE = 500;
+
+/**
+ * Run a sheet write; on failure record the error on the rows (shown as "failed"
+ * sync status) and rethrow so the queue retries the job.
+ */
+async function writeRows(rows, markFailed, write) {
+  try {
+    await write();
+  } catch (err) {
+    rows.forEach(row => markFailed(row.id, err.message));
+    throw err;
+  }
+}
+
+// ── Handlers ──
+
+/**
+ * Create the Drive folder structure + attendance sheet and link them to the session
+ */
+driveQueue.register('session-drive-setup', async ({ sessionId }) => {
+  const session = SessionService.getSession(sessionId);
+  if (!session || session.spreadsheetId) return; // gone or already set up
+
+  const driveService = await getDriveService(session.teacherId);
+  if (!driveService) throw new Error('Google Drive not connected');
+
+  const folder = await driveService.createFolderStructure(
+    session.sessionType,
+    session.year,
+    session.sectionOrGroup,
+    config.academicYear
+  );
+
+  const sessionDate = session.createdAt.split('T')[0];
+  const sheetTitle = `${session.subjectName}_${session.sessionType.toUpperCase()}_${sessionDate}`;
+  const sheet = await driveService.createAttendanceSheet(sheetTitle, folder.id, { roomName: session.roomName });
+
+  SessionService.updateSession(sessionId, {
+    spreadsheetId: sheet.spreadsheetId,
+    spreadsheetUrl: sheet.spreadsheetUrl,
+    driveFolder: folder,
+  });
+});
+
+/**
+ * Append one attendance record to the session spreadsheet
+ */
+attendanceQueue.register('attendance-append', async ({ recordId }) => {
+  const record = getAttendanceById(recordId);
+  if (!record || record._synced) return;
+
+  await writeRows([record], markAttendanceSyncFailed, async () => {
+    const session = SessionService.getSession(record.sessionId);
+    if (!session?.spreadsheetId) throw new Error('Session spreadsheet not ready');
+
+    const driveService = await getDriveService(session.teacherId);
+    if (!driveService) throw new Error('Google Drive not connected');
+
+    await driveService.appendAttendanceRecord(session.spreadsheetId, record);
+  });
+  markAttendanceSynced(recordId);
+});
+
+/**
+ * Catch up a session: append every unsynced attendance row in batches
+ */
+attendanceQueue.register('attendance-reconcile', async ({ sessionId }) => {
+  const session = SessionService.getSession(sessionId);
+  if (!session?.spreadsheetId) return;
+
+  for (;;) {
+    const records = getUnsyncedAttendanceBySession(sessionId, RECONCILE_BATCH_SIZE);
+    if (records.length === 0) return;
+
+    await writeRows(records, markAttendanceSyncFailed, async () => {
+      const driveService = await getDriveService(session.teacherId);
+      if (!driveService) throw new Error('Google Drive not connected');
+      await driveService.appendAttendanceRecords(session.spreadsheetId, records);
+    });
+    records.forEach(r => markAttendanceSynced(r.id));
+  }
+});
+
+/**
+ * Mirror a teacher override to the session spreadsheet: rewrite or delete the
+ * student's Attendance row, then log the change on the Audit tab
+ */
+attendanceQueue.register('attendance-override', async ({ auditId }) => {
+  const entry = getAuditEntry(auditId);
+  if (!entry || entry._synced) return;
+
+  const session = SessionService.getSession(entry.sessionId);
+  if (!session?.spreadsheetId) return; // the sheet is created with the current rows
+
+  const driveService = await getDriveService(session.teacherId);
+  if (!driveService) throw new Error('Google Drive not connected');
+
+  if (entry.action === 'remove') {
+    await driveService.deleteAttendanceRow(session.spreadsheetId, entry.email);
+  } else {
+    const record = getAttendanceById(entry.attendanceId);
+    if (record) {
+      await driveService.upsertAttendanceRow(session.spreadsheetId, record);
+      markAttendanceSynced(record.id);
+    }
+  }
+
+  const teacher = findTeacherById(entry.teacherId);
+  await driveService.appendAuditEntry(session.spreadsheetId, { ...entry, teacherEmail: teacher?.email });
+  markAuditSynced(entry.id);
+});
+
+/**
+ * Write the roster size to the session Summary sheet (queued when absences are recorded)
+ */
+attendanceQueue.register('session-summary', async ({ sessionId, enrolled }) => {
+  const session = SessionService.getSession(sessionId);
+  if (!session?.spreadsheetId) return;
+
+  const driveService = await getDriveService(session.teacherId);
+  if (!driveService) throw new Error('Google Drive not connected');
+
+  await driveService.updateEnrollmentSummary(session.spreadsheetId, enrolled);
+});
+
+/**
+ * Append violation rows to the teacher's Cheating-Logs spreadsheet
+ */
+attendanceQueue.register('violation-log', async ({ teacherId, logIds }) => {
+  const logs = logIds.map(getCheatingLogById).filter(l => l && !l._synced);
+  if (logs.length === 0) return;
+
+  await writeRows(logs, markCheatingSyncFailed, async () => {
+    const driveService = await getDriveService(teacherId);
+    if (!driveService) throw new Error('Google Drive not connected');
+
+    const cheatingSheetId = await driveService.getOrCreateCheatingLog(config.academicYear);
+    for (const log of logs) {
+      await driveService.logViolation(cheatingSheetId, log);
+      markCheatingSynced(log.id);
+    }
+  });
+});
+
+/**
+ * Catch up a teacher's Cheating-Logs sheet: append every unsynced violation in batches
+ */
+attendanceQueue.register('violation-reconcile', async ({ teacherId }) => {
+  for (;;) {
+    const logs = getUnsyncedCheatingByTeacher(teacherId, RECONCILE_BATCH_SIZE);
+    if (logs.length === 0) return;
+
+    await writeRows(logs, markCheatingSyncFailed, async () => {
+      const driveService = await getDriveService(teacherId);
+      if (!driveService) throw new Error('Google Drive not connected');
+
+      const cheatingSheetId = await driveService.getOrCreateCheatingLog(config.academicYear);
+      await driveService.logViolations(cheatingSheetId, logs);
+    });
+    logs.forEach(l => markCheatingSynced(l.id));
+  }
+});
+
+// ── Enqueue helpers ──
+
+/**
+ * Queue Drive resource creation — keyed by sessionId (each setup runs independently)
+ */
+function enqueueSessionSetup(sessionId) {
+  return driveQueue.enqueue('session-drive-setup', { sessionId }, {
+    key: sessionId,
+    label: `drive-setup-${sessionId}`,
+  });
+}
+
+/**
+ * Queue an attendance row — keyed by sessionId (parallel across sessions, sequential within)
+ */
+function enqueueAttendanceSync(record, recordId) {
+  return attendanceQueue.enqueue('attendance-append', { recordId }, {
+    key: record.sessionId,
+    label: `attendance-${record.sessionId}-${record.email}`,
+  });
+}
+
+/**
+ * Queue the enrolled count for the session Summary sheet — same lane as its attendance rows
+ */
+function enqueueSessionSummary(sessionId, enrolled) {
+  return attendanceQueue.enqueue('session-summary', { sessionId, enrolled }, {
+    key: sessionId,
+    label: `summary-${sessionId}`,
+  });
+}
+
+/**
+ * Queue a teacher override — same lane as the session's attendance rows, so it
+ * lands after the row it changes
+ */
+function enqueueAttendanceOverride(sessionId, auditId) {
+  return attendanceQueue.enqueue('attendance-override', { auditId }, {
+    key: sessionId,
+    label: `override-${sessionId}-${auditId}`,
+  });
+}
+
+/**
+ * Queue violation rows — keyed per teacher (one shared Cheating-Logs sheet)
+ */
+function enqueueViolationSync(session, email, logIds) {
+  return attendanceQueue.enqueue('violation-log', { teacherId: session.teacherId, logIds }, {
+    key: `violations-${session.teacherId}`,
+    label: `violation-${session.id}-${email}`,
+  });
+}
+
+/**
+ * Queue a catch-up job in a lane, reusing its dead-lettered predecessor if any
+ * (so a sheet that keeps failing doesn't pile up a new dead job every cycle).
+ * Skipped while the lane still has open jobs — they run first and may sync the rows.
+ * @returns {boolean} true if a job was queued
+ */
+function enqueueReconcile(queue, type, payload, key) {
+  if (stmts.hasOpenLaneJobs.get(queue.name, key)) return false;
+
+  const dead = stmts.getDeadLaneJob.get(queue.name, type, key);
+  if (dead) return queue.retry(dead.id);
+
+  return queue.enqueue(type, payload, { key, label: `${type}-${key}` });
+}
+
+/**
+ * Queue a batch re-sync of a session's unsynced attendance rows
+ */
+function enqueueAttendanceReconcile(sessionId) {
+  return enqueueReconcile(attendanceQueue, 'attendance-reconcile', { sessionId }, sessionId);
+}
+
+/**
+ * Queue a batch re-sync of a teacher's unsynced violation rows
+ */
+function enqueueViolationReconcile(teacherId) {
+  return enqueueReconcile(attendanceQueue, 'violation-reconcile', { teacherId }, `violations-${teacherId}`);
+}
+
+/**
+ * Resume persisted jobs (call once at boot, after handlers are registered)
+ */
+function resumeQueues() {
+  driveQueue.resume();
+  attendanceQueue.resume();
+}
+
+module.exports = {
+  enqueueSessionSetup,
+  enqueueAttendanceSync,
+  enqueueViolationSync,
+  enqueueSessionSummary,
+  enqueueAttendanceOverride,
+  enqueueAttendanceReconcile,
+  enqueueViolationReconcile,
+  resumeQueues,
+};
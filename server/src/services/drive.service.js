@@ -1,18 +1,50 @@
 const { google } = require('googleapis');
 const config = require('../config');
 
+// Summary!B11 — present (B6) over enrolled (B10); "—" until a roster count is written
+const ENROLLMENT_RATE_FORMULA = '=IFERROR(TEXT(B6/B10,"0%"),"—")';
+
+/**
+ * One row of the Attendance sheet (columns A:H)
+ */
+function formatAttendanceRow(record, rowNum) {
+  // Format time as readable string
+  let time = new Date(record.timestamp).toLocaleTimeString('en-US', {
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: true,
+  });
+  if (record.minutesLate != null) time += ` (+${record.minutesLate} min)`;
+
+  return [
+    rowNum,
+    record.studentName,
+    record.email,
+    record.status,
+    time,
+    record.ipAddress,
+    record.latitude,
+    record.longitude,
+  ];
+}
+
 /**
  * Google Drive Service
  * Handles all interactions with Google Drive API
  */
 class DriveService {
-  constructor(accessToken) {
-    const auth = new google.auth.OAuth2(
-      config.google.clientId,
-      config.google.clientSecret,
-      config.google.redirectUri
-    );
-    auth.setCredentials({ access_token: accessToken });
+  /**
+   * @param {OAuth2Client|string} authOrAccessToken - OAuth2 client from the token
+   *   manager (auto-refreshing), or a bare access token (expires after ~1 hour)
+   */
+  constructor(authOrAccessToken) {
+    let auth = authOrAccessToken;
+    if (typeof authOrAccessToken === 'string') {
+      auth = new google.auth.OAuth2(
+        config.google.clientId,
+        config.google.clientSecret,
+        config.google.redirectUri
+      );
+      auth.setCredentials({ access_token: authOrAccessToken });
+    }
 
     this.drive = google.drive({ version: 'v3', auth });
     this.sheets = google.sheets({ version: 'v4', auth });
@@ -102,8 +134,9 @@ class DriveService {
 
   /**
    * Create a Google Spreadsheet for attendance with professional formatting
+   * @param {string} [options.roomName] - Catalog room, shown in the title row and the Summary
    */
-  async createAttendanceSheet(title, folderId) {
+  async createAttendanceSheet(title, folderId, { roomName } = {}) {
     // Create spreadsheet with two sheets
     const spreadsheet = await this.sheets.spreadsheets.create({
       resource: {
@@ -152,7 +185,7 @@ class DriveService {
       valueInputOption: 'RAW',
       resource: {
         values: [
-          [`📋 ${subjectName} — ${sessionType} — ${sessionDate}`, '', '', '', '', '', '', ''],
+          [`📋 ${[subjectName, sessionType, sessionDate, roomName].filter(Boolean).join(' — ')}`, '', '', '', '', '', '', ''],
           ['#', 'Student Name', 'Email', 'Status', 'Time', 'IP Address', 'GPS Lat', 'GPS Lng'],
         ],
       },
@@ -161,7 +194,7 @@ class DriveService {
     // Write Summary sheet
     await this.sheets.spreadsheets.values.update({
       spreadsheetId,
-      range: 'Summary!A1:B8',
+      range: 'Summary!A1:B12',
       valueInputOption: 'USER_ENTERED',
       resource: {
         values: [
@@ -170,9 +203,15 @@ class DriveService {
           ['Subject', subjectName],
           ['Type', sessionType],
           ['Date', sessionDate],
-          ['Total Present', '=COUNTIF(Attendance!D:D,"PRESENT")'],
+          // Late arrivals attended — they count towards the attendance rate
+          ['Total Present', '=COUNTIF(Attendance!D:D,"PRESENT")+COUNTIF(Attendance!D:D,"LATE")'],
           ['Total Flagged', '=COUNTIF(Attendance!D:D,"FLAGGED")'],
+          ['Total Absent', '=COUNTIF(Attendance!D:D,"ABSENT")'],
           ['Total Students', '=COUNTA(Attendance!B:B)-1'],
+          // Filled in when the session closes (needs a roster)
+          ['Enrolled', '—'],
+          ['Attendance Rate', ENROLLMENT_RATE_FORMULA],
+          ['Room', roomName || '—'],
         ],
       },
     });
@@ -282,6 +321,54 @@ class DriveService {
               index: 1,
             },
           },
+          // Conditional formatting: ABSENT → grey bg
+          {
+            addConditionalFormatRule: {
+              rule: {
+                ranges: [{ sheetId: 0, startRowIndex: 2, startColumnIndex: 3, endColumnIndex: 4 }],
+                booleanRule: {
+                  condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'ABSENT' }] },
+                  format: {
+                    backgroundColor: { red: 0.91, green: 0.92, blue: 0.94 },
+                    textFormat: { foregroundColor: { red: 0.4, green: 0.42, blue: 0.47 }, bold: true },
+                  },
+                },
+              },
+              index: 2,
+            },
+          },
+          // Conditional formatting: EXCUSED → blue bg
+          {
+            addConditionalFormatRule: {
+              rule: {
+                ranges: [{ sheetId: 0, startRowIndex: 2, startColumnIndex: 3, endColumnIndex: 4 }],
+                booleanRule: {
+                  condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'EXCUSED' }] },
+                  format: {
+                    backgroundColor: { red: 0.86, green: 0.92, blue: 0.99 },
+                    textFormat: { foregroundColor: { red: 0.12, green: 0.25, blue: 0.69 }, bold: true },
+                  },
+                },
+              },
+              index: 3,
+            },
+          },
+          // Conditional formatting: LATE → orange bg
+          {
+            addConditionalFormatRule: {
+              rule: {
+                ranges: [{ sheetId: 0, startRowIndex: 2, startColumnIndex: 3, endColumnIndex: 4 }],
+                booleanRule: {
+                  condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'LATE' }] },
+                  format: {
+                    backgroundColor: { red: 1, green: 0.9, blue: 0.8 },
+                    textFormat: { foregroundColor: { red: 0.6, green: 0.2, blue: 0.07 }, bold: true },
+                  },
+                },
+              },
+              index: 4,
+            },
+          },
           // Alternating row colors for data rows
           {
             addBanding: {
@@ -324,7 +411,7 @@ class DriveService {
           // Summary labels bold
           {
             repeatCell: {
-              range: { sheetId: 1, startRowIndex: 2, endRowIndex: 8, startColumnIndex: 0, endColumnIndex: 1 },
+              range: { sheetId: 1, startRowIndex: 2, endRowIndex: 12, startColumnIndex: 0, endColumnIndex: 1 },
               cell: {
                 userEnteredFormat: {
                   textFormat: { bold: true, fontSize: 11 },
@@ -337,7 +424,7 @@ class DriveService {
           // Summary values
           {
             repeatCell: {
-              range: { sheetId: 1, startRowIndex: 2, endRowIndex: 8, startColumnIndex: 1, endColumnIndex: 2 },
+              range: { sheetId: 1, startRowIndex: 2, endRowIndex: 12, startColumnIndex: 1, endColumnIndex: 2 },
               cell: {
                 userEnteredFormat: {
                   textFormat: { fontSize: 11 },
@@ -384,8 +471,15 @@ class DriveService {
    * Append attendance record to spreadsheet
    */
   async appendAttendanceRecord(spreadsheetId, record) {
-    // Get current row count to calculate student number
-    let rowNum = '?';
+    await this.appendAttendanceRecords(spreadsheetId, [record]);
+  }
+
+  /**
+   * Append several attendance records in one write (used by the sync reconciler)
+   */
+  async appendAttendanceRecords(spreadsheetId, records) {
+    // Get current row count to calculate student numbers
+    let rowNum = null;
     try {
       const existing = await this.sheets.spreadsheets.values.get({
         spreadsheetId,
@@ -394,27 +488,136 @@ class DriveService {
       rowNum = (existing.data.values?.length || 2) - 1; // subtract title + header
     } catch (e) { /* fallback */ }
 
-    // Format time as readable string
-    const time = new Date(record.timestamp).toLocaleTimeString('en-US', {
-      hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: true,
-    });
+    const values = records.map((record, i) =>
+      formatAttendanceRow(record, rowNum != null ? rowNum + i : '?')
+    );
 
     await this.sheets.spreadsheets.values.append({
       spreadsheetId,
       range: 'Attendance!A:H',
       valueInputOption: 'RAW',
+      resource: { values },
+    });
+  }
+
+  /**
+   * Find a student's row on the Attendance sheet by email
+   * @returns {Promise<number|null>} 1-based sheet row, or null if not on the sheet
+   */
+  async findAttendanceRow(spreadsheetId, email) {
+    const existing = await this.sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: 'Attendance!C:C',
+    });
+    const target = email.toLowerCase();
+    const index = (existing.data.values || []).findIndex(
+      (row, i) => i >= 2 && String(row[0] || '').toLowerCase() === target
+    );
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Rewrite a student's Attendance row in place (keeps its # column), or append it
+   */
+  async upsertAttendanceRow(spreadsheetId, record) {
+    const row = await this.findAttendanceRow(spreadsheetId, record.email);
+    if (!row) {
+      await this.appendAttendanceRecords(spreadsheetId, [record]);
+      return;
+    }
+
+    const [, ...values] = formatAttendanceRow(record, null);
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `Attendance!B${row}:H${row}`,
+      valueInputOption: 'RAW',
+      resource: { values: [values] },
+    });
+  }
+
+  /**
+   * Delete a student's Attendance row (no-op if it was never synced)
+   */
+  async deleteAttendanceRow(spreadsheetId, email) {
+    const row = await this.findAttendanceRow(spreadsheetId, email);
+    if (!row) return;
+
+    await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [{
+          deleteDimension: {
+            range: { sheetId: 0, dimension: 'ROWS', startIndex: row - 1, endIndex: row },
+          },
+        }],
+      },
+    });
+  }
+
+  /**
+   * Append a teacher override to the session's "Audit" tab (created on first use)
+   */
+  async appendAuditEntry(spreadsheetId, entry) {
+    const spreadsheet = await this.sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties.title',
+    });
+    const hasAuditTab = spreadsheet.data.sheets.some(sh => sh.properties.title === 'Audit');
+
+    if (!hasAuditTab) {
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: {
+          requests: [{
+            addSheet: { properties: { title: 'Audit', gridProperties: { frozenRowCount: 1 } } },
+          }],
+        },
+      });
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: 'Audit!A1:G1',
+        valueInputOption: 'RAW',
+        resource: {
+          values: [['Time', 'Teacher', 'Action', 'Student Email', 'Old Status', 'New Status', 'Reason']],
+        },
+      });
+    }
+
+    const time = new Date(entry.createdAt).toLocaleString('en-US', {
+      dateStyle: 'short', timeStyle: 'medium',
+    });
+
+    await this.sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: 'Audit!A:G',
+      valueInputOption: 'RAW',
+      resource: {
+        values: [[
+          time,
+          entry.teacherEmail || entry.teacherId,
+          entry.action.toUpperCase(),
+          entry.email,
+          entry.oldValue?.status || '',
+          entry.newValue?.status || '',
+          entry.reason,
+        ]],
+      },
+    });
+  }
+
+  /**
+   * Write the enrolled count + attendance rate to the session Summary sheet (on session close)
+   */
+  async updateEnrollmentSummary(spreadsheetId, enrolled) {
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: 'Summary!A10:B11',
+      valueInputOption: 'USER_ENTERED',
       resource: {
         values: [
-          [
-            rowNum,
-            record.studentName,
-            record.email,
-            record.status,
-            time,
-            record.ipAddress,
-            record.latitude,
-            record.longitude,
-          ],
+          ['Enrolled', enrolled],
+          ['Attendance Rate', ENROLLMENT_RATE_FORMULA],
+          ['Room', roomName || '—'],
         ],
       },
     });
@@ -559,8 +762,15 @@ class DriveService {
    * Log a cheating violation
    */
   async logViolation(spreadsheetId, violation) {
+    await this.logViolations(spreadsheetId, [violation]);
+  }
+
+  /**
+   * Log several violations in one write (used by the sync reconciler)
+   */
+  async logViolations(spreadsheetId, violations) {
     // Get row number
-    let rowNum = '?';
+    let rowNum = null;
     try {
       const existing = await this.sheets.spreadsheets.values.get({
         spreadsheetId,
@@ -569,28 +779,28 @@ class DriveService {
       rowNum = (existing.data.values?.length || 2) - 1;
     } catch (e) { /* fallback */ }
 
-    const time = new Date(violation.timestamp).toLocaleString('en-US', {
-      dateStyle: 'short', timeStyle: 'medium',
+    const values = violations.map((violation, i) => {
+      const time = new Date(violation.timestamp).toLocaleString('en-US', {
+        dateStyle: 'short', timeStyle: 'medium',
+      });
+
+      return [
+        rowNum != null ? rowNum + i : '?',
+        violation.studentName,
+        violation.email,
+        violation.violationType,
+        violation.details,
+        violation.distance || 'N/A',
+        violation.ipAddress,
+        time,
+      ];
     });
 
     await this.sheets.spreadsheets.values.append({
       spreadsheetId,
       range: 'Violations!A:H',
       valueInputOption: 'RAW',
-      resource: {
-        values: [
-          [
-            rowNum,
-            violation.studentName,
-            violation.email,
-            violation.violationType,
-            violation.details,
-            violation.distance || 'N/A',
-            violation.ipAddress,
-            time,
-          ],
-        ],
-      },
+      resource: { values },
     });
   }
 
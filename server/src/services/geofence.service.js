@@ -0,0 +1,126 @@
+/**
+ * Geofence Shapes
+ *
+ * A classroom is either the legacy single circle (classroomLocation + geofenceRadius)
+ * or a stored shape:
+ *   { type: 'circles', circles: [{ lat, lng, radius }] }  — e.g. a session split across two rooms
+ *   { type: 'polygon', points: [{ lat, lng }] }           — e.g. an amphitheater or a lab wing
+ */
+
+const geolib = require('geolib');
+
+const MAX_CIRCLES = 10;
+const MIN_RADIUS = 10;
+const MAX_RADIUS = 1000;
+const MIN_POINTS = 3;
+const MAX_POINTS = 50;
+
+const toPoint = ({ lat, lng }) => ({ latitude: lat, longitude: lng });
+
+function parseCoordinate(value, min, max, label) {
+  const n = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n) || n < min || n > max) {
+    throw new Error(`Invalid ${label}`);
+  }
+  return n;
+}
+
+function parseLatLng(p, label) {
+  if (!p || typeof p !== 'object') throw new Error(`Invalid ${label}`);
+  return {
+    lat: parseCoordinate(p.lat, -90, 90, `${label} latitude`),
+    lng: parseCoordinate(p.lng, -180, 180, `${label} longitude`),
+  };
+}
+
+/**
+ * Validate and normalize a geofence shape from a request body
+ * @throws {Error} with a user-facing message when the shape is invalid
+ */
+function parseGeofence(input) {
+  if (!input || typeof input !== 'object') throw new Error('Invalid geofence');
+
+  if (input.type === 'circles') {
+    const circles = Array.isArray(input.circles) ? input.circles : [];
+    if (circles.length < 1 || circles.length > MAX_CIRCLES) {
+      throw new Error(`A geofence needs 1 to ${MAX_CIRCLES} circles`);
+    }
+    return {
+      type: 'circles',
+      circles: circles.map((c, i) => ({
+        ...parseLatLng(c, `circle ${i + 1}`),
+        radius: Math.round(parseCoordinate(c.radius, MIN_RADIUS, MAX_RADIUS, `circle ${i + 1} radius`)),
+      })),
+    };
+  }
+
+  if (input.type === 'polygon') {
+    const points = Array.isArray(input.points) ? input.points : [];
+    if (points.length < MIN_POINTS || points.length > MAX_POINTS) {
+      throw new Error(`A polygon needs ${MIN_POINTS} to ${MAX_POINTS} corners`);
+    }
+    return {
+      type: 'polygon',
+      points: points.map((p, i) => parseLatLng(p, `corner ${i + 1}`)),
+    };
+  }
+
+  throw new Error('Geofence type must be "circles" or "polygon"');
+}
+
+/**
+ * Center of a shape — stored as the session's classroomLocation
+ */
+function getCenter(geofence) {
+  const points = geofence.type === 'polygon' ? geofence.points : geofence.circles;
+  const center = geolib.getCenter(points.map(toPoint));
+  return { lat: center.latitude, lng: center.longitude };
+}
+
+/**
+ * Distance from a point to a polygon edge (geolib returns NaN on a vertex or zero-length edge)
+ */
+function distanceToSegment(point, a, b) {
+  const d = geolib.getDistanceFromLine(point, a, b);
+  return Number.isNaN(d) ? Math.min(geolib.getDistance(point, a), geolib.getDistance(point, b)) : d;
+}
+
+/**
+ * Where a point sits relative to a shape
+ * @param {Object} location - { lat, lng }
+ * @returns {{ inside: boolean, edgeDistance: number, scale: number }}
+ *   edgeDistance — meters outside the nearest edge (0 inside);
+ *   scale — size of the area judged against, compared with the GPS error radius
+ */
+function measure(location, geofence) {
+  const point = toPoint(location);
+
+  if (geofence.type === 'polygon') {
+    const corners = geofence.points.map(toPoint);
+    const inside = geolib.isPointInPolygon(point, corners);
+    const edgeDistance = Math.min(
+      ...corners.map((corner, i) => distanceToSegment(point, corner, corners[(i + 1) % corners.length]))
+    );
+    const center = geolib.getCenter(corners);
+    const scale = Math.max(...corners.map(corner => geolib.getDistance(center, corner)));
+    return { inside, edgeDistance: inside ? 0 : Math.round(edgeDistance), scale };
+  }
+
+  // Circles: judged against the one the student is closest to (or deepest inside)
+  let nearest = null;
+  for (const circle of geofence.circles) {
+    const beyond = geolib.getDistance(point, toPoint(circle)) - circle.radius;
+    if (!nearest || beyond < nearest.beyond) nearest = { beyond, radius: circle.radius };
+  }
+  return {
+    inside: nearest.beyond <= 0,
+    edgeDistance: Math.max(0, Math.round(nearest.beyond)),
+    scale: nearest.radius,
+  };
+}
+
+module.exports = {
+  parseGeofence,
+  getCenter,
+  measure,
+};
@@ -0,0 +1,364 @@
+/**
+ * iCalendar (RFC 5545) Timetables
+ *
+ * Export: each teacher gets a secret feed URL that calendar apps (Google Calendar, Outlook,
+ * Apple Calendar) subscribe to. The feed lists every class occurrence from a few weeks back
+ * to half a year ahead — computed by ScheduleService, so semester bounds, A / B weeks and the
+ * academic calendar are already applied — as UTC times.
+ *
+ * Import: an exported .ics file is turned into schedules, one per recurring VEVENT.
+ * SUMMARY becomes the subject, LOCATION the room (when it names one in the catalog) or the
+ * classroom name, RRULE the recurrence and EXDATEs cancelled dates of the new schedule.
+ * Times are converted to the teacher's time zone.
+ */
+
+const crypto = require('crypto');
+const ScheduleService = require('./schedule.service');
+const CalendarService = require('./calendar.service');
+const RoomService = require('./room.service');
+const Recurrence = require('./recurrence.service');
+const {
+  getCalendarToken,
+  findTeacherByCalendarToken,
+  setCalendarToken,
+} = require('./store.service');
+
+const PRODID = '-//Attendance//Timetable//EN';
+const FEED_PAST_DAYS = 28;
+const FEED_FUTURE_DAYS = 182;
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Feed tokens ──
+
+/**
+ * The teacher's feed token, issued on first use
+ */
+function feedToken(teacherId) {
+  return getCalendarToken(teacherId) || resetFeedToken(teacherId);
+}
+
+/**
+ * Issue a new feed token — subscriptions to the old URL stop updating
+ */
+function resetFeedToken(teacherId) {
+  const token = crypto.randomBytes(24).toString('hex');
+  setCalendarToken(teacherId, token);
+  return token;
+}
+
+/**
+ * The teacher a feed token belongs to (null if unknown)
+ */
+function teacherForToken(token) {
+  return TOKEN_PATTERN.test(String(token || '')) ? findTeacherByCalendarToken(token) : null;
+}
+
+// ── Writing ──
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * The teacher's timetable as an iCalendar document
+ */
+function buildFeed(teacher, now = new Date()) {
+  const timeZone = ScheduleService.teacherTimeZone(teacher);
+  const schedules = ScheduleService.getSchedulesForTeacher(teacher.id);
+  const exceptions = CalendarService.listExceptions();
+  const today = ScheduleService.localDate(now, timeZone);
+  const stamp = formatUtc(now);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${teacher.name || teacher.email} — Timetable`)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+  ];
+
+  for (let i = -FEED_PAST_DAYS; i <= FEED_FUTURE_DAYS; i++) {
+    const date = Recurrence.addDays(today, i);
+    for (const schedule of schedules) {
+      if (!ScheduleService.occursOn(schedule, date, exceptions)) continue;
+      const location = schedule.roomName || schedule.classroomName;
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${schedule.id}-${date.replace(/-/g, '')}@attendance`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatUtc(ScheduleService.timeOnLocalDate(schedule.startTime, date, timeZone))}`,
+        `DTEND:${formatUtc(ScheduleService.timeOnLocalDate(schedule.endTime, date, timeZone))}`,
+        `SUMMARY:${escapeText(`${schedule.subjectName} (${schedule.sessionType.toUpperCase()})`)}`,
+        ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+        `DESCRIPTION:${escapeText(`Year ${schedule.year} • ${schedule.sectionOrGroup}`)}`,
+        'END:VEVENT'
+      );
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ── Reading ──
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/**
+ * One content line → { name, params, value } ("DTSTART;TZID=Europe/Paris:20260907T080000")
+ */
+function parseLine(line) {
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, split).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+/**
+ * The VEVENTs of an iCalendar document, each as a list of its properties
+ * (properties of nested components such as VALARM are left out)
+ */
+function parseEvents(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(l => l.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar (.ics) file');
+  }
+
+  const events = [];
+  let event = null;
+  let depth = 0;
+  for (const raw of lines) {
+    const prop = parseLine(raw.trim());
+    if (!prop) continue;
+    if (prop.name === 'BEGIN') {
+      if (prop.value.toUpperCase() === 'VEVENT' && !event) {
+        event = [];
+        depth = 0;
+      } else if (event) {
+        depth++;
+      }
+    } else if (prop.name === 'END') {
+      if (event && depth === 0 && prop.value.toUpperCase() === 'VEVENT') {
+        events.push(event);
+        event = null;
+      } else if (event) {
+        depth--;
+      }
+    } else if (event && depth === 0) {
+      event.push(prop);
+    }
+  }
+  return events;
+}
+
+/**
+ * An iCalendar DATE-TIME as an instant — UTC ("Z"), in its TZID, or floating (read in
+ * `fallbackZone`, as are TZIDs the runtime doesn't know, e.g. Outlook's Windows zone names)
+ * @returns {Date|null} null for all-day (DATE) values
+ */
+function parseDateTime(prop, fallbackZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(prop.value.trim());
+  if (!match || !match[4]) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (utc) return new Date(Date.UTC(+year, month - 1, +day, +hour, +minute, +second));
+
+  const zone = prop.params.TZID && ScheduleService.isValidTimeZone(prop.params.TZID) ? prop.params.TZID : fallbackZone;
+  return ScheduleService.timeOnLocalDate(`${hour}:${minute}`, `${year}-${month}-${day}`, zone);
+}
+
+// "P1W", "PT1H30M" → milliseconds
+function parseDuration(value) {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(v => Number(v) || 0);
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+function dayDifference(a, b) {
+  return Math.round((Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Schedule fields for a recurring VEVENT, in the teacher's time zone
+ * @throws {Error} with the reason the event can't be imported
+ */
+function eventToSchedule(event, timeZone) {
+  const get = name => event.find(p => p.name === name) || null;
+  const summary = unescapeText(get('SUMMARY')?.value || '').trim();
+
+  if ((get('STATUS')?.value || '').toUpperCase() === 'CANCELLED') throw new Error('Cancelled event');
+  if (get('RECURRENCE-ID')) throw new Error('Changed occurrence of a recurring event');
+  if (!get('RRULE')) throw new Error('Not a recurring event');
+  if (!summary) throw new Error('Event has no title');
+
+  const dtstart = get('DTSTART');
+  const start = dtstart && parseDateTime(dtstart, timeZone);
+  if (!start) throw new Error('All-day event');
+  let end = get('DTEND') && parseDateTime(get('DTEND'), timeZone);
+  if (!end && get('DURATION')) {
+    const duration = parseDuration(get('DURATION').value);
+    end = duration ? new Date(start.getTime() + duration) : null;
+  }
+  if (!end || end <= start) throw new Error('Event has no end time');
+
+  const startDate = ScheduleService.localDate(start, timeZone);
+  if (ScheduleService.localDate(end, timeZone) !== startDate) throw new Error('Event runs past midnight');
+
+  // BYDAY counts in DTSTART's zone; moving to the teacher's zone can shift the class to another day
+  const originalDate = dtstart.value.slice(0, 8).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+  const dayShift = dayDifference(startDate, originalDate);
+
+  let rule;
+  try {
+    const parts = get('RRULE').value.split(';').filter(p => !/^WKST=/i.test(p));
+    rule = Recurrence.parseRule(parts.join(';'));
+  } catch (err) {
+    throw new Error(`Unsupported repeat rule: ${err.message}`);
+  }
+  rule.byDay = rule.byDay.map(day => (day + dayShift + 7) % 7);
+  if (rule.until) {
+    const untilValue = get('RRULE').value.match(/UNTIL=([0-9TZ]+)/i)?.[1] || '';
+    const untilInstant = /Z$/i.test(untilValue) ? parseDateTime({ value: untilValue, params: {} }, timeZone) : null;
+    if (untilInstant) rule.until = ScheduleService.localDate(untilInstant, timeZone);
+  }
+
+  const dayOfWeek = new Date(`${startDate}T00:00:00Z`).getUTCDay();
+  const location = unescapeText(get('LOCATION')?.value || '').trim();
+  const room = RoomService.findByLabel(location);
+  const fields = {
+    subjectName: summary.slice(0, 200),
+    dayOfWeek,
+    startTime: ScheduleService.localTime(start, timeZone),
+    endTime: ScheduleService.localTime(end, timeZone),
+    startDate,
+    endDate: null,
+    roomId: room?.id || null,
+    classroomName: room ? '' : location.slice(0, 100),
+    cancelledDates: event
+      .filter(p => p.name === 'EXDATE')
+      .flatMap(p => p.value.split(',').map(value => parseDateTime({ ...p, value }, timeZone)))
+      .filter(Boolean)
+      .map(instant => ScheduleService.localDate(instant, timeZone)),
+  };
+
+  // Plain weekly / every-other-week classes on one day keep the simple recurrence
+  const simpleDay = rule.byDay.length === 0 || (rule.byDay.length === 1 && rule.byDay[0] === dayOfWeek);
+  if (rule.freq === 'WEEKLY' && !rule.count && simpleDay && rule.interval <= 2) {
+    return { ...fields, recurrence: rule.interval === 2 ? 'biweekly' : 'weekly', endDate: rule.until };
+  }
+
+  const rrule = [
+    `FREQ=${rule.freq}`,
+    rule.interval > 1 && `INTERVAL=${rule.interval}`,
+    rule.byDay.length > 0 && `BYDAY=${rule.byDay.map(d => Recurrence.DAY_CODES[d]).join(',')}`,
+    rule.until && `UNTIL=${rule.until.replace(/-/g, '')}`,
+    rule.count && `COUNT=${rule.count}`,
+  ].filter(Boolean).join(';');
+  return { ...fields, recurrence: 'custom', rrule };
+}
+
+/**
+ * Create schedules from the recurring events of an .ics file. Events already in the
+ * teacher's schedule (same subject, group, day and start time) are skipped.
+ * @param {Object} defaults - { sessionType, year, sectionOrGroup } for every imported schedule
+ * @returns {{ created: Object[], skipped: Array<{ summary: string, reason: string }> }}
+ */
+function importCalendar(text, teacher, defaults) {
+  const timeZone = ScheduleService.teacherTimeZone(teacher);
+  const existing = new Set(ScheduleService.getSchedulesForTeacher(teacher.id).map(scheduleKey));
+  const created = [];
+  const skipped = [];
+
+  for (const event of parseEvents(text)) {
+    const summary = unescapeText(event.find(p => p.name === 'SUMMARY')?.value || '').trim() || '(untitled)';
+    let fields;
+    try {
+      fields = eventToSchedule(event, timeZone);
+    } catch (err) {
+      skipped.push({ summary, reason: err.message });
+      continue;
+    }
+
+    const { cancelledDates, ...scheduleFields } = fields;
+    const data = { ...scheduleFields, ...defaults, teacherId: teacher.id };
+    if (existing.has(scheduleKey(data))) {
+      skipped.push({ summary, reason: 'Already in your schedule' });
+      continue;
+    }
+    existing.add(scheduleKey(data));
+
+    const schedule = ScheduleService.createSchedule(data);
+    for (const date of new Set(cancelledDates)) {
+      CalendarService.createException({
+        kind: CalendarService.KIND.CANCELLED,
+        label: 'Excluded in the imported calendar',
+        startDate: date,
+        scheduleId: schedule.id,
+        createdBy: teacher.id,
+      });
+    }
+    created.push(schedule);
+  }
+
+  return { created, skipped };
+}
+
+function scheduleKey(s) {
+  return [s.subjectName.toLowerCase(), String(s.sectionOrGroup).toLowerCase(), Number(s.dayOfWeek), s.startTime].join('|');
+}
+
+module.exports = {
+  feedToken,
+  resetFeedToken,
+  teacherForToken,
+  buildFeed,
+  parseEvents,
+  eventToSchedule,
+  importCalendar,
+};
@@ -0,0 +1,174 @@
+/**
+ * Live Attendance Feed
+ *
+ * Server-Sent Events stream per session for the teacher's QR display: every
+ * check-in, flag and count change is pushed as soon as it's written, instead
+ * of the page polling for the attendee count.
+ *
+ * Subscribers live in memory — a restart drops them and EventSource reconnects
+ * on its own, receiving a fresh snapshot.
+ */
+
+const { getAttendanceBySession, getSession } = require('./store.service');
+
+// Check-ins included in the snapshot sent on connect
+const RECENT_LIMIT = 20;
+
+// Comment line sent to every stream so proxies don't close idle connections
+const HEARTBEAT_MS = 25 * 1000;
+
+const subscribers = new Map(); // sessionId → Set<res>
+let heartbeatInterval = null;
+
+/**
+ * Write one SSE frame
+ */
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Check-in as shown on the live feed (no IP/MAC/coordinates)
+ */
+function toCheckIn(record) {
+  return {
+    id: record.id,
+    studentName: record.studentName,
+    email: record.email,
+    status: record.status,
+    minutesLate: record.minutesLate ?? null,
+    locationDecision: record.locationDecision || null,
+    timestamp: record.timestamp,
+    violations: (record.violations || []).map(v => v.type),
+  };
+}
+
+/**
+ * Attendee count and per-status counts for a session
+ */
+function getCounts(sessionId) {
+  const records = getAttendanceBySession(sessionId);
+  const counts = { present: 0, late: 0, flagged: 0, excused: 0, absent: 0 };
+  for (const r of records) {
+    const key = r.status.toLowerCase();
+    if (key in counts) counts[key]++;
+  }
+  return {
+    attendeeCount: getSession(sessionId)?.attendeeCount ?? 0,
+    counts,
+  };
+}
+
+function startHeartbeat() {
+  if (heartbeatInterval) return;
+  heartbeatInterval = setInterval(() => {
+    for (const streams of subscribers.values()) {
+      for (const res of streams) res.write(': ping\n\n');
+    }
+  }, HEARTBEAT_MS);
+  heartbeatInterval.unref();
+}
+
+function stopHeartbeatIfIdle() {
+  if (subscribers.size === 0 && heartbeatInterval) {
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+  }
+}
+
+/**
+ * Open an SSE stream on `res` for a session and send the current snapshot
+ */
+function subscribe(sessionId, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering (nginx, Render)
+  });
+  res.write('retry: 5000\n\n');
+
+  const recent = getAttendanceBySession(sessionId)
+    .filter(r => r.status !== 'ABSENT')
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, RECENT_LIMIT)
+    .map(toCheckIn);
+  send(res, 'snapshot', { ...getCounts(sessionId), recent });
+
+  if (!subscribers.has(sessionId)) subscribers.set(sessionId, new Set());
+  subscribers.get(sessionId).add(res);
+  startHeartbeat();
+
+  req.on('close', () => {
+    const streams = subscribers.get(sessionId);
+    if (!streams) return;
+    streams.delete(res);
+    if (streams.size === 0) subscribers.delete(sessionId);
+    stopHeartbeatIfIdle();
+  });
+}
+
+/**
+ * Push an event to everyone watching a session (no-op without subscribers)
+ */
+function publish(sessionId, event, data) {
+  const streams = subscribers.get(sessionId);
+  if (!streams) return;
+  for (const res of streams) send(res, event, data);
+}
+
+/**
+ * A submission was recorded
+ */
+function publishCheckIn(sessionId, record) {
+  if (!subscribers.has(sessionId)) return;
+  publish(sessionId, 'checkin', { record: toCheckIn(record), ...getCounts(sessionId) });
+}
+
+/**
+ * A submission was rejected outright (never becomes a record)
+ */
+function publishFlag(sessionId, { studentName, email, violationType, details }) {
+  publish(sessionId, 'flag', {
+    studentName,
+    email,
+    violationType,
+    details,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Records changed by hand (teacher override, absences) — resend the counts
+ */
+function publishCounts(sessionId) {
+  if (!subscribers.has(sessionId)) return;
+  publish(sessionId, 'counts', getCounts(sessionId));
+}
+
+/**
+ * The session stopped accepting submissions
+ */
+function publishClosed(sessionId) {
+  publish(sessionId, 'closed', { sessionId });
+}
+
+/**
+ * End every open stream (graceful shutdown — lets server.close() finish)
+ */
+function closeAll() {
+  for (const streams of subscribers.values()) {
+    for (const res of streams) res.end();
+  }
+  subscribers.clear();
+  stopHeartbeatIfIdle();
+}
+
+module.exports = {
+  subscribe,
+  publishCheckIn,
+  publishFlag,
+  publishCounts,
+  publishClosed,
+  closeAll,
+};
@@ -0,0 +1,75 @@
+/**
+ * Campus Networks
+ *
+ * CIDR ranges (e.g. "10.20.0.0/16", "2001:db8::/48") that count as the campus Wi-Fi.
+ * Each session picks how an address outside them is treated:
+ *   require — the submission is rejected (the student is told to join the campus Wi-Fi)
+ *   prefer  — the submission is accepted but flagged
+ *   ignore  — no network check
+ */
+
+const net = require('net');
+
+const POLICY = {
+  REQUIRE: 'require',
+  PREFER: 'prefer',
+  IGNORE: 'ignore',
+};
+
+const POLICIES = Object.values(POLICY);
+
+/**
+ * Parse a CIDR range (a bare address is a single-host range)
+ * @throws {Error} with a user-facing message when the range is invalid
+ * @returns {{ address: string, prefix: number, family: string, cidr: string }}
+ */
+function parseCidr(input) {
+  const [address, prefixText, ...rest] = String(input).trim().split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) throw new Error(`Invalid network range "${input}"`);
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) {
+    throw new Error(`Invalid network range "${input}"`);
+  }
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (prefix > maxPrefix) throw new Error(`Invalid network range "${input}"`);
+
+  return { address, prefix, family: `ipv${version}`, cidr: `${address}/${prefix}` };
+}
+
+// Matchers keyed by their joined ranges — settings rarely change, submissions are frequent
+const matcherCache = new Map();
+
+function getMatcher(cidrs) {
+  const key = cidrs.join(',');
+  if (!matcherCache.has(key)) {
+    const list = new net.BlockList();
+    for (const cidr of cidrs) {
+      try {
+        const { address, prefix, family } = parseCidr(cidr);
+        list.addSubnet(address, prefix, family);
+      } catch {
+        console.warn(`[Network] Ignoring invalid campus range "${cidr}"`);
+      }
+    }
+    matcherCache.set(key, list);
+  }
+  return matcherCache.get(key);
+}
+
+/**
+ * Whether an address is inside any of the ranges (IPv4-mapped IPv6 addresses match IPv4 ranges)
+ */
+function isInNetworks(ipAddress, cidrs) {
+  const version = net.isIP(ipAddress || '');
+  if (!version || cidrs.length === 0) return false;
+  return getMatcher(cidrs).check(ipAddress, `ipv${version}`);
+}
+
+module.exports = {
+  POLICY,
+  POLICIES,
+  parseCidr,
+  isInNetworks,
+};
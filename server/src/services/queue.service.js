@@ -1,127 +1,212 @@
 /**
- * Keyed Concurrent Write Queue
+ * Persistent Keyed Job Queue (SQLite-backed)
  *
- * Processes tasks in parallel across different keys (e.g., sessions),
+ * Processes jobs in parallel across different keys (e.g., sessions),
  * but sequentially within the same key (prevents race conditions on same spreadsheet).
+ * Jobs live in the `jobs` table, so a restart or redeploy resumes them instead of
+ * silently dropping pending Sheets writes.
  *
  * Features:
+ * - Named job types with JSON payloads (handlers registered at startup)
  * - Configurable concurrency (parallel lanes)
- * - Backpressure (max queue size, rejects when full)
- * - Automatic retry with exponential backoff
- * - onSuccess/onFailure callbacks for resource cleanup
- * - Per-key ordering guarantees (same spreadsheet writes stay sequential)
+ * - Backpressure (max open jobs, rejects when full)
+ * - Automatic retry with exponential backoff, then a dead-letter state
+ * - Per-key ordering guarantees (a retrying job blocks the jobs behind it)
+ * - Resume on boot (jobs interrupted mid-run are re-queued)
  * - Stats tracking for monitoring
  */
 
-class KeyedConcurrentQueue {
+const { stmts, debouncedSync } = require('./database');
+
+class PersistentQueue {
   /**
-   * @param {string} name - Queue name for logging
+   * @param {string} name - Queue name (stored on every job) and log prefix
    * @param {Object} opts
    * @param {number} opts.concurrency - Max parallel lanes (default 5)
-   * @param {number} opts.maxSize     - Backpressure limit (default 10000)
-   * @param {number} opts.retries     - Max retries per task (default 2)
+   * @param {number} opts.maxSize     - Backpressure limit on open jobs (default 10000)
+   * @param {number} opts.retries     - Max retries per job before dead-lettering (default 2)
    * @param {number} opts.retryDelay  - Base retry delay ms (default 1000)
    */
   constructor(name, { concurrency = 5, maxSize = 10000, retries = 2, retryDelay = 1000 } = {}) {
     this.name = name;
-    this._lanes = new Map();       // key → [{ task, label, retries, onSuccess, onFailure }]
+    this._handlers = new Map();    // job type → async (payload, job) => void
     this._activeLanes = new Set(); // keys currently being processed
     this._concurrency = concurrency;
     this._maxSize = maxSize;
     this._maxRetries = retries;
     this._retryDelay = retryDelay;
-    this._totalItems = 0;
+    this._wakeTimer = null;
+    this._wakeAt = null;
     this._processed = 0;
     this._failed = 0;
   }
 
   /**
-   * Add a task to the queue.
-   * @param {Function} task         - Async function to execute
-   * @param {string}   label        - Description for logging
-   * @param {string}   key          - Lane key (tasks with same key run sequentially)
-   * @param {Object}   [callbacks]  - { onSuccess, onFailure } optional callbacks
+   * Register the handler for a job type.
+   * Handlers must be registered before `resume()` and be safe to re-run.
+   */
+  register(type, handler) {
+    this._handlers.set(type, handler);
+  }
+
+  /**
+   * Persist a job and start processing.
+   * @param {string} type     - Registered job type
+   * @param {Object} payload  - JSON-serializable job data
+   * @param {Object} [opts]
+   * @param {string} opts.key   - Lane key (jobs with same key run sequentially)
+   * @param {string} opts.label - Description for logging
    * @returns {boolean} true if enqueued, false if rejected (backpressure)
    */
-  enqueue(task, label = 'task', key = 'default', { onSuccess, onFailure } = {}) {
-    if (this._totalItems >= this._maxSize) {
+  enqueue(type, payload = {}, { key = 'default', label = type } = {}) {
+    if (stmts.countOpenJobs.get(this.name).count >= this._maxSize) {
       console.warn(`[${this.name}] Backpressure: queue full (${this._maxSize}), dropping "${label}"`);
-      if (onFailure) try { onFailure(new Error('Queue full - backpressure')); } catch (e) { /* ignore */ }
       return false;
     }
 
-    if (!this._lanes.has(key)) {
-      this._lanes.set(key, []);
+    const now = new Date().toISOString();
+    stmts.insertJob.run(
+      this.name, type, key, label, JSON.stringify(payload),
+      this._maxRetries + 1, now, now, now
+    );
+    debouncedSync();
+    this._drain();
+    return true;
+  }
+
+  /**
+   * Resume persisted jobs after a restart.
+   * Jobs left 'running' were interrupted by the shutdown and run again.
+   */
+  resume() {
+    const reset = stmts.resetRunningJobs.run(new Date().toISOString(), this.name);
+    const { pending } = this._countByStatus();
+    if (pending > 0) {
+      console.log(`[${this.name}] Resuming ${pending} pending jobs (${reset.changes} interrupted)`);
     }
-    this._lanes.get(key).push({ task, label, retries: 0, onSuccess, onFailure });
-    this._totalItems++;
+    this._drain();
+  }
+
+  /**
+   * Move a dead-lettered job back to pending.
+   * @returns {boolean} false if the job doesn't exist or isn't dead
+   */
+  retry(jobId) {
+    const now = new Date().toISOString();
+    const result = stmts.requeueJob.run(now, now, jobId);
+    if (result.changes === 0) return false;
     this._drain();
     return true;
   }
 
   /**
    * Start processing available lanes up to concurrency limit.
-   * Each lane processes its items sequentially; different lanes run in parallel.
+   * Each lane processes its jobs sequentially; different lanes run in parallel.
    */
   _drain() {
-    for (const [key, items] of this._lanes) {
-      if (this._activeLanes.size >= this._concurrency) break;
-      if (this._activeLanes.has(key) || items.length === 0) continue;
+    const now = new Date().toISOString();
+    let nextRunAt = null;
 
+    for (const head of stmts.getLaneHeads.all(this.name)) {
+      if (this._activeLanes.has(head.lane_key) || head.status === 'running') continue;
+      if (head.run_at > now) {
+        // Lane is waiting out a retry backoff
+        if (!nextRunAt || head.run_at < nextRunAt) nextRunAt = head.run_at;
+        continue;
+      }
+      if (this._activeLanes.size >= this._concurrency) continue;
+
+      const key = head.lane_key;
       this._activeLanes.add(key);
       this._processLane(key).finally(() => {
         this._activeLanes.delete(key);
-        // Clean up empty lanes to free memory
-        if (this._lanes.has(key) && this._lanes.get(key).length === 0) {
-          this._lanes.delete(key);
-        }
         this._drain(); // check if more lanes can start
       });
     }
+
+    if (nextRunAt) this._scheduleWake(nextRunAt);
+  }
+
+  /**
+   * Re-drain when the earliest backed-off lane becomes runnable
+   */
+  _scheduleWake(runAt) {
+    if (this._wakeAt && this._wakeAt <= runAt) return;
+    if (this._wakeTimer) clearTimeout(this._wakeTimer);
+
+    this._wakeAt = runAt;
+    this._wakeTimer = setTimeout(() => {
+      this._wakeTimer = null;
+      this._wakeAt = null;
+      this._drain();
+    }, Math.max(0, new Date(runAt) - Date.now()));
+    this._wakeTimer.unref();
   }
 
   /**
-   * Process all items in a single lane sequentially
+   * Process all runnable jobs in a single lane sequentially
    */
   async _processLane(key) {
-    const items = this._lanes.get(key);
-    while (items && items.length > 0) {
-      const item = items.shift();
-      this._totalItems--;
+    for (;;) {
+      const job = stmts.getLaneHead.get(this.name, key);
+      if (!job || job.run_at > new Date().toISOString()) return;
+
+      stmts.markJobRunning.run(new Date().toISOString(), job.id);
+      const label = job.label || job.type;
+
       try {
-        await item.task();
+        const handler = this._handlers.get(job.type);
+        if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+        await handler(JSON.parse(job.payload), job);
+
+        stmts.completeJob.run(new Date().toISOString(), job.id);
         this._processed++;
-        if (item.onSuccess) try { item.onSuccess(); } catch (e) { /* ignore */ }
       } catch (err) {
-        if (item.retries < this._maxRetries) {
-          item.retries++;
-          console.warn(`[${this.name}] Retry "${item.label}" (${item.retries}/${this._maxRetries}): ${err.message}`);
-          await new Promise(r => setTimeout(r, this._retryDelay * Math.pow(2, item.retries - 1)));
-          items.unshift(item); // re-add at front of this lane
-          this._totalItems++;
-        } else {
-          this._failed++;
-          console.error(`[${this.name}] Failed "${item.label}" after ${this._maxRetries} retries: ${err.message}`);
-          if (item.onFailure) try { item.onFailure(err); } catch (e) { /* ignore */ }
+        const attempts = job.attempts + 1;
+        const now = new Date().toISOString();
+
+        if (attempts < job.max_attempts) {
+          const delay = this._retryDelay * Math.pow(2, attempts - 1);
+          const runAt = new Date(Date.now() + delay).toISOString();
+          stmts.retryJob.run(attempts, err.message, runAt, now, job.id);
+          console.warn(`[${this.name}] Retry "${label}" (${attempts}/${job.max_attempts - 1}) in ${delay}ms: ${err.message}`);
+          return; // lane stays blocked until the backoff expires (keeps per-key order)
         }
+
+        stmts.deadLetterJob.run(attempts, err.message, now, job.id);
+        this._failed++;
+        console.error(`[${this.name}] Dead-lettered "${label}" after ${attempts} attempts: ${err.message}`);
+      } finally {
+        debouncedSync();
       }
     }
   }
 
-  /** Total items waiting across all lanes */
-  get length() { return this._totalItems; }
+  /** Job counts by status for this queue */
+  _countByStatus() {
+    const counts = { pending: 0, running: 0, done: 0, dead: 0 };
+    for (const row of stmts.countJobsByStatus.all(this.name)) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  }
+
+  /** Total jobs waiting across all lanes */
+  get length() { return this._countByStatus().pending; }
 
   /** Number of lanes actively being processed */
   get active() { return this._activeLanes.size; }
 
-  /** Full stats snapshot for monitoring */
+  /** Full stats snapshot for monitoring (processed/failed count since boot) */
   get stats() {
+    const counts = this._countByStatus();
     return {
-      queued: this._totalItems,
+      queued: counts.pending,
       active: this._activeLanes.size,
-      lanes: this._lanes.size,
+      lanes: stmts.countOpenLanes.get(this.name).count,
       processed: this._processed,
       failed: this._failed,
+      deadLetter: counts.dead,
     };
   }
 }
@@ -129,20 +214,20 @@ class KeyedConcurrentQueue {
 // ── Queue Singletons ──
 
 // Drive queue: parallel session setups (each teacher's sheet is independent)
-const driveQueue = new KeyedConcurrentQueue('DriveQueue', {
+const driveQueue = new PersistentQueue('DriveQueue', {
   concurrency: 5,     // 5 parallel sheet creations
   maxSize: 5000,      // backpressure at 5000 pending
-  retries: 2,
+  retries: 5,
   retryDelay: 1500,
 });
 
 // Attendance queue: parallel across sessions, sequential within same session
 // (prevents race conditions writing to the same spreadsheet row)
-const attendanceQueue = new KeyedConcurrentQueue('AttendanceQueue', {
+const attendanceQueue = new PersistentQueue('AttendanceQueue', {
   concurrency: 10,    // 10 different sessions write in parallel
   maxSize: 50000,     // handle burst of 50k pending writes
-  retries: 2,
+  retries: 5,
   retryDelay: 1000,
 });
 
-module.exports = { driveQueue, attendanceQueue };
+module.exports = { PersistentQueue, driveQueue, attendanceQueue };
@@ -0,0 +1,189 @@
+/**
+ * Schedule Recurrence
+ *
+ * Schedules repeat by a subset of iCalendar RRULEs (RFC 5545): FREQ=WEEKLY|DAILY, INTERVAL,
+ * BYDAY, UNTIL and COUNT, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE". The simple choices map
+ * onto it — weekly is every week on the schedule's day, biweekly every other week.
+ *
+ * A schedule's startDate / endDate bound its semester. INTERVAL counts from the week (or day)
+ * the schedule starts; every-other-week classes marked week A or B count from the
+ * institution's week A instead (WEEK_A_START), so "week B" is the same week for everyone.
+ * Weeks start on Monday. Dates are "YYYY-MM-DD" days in the teacher's time zone.
+ */
+
+const config = require('../config');
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['WEEKLY', 'DAILY'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Calendar-day arithmetic (UTC days, so DST never shifts them) ──
+
+function dayNumber(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+function fromDayNumber(n) {
+  return new Date(n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  return new Date(dayNumber(date) * DAY_MS).getUTCDay();
+}
+
+/**
+ * The day `days` after a date
+ */
+function addDays(date, days) {
+  return fromDayNumber(dayNumber(date) + days);
+}
+
+// Day number of the Monday starting the date's week
+function mondayOf(date) {
+  return dayNumber(date) - ((weekday(date) + 6) % 7);
+}
+
+/**
+ * Parse an RRULE ("RRULE:" prefix optional)
+ * @throws {Error} with a user-facing message when the rule is invalid or unsupported
+ * @returns {{ freq: string, interval: number, byDay: number[], until: string|null, count: number|null }}
+ */
+function parseRule(text) {
+  const rule = { freq: null, interval: 1, byDay: [], until: null, count: null };
+  const body = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!body) throw new Error('Recurrence rule is empty');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=').map(s => s.trim().toUpperCase());
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw new Error(`Only ${FREQUENCIES.join(' and ')} rules are supported`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 52) {
+          throw new Error('INTERVAL must be 1-52');
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map((code) => {
+          const day = DAY_CODES.indexOf(code);
+          if (day === -1) throw new Error(`Unknown day "${code}" (use ${DAY_CODES.join(', ')})`);
+          return day;
+        });
+        break;
+      case 'UNTIL': {
+        const date = value.slice(0, 8).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+        if (!DATE_PATTERN.test(date)) throw new Error('UNTIL must be a date (YYYYMMDD)');
+        rule.until = date;
+        break;
+      }
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) throw new Error('COUNT must be a positive number');
+        break;
+      case 'WKST':
+        if (value !== 'MO') throw new Error('Weeks start on Monday (WKST=MO)');
+        break;
+      default:
+        throw new Error(`Unsupported rule part "${key}"`);
+    }
+  }
+
+  if (!rule.freq) throw new Error('Recurrence rule needs a FREQ');
+  if (rule.until && rule.count) throw new Error('Use UNTIL or COUNT, not both');
+  return rule;
+}
+
+/**
+ * The rule a schedule repeats by — its own RRULE for "custom", otherwise weekly / every
+ * other week on its day of the week
+ */
+function ruleForSchedule(schedule) {
+  if (schedule.recurrence === 'custom' && schedule.rrule) {
+    try {
+      const rule = parseRule(schedule.rrule);
+      // A weekly rule without BYDAY repeats on the schedule's own day
+      if (rule.freq === 'WEEKLY' && rule.byDay.length === 0) rule.byDay = [Number(schedule.dayOfWeek)];
+      return rule;
+    } catch {
+      // stored before validation existed — fall back to weekly
+    }
+  }
+  return {
+    freq: 'WEEKLY',
+    interval: schedule.recurrence === 'biweekly' ? 2 : 1,
+    byDay: [Number(schedule.dayOfWeek)],
+    until: null,
+    count: null,
+  };
+}
+
+/**
+ * Days of the week (0=Sunday) a schedule can fall on
+ */
+function scheduleDays(schedule) {
+  const { byDay } = ruleForSchedule(schedule);
+  return byDay.length > 0 ? byDay : [0, 1, 2, 3, 4, 5, 6];
+}
+
+/**
+ * The day intervals are counted from: week A (or the week after, for week B) when the
+ * institution defines one, otherwise the schedule's first day
+ */
+function anchorFor(schedule, rule) {
+  if (rule.freq === 'WEEKLY' && rule.interval === 2 && schedule.weekParity && config.weekAStart) {
+    return addDays(config.weekAStart, schedule.weekParity === 'B' ? 7 : 0);
+  }
+  return schedule.startDate || (schedule.createdAt || '').slice(0, 10) || null;
+}
+
+// Whether the rule's pattern (days + interval) matches, ignoring the date bounds and COUNT
+function matchesPattern(rule, anchor, date) {
+  if (rule.byDay.length > 0 && !rule.byDay.includes(weekday(date))) return false;
+  if (rule.interval === 1 || !anchor) return true;
+
+  const steps = rule.freq === 'WEEKLY'
+    ? (mondayOf(date) - mondayOf(anchor)) / 7
+    : dayNumber(date) - dayNumber(anchor);
+  return ((steps % rule.interval) + rule.interval) % rule.interval === 0;
+}
+
+/**
+ * Whether a schedule has a class on a date (calendar exceptions are checked separately)
+ */
+function occursOn(schedule, date) {
+  const rule = ruleForSchedule(schedule);
+  if (schedule.startDate && date < schedule.startDate) return false;
+  if (schedule.endDate && date > schedule.endDate) return false;
+  if (rule.until && date > rule.until) return false;
+
+  const anchor = anchorFor(schedule, rule);
+  if (!matchesPattern(rule, anchor, date)) return false;
+
+  // COUNT: the date must be among the first N classes from the schedule's start (its
+  // creation day when it has no start date, as for the anchor)
+  const countFrom = schedule.startDate || (schedule.createdAt || '').slice(0, 10);
+  if (rule.count && countFrom) {
+    if (date < countFrom) return false;
+    let seen = 0;
+    for (let day = countFrom; day <= date; day = addDays(day, 1)) {
+      if (matchesPattern(rule, anchor, day)) seen++;
+      if (seen > rule.count) return false;
+    }
+  }
+  return true;
+}
+
+module.exports = {
+  DAY_CODES,
+  DATE_PATTERN,
+  addDays,
+  parseRule,
+  ruleForSchedule,
+  scheduleDays,
+  occursOn,
+};
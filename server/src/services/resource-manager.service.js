@@ -4,16 +4,20 @@
  * Periodic cleanup of SQLite database:
  * 1. Purge old synced attendance records
  * 2. Strip QR data from expired sessions
- * 3. Purge old synced cheating logs
- * 4. Report memory and DB stats
+ * 3. Purge old synced cheating logs once reviewed (and any appeal decided)
+ * 4. Purge completed queue jobs
+ * 5. Record ABSENT rows for closed sessions with a roster
+ * 6. Report memory and DB stats
  */
 
 const { db, stmts, syncToCloud } = require('./database');
 const { getStoreStats } = require('./store.service');
+const RosterService = require('./roster.service');
 
 // ── Timing constants ──
 const SYNC_GRACE_MS = 30 * 24 * 60 * 60 * 1000;  // 30 days: keep synced records for analytics
 const QR_STRIP_MS = 24 * 60 * 60 * 1000;          // 24 hours: strip QR data URLs from expired sessions
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;     // 24 hours: keep completed jobs for inspection
 
 let _cleanupInterval = null;
 
@@ -40,7 +44,7 @@ function stopPeriodicCleanup() {
  * Run one cleanup cycle
  */
 function cleanup() {
-  const stats = { attendancePurged: 0, cheatingPurged: 0, qrStripped: 0 };
+  const stats = { attendancePurged: 0, cheatingPurged: 0, qrStripped: 0, jobsPurged: 0, absencesRecorded: 0 };
 
   // ── 1. Purge old synced attendance ──
   const graceDate = new Date(Date.now() - SYNC_GRACE_MS).toISOString();
@@ -52,16 +56,26 @@ function cleanup() {
   const qrResult = stmts.stripQRFromOldSessions.run(qrDate);
   stats.qrStripped = qrResult.changes;
 
-  // ── 3. Purge old synced cheating logs ──
+  // ── 3. Purge old synced cheating logs (reviewed ones only) ──
   const cheatingResult = stmts.purgeOldSyncedCheating.run(graceDate);
   stats.cheatingPurged = cheatingResult.changes;
 
+  // ── 4. Purge completed queue jobs (dead-lettered jobs are kept for retry) ──
+  const jobDate = new Date(Date.now() - JOB_RETENTION_MS).toISOString();
+  const jobResult = stmts.purgeFinishedJobs.run(jobDate);
+  stats.jobsPurged = jobResult.changes;
+
+  // ── 5. Record absences for sessions that closed (expired) since the last run ──
+  stats.absencesRecorded = RosterService.recordPendingAbsences();
+
   // ── Log summary ──
-  const total = stats.attendancePurged + stats.cheatingPurged + stats.qrStripped;
+  const total = stats.attendancePurged + stats.cheatingPurged + stats.qrStripped +
+    stats.jobsPurged + stats.absencesRecorded;
   if (total > 0) {
     console.log(
       `[ResourceManager] Cleanup: ${stats.attendancePurged} attendance, ` +
-      `${stats.cheatingPurged} cheating purged, ${stats.qrStripped} QR stripped`
+      `${stats.cheatingPurged} cheating purged, ${stats.qrStripped} QR stripped, ` +
+      `${stats.jobsPurged} jobs purged, ${stats.absencesRecorded} absences recorded`
     );
   }
 
@@ -0,0 +1,116 @@
+const { v4: uuidv4 } = require('uuid');
+const {
+  getRoom,
+  findRoom,
+  getAllRooms,
+  addRoom,
+  updateRoom,
+  deleteRoom,
+  getActiveSchedulesByRoom,
+} = require('./store.service');
+const Geofence = require('./geofence.service');
+
+/**
+ * Room Service
+ * Shared catalog of classrooms with saved coordinates (or a geofence shape), so
+ * schedules and sessions pick a room instead of typing latitude/longitude.
+ * Any teacher can use a room; only its creator or an admin can change it.
+ */
+class RoomService {
+  static listRooms() {
+    return getAllRooms();
+  }
+
+  static getRoom(roomId) {
+    return getRoom(roomId);
+  }
+
+  /**
+   * Another room with the same name in the same building (names are case-insensitive)
+   */
+  static findDuplicate({ name, building }, exceptId = null) {
+    const existing = findRoom(building, name);
+    return existing && existing.id !== exceptId ? existing : null;
+  }
+
+  /**
+   * The room a free-text location names — its full label ("Room 301 (Block B)") or, failing
+   * that, just its name (null when none or several rooms match)
+   */
+  static findByLabel(text) {
+    const wanted = String(text || '').trim().toLowerCase();
+    if (!wanted) return null;
+    const rooms = getAllRooms();
+    const byLabel = rooms.find(r => this.label(r).toLowerCase() === wanted);
+    if (byLabel) return byLabel;
+    const byName = rooms.filter(r => r.name.toLowerCase() === wanted);
+    return byName.length === 1 ? byName[0] : null;
+  }
+
+  static createRoom({ name, building, location, geofence, defaultRadius, createdBy }) {
+    const now = new Date().toISOString();
+    return addRoom({
+      id: uuidv4(),
+      name,
+      building: building || '',
+      location: location || null,
+      geofence: geofence || null,
+      defaultRadius: defaultRadius || 100,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  static updateRoom(room, { name, building, location, geofence, defaultRadius }) {
+    return updateRoom({
+      ...room,
+      name,
+      building: building || '',
+      location: location || null,
+      geofence: geofence || null,
+      defaultRadius: defaultRadius || room.defaultRadius,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  static deleteRoom(roomId) {
+    deleteRoom(roomId);
+  }
+
+  /**
+   * Whether a user may edit or delete a room
+   */
+  static canEdit(room, user) {
+    return room.createdBy === user.id || user.role === 'admin' || !!user.isAdmin;
+  }
+
+  /**
+   * Active schedules (of any teacher) that reference a room
+   */
+  static getSchedulesUsingRoom(roomId) {
+    return getActiveSchedulesByRoom(roomId);
+  }
+
+  /**
+   * Display name — "Room 301 (Building B)"; stored on sessions and shown in Sheets/analytics
+   */
+  static label(room) {
+    return room.building ? `${room.name} (${room.building})` : room.name;
+  }
+
+  /**
+   * Session location fields for a room (a shape's center stands in as the classroom location)
+   */
+  static sessionLocation(room) {
+    return {
+      classroomLocation: room.geofence ? Geofence.getCenter(room.geofence) : room.location,
+      geofence: room.geofence || null,
+      geofenceRadius: room.defaultRadius,
+      roomId: room.id,
+      roomName: this.label(room),
+    };
+  }
+}
+
+module.exports = RoomService;
@@ -0,0 +1,261 @@
+const XLSX = require('xlsx');
+const { v4: uuidv4 } = require('uuid');
+const {
+  getRoster,
+  findRoster,
+  getRostersByTeacher,
+  addRoster,
+  deleteRoster,
+  getRosterStudents,
+  getRosterStudentsByTeacher,
+  saveRosterStudents,
+  removeRosterStudent,
+  getAttendanceBySession,
+  addAttendanceRecord,
+  getClosedSessionsPendingAbsences,
+  setAbsencesRecorded,
+} = require('./store.service');
+const { enqueueAttendanceReconcile, enqueueSessionSummary } = require('./drive-sync.service');
+
+// Accepted column headers (compared lowercase, without spaces/punctuation)
+const EMAIL_HEADERS = ['email', 'emailaddress', 'mail', 'universityemail', 'studentemail'];
+const NAME_HEADERS = ['name', 'fullname', 'studentname', 'student'];
+const FIRST_NAME_HEADERS = ['firstname', 'givenname', 'prenom'];
+const LAST_NAME_HEADERS = ['lastname', 'surname', 'familyname', 'nom'];
+const ID_HEADERS = ['studentid', 'id', 'matricule', 'registrationnumber', 'studentnumber'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeHeader = (h) => String(h).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Roster Service
+ * Enrolled-student lists per subject + year + section/group, and the ABSENT
+ * rows they produce when a session of that group closes.
+ */
+class RosterService {
+  /**
+   * Lookup key shared by rosters and sessions (subject/section are case-insensitive)
+   */
+  static groupKey(subjectName, year, sectionOrGroup) {
+    return `${String(subjectName).trim().toLowerCase()}|${year}|${String(sectionOrGroup).trim().toLowerCase()}`;
+  }
+
+  /**
+   * Parse an uploaded CSV/XLSX roster (first sheet, header row required)
+   * @param {Buffer} buffer - Raw file contents
+   * @returns {{ students: Object[], skipped: {row: number, reason: string}[] }}
+   */
+  static parseRosterFile(buffer) {
+    let workbook;
+    try {
+      workbook = XLSX.read(buffer, { type: 'buffer' });
+    } catch (e) {
+      throw new Error('Unreadable file — upload a CSV or XLSX roster');
+    }
+
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) throw new Error('The file has no sheets');
+
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+    if (rows.length === 0) throw new Error('The roster is empty');
+
+    // Map normalized header → original header
+    const headers = {};
+    Object.keys(rows[0]).forEach(h => { headers[normalizeHeader(h)] = h; });
+    const pick = (candidates) => candidates.map(c => headers[c]).find(Boolean);
+
+    const emailCol = pick(EMAIL_HEADERS);
+    const nameCol = pick(NAME_HEADERS);
+    const firstCol = pick(FIRST_NAME_HEADERS);
+    const lastCol = pick(LAST_NAME_HEADERS);
+    const idCol = pick(ID_HEADERS);
+
+    if (!emailCol) throw new Error('Missing an "Email" column');
+    if (!nameCol && !firstCol && !lastCol) throw new Error('Missing a "Name" column');
+
+    const students = [];
+    const skipped = [];
+    const seen = new Set();
+
+    rows.forEach((row, i) => {
+      const rowNum = i + 2; // 1-based, after the header row
+      const email = String(row[emailCol]).trim().toLowerCase();
+      const studentName = nameCol
+        ? String(row[nameCol]).trim()
+        : [row[firstCol], row[lastCol]].map(v => String(v ?? '').trim()).filter(Boolean).join(' ');
+
+      if (!email && !studentName) return; // blank line
+      if (!EMAIL_PATTERN.test(email)) {
+        skipped.push({ row: rowNum, reason: `Invalid email "${email}"` });
+        return;
+      }
+      if (seen.has(email)) {
+        skipped.push({ row: rowNum, reason: `Duplicate email ${email}` });
+        return;
+      }
+
+      seen.add(email);
+      students.push({
+        email,
+        studentName: studentName || email,
+        studentId: idCol ? String(row[idCol]).trim() || null : null,
+      });
+    });
+
+    return { students, skipped };
+  }
+
+  /**
+   * Create or update the roster for a subject + year + section/group
+   * @param {boolean} replace - remove students not in `students` (full re-import)
+   */
+  static importRoster({ teacherId, subjectName, year, sectionOrGroup, students, replace = true }) {
+    subjectName = subjectName.trim();
+    sectionOrGroup = sectionOrGroup.trim();
+
+    let roster = findRoster(teacherId, subjectName, year, sectionOrGroup);
+    if (!roster) {
+      const now = new Date().toISOString();
+      roster = addRoster({
+        id: uuidv4(),
+        teacherId,
+        subjectName,
+        year,
+        sectionOrGroup,
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+
+    saveRosterStudents(roster.id, students, { replace });
+    return getRoster(roster.id);
+  }
+
+  /**
+   * Get all rosters for a teacher (with student counts)
+   */
+  static getRostersForTeacher(teacherId) {
+    return getRostersByTeacher(teacherId);
+  }
+
+  /**
+   * Get a roster with its students
+   */
+  static getRosterWithStudents(rosterId) {
+    const roster = getRoster(rosterId);
+    if (!roster) return null;
+    return { ...roster, students: getRosterStudents(rosterId) };
+  }
+
+  /**
+   * Add (or rename) a single student
+   */
+  static addStudent(rosterId, student) {
+    saveRosterStudents(rosterId, [student]);
+  }
+
+  /**
+   * Remove a single student (their past attendance rows are kept)
+   */
+  static removeStudent(rosterId, email) {
+    return removeRosterStudent(rosterId, email);
+  }
+
+  /**
+   * Delete a roster and its student list
+   */
+  static deleteRoster(rosterId) {
+    deleteRoster(rosterId);
+  }
+
+  /**
+   * Roster matching a session's subject + year + section/group, or null
+   */
+  static getRosterForSession(session) {
+    return findRoster(session.teacherId, session.subjectName, session.year, session.sectionOrGroup);
+  }
+
+  /**
+   * Students enrolled in a session's group — for a closed session, only those
+   * enrolled before it closed. null when the group has no roster.
+   */
+  static getEnrolledStudents(session) {
+    const roster = this.getRosterForSession(session);
+    if (!roster) return null;
+
+    const students = getRosterStudents(roster.id);
+    const isClosed = !session.isActive || new Date(session.expiresAt) < new Date();
+    if (!isClosed) return students;
+
+    const closedAt = this.getClosedAt(session);
+    return students.filter(st => st.enrolledAt <= closedAt);
+  }
+
+  /**
+   * Enrolled students per group for a teacher: groupKey → Map(email → student)
+   */
+  static getEnrollmentIndex(teacherId) {
+    const index = new Map();
+    for (const student of getRosterStudentsByTeacher(teacherId)) {
+      const key = this.groupKey(student.subjectName, student.year, student.sectionOrGroup);
+      if (!index.has(key)) index.set(key, new Map());
+      index.get(key).set(student.email, student);
+    }
+    return index;
+  }
+
+  /**
+   * Time a session stopped accepting submissions
+   */
+  static getClosedAt(session) {
+    if (session.deactivatedAt && session.deactivatedAt < session.expiresAt) return session.deactivatedAt;
+    return session.expiresAt;
+  }
+
+  /**
+   * Write ABSENT rows for enrolled students who didn't submit to a closed session.
+   * Only students enrolled before the session closed count as absent.
+   * @returns {number} ABSENT rows written
+   */
+  static recordAbsences(session) {
+    const enrolled = this.getEnrolledStudents(session);
+    let absent = 0;
+
+    if (enrolled) {
+      const closedAt = this.getClosedAt(session);
+      const recorded = new Set(getAttendanceBySession(session.id).map(r => r.email.toLowerCase()));
+
+      for (const student of enrolled) {
+        if (recorded.has(student.email)) continue;
+        addAttendanceRecord({
+          sessionId: session.id,
+          studentName: student.studentName,
+          email: student.email,
+          timestamp: closedAt,
+          status: 'ABSENT',
+        });
+        absent++;
+      }
+
+      if (session.spreadsheetId) {
+        if (absent > 0) enqueueAttendanceReconcile(session.id);
+        enqueueSessionSummary(session.id, enrolled.length);
+      }
+    }
+
+    setAbsencesRecorded(session.id, true);
+    return absent;
+  }
+
+  /**
+   * Record absences for every closed session that hasn't been processed yet
+   * @returns {number} ABSENT rows written
+   */
+  static recordPendingAbsences() {
+    return getClosedSessionsPendingAbsences()
+      .reduce((total, session) => total + this.recordAbsences(session), 0);
+  }
+}
+
+module.exports = RosterService;
@@ -1,5 +1,33 @@
 const { v4: uuidv4 } = require('uuid');
-const { getScheduleStore, saveScheduleStore } = require('./store.service');
+const config = require('../config');
+const {
+  findTeacherById,
+  getSchedule,
+  getSchedulesByTeacher,
+  addSchedule,
+  updateSchedule,
+  deactivateSchedule,
+} = require('./store.service');
+const RoomService = require('./room.service');
+const CalendarService = require('./calendar.service');
+const Recurrence = require('./recurrence.service');
+const Geofence = require('./geofence.service');
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map(p => [p.type, p.value]));
+}
 
 /**
  * Schedule Service
@@ -23,33 +51,57 @@ class ScheduleService {
       classroomLocation: scheduleData.classroomLocation, // { lat, lng }
       classroomName: scheduleData.classroomName || '',
       recurrence: scheduleData.recurrence || 'weekly', // weekly, biweekly, custom
+      rrule: scheduleData.recurrence === 'custom' ? scheduleData.rrule : null, // "FREQ=WEEKLY;BYDAY=MO,WE" (custom only)
+      weekParity: scheduleData.recurrence === 'biweekly' ? scheduleData.weekParity || null : null, // A / B week
+      startDate: scheduleData.startDate || null,        // semester bounds ("YYYY-MM-DD")
+      endDate: scheduleData.endDate || null,
       geofenceRadius: scheduleData.geofenceRadius || 100,
+      geofence: scheduleData.geofence || null,          // polygon / multi-circle shape (replaces the circle)
+      roomId: scheduleData.roomId || null,              // catalog room (replaces the fields above)
+      autoStart: !!scheduleData.autoStart,              // open the session at startTime, close it at endTime
       isActive: true,
       createdAt: new Date().toISOString(),
     };
 
-    const schedules = getScheduleStore();
-    schedules.push(schedule);
-    saveScheduleStore(schedules);
-
-    return schedule;
+    return addSchedule(schedule);
   }
 
   /**
-   * Get all schedules for a teacher
+   * Get all schedules for a teacher (with the current name of their catalog room and
+   * the days of the week they fall on)
    */
   static getSchedulesForTeacher(teacherId) {
-    const schedules = getScheduleStore();
-    return schedules.filter(s => s.teacherId === teacherId && s.isActive);
+    return getSchedulesByTeacher(teacherId)
+      .map(s => ({ ...this.withRoomName(s), days: Recurrence.scheduleDays(s) }));
+  }
+
+  /**
+   * Add `roomName` ("Room 301 (Building B)") for schedules that reference a room
+   */
+  static withRoomName(schedule) {
+    const room = schedule.roomId ? RoomService.getRoom(schedule.roomId) : null;
+    return room ? { ...schedule, roomName: RoomService.label(room) } : schedule;
   }
 
   /**
-   * Get today's scheduled sessions for a teacher
+   * Whether a schedule has a class on a date — by its recurrence rule and semester,
+   * unless the academic calendar suspends it
+   * @param {string} date - "YYYY-MM-DD" in the teacher's time zone
+   * @param {Object[]} [exceptions] - preloaded calendar entries
+   */
+  static occursOn(schedule, date, exceptions = CalendarService.listExceptions()) {
+    return Recurrence.occursOn(schedule, date) && !CalendarService.exceptionOn(schedule, date, exceptions);
+  }
+
+  /**
+   * Get today's scheduled sessions for a teacher (today in their time zone)
    */
   static getTodaySchedules(teacherId) {
-    const today = new Date().getDay(); // 0=Sunday
-    const schedules = this.getSchedulesForTeacher(teacherId);
-    return schedules.filter(s => s.dayOfWeek === today);
+    const today = this.localDate(new Date(), this.teacherTimeZone(findTeacherById(teacherId)));
+    const exceptions = CalendarService.listExceptions();
+    return this.getSchedulesForTeacher(teacherId)
+      .filter(s => this.occursOn(s, today, exceptions))
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
   }
 
   /**
@@ -57,19 +109,16 @@ class ScheduleService {
    */
   static getUpcomingSchedules(teacherId) {
     const schedules = this.getSchedulesForTeacher(teacherId);
-    const today = new Date().getDay();
+    const today = this.localDate(new Date(), this.teacherTimeZone(findTeacherById(teacherId)));
+    const exceptions = CalendarService.listExceptions();
     const upcoming = [];
 
     for (let i = 0; i < 7; i++) {
-      const dayOfWeek = (today + i) % 7;
-      const daySessions = schedules.filter(s => s.dayOfWeek === dayOfWeek);
-      daySessions.forEach(s => {
-        upcoming.push({
-          ...s,
-          daysFromNow: i,
-          date: new Date(Date.now() + i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        });
-      });
+      const date = Recurrence.addDays(today, i);
+      schedules
+        .filter(s => this.occursOn(s, date, exceptions))
+        .sort((a, b) => a.startTime.localeCompare(b.startTime))
+        .forEach(s => upcoming.push({ ...s, daysFromNow: i, date }));
     }
 
     return upcoming;
@@ -79,35 +128,96 @@ class ScheduleService {
    * Update a schedule
    */
   static updateSchedule(scheduleId, teacherId, updates) {
-    const schedules = getScheduleStore();
-    const index = schedules.findIndex(s => s.id === scheduleId && s.teacherId === teacherId);
-    if (index === -1) return null;
-
-    schedules[index] = { ...schedules[index], ...updates, updatedAt: new Date().toISOString() };
-    saveScheduleStore(schedules);
-    return schedules[index];
+    return updateSchedule(scheduleId, teacherId, { ...updates, updatedAt: new Date().toISOString() });
   }
 
   /**
    * Delete a schedule (soft delete)
    */
   static deleteSchedule(scheduleId, teacherId) {
-    const schedules = getScheduleStore();
-    const index = schedules.findIndex(s => s.id === scheduleId && s.teacherId === teacherId);
-    if (index === -1) return false;
+    return deactivateSchedule(scheduleId, teacherId, new Date().toISOString());
+  }
 
-    schedules[index].isActive = false;
-    schedules[index].deletedAt = new Date().toISOString();
-    saveScheduleStore(schedules);
-    return true;
+  /**
+   * A "HH:MM" time on the day `date` falls on in a time zone (TIMEZONE when none is given —
+   * never the server's own clock, which is UTC on most hosts)
+   */
+  static timeOnDate(time, date = new Date(), timeZone = config.timezone) {
+    return this.timeOnLocalDate(time, this.localDate(date, timeZone), timeZone);
+  }
+
+  /**
+   * A "HH:MM" time on a calendar date ("YYYY-MM-DD") in a time zone
+   */
+  static timeOnLocalDate(time, date, timeZone) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const [year, month, day] = date.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    // Shift by the zone's UTC offset at that moment (twice, in case it lands across a DST change)
+    let at = wallClock;
+    for (let i = 0; i < 2; i++) {
+      const p = zonedParts(new Date(at), timeZone);
+      const offset = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute)) -
+        Math.floor(at / 60000) * 60000;
+      at = wallClock - offset;
+    }
+    return new Date(at);
+  }
+
+  /**
+   * Calendar date ("YYYY-MM-DD") that `date` falls on in a time zone
+   */
+  static localDate(date, timeZone) {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Wall-clock time ("HH:MM") of `date` in a time zone
+   */
+  static localTime(date, timeZone) {
+    const { hour, minute } = zonedParts(date, timeZone);
+    return `${hour}:${minute}`;
+  }
+
+  /**
+   * The teacher's time zone setting, or the institution default
+   */
+  static teacherTimeZone(teacher) {
+    return teacher?.settings?.timezone || config.timezone;
+  }
+
+  /**
+   * Whether a time zone name is known to the runtime (e.g. "Africa/Algiers")
+   */
+  static isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Location fields for a session held under this schedule: its catalog room, its drawn
+   * geofence or its classroom coordinates
+   */
+  static sessionLocation(schedule) {
+    const room = schedule.roomId ? RoomService.getRoom(schedule.roomId) : null;
+    if (room) return RoomService.sessionLocation(room);
+    return {
+      classroomLocation: schedule.geofence ? Geofence.getCenter(schedule.geofence) : schedule.classroomLocation || null,
+      geofence: schedule.geofence || null,
+      geofenceRadius: schedule.geofenceRadius,
+    };
   }
 
   /**
    * Get schedule by ID
    */
   static getScheduleById(scheduleId) {
-    const schedules = getScheduleStore();
-    return schedules.find(s => s.id === scheduleId);
+    return getSchedule(scheduleId);
   }
 }
 
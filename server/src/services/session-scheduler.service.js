@@ -0,0 +1,177 @@
+/**
+ * Scheduled Session Auto-Start
+ *
+ * Schedules that opt in (`autoStart`) get their session opened without the teacher:
+ * every minute the scheduler looks for opted-in schedules with a class today (by their
+ * recurrence and the academic calendar) that is under way in the teacher's time zone and
+ * has no session yet, creates one (with the schedule's
+ * room / geofence and the teacher's defaults), provisions its Drive sheet through the
+ * Drive queue, and closes it again at the schedule's end time.
+ *
+ * Checking "is the class under way" rather than "is it exactly startTime" means a restart
+ * during a class still opens its session late instead of skipping it.
+ */
+
+const cron = require('node-cron');
+const config = require('../config');
+const SessionService = require('./session.service');
+const ScheduleService = require('./schedule.service');
+const CalendarService = require('./calendar.service');
+const RosterService = require('./roster.service');
+const LiveFeed = require('./live-feed.service');
+const { isDriveConnected } = require('./token-manager.service');
+const { enqueueSessionSetup } = require('./drive-sync.service');
+const {
+  findTeacherById,
+  getActiveSchedules,
+  findScheduleSession,
+  getEndedAutoStartedSessions,
+} = require('./store.service');
+
+// A session the teacher opened this long before the start counts as today's session
+const EARLY_START_MS = 60 * 60 * 1000;
+
+let _task = null;
+// Schedule ID → start of the class it was last skipped for, so the warning is logged once per class
+const _skipped = new Map();
+
+/**
+ * Start the once-a-minute scheduler
+ */
+function startScheduler() {
+  if (_task) _task.stop();
+  _task = cron.schedule('* * * * *', () => tick());
+  console.log('[SessionScheduler] Checking auto-start schedules every minute');
+}
+
+/**
+ * Stop the scheduler
+ */
+function stopScheduler() {
+  if (_task) {
+    _task.stop();
+    _task = null;
+  }
+}
+
+/**
+ * Open a schedule's session for the class starting at `startsAt` and ending at `endsAt`
+ */
+async function startScheduledSession(schedule, teacher, startsAt, endsAt) {
+  const settings = teacher.settings || {};
+  const place = ScheduleService.sessionLocation(schedule);
+
+  const result = await SessionService.generateQRCode({
+    teacherId: teacher.id,
+    sessionType: schedule.sessionType,
+    subjectName: schedule.subjectName,
+    year: schedule.year,
+    sectionOrGroup: schedule.sectionOrGroup,
+    ...place,
+    geofenceRadius: place.geofenceRadius || settings.defaultGeofenceRadius,
+    qrRotationSeconds: settings.qrRotationSeconds,
+    scheduleId: schedule.id,
+    startsAt: startsAt.toISOString(),
+    expiresAt: endsAt.toISOString(),
+    lateGraceMinutes: settings.lateGraceMinutes,
+    requireVerifiedIdentity: !!settings.requireVerifiedIdentity,
+    networkPolicy: settings.networkPolicy || config.networkPolicy,
+    riskFlagThreshold: config.riskFlagThreshold,
+    riskRejectThreshold: config.riskRejectThreshold,
+    autoStarted: true,
+    spreadsheetId: null,   // updated async
+    driveFolder: null,     // updated async
+  });
+
+  enqueueSessionSetup(result.sessionId);
+  return result.session;
+}
+
+/**
+ * Close auto-started sessions whose class has ended (absences are recorded like a manual close)
+ */
+function closeEndedSessions(now) {
+  const ended = getEndedAutoStartedSessions(now.toISOString());
+  let closed = 0;
+  for (const session of ended) {
+    try {
+      SessionService.deactivateSession(session.id);
+      RosterService.recordAbsences(SessionService.getSession(session.id));
+      LiveFeed.publishCounts(session.id);
+      LiveFeed.publishClosed(session.id);
+      closed++;
+      console.log(`[SessionScheduler] Closed ${session.subjectName} (${session.id}) at the end of the class`);
+    } catch (err) {
+      console.error(`[SessionScheduler] Failed to close session ${session.id} (${session.subjectName}):`, err.message);
+    }
+  }
+  return closed;
+}
+
+/**
+ * Open a session for an auto-start schedule whose class is under way and not yet opened
+ * @returns {Object|null} the started session
+ */
+async function startIfDue(schedule, teacher, now, exceptions) {
+  if (!teacher) return null;
+  const timeZone = ScheduleService.teacherTimeZone(teacher);
+  if (!ScheduleService.occursOn(schedule, ScheduleService.localDate(now, timeZone), exceptions)) return null;
+
+  const startsAt = ScheduleService.timeOnDate(schedule.startTime, now, timeZone);
+  const endsAt = ScheduleService.timeOnDate(schedule.endTime, now, timeZone);
+  if (now < startsAt || now >= endsAt) return null;
+
+  // Already opened today — by the scheduler or by the teacher
+  const since = new Date(startsAt.getTime() - EARLY_START_MS).toISOString();
+  if (findScheduleSession(schedule.id, since)) return null;
+
+  if (!isDriveConnected(teacher)) {
+    if (_skipped.get(schedule.id) !== startsAt.getTime()) {
+      _skipped.set(schedule.id, startsAt.getTime());
+      console.warn(`[SessionScheduler] Not starting ${schedule.subjectName} for ${teacher.email}: Google Drive not connected`);
+    }
+    return null;
+  }
+
+  const session = await startScheduledSession(schedule, teacher, startsAt, endsAt);
+  console.log(`[SessionScheduler] Started ${schedule.subjectName} (${session.id}) until ${endsAt.toISOString()}`);
+  return session;
+}
+
+/**
+ * Run one scheduler pass: open sessions for classes under way, close the ones that ended
+ */
+async function tick(now = new Date()) {
+  const stats = { started: 0, closed: 0 };
+  const teachers = new Map();
+  const getTeacher = (id) => {
+    if (!teachers.has(id)) teachers.set(id, findTeacherById(id));
+    return teachers.get(id);
+  };
+
+  try {
+    stats.closed = closeEndedSessions(now);
+    const exceptions = CalendarService.listExceptions();
+
+    for (const schedule of getActiveSchedules()) {
+      if (!schedule.autoStart) continue;
+
+      // One failing schedule mustn't keep the ones after it from starting
+      try {
+        if (await startIfDue(schedule, getTeacher(schedule.teacherId), now, exceptions)) stats.started++;
+      } catch (err) {
+        console.error(`[SessionScheduler] Failed to start schedule ${schedule.id} (${schedule.subjectName}):`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[SessionScheduler] Tick failed:', err.message);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  tick,
+};
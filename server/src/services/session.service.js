@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
@@ -9,34 +11,149 @@ const {
   getActiveSessionsByTeacher,
   getAllSessionsByTeacher,
   addSessionAttendee,
+  removeSessionAttendee,
   hasSessionAttendee,
+  setAbsencesRecorded,
 } = require('./store.service');
 
+const QR_RENDER_OPTIONS = {
+  width: 400,
+  margin: 2,
+  color: { dark: '#000000', light: '#ffffff' },
+};
+
+// Scan tickets: when a student's QR token was checked, carried from /validate to submit
+const SCAN_TICKET_TYPE = 'scan';
+const SCAN_TICKET_TTL_SECONDS = 5 * 60;   // 5 minutes for the GPS fix and the form
+
+/**
+ * HMAC signature for one rotation step of a session's QR code
+ */
+function signQRStep(sessionId, step) {
+  return crypto
+    .createHmac('sha256', config.jwtSecret)
+    .update(`qr:${sessionId}:${step}`)
+    .digest('base64url')
+    .slice(0, 22);
+}
+
 /**
  * QR Code & Session Service
  * Manages QR code generation and active attendance sessions.
  * Now uses SQLite via store.service — no array manipulation.
  */
 class SessionService {
+  /**
+   * Create the signed token for the rotation step containing `at`.
+   * Returns null when rotation is disabled for the session (static QR).
+   */
+  static createQRToken(session, at = Date.now()) {
+    const period = session.qrRotationSeconds;
+    if (!period) return null;
+
+    const step = Math.floor(at / (period * 1000));
+    return {
+      token: `${step}.${signQRStep(session.id, step)}`,
+      rotatesAt: new Date((step + 1) * period * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Verify a scanned QR token.
+   * `maxAgeSeconds` is how long after rotating off screen a token is still accepted;
+   * `scannedAt` (ms) is when it was scanned — earlier than now if it was checked before a sign-in.
+   * @returns {{ status: 'disabled'|'fresh'|'stale'|'invalid', ageSeconds: number }}
+   */
+  static verifyQRToken(session, token, maxAgeSeconds, scannedAt = Date.now()) {
+    const period = session.qrRotationSeconds;
+    if (!period) return { status: 'disabled', ageSeconds: 0 };
+    if (!token || typeof token !== 'string') return { status: 'invalid', ageSeconds: 0 };
+
+    const [stepPart, signature] = token.split('.');
+    const step = parseInt(stepPart, 10);
+    if (!Number.isInteger(step) || !signature) return { status: 'invalid', ageSeconds: 0 };
+
+    const expected = Buffer.from(signQRStep(session.id, step));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return { status: 'invalid', ageSeconds: 0 };
+    }
+
+    const currentStep = Math.floor(scannedAt / (period * 1000));
+    if (step > currentStep) return { status: 'invalid', ageSeconds: 0 };
+
+    // Seconds since this token stopped being displayed (0 while still on screen)
+    const ageSeconds = Math.max(0, Math.round((scannedAt - (step + 1) * period * 1000) / 1000));
+    return { status: ageSeconds <= maxAgeSeconds ? 'fresh' : 'stale', ageSeconds };
+  }
+
+  /**
+   * Signed ticket recording when a QR token was scanned and checked. The student page gets
+   * it from /validate and sends it back on submit, so the time spent waiting for GPS and
+   * filling in the form doesn't count towards the token's age.
+   */
+  static createScanTicket(sessionId, qrToken, scannedAt = Date.now()) {
+    return jwt.sign(
+      { typ: SCAN_TICKET_TYPE, sessionId, qrToken, scannedAt },
+      config.jwtSecret,
+      { expiresIn: SCAN_TICKET_TTL_SECONDS }
+    );
+  }
+
+  /**
+   * The QR token and scan time of a ticket issued for this session (null if missing,
+   * forged, expired or for another session)
+   */
+  static readScanTicket(ticket, sessionId) {
+    if (!ticket || typeof ticket !== 'string') return null;
+    try {
+      const payload = jwt.verify(ticket, config.jwtSecret);
+      if (payload.typ !== SCAN_TICKET_TYPE || payload.sessionId !== sessionId) return null;
+      return { qrToken: payload.qrToken, scannedAt: payload.scannedAt };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Render the QR code currently valid for a session.
+   * The stored attendanceUrl stays token-free; the token is only embedded in the QR.
+   */
+  static async renderQRCode(session) {
+    const attendanceUrl = `${config.clientUrl}/attend/${session.id}`;
+    const qrToken = this.createQRToken(session);
+    const qrPayload = JSON.stringify({
+      sessionId: session.id,
+      url: qrToken ? `${attendanceUrl}?t=${encodeURIComponent(qrToken.token)}` : attendanceUrl,
+    });
+
+    const qrCodeDataUrl = await QRCode.toDataURL(qrPayload, QR_RENDER_OPTIONS);
+
+    return {
+      qrCodeDataUrl,
+      qrPayload,
+      attendanceUrl,
+      rotatesAt: qrToken ? qrToken.rotatesAt : null,
+    };
+  }
+
   /**
    * Generate a unique QR code for a session
    */
   static async generateQRCode(sessionData) {
     const sessionId = uuidv4();
     const now = new Date();
-    const expiresAt = new Date(now.getTime() + config.qrCodeValidityMinutes * 60 * 1000);
-
-    // Generate QR code data URL
-    const attendanceUrl = `${config.clientUrl}/attend/${sessionId}`;
-    const qrPayload = JSON.stringify({
-      sessionId,
-      url: attendanceUrl,
-    });
+    // Scheduled sessions stay open until the class ends; others for the QR validity period
+    const expiresAt = sessionData.expiresAt
+      ? new Date(sessionData.expiresAt)
+      : new Date(now.getTime() + config.qrCodeValidityMinutes * 60 * 1000);
+    const qrRotationSeconds = sessionData.qrRotationSeconds != null
+      ? sessionData.qrRotationSeconds
+      : config.qrRotationSeconds;
 
-    const qrCodeDataUrl = await QRCode.toDataURL(qrPayload, {
-      width: 400,
-      margin: 2,
-      color: { dark: '#000000', light: '#ffffff' },
+    const { qrCodeDataUrl, qrPayload, attendanceUrl, rotatesAt } = await this.renderQRCode({
+      id: sessionId,
+      qrRotationSeconds,
     });
 
     const session = {
@@ -57,6 +174,18 @@ class SessionService {
       expiresAt: expiresAt.toISOString(),
       isActive: true,
       attendeeCount: 0,
+      qrRotationSeconds,
+      scheduleId: sessionData.scheduleId || null,
+      startsAt: sessionData.startsAt || null,
+      lateGraceMinutes: sessionData.lateGraceMinutes ?? null,
+      requireVerifiedIdentity: !!sessionData.requireVerifiedIdentity,
+      geofence: sessionData.geofence || null,
+      roomId: sessionData.roomId || null,
+      roomName: sessionData.roomName || null,
+      networkPolicy: sessionData.networkPolicy || 'ignore',
+      riskFlagThreshold: sessionData.riskFlagThreshold ?? config.riskFlagThreshold,
+      riskRejectThreshold: sessionData.riskRejectThreshold ?? null,
+      autoStarted: !!sessionData.autoStarted,
     };
 
     // Store session in SQLite
@@ -67,6 +196,7 @@ class SessionService {
       qrCodeDataUrl,
       qrPayload,
       attendanceUrl,
+      rotatesAt,
       expiresAt: expiresAt.toISOString(),
       session,
     };
@@ -79,6 +209,17 @@ class SessionService {
     return getSession(sessionId);
   }
 
+  /**
+   * Minutes past the session start time, or null when the submission is on time
+   * (within the grace period) or the session has no start time
+   */
+  static getMinutesLate(session, at = new Date()) {
+    if (!session.startsAt) return null;
+    const minutesLate = Math.floor((at - new Date(session.startsAt)) / 60000);
+    const grace = session.lateGraceMinutes ?? config.lateGraceMinutes;
+    return minutesLate > grace ? minutesLate : null;
+  }
+
   /**
    * Check if a session is still active and valid
    */
@@ -114,6 +255,13 @@ class SessionService {
     addSessionAttendee(sessionId, studentEmail);
   }
 
+  /**
+   * Remove attendee from session tracking (their record was deleted — they may submit again)
+   */
+  static removeAttendee(sessionId, studentEmail) {
+    removeSessionAttendee(sessionId, studentEmail);
+  }
+
   /**
    * Check if student already submitted for this session
    */
@@ -142,20 +290,31 @@ class SessionService {
     const session = getSession(sessionId);
     if (!session) return null;
 
-    const attendanceUrl = `${config.clientUrl}/attend/${sessionId}`;
-    const qrPayload = JSON.stringify({ sessionId, url: attendanceUrl });
-
-    const qrCodeDataUrl = await QRCode.toDataURL(qrPayload, {
-      width: 400,
-      margin: 2,
-      color: { dark: '#000000', light: '#ffffff' },
-    });
+    const { qrCodeDataUrl, attendanceUrl } = await this.renderQRCode(session);
 
     updateSessionFields(sessionId, { qrCodeDataUrl, attendanceUrl });
 
     return { qrCodeDataUrl, attendanceUrl, session };
   }
 
+  /**
+   * Get the QR code for the current rotation step (not persisted — it changes every step)
+   */
+  static async getCurrentQRCode(sessionId) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+
+    const { qrCodeDataUrl, attendanceUrl, rotatesAt } = await this.renderQRCode(session);
+
+    return {
+      qrCodeDataUrl,
+      attendanceUrl,
+      rotationSeconds: session.qrRotationSeconds,
+      rotatesAt,
+      refreshInMs: rotatesAt ? Math.max(0, new Date(rotatesAt) - Date.now()) : null,
+    };
+  }
+
   /**
    * Extend session expiry time
    */
@@ -164,6 +323,8 @@ class SessionService {
     if (!session) return null;
     const currentExpiry = new Date(session.expiresAt);
     const newExpiry = new Date(currentExpiry.getTime() + additionalMinutes * 60 * 1000);
+    // Re-opened: absences are recorded again on the next close (late submitters replace their ABSENT row)
+    if (session.absencesRecorded) setAbsencesRecorded(sessionId, false);
     return updateSessionFields(sessionId, {
       expiresAt: newExpiry.toISOString(),
       isActive: true,
@@ -10,6 +10,19 @@ const {
   serializeAttendance,
   deserializeAttendance,
   deserializeCheating,
+  deserializeJob,
+  deserializeRoster,
+  deserializeRosterStudent,
+  deserializeAudit,
+  serializeRoom,
+  deserializeRoom,
+  deserializeCalendarException,
+  serializeSchedule,
+  deserializeSchedule,
+  serializeCourse,
+  deserializeCourse,
+  writeScheduleRow,
+  writeCourseRow,
 } = require('./database');
 
 /**
@@ -34,7 +47,7 @@ function findTeacherById(id) {
 
 function addTeacher(teacher) {
   const t = serializeTeacher(teacher);
-  stmts.insertTeacher.run(t.id, t.email, t.name, t.picture, t.google_tokens, t.settings, t.created_at);
+  stmts.insertTeacher.run(t.id, t.email, t.name, t.picture, t.google_tokens, t.settings, t.created_at, t.drive_status);
   debouncedSync();
   return teacher;
 }
@@ -44,11 +57,27 @@ function updateTeacher(id, updates) {
   if (!existing) return null;
   const merged = { ...existing, ...updates };
   const row = serializeTeacher(merged);
-  stmts.updateTeacher.run(row.email, row.name, row.picture, row.google_tokens, row.settings, id);
+  stmts.updateTeacher.run(row.email, row.name, row.picture, row.google_tokens, row.settings, row.drive_status, id);
   debouncedSync();
   return merged;
 }
 
+/**
+ * The teacher's timetable feed token (null until one is issued)
+ */
+function getCalendarToken(teacherId) {
+  return stmts.getCalendarToken.get(teacherId)?.calendar_token || null;
+}
+
+function findTeacherByCalendarToken(token) {
+  return deserializeTeacher(stmts.findTeacherByCalendarToken.get(token));
+}
+
+function setCalendarToken(teacherId, token) {
+  stmts.setCalendarToken.run(token, teacherId);
+  debouncedSync();
+}
+
 // ══════════════ Sessions ══════════════
 
 function addSession(session) {
@@ -57,7 +86,10 @@ function addSession(session) {
     s.id, s.teacher_id, s.session_type, s.subject_name, s.year,
     s.section_or_group, s.classroom_location, s.geofence_radius, s.spreadsheet_id,
     s.spreadsheet_url, s.drive_folder, s.qr_code_data_url, s.attendance_url,
-    s.created_at, s.expires_at, s.is_active, s.attendee_count
+    s.created_at, s.expires_at, s.is_active, s.attendee_count, s.qr_rotation_seconds,
+    s.schedule_id, s.starts_at, s.late_grace_minutes, s.require_verified_identity, s.geofence,
+    s.room_id, s.room_name, s.network_policy, s.risk_flag_threshold, s.risk_reject_threshold,
+    s.auto_started
   );
   debouncedSync();
   return session;
@@ -115,6 +147,29 @@ function getAllSessionsByTeacher(teacherId) {
   return stmts.getAllSessionsByTeacher.all(teacherId).map(deserializeSession);
 }
 
+function getClosedSessionsPendingAbsences() {
+  return stmts.getClosedSessionsPendingAbsences.all(new Date().toISOString()).map(deserializeSession);
+}
+
+/**
+ * The schedule's latest session created at or after `since` (null if none)
+ */
+function findScheduleSession(scheduleId, since) {
+  return deserializeSession(stmts.findScheduleSession.get(scheduleId, since));
+}
+
+/**
+ * Sessions started by the scheduler that are still open past their end time
+ */
+function getEndedAutoStartedSessions(now) {
+  return stmts.getEndedAutoStartedSessions.all(now).map(deserializeSession);
+}
+
+function setAbsencesRecorded(sessionId, recorded) {
+  stmts.setAbsencesRecorded.run(recorded ? 1 : 0, sessionId);
+  debouncedSync();
+}
+
 // Attendee tracking (separate table — much cheaper than array manipulation)
 const _updateAttendeeCount = db.prepare('UPDATE sessions SET attendee_count = ? WHERE id = ?');
 
@@ -124,6 +179,12 @@ function addSessionAttendee(sessionId, email) {
   _updateAttendeeCount.run(count, sessionId);
 }
 
+function removeSessionAttendee(sessionId, email) {
+  stmts.removeAttendee.run(sessionId, email);
+  const count = stmts.getAttendeeCount.get(sessionId).count;
+  _updateAttendeeCount.run(count, sessionId);
+}
+
 function hasSessionAttendee(sessionId, email) {
   return !!stmts.hasAttendee.get(sessionId, email);
 }
@@ -138,12 +199,18 @@ function addAttendanceRecord(record) {
   const r = serializeAttendance(record);
   const result = stmts.insertAttendance.run(
     r.session_id, r.student_name, r.email, r.ip_address, r.mac_address,
-    r.latitude, r.longitude, r.timestamp, r.status, r.violations
+    r.latitude, r.longitude, r.timestamp, r.status, r.violations, r.minutes_late,
+    r.location_accuracy, r.altitude, r.location_age, r.distance, r.location_decision,
+    r.device_id, r.fingerprint, r.device_signals, r.risk_score, r.risk_reasons
   );
   debouncedSync();
   return result.lastInsertRowid;
 }
 
+function getAttendanceById(id) {
+  return deserializeAttendance(stmts.getAttendanceById.get(id));
+}
+
 function getAttendanceBySession(sessionId) {
   return stmts.getAttendanceBySession.all(sessionId).map(deserializeAttendance);
 }
@@ -160,6 +227,50 @@ function markAttendanceSynced(id) {
   stmts.markAttendanceSynced.run(id);
 }
 
+function markAttendanceSyncFailed(id, error) {
+  stmts.markAttendanceSyncFailed.run(error, id);
+}
+
+function getUnsyncedAttendanceBySession(sessionId, limit = 500) {
+  return stmts.getUnsyncedAttendanceBySession.all(sessionId, limit).map(deserializeAttendance);
+}
+
+function getSessionsWithUnsyncedAttendance(before) {
+  return stmts.getSessionsWithUnsyncedAttendance.all(before).map(row => ({
+    sessionId: row.session_id,
+    teacherId: row.teacher_id,
+    count: row.count,
+  }));
+}
+
+function findAttendanceInSession(sessionId, email) {
+  return deserializeAttendance(stmts.findAttendanceInSession.get(sessionId, email));
+}
+
+/**
+ * The student's most recent check-in elsewhere that has GPS coordinates
+ */
+function getLastLocatedCheckIn(email, excludeSessionId) {
+  return deserializeAttendance(stmts.getLastLocatedCheckIn.get(email, excludeSessionId));
+}
+
+function updateAttendanceStatus(id, status) {
+  stmts.updateAttendanceStatus.run(status, id);
+  debouncedSync();
+}
+
+function deleteAttendanceRecord(id) {
+  stmts.deleteAttendance.run(id);
+  debouncedSync();
+}
+
+/**
+ * Drop a student's ABSENT row (they submitted after the session was re-opened)
+ */
+function clearAbsence(sessionId, email) {
+  return stmts.deleteAbsentRecord.run(sessionId, email).changes > 0;
+}
+
 function getAttendanceStats(sessionId) {
   return stmts.getAttendanceStats.get(sessionId);
 }
@@ -173,6 +284,36 @@ function saveAttendanceStore() {
   // No-op — individual inserts handle this now
 }
 
+// ══════════════ Attendance Audit ══════════════
+
+function addAuditEntry(entry) {
+  const result = stmts.insertAudit.run(
+    entry.attendanceId ?? null,
+    entry.sessionId,
+    entry.email,
+    entry.teacherId,
+    entry.action,
+    entry.oldValue ? JSON.stringify(entry.oldValue) : null,
+    entry.newValue ? JSON.stringify(entry.newValue) : null,
+    entry.reason,
+    entry.createdAt || new Date().toISOString()
+  );
+  debouncedSync();
+  return result.lastInsertRowid;
+}
+
+function getAuditEntry(id) {
+  return deserializeAudit(stmts.getAudit.get(id));
+}
+
+function getAuditBySession(sessionId) {
+  return stmts.getAuditBySession.all(sessionId).map(deserializeAudit);
+}
+
+function markAuditSynced(id) {
+  stmts.markAuditSynced.run(id);
+}
+
 // ══════════════ Cheating Logs ══════════════
 
 function addCheatingLog(log) {
@@ -191,6 +332,35 @@ function addCheatingLog(log) {
   return result.lastInsertRowid;
 }
 
+function getCheatingLogById(id) {
+  return deserializeCheating(stmts.getCheatingById.get(id));
+}
+
+function reviewCheatingLog(id, { status, reviewedBy, note }) {
+  stmts.reviewCheatingLog.run(status, reviewedBy, new Date().toISOString(), note || null, id);
+  debouncedSync();
+  return getCheatingLogById(id);
+}
+
+/**
+ * Attach a student's appeal to the given violations of theirs in a session (dismissed ones are skipped)
+ * @returns {number} violations the appeal was attached to
+ */
+function appealCheatingLogs(sessionId, email, ids, appeal) {
+  const result = stmts.appealCheatingLogs.run(
+    appeal, new Date().toISOString(), JSON.stringify(ids), sessionId, email
+  );
+  if (result.changes > 0) debouncedSync();
+  return result.changes;
+}
+
+/**
+ * Whether a student already has a violation of this type in a session
+ */
+function hasCheatingLog(sessionId, email, violationType) {
+  return !!stmts.hasCheatingLog.get(sessionId, email, violationType);
+}
+
 function getCheatingBySession(sessionId) {
   return stmts.getCheatingBySession.all(sessionId).map(deserializeCheating);
 }
@@ -203,6 +373,42 @@ function markCheatingSynced(id) {
   stmts.markCheatingSynced.run(id);
 }
 
+function markCheatingSyncFailed(id, error) {
+  stmts.markCheatingSyncFailed.run(error, id);
+}
+
+function getUnsyncedCheatingByTeacher(teacherId, limit = 500) {
+  return stmts.getUnsyncedCheatingByTeacher.all(teacherId, limit).map(deserializeCheating);
+}
+
+function getTeachersWithUnsyncedCheating(before) {
+  return stmts.getTeachersWithUnsyncedCheating.all(before).map(row => ({
+    teacherId: row.teacher_id,
+    count: row.count,
+  }));
+}
+
+// ══════════════ Sheets Sync Status ══════════════
+
+/**
+ * Per-session sync counts for a teacher's attendance and violation rows.
+ * pending = not yet written, failed = last write attempt failed, synced = in the sheet
+ * @returns {Object} sessionId → { attendance: {pending, failed, synced}, violations: {...} }
+ */
+function getSyncStatusByTeacher(teacherId) {
+  const empty = () => ({ pending: 0, failed: 0, synced: 0 });
+  const status = {};
+  const add = (rows, kind) => {
+    for (const row of rows) {
+      status[row.session_id] ??= { attendance: empty(), violations: empty() };
+      status[row.session_id][kind] = { pending: row.pending, failed: row.failed, synced: row.synced };
+    }
+  };
+  add(stmts.getAttendanceSyncStatusByTeacher.all(teacherId), 'attendance');
+  add(stmts.getCheatingSyncStatusByTeacher.all(teacherId), 'violations');
+  return status;
+}
+
 // Backward compat
 function getCheatingStore() {
   return stmts.getAllCheatingLogs.all().map(deserializeCheating);
@@ -212,25 +418,413 @@ function saveCheatingStore() {
   // No-op
 }
 
-// ══════════════ JSON Generic Stores ══════════════
-// (schedules, courses — small data, keep as JSON blobs)
+// Logs joined to their session (owner, course) and the owner's department
+const CHEATING_FROM = `
+  FROM cheating_logs c
+  LEFT JOIN sessions s ON s.id = c.session_id
+  LEFT JOIN teachers t ON t.id = s.teacher_id`;
+
+function buildCheatingFilter(filters) {
+  const where = [];
+  const params = [];
+  if (filters.teacherId) { where.push('s.teacher_id = ?'); params.push(filters.teacherId); }
+  if (filters.sessionId) { where.push('c.session_id = ?'); params.push(filters.sessionId); }
+  if (filters.email) { where.push('c.email = ? COLLATE NOCASE'); params.push(filters.email); }
+  if (filters.violationType) { where.push('c.violation_type = ?'); params.push(filters.violationType); }
+  if (filters.reviewStatus) { where.push('c.review_status = ?'); params.push(filters.reviewStatus); }
+  if (filters.excludeDismissed) where.push("c.review_status != 'dismissed'");
+  if (filters.appealed) where.push('c.appeal IS NOT NULL');
+  if (filters.startDate) { where.push('c.timestamp >= ?'); params.push(filters.startDate); }
+  if (filters.endDate) { where.push('c.timestamp <= ?'); params.push(filters.endDate); }
+  if (filters.subjectName) { where.push('s.subject_name = ? COLLATE NOCASE'); params.push(filters.subjectName); }
+  if (filters.department) {
+    where.push("json_extract(t.settings, '$.department') = ? COLLATE NOCASE");
+    params.push(filters.department);
+  }
+  return { clause: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+/**
+ * Filtered cheating logs, newest first, with the session's course, teacher and department
+ */
+function listCheatingLogs(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { clause, params } = buildCheatingFilter(filters);
+  return db.prepare(`
+    SELECT c.*, s.subject_name, s.teacher_id, t.name AS teacher_name,
+      json_extract(t.settings, '$.department') AS department, r.name AS reviewer_name
+    ${CHEATING_FROM}
+    LEFT JOIN teachers r ON r.id = c.reviewed_by
+    ${clause}
+    ORDER BY c.timestamp DESC, c.id DESC LIMIT ? OFFSET ?
+  `).all(...params, limit, offset).map(row => ({
+    ...deserializeCheating(row),
+    subjectName: row.subject_name || null,
+    teacherId: row.teacher_id || null,
+    teacherName: row.teacher_name || null,
+    department: row.department || null,
+    reviewerName: row.reviewer_name || null,
+  }));
+}
+
+function countCheatingLogs(filters = {}) {
+  const { clause, params } = buildCheatingFilter(filters);
+  return db.prepare(`SELECT COUNT(*) as count ${CHEATING_FROM} ${clause}`).get(...params).count;
+}
 
-function getJsonStore(name) {
-  const row = stmts.getJsonStore.get(name);
-  if (!row) return [];
-  try { return JSON.parse(row.data); } catch { return []; }
+/**
+ * Violation counts by type, and how many distinct students they involve
+ */
+function summarizeCheatingLogs(filters = {}) {
+  const { clause, params } = buildCheatingFilter(filters);
+  const byType = {};
+  db.prepare(`SELECT c.violation_type, COUNT(*) as count ${CHEATING_FROM} ${clause} GROUP BY c.violation_type`)
+    .all(...params)
+    .forEach(row => { byType[row.violation_type] = row.count; });
+  const students = db.prepare(`SELECT COUNT(DISTINCT LOWER(c.email)) as count ${CHEATING_FROM} ${clause}`)
+    .get(...params).count;
+  return { byType, students };
 }
 
-function saveJsonStore(name, data) {
-  const json = JSON.stringify(data);
-  stmts.upsertJsonStore.run(name, json, json);
+/**
+ * Students with at least `minViolations` matching logs, most first
+ */
+function listRepeatOffenders(filters = {}, minViolations = 3, limit = 100) {
+  const { clause, params } = buildCheatingFilter(filters);
+  return db.prepare(`
+    SELECT LOWER(c.email) AS email, MAX(c.student_name) AS student_name, COUNT(*) AS count,
+      GROUP_CONCAT(DISTINCT c.violation_type) AS violation_types
+    ${CHEATING_FROM} ${clause}
+    GROUP BY LOWER(c.email) HAVING COUNT(*) >= ?
+    ORDER BY count DESC LIMIT ?
+  `).all(...params, minViolations, limit).map(row => ({
+    email: row.email,
+    studentName: row.student_name,
+    count: row.count,
+    violationTypes: row.violation_types ? row.violation_types.split(',') : [],
+  }));
+}
+
+/**
+ * Values for the admin filters: departments, courses and teachers that have sessions
+ */
+function getCheatingFilterOptions() {
+  return {
+    departments: db.prepare(`
+      SELECT DISTINCT json_extract(settings, '$.department') AS department FROM teachers
+      WHERE json_extract(settings, '$.department') != '' ORDER BY department COLLATE NOCASE
+    `).all().map(r => r.department),
+    courses: db.prepare('SELECT DISTINCT subject_name FROM sessions ORDER BY subject_name COLLATE NOCASE')
+      .all().map(r => r.subject_name),
+    teachers: db.prepare(`
+      SELECT id, name, email FROM teachers WHERE id IN (SELECT DISTINCT teacher_id FROM sessions)
+      ORDER BY name COLLATE NOCASE
+    `).all(),
+  };
+}
+
+// ══════════════ Jobs ══════════════
+
+function buildJobFilter(filters) {
+  const where = [];
+  const params = [];
+  if (filters.queue) { where.push('queue = ?'); params.push(filters.queue); }
+  if (filters.status) { where.push('status = ?'); params.push(filters.status); }
+  if (filters.type) { where.push('type = ?'); params.push(filters.type); }
+  return { clause: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+function listJobs(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { clause, params } = buildJobFilter(filters);
+  return db.prepare(`SELECT * FROM jobs ${clause} ORDER BY id DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset)
+    .map(deserializeJob);
+}
+
+function countJobs(filters = {}) {
+  const { clause, params } = buildJobFilter(filters);
+  return db.prepare(`SELECT COUNT(*) as count FROM jobs ${clause}`).get(...params).count;
+}
+
+function getJob(id) {
+  return deserializeJob(stmts.getJob.get(id));
+}
+
+// ══════════════ Rosters ══════════════
+
+function getRoster(id) {
+  return deserializeRoster(stmts.getRoster.get(id));
+}
+
+function findRoster(teacherId, subjectName, year, sectionOrGroup) {
+  return deserializeRoster(stmts.findRoster.get(teacherId, subjectName, year, sectionOrGroup));
+}
+
+function getRostersByTeacher(teacherId) {
+  return stmts.getRostersByTeacher.all(teacherId).map(deserializeRoster);
+}
+
+function addRoster(roster) {
+  stmts.insertRoster.run(
+    roster.id, roster.teacherId, roster.subjectName, roster.year,
+    roster.sectionOrGroup, roster.createdAt, roster.updatedAt
+  );
+  debouncedSync();
+  return roster;
+}
+
+function deleteRoster(id) {
+  stmts.deleteRosterStudents.run(id);
+  stmts.deleteRoster.run(id);
   debouncedSync();
 }
 
-function getScheduleStore() { return getJsonStore('schedules'); }
-function saveScheduleStore(data) { saveJsonStore('schedules', data); }
-function getCourseStore() { return getJsonStore('courses'); }
-function saveCourseStore(data) { saveJsonStore('courses', data); }
+function getRosterStudents(rosterId) {
+  return stmts.getRosterStudents.all(rosterId).map(deserializeRosterStudent);
+}
+
+/**
+ * All roster students of a teacher, with the roster's subject/year/section
+ */
+function getRosterStudentsByTeacher(teacherId) {
+  return stmts.getRosterStudentsByTeacher.all(teacherId).map(row => ({
+    ...deserializeRosterStudent(row),
+    subjectName: row.subject_name,
+    year: row.year,
+    sectionOrGroup: row.section_or_group,
+  }));
+}
+
+/**
+ * Add/update students on a roster; with `replace`, students missing from the list are removed.
+ * Runs in one transaction.
+ */
+const _saveRosterStudents = db.transaction((rosterId, students, replace) => {
+  const now = new Date().toISOString();
+  if (replace) {
+    const keep = new Set(students.map(st => st.email));
+    for (const existing of stmts.getRosterStudents.all(rosterId)) {
+      if (!keep.has(existing.email)) stmts.deleteRosterStudent.run(rosterId, existing.email);
+    }
+  }
+  for (const st of students) {
+    stmts.upsertRosterStudent.run(rosterId, st.email, st.studentName, st.studentId || null, now);
+  }
+  stmts.touchRoster.run(now, rosterId);
+});
+
+function saveRosterStudents(rosterId, students, { replace = false } = {}) {
+  _saveRosterStudents(rosterId, students, replace);
+  debouncedSync();
+}
+
+function removeRosterStudent(rosterId, email) {
+  const removed = stmts.deleteRosterStudent.run(rosterId, email).changes > 0;
+  if (removed) {
+    stmts.touchRoster.run(new Date().toISOString(), rosterId);
+    debouncedSync();
+  }
+  return removed;
+}
+
+// ══════════════ Rooms ══════════════
+
+function getRoom(id) {
+  return deserializeRoom(stmts.getRoom.get(id));
+}
+
+function findRoom(building, name) {
+  return deserializeRoom(stmts.findRoom.get(building || '', name));
+}
+
+function getAllRooms() {
+  return stmts.getAllRooms.all().map(deserializeRoom);
+}
+
+function addRoom(room) {
+  const r = serializeRoom(room);
+  stmts.insertRoom.run(
+    r.id, r.name, r.building, r.location, r.geofence, r.default_radius,
+    r.created_by, r.created_at, r.updated_at
+  );
+  debouncedSync();
+  return room;
+}
+
+function updateRoom(room) {
+  const r = serializeRoom(room);
+  stmts.updateRoom.run(r.name, r.building, r.location, r.geofence, r.default_radius, r.updated_at, r.id);
+  debouncedSync();
+  return room;
+}
+
+function deleteRoom(id) {
+  stmts.deleteRoom.run(id);
+  debouncedSync();
+}
+
+// ══════════════ Academic Calendar ══════════════
+
+function getCalendarException(id) {
+  return deserializeCalendarException(stmts.getCalendarException.get(id));
+}
+
+function getAllCalendarExceptions() {
+  return stmts.getAllCalendarExceptions.all().map(deserializeCalendarException);
+}
+
+function addCalendarException(e) {
+  stmts.insertCalendarException.run(
+    e.id, e.kind, e.label || '', e.startDate, e.endDate, e.scheduleId || null, e.createdBy, e.createdAt
+  );
+  debouncedSync();
+  return e;
+}
+
+function deleteCalendarException(id) {
+  stmts.deleteCalendarException.run(id);
+  debouncedSync();
+}
+
+// ══════════════ Co-submissions ══════════════
+// Students submitting together from one IP / device (mined by buddy-punching.service)
+
+function getSessionsWithSubmissionsSince(since) {
+  return stmts.getSessionsWithSubmissionsSince.all(since, since).map(r => r.session_id);
+}
+
+/**
+ * Re-mine one session: every pair of students whose submissions share an IP address,
+ * device token or fingerprint within `windowSeconds` of each other. Runs in one transaction.
+ * @returns {number} pairs stored
+ */
+const replaceCoSubmissions = db.transaction((sessionId, windowSeconds, maxIpSharers) => {
+  const pairs = stmts.findCoSubmissions.all(sessionId, sessionId, maxIpSharers, windowSeconds);
+  const detectedAt = new Date().toISOString();
+  stmts.deleteCoSubmissions.run(sessionId);
+  for (const p of pairs) {
+    stmts.insertCoSubmission.run(
+      sessionId, p.email_a, p.email_b, p.name_a, p.name_b,
+      p.same_ip ? 1 : 0, p.same_device ? 1 : 0, p.same_fingerprint ? 1 : 0,
+      Math.round(p.gap_seconds), detectedAt
+    );
+  }
+  return pairs.length;
+});
+
+function mineCoSubmissions(sessionId, windowSeconds, maxIpSharers) {
+  const count = replaceCoSubmissions(sessionId, windowSeconds, maxIpSharers);
+  debouncedSync();
+  return count;
+}
+
+/**
+ * Stored pairs (with their session) for pairs seen together in at least `minSessions`
+ * sessions — counted within the same teacher scope as the rows returned
+ * @param {Object} filters - { teacherId }
+ */
+function listRepeatedCoSubmissions(filters, minSessions) {
+  const scope = filters.teacherId ? 'WHERE s.teacher_id = ?' : '';
+  const params = filters.teacherId ? [filters.teacherId, filters.teacherId] : [];
+  return db.prepare(`
+    WITH scoped AS (
+      SELECT c.*, s.subject_name, s.session_type, s.created_at AS session_date
+      FROM co_submissions c JOIN sessions s ON s.id = c.session_id ${scope}
+    )
+    SELECT * FROM scoped
+    WHERE (email_a, email_b) IN (
+      SELECT c.email_a, c.email_b FROM co_submissions c JOIN sessions s ON s.id = c.session_id ${scope}
+      GROUP BY c.email_a, c.email_b HAVING COUNT(*) >= ?
+    )
+    ORDER BY session_date DESC
+  `).all(...params, minSessions).map(r => ({
+    sessionId: r.session_id,
+    subjectName: r.subject_name,
+    sessionType: r.session_type,
+    sessionDate: r.session_date,
+    emailA: r.email_a,
+    emailB: r.email_b,
+    nameA: r.name_a,
+    nameB: r.name_b,
+    sameIp: !!r.same_ip,
+    sameDevice: !!r.same_device,
+    sameFingerprint: !!r.same_fingerprint,
+    gapSeconds: r.gap_seconds,
+  }));
+}
+
+// ══════════════ Schedules ══════════════
+
+function getSchedule(id) {
+  return deserializeSchedule(stmts.getSchedule.get(id));
+}
+
+/**
+ * A teacher's active schedules, by day and start time
+ */
+function getSchedulesByTeacher(teacherId) {
+  return stmts.getSchedulesByTeacher.all(teacherId).map(deserializeSchedule);
+}
+
+/**
+ * Every teacher's active schedules
+ */
+function getActiveSchedules() {
+  return stmts.getActiveSchedules.all().map(deserializeSchedule);
+}
+
+function getActiveSchedulesByRoom(roomId) {
+  return stmts.getActiveSchedulesByRoom.all(roomId).map(deserializeSchedule);
+}
+
+function addSchedule(schedule) {
+  writeScheduleRow(serializeSchedule(schedule));
+  debouncedSync();
+  return schedule;
+}
+
+/**
+ * Apply changes to one of a teacher's schedules (null when it isn't theirs).
+ * Read and write happen in one transaction, so concurrent edits don't overwrite each other.
+ */
+const _updateSchedule = db.transaction((id, teacherId, changes) => {
+  const current = deserializeSchedule(stmts.getSchedule.get(id));
+  if (!current || current.teacherId !== teacherId) return null;
+  const updated = { ...current, ...changes, id, teacherId };
+  writeScheduleRow(serializeSchedule(updated));
+  return updated;
+});
+
+function updateSchedule(id, teacherId, changes) {
+  const updated = _updateSchedule(id, teacherId, changes);
+  if (updated) debouncedSync();
+  return updated;
+}
+
+/**
+ * Soft-delete one of a teacher's schedules (false when it isn't theirs or is already deleted)
+ */
+function deactivateSchedule(id, teacherId, deletedAt) {
+  const { changes } = stmts.deactivateSchedule.run(deletedAt, id, teacherId);
+  if (changes > 0) debouncedSync();
+  return changes > 0;
+}
+
+// ══════════════ Courses ══════════════
+
+function getCoursesByTeacher(teacherId) {
+  return stmts.getCoursesByTeacher.all(teacherId).map(deserializeCourse);
+}
+
+function saveCourse(course) {
+  writeCourseRow(serializeCourse(course));
+  debouncedSync();
+  return course;
+}
+
+function deleteCourse(id, teacherId) {
+  stmts.deleteCourse.run(id, teacherId);
+  debouncedSync();
+}
 
 // ══════════════ Shutdown ══════════════
 
@@ -268,6 +862,9 @@ module.exports = {
   findTeacherById,
   addTeacher,
   updateTeacher,
+  getCalendarToken,
+  findTeacherByCalendarToken,
+  setCalendarToken,
 
   // Session (new targeted methods)
   addSession,
@@ -278,32 +875,110 @@ module.exports = {
   getActiveSessionsByTeacher,
   getAllSessionsByTeacher,
   addSessionAttendee,
+  removeSessionAttendee,
   hasSessionAttendee,
   getSessionAttendeeEmails,
+  getClosedSessionsPendingAbsences,
+  findScheduleSession,
+  getEndedAutoStartedSessions,
+  setAbsencesRecorded,
 
   // Attendance (new targeted + backward compat)
   addAttendanceRecord,
+  getAttendanceById,
   getAttendanceBySession,
   getAttendanceByTeacher,
   getAttendanceByEmail,
+  getLastLocatedCheckIn,
   markAttendanceSynced,
+  markAttendanceSyncFailed,
+  getUnsyncedAttendanceBySession,
+  getSessionsWithUnsyncedAttendance,
+  findAttendanceInSession,
+  updateAttendanceStatus,
+  deleteAttendanceRecord,
+  clearAbsence,
   getAttendanceStats,
   getAttendanceStore,      // backward compat (analytics)
   saveAttendanceStore,     // no-op
 
+  // Attendance audit
+  addAuditEntry,
+  getAuditEntry,
+  getAuditBySession,
+  markAuditSynced,
+
   // Cheating (new targeted + backward compat)
   addCheatingLog,
+  getCheatingLogById,
+  reviewCheatingLog,
+  appealCheatingLogs,
+  hasCheatingLog,
   getCheatingBySession,
   getCheatingByEmail,
   markCheatingSynced,
+  markCheatingSyncFailed,
+  getUnsyncedCheatingByTeacher,
+  getTeachersWithUnsyncedCheating,
   getCheatingStore,        // backward compat
   saveCheatingStore,       // no-op
-
-  // JSON stores (schedules, courses)
-  getScheduleStore,
-  saveScheduleStore,
-  getCourseStore,
-  saveCourseStore,
+  listCheatingLogs,
+  countCheatingLogs,
+  summarizeCheatingLogs,
+  listRepeatOffenders,
+  getCheatingFilterOptions,
+
+  // Sheets sync status
+  getSyncStatusByTeacher,
+
+  // Jobs (durable queue)
+  listJobs,
+  countJobs,
+  getJob,
+
+  // Rosters
+  getRoster,
+  findRoster,
+  getRostersByTeacher,
+  addRoster,
+  deleteRoster,
+  getRosterStudents,
+  getRosterStudentsByTeacher,
+  saveRosterStudents,
+  removeRosterStudent,
+
+  // Rooms
+  getRoom,
+  findRoom,
+  getAllRooms,
+  addRoom,
+  updateRoom,
+  deleteRoom,
+
+  // Academic calendar
+  getCalendarException,
+  getAllCalendarExceptions,
+  addCalendarException,
+  deleteCalendarException,
+
+  // Co-submissions
+  getSessionsWithSubmissionsSince,
+  mineCoSubmissions,
+  listRepeatedCoSubmissions,
+
+  // Schedules
+  getSchedule,
+  getSchedulesByTeacher,
+  getActiveSchedules,
+  getActiveSchedulesByRoom,
+  addSchedule,
+  updateSchedule,
+  deactivateSchedule,
+
+  // Courses
+  getCoursesByTeacher,
+  saveCourse,
+  deleteCourse,
 
   // Lifecycle
   flushAllStores,
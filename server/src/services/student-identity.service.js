@@ -0,0 +1,145 @@
+/**
+ * Student Identity Verification
+ *
+ * Optional per-session "verified identity" mode: the student signs in with Google
+ * (restricted to the university domain) and the server uses that email and name
+ * instead of the typed form fields, so nobody can submit for a friend.
+ *
+ * The QR token scanned before leaving for Google travels through the sign-in
+ * (OAuth state → identity cookie) together with the time it was scanned, so the
+ * round trip doesn't make a rotating code go stale. The state is bound to the browser that
+ * started the sign-in by a nonce cookie, so a callback link forwarded to someone else
+ * doesn't hand them the identity.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { google } = require('googleapis');
+const config = require('../config');
+
+const IDENTITY_COOKIE = 'student_token';
+const SIGNIN_COOKIE = 'student_signin';
+const STATE_TYPE = 'student-signin';
+
+// ── Timing constants ──
+const STATE_TTL_SECONDS = 10 * 60;      // 10 minutes to finish the Google sign-in
+const IDENTITY_TTL_SECONDS = 15 * 60;   // 15 minutes to submit after signing in
+
+// Identity only — students never grant Drive access
+const STUDENT_SCOPES = ['openid', 'email', 'profile'];
+
+function createOAuthClient() {
+  return new google.auth.OAuth2(
+    config.google.clientId,
+    config.google.clientSecret,
+    config.google.studentRedirectUri
+  );
+}
+
+/**
+ * Whether an email belongs to the configured university domain (any domain if unset)
+ */
+function isAllowedDomain(email) {
+  if (!config.studentEmailDomain) return true;
+  return email.toLowerCase().endsWith(`@${config.studentEmailDomain}`);
+}
+
+/**
+ * Google consent URL for a student; the signed state carries the scanned QR token and a
+ * nonce that must also be set as the SIGNIN_COOKIE on the browser starting the sign-in
+ * @returns {{ authUrl: string, nonce: string }}
+ */
+function getSignInUrl(sessionId, qrToken) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const state = jwt.sign(
+    { typ: STATE_TYPE, sessionId, qrToken: qrToken || null, scannedAt: Date.now(), nonce },
+    config.jwtSecret,
+    { expiresIn: STATE_TTL_SECONDS }
+  );
+
+  const authUrl = createOAuthClient().generateAuthUrl({
+    scope: STUDENT_SCOPES,
+    state,
+    prompt: 'select_account',
+    // Only pre-filters the account chooser — the domain is enforced in verifyGoogleUser
+    ...(config.studentEmailDomain && { hd: config.studentEmailDomain }),
+  });
+  return { authUrl, nonce };
+}
+
+/**
+ * Decode the OAuth state — null if forged, expired, or not started by this browser
+ * (its nonce doesn't match the request's SIGNIN_COOKIE)
+ */
+function readSignInState(req, state) {
+  try {
+    const decoded = jwt.verify(state, config.jwtSecret);
+    const nonce = req.cookies?.[SIGNIN_COOKIE];
+    if (decoded.typ !== STATE_TYPE || !nonce || decoded.nonce !== nonce) return null;
+    return decoded;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Exchange the OAuth code and check the Google account
+ * @returns {Promise<{verified: boolean, reason?: string, email?: string, name?: string}>}
+ */
+async function verifyGoogleUser(code) {
+  const oauth2Client = createOAuthClient();
+  const { tokens } = await oauth2Client.getToken(code);
+  oauth2Client.setCredentials(tokens);
+
+  const oauth2 = google.oauth2({ version: 'v2', auth: oauth2Client });
+  const { data: userInfo } = await oauth2.userinfo.get();
+
+  if (!userInfo.verified_email) return { verified: false, reason: 'unverified_email' };
+  if (!isAllowedDomain(userInfo.email)) return { verified: false, reason: 'wrong_domain' };
+
+  return {
+    verified: true,
+    email: userInfo.email.toLowerCase(),
+    name: userInfo.name || userInfo.email,
+  };
+}
+
+/**
+ * Sign the identity cookie value for one session
+ */
+function issueIdentityToken({ sessionId, qrToken, scannedAt, email, name }) {
+  return jwt.sign(
+    { role: 'student', sessionId, qrToken, scannedAt, email, name },
+    config.jwtSecret,
+    { expiresIn: IDENTITY_TTL_SECONDS }
+  );
+}
+
+/**
+ * Verified identity from the request cookie, only if it was issued for this session
+ */
+function readIdentity(req, sessionId) {
+  const token = req.cookies?.[IDENTITY_COOKIE];
+  if (!token) return null;
+
+  try {
+    const identity = jwt.verify(token, config.jwtSecret);
+    if (identity.role !== 'student' || identity.sessionId !== sessionId) return null;
+    return identity;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  IDENTITY_COOKIE,
+  IDENTITY_TTL_SECONDS,
+  SIGNIN_COOKIE,
+  STATE_TTL_SECONDS,
+  isAllowedDomain,
+  getSignInUrl,
+  readSignInState,
+  verifyGoogleUser,
+  issueIdentityToken,
+  readIdentity,
+};
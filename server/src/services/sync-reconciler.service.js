@@ -0,0 +1,86 @@
+/**
+ * Sheets Sync Reconciler
+ *
+ * Periodically re-syncs attendance and cheating rows that never reached Google Sheets:
+ * 1. Rows submitted before the session's sheet existed (never queued)
+ * 2. Rows whose queued write was dead-lettered (quota, outage, revoked token)
+ * 3. Rows queued in memory before the persistent queue existed
+ *
+ * Each session (and each teacher's Cheating-Logs sheet) gets one batch job in
+ * the same queue lane as its live writes, so ordering per sheet is preserved.
+ */
+
+const {
+  findTeacherById,
+  getSessionsWithUnsyncedAttendance,
+  getTeachersWithUnsyncedCheating,
+} = require('./store.service');
+const { isDriveConnected } = require('./token-manager.service');
+const { enqueueAttendanceReconcile, enqueueViolationReconcile } = require('./drive-sync.service');
+
+// ── Timing constants ──
+const RECONCILE_GRACE_MS = 2 * 60 * 1000;  // 2 minutes: leave fresh rows to their own queued job
+
+let _reconcileInterval = null;
+
+/**
+ * Start periodic reconciliation timer
+ */
+function startPeriodicReconcile(intervalMs = 5 * 60 * 1000) {
+  if (_reconcileInterval) clearInterval(_reconcileInterval);
+  _reconcileInterval = setInterval(() => reconcile(), intervalMs);
+  console.log(`[SyncReconciler] Periodic reconcile every ${Math.round(intervalMs / 1000)}s`);
+}
+
+/**
+ * Stop the reconciliation timer
+ */
+function stopPeriodicReconcile() {
+  if (_reconcileInterval) {
+    clearInterval(_reconcileInterval);
+    _reconcileInterval = null;
+  }
+}
+
+/**
+ * Run one reconciliation cycle — queues batch jobs, doesn't wait for them
+ */
+function reconcile() {
+  const stats = { sessionsQueued: 0, teachersQueued: 0, skipped: 0 };
+  const cutoff = new Date(Date.now() - RECONCILE_GRACE_MS).toISOString();
+
+  // Teachers without a usable Drive connection are skipped until they sign in again
+  const connected = new Map();
+  const isConnected = (teacherId) => {
+    if (!connected.has(teacherId)) connected.set(teacherId, isDriveConnected(findTeacherById(teacherId)));
+    return connected.get(teacherId);
+  };
+
+  // ── 1. Attendance rows, per session sheet ──
+  for (const { sessionId, teacherId } of getSessionsWithUnsyncedAttendance(cutoff)) {
+    if (isConnected(teacherId) && enqueueAttendanceReconcile(sessionId)) stats.sessionsQueued++;
+    else stats.skipped++;
+  }
+
+  // ── 2. Violation rows, per teacher Cheating-Logs sheet ──
+  for (const { teacherId } of getTeachersWithUnsyncedCheating(cutoff)) {
+    if (isConnected(teacherId) && enqueueViolationReconcile(teacherId)) stats.teachersQueued++;
+    else stats.skipped++;
+  }
+
+  // ── Log summary ──
+  if (stats.sessionsQueued + stats.teachersQueued > 0) {
+    console.log(
+      `[SyncReconciler] Queued re-sync for ${stats.sessionsQueued} sessions, ` +
+      `${stats.teachersQueued} cheating logs (${stats.skipped} skipped)`
+    );
+  }
+
+  return stats;
+}
+
+module.exports = {
+  startPeriodicReconcile,
+  stopPeriodicReconcile,
+  reconcile,
+};
@@ -0,0 +1,443 @@
+/**
+ * Department Timetable Grid Import
+ *
+ * Departments publish the semester timetable as a spreadsheet grid: days down one side,
+ * time slots across the other, and a class in each cell ("Algo TD G2 Salle 12"). This
+ * turns such a grid into schedule candidates for the teacher to review before creating them.
+ *
+ * Layout: days can run down the first column (slots across the header row) or across the
+ * header row (slots down the first column). Both, and where the header row / column sit,
+ * are detected unless given. Day labels may be English or French and may be merged over
+ * several rows (one row per group); slot labels are ranges ("08:00-09:30", "8h-9h30") or
+ * start times. A class spanning several slots is a merged cell or the same text repeated.
+ *
+ * Cells: a group ("G2", "Groupe A", "Section 1"), a room ("Salle 12", "Amphi B", "Room 301"),
+ * an alternating week ("Week A", "Semaine B") and a type keyword (CM / Cours / Lecture, TD,
+ * TP / Lab) are picked out; the rest is the subject. A cell with several lines that each
+ * have a type keyword holds several classes.
+ */
+
+const XLSX = require('xlsx');
+const RoomService = require('./room.service');
+const Recurrence = require('./recurrence.service');
+const { getActiveSchedules } = require('./store.service');
+
+const ORIENTATIONS = ['auto', 'days-rows', 'days-columns'];
+
+// Header scan limit — the grid starts near the top-left corner
+const HEADER_SCAN = 10;
+
+// Grid size cap — a timetable is a few dozen rows and columns, whatever size the sheet declares
+const MAX_ROWS = 500;
+const MAX_COLUMNS = 200;
+
+const DAY_NAMES = {
+  0: ['sunday', 'sun', 'dimanche', 'dim'],
+  1: ['monday', 'mon', 'lundi', 'lun'],
+  2: ['tuesday', 'tue', 'tues', 'mardi', 'mar'],
+  3: ['wednesday', 'wed', 'mercredi', 'mer'],
+  4: ['thursday', 'thu', 'thur', 'thurs', 'jeudi', 'jeu'],
+  5: ['friday', 'fri', 'vendredi', 'ven'],
+  6: ['saturday', 'sat', 'samedi', 'sam'],
+};
+
+const TYPE_PATTERNS = [
+  { type: 'lecture', pattern: /\b(?:CM|Cours|Lecture)\b/i },
+  { type: 'td', pattern: /\b(?:TD|Tutorial)\b/i },
+  { type: 'lab', pattern: /\b(?:TP|Lab|Practical)\b/i },
+];
+const WEEK_PATTERN = /\b(?:Week|Semaine|Sem)\.?\s*([AB])\b/i;
+const GROUP_PATTERN = /\b(?:G(\d+)|(?:Gr|Grp|Groupe|Group|Section|Sec)(?:\.\s*|\s+)([A-Z0-9]+))\b/i;
+const ROOM_PATTERN = /\b(?:Salle|Room|Amphi(?:th[ée]{1,2}[aâ]tre)?|Labo)\s*[:.]?\s*(?:[A-Z]?\d+[A-Z0-9-]*|[A-Z])\b/i;
+const TIME = String.raw`(\d{1,2})\s*(?:[h:.]\s*(\d{2})?)?`;
+const SLOT_RANGE_PATTERN = new RegExp(String.raw`^${TIME}\s*(?:-|–|—|à|a|to)\s*${TIME}$`, 'i');
+const SLOT_START_PATTERN = /^(\d{1,2})\s*[h:.]\s*(\d{2})?$/i;
+
+// ── Labels ──
+
+function normalize(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Day of the week (0=Sunday) a label names, or null
+ */
+function parseDay(label) {
+  const word = normalize(label).split(/[^a-z]+/)[0];
+  if (!word) return null;
+  const day = Object.keys(DAY_NAMES).find(d => DAY_NAMES[d].includes(word));
+  return day === undefined ? null : Number(day);
+}
+
+function formatTime(hours, minutes) {
+  const h = Number(hours);
+  const m = Number(minutes || 0);
+  if (h > 23 || m > 59) return null;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * A slot label as { start, end } ("HH:MM"; end null for a bare start time), or null
+ */
+function parseSlot(label) {
+  const text = String(label || '').trim();
+  const range = SLOT_RANGE_PATTERN.exec(text);
+  if (range) {
+    const start = formatTime(range[1], range[2]);
+    const end = formatTime(range[3], range[4]);
+    return start && end && start < end ? { start, end } : null;
+  }
+  const single = SLOT_START_PATTERN.exec(text);
+  if (single) {
+    const start = formatTime(single[1], single[2]);
+    return start ? { start, end: null } : null;
+  }
+  return null;
+}
+
+function minutesOf(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function timeOf(minutes) {
+  return formatTime(Math.floor(minutes / 60), minutes % 60);
+}
+
+/**
+ * Give bare start times an end: the next slot's start (the last slot keeps the previous length)
+ */
+function closeSlots(slots) {
+  const positions = Object.keys(slots).map(Number).sort((a, b) => a - b);
+  positions.forEach((pos, i) => {
+    if (slots[pos].end) return;
+    const next = slots[positions[i + 1]];
+    const prev = slots[positions[i - 1]];
+    const length = prev ? minutesOf(prev.end) - minutesOf(prev.start) : 60;
+    slots[pos].end = next ? next.start : timeOf(Math.min(minutesOf(slots[pos].start) + length, 23 * 60 + 59));
+  });
+  return slots;
+}
+
+// ── Cells ──
+
+/**
+ * Split a cell into classes: lines that each name a type are separate classes, otherwise
+ * the lines are one class written over several lines
+ */
+function splitCell(text) {
+  const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines.length > 1 && lines.every(line => TYPE_PATTERNS.some(t => t.pattern.test(line)))) return lines;
+  return [lines.join(' ')];
+}
+
+/**
+ * One label per group however the cell writes it: numbers as "G3" ("G3", "G03", "Gr. 3",
+ * "Groupe 3", "Section 3"), anything else upper-cased ("Groupe a" → "A")
+ */
+function groupLabel(match) {
+  const label = match[1] || match[2];
+  return /^\d+$/.test(label) ? `G${Number(label)}` : label.toUpperCase();
+}
+
+/**
+ * Subject, type, group, room and A / B week of one class ("Algo TD G2 Salle 12 Sem A")
+ * @throws {Error} when no subject is left
+ */
+function parseClass(text, defaultType) {
+  let rest = ` ${text} `;
+  const take = (pattern) => {
+    const match = pattern.exec(rest);
+    if (match) rest = rest.replace(match[0], ' ');
+    return match;
+  };
+
+  const week = take(WEEK_PATTERN);
+  const group = take(GROUP_PATTERN);
+  const room = take(ROOM_PATTERN);
+  let sessionType = defaultType;
+  for (const { type, pattern } of TYPE_PATTERNS) {
+    if (take(pattern)) {
+      sessionType = type;
+      break;
+    }
+  }
+
+  const subjectName = rest.replace(/\s+/g, ' ').replace(/^[\s\-–/,;:|]+|[\s\-–/,;:|]+$/g, '');
+  if (!subjectName) throw new Error(`No subject in "${text}"`);
+
+  return {
+    subjectName: subjectName.slice(0, 200),
+    sessionType,
+    sectionOrGroup: group ? groupLabel(group) : '',
+    room: room ? room[0].replace(/\s+/g, ' ').trim() : '',
+    weekParity: week ? week[1].toUpperCase() : null,
+  };
+}
+
+// ── Grid ──
+
+/**
+ * Read a sheet into a cell accessor with merged ranges resolved to their top-left cell.
+ * The range covers the populated cells (within the size cap), not the declared `!ref` —
+ * a small file can claim a million rows.
+ */
+function readSheet(sheet) {
+  const range = { s: { r: MAX_ROWS, c: MAX_COLUMNS }, e: { r: 0, c: 0 } };
+  for (const address of Object.keys(sheet)) {
+    if (address[0] === '!') continue;
+    const { r, c } = XLSX.utils.decode_cell(address);
+    if (r >= MAX_ROWS || c >= MAX_COLUMNS) continue;
+    range.s.r = Math.min(range.s.r, r);
+    range.s.c = Math.min(range.s.c, c);
+    range.e.r = Math.max(range.e.r, r);
+    range.e.c = Math.max(range.e.c, c);
+  }
+  if (range.s.r > range.e.r) range.s.r = range.e.r;
+  if (range.s.c > range.e.c) range.s.c = range.e.c;
+
+  const merges = new Map();
+  for (const merge of sheet['!merges'] || []) {
+    if (merge.s.r < MAX_ROWS && merge.s.c < MAX_COLUMNS) merges.set(`${merge.s.r}:${merge.s.c}`, merge);
+  }
+  const text = (r, c) => {
+    const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+    return cell ? String(cell.w ?? cell.v ?? '').trim() : '';
+  };
+  return { range, merges, text };
+}
+
+/**
+ * Find the header row and column: the row holding slot labels and the column holding day
+ * labels (days-rows), or the other way around (days-columns)
+ */
+function detectLayout({ range, text }, layout) {
+  const count = (cells, parse) => cells.filter(t => parse(t) !== null).length;
+  const rowCells = r => Array.from({ length: range.e.c - range.s.c + 1 }, (_, i) => text(r, range.s.c + i));
+  const colCells = c => Array.from({ length: range.e.r - range.s.r + 1 }, (_, i) => text(range.s.r + i, c));
+  const lastRow = Math.min(range.e.r, range.s.r + HEADER_SCAN);
+  const lastCol = Math.min(range.e.c, range.s.c + HEADER_SCAN);
+  const findRow = parse => {
+    for (let r = range.s.r; r <= lastRow; r++) if (count(rowCells(r), parse) >= 2) return r;
+    return null;
+  };
+  const findCol = parse => {
+    for (let c = range.s.c; c <= lastCol; c++) if (count(colCells(c), parse) >= 2) return c;
+    return null;
+  };
+
+  const tryLayout = (orientation) => {
+    const [rowParse, colParse] = orientation === 'days-rows' ? [parseSlot, parseDay] : [parseDay, parseSlot];
+    const headerRow = layout.headerRow ? layout.headerRow - 1 : findRow(rowParse);
+    const headerColumn = layout.headerColumn ? layout.headerColumn - 1 : findCol(colParse);
+    return headerRow === null || headerColumn === null ? null : { orientation, headerRow, headerColumn };
+  };
+
+  const found = layout.orientation && layout.orientation !== 'auto'
+    ? tryLayout(layout.orientation)
+    : tryLayout('days-rows') || tryLayout('days-columns');
+  if (!found) {
+    throw new Error('Could not find the day and time slot headers — check the layout settings');
+  }
+  return found;
+}
+
+/**
+ * Parse a timetable grid into schedule candidates
+ * @param {Buffer} buffer - XLSX / XLS / CSV bytes
+ * @param {Object} layout - { sheet, orientation, headerRow, headerColumn (1-based), defaultSessionType,
+ *   startDate, endDate (the semester the classes will run in, for conflict checks) }
+ * @returns {{ sheets: string[], sheet: string, layout: Object, items: Object[], skipped: Object[] }}
+ */
+function parseGrid(buffer, layout = {}) {
+  let workbook;
+  try {
+    // Sparse sheets (cells keyed by address) — readSheet walks the populated keys
+    workbook = XLSX.read(buffer, { type: 'buffer', sheetRows: MAX_ROWS, dense: false });
+  } catch (e) {
+    throw new Error('Unreadable file — upload an XLSX timetable');
+  }
+
+  const sheetName = layout.sheet || workbook.SheetNames[0];
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) throw new Error(`No sheet named "${sheetName}"`);
+
+  const grid = readSheet(sheet);
+  const detected = detectLayout(grid, layout);
+  const daysDown = detected.orientation === 'days-rows';
+  const { range, merges, text } = grid;
+
+  // Positions along each axis: lines (one per day, or several per day) and slots
+  const lineStart = daysDown ? detected.headerRow + 1 : detected.headerColumn + 1;
+  const lineEnd = daysDown ? range.e.r : range.e.c;
+  const slotStart = daysDown ? detected.headerColumn + 1 : detected.headerRow + 1;
+  const slotEnd = daysDown ? range.e.c : range.e.r;
+  const cellAt = (line, slot) => (daysDown ? [line, slot] : [slot, line]);
+  const dayLabel = line => (daysDown ? text(line, detected.headerColumn) : text(detected.headerRow, line));
+  const slotLabel = slot => (daysDown ? text(detected.headerRow, slot) : text(slot, detected.headerColumn));
+
+  // Day and slot labels carry forward over merged / blank header cells
+  const days = {};
+  let day = null;
+  for (let line = lineStart; line <= lineEnd; line++) {
+    const label = dayLabel(line);
+    if (label) day = parseDay(label);
+    days[line] = day;
+  }
+  const slots = {};
+  let slot = null;
+  for (let pos = slotStart; pos <= slotEnd; pos++) {
+    const label = slotLabel(pos);
+    if (label) slot = parseSlot(label);
+    if (slot) slots[pos] = label ? { ...slot } : slots[pos - 1];
+  }
+  closeSlots(slots);
+
+  // Filled cells, each covering one or more slots
+  const entries = [];
+  const skipped = [];
+  for (let line = lineStart; line <= lineEnd; line++) {
+    for (let pos = slotStart; pos <= slotEnd; pos++) {
+      const [r, c] = cellAt(line, pos);
+      const value = text(r, c);
+      if (!value) continue;
+      const cell = XLSX.utils.encode_cell({ r, c });
+      if (days[line] === null || days[line] === undefined) {
+        skipped.push({ cell, text: value, reason: 'No day for this row' });
+        continue;
+      }
+      if (!slots[pos]) {
+        skipped.push({ cell, text: value, reason: 'No time slot for this column' });
+        continue;
+      }
+      const merge = merges.get(`${r}:${c}`);
+      const lastPos = merge ? (daysDown ? merge.e.c : merge.e.r) : pos;
+      entries.push({ line, day: days[line], from: pos, to: Math.min(lastPos, slotEnd), text: value, cell });
+    }
+  }
+
+  // The same text in consecutive slots of one line is one longer class
+  const joined = [];
+  for (const entry of entries) {
+    const prev = joined[joined.length - 1];
+    if (prev && prev.line === entry.line && prev.text === entry.text && slots[entry.from] && prev.to + 1 >= entry.from) {
+      prev.to = Math.max(prev.to, entry.to);
+    } else {
+      joined.push({ ...entry });
+    }
+  }
+
+  const items = [];
+  for (const entry of joined) {
+    const lastSlot = slots[entry.to] || slots[entry.from];
+    splitCell(entry.text).forEach((classText, index) => {
+      try {
+        const parsed = parseClass(classText, layout.defaultSessionType || 'lecture');
+        const room = RoomService.findByLabel(parsed.room);
+        items.push({
+          key: `${entry.cell}#${index}`,
+          cell: entry.cell,
+          text: classText,
+          ...parsed,
+          dayOfWeek: entry.day,
+          startTime: slots[entry.from].start,
+          endTime: lastSlot.end,
+          recurrence: parsed.weekParity ? 'biweekly' : 'weekly',
+          startDate: layout.startDate || null,
+          endDate: layout.endDate || null,
+          roomId: room?.id || null,
+          roomName: room ? RoomService.label(room) : null,
+          classroomName: room ? '' : parsed.room,
+        });
+      } catch (err) {
+        skipped.push({ cell: entry.cell, text: classText, reason: err.message });
+      }
+    });
+  }
+
+  return {
+    sheets: workbook.SheetNames,
+    sheet: sheetName,
+    layout: { orientation: detected.orientation, headerRow: detected.headerRow + 1, headerColumn: detected.headerColumn + 1 },
+    items,
+    skipped,
+  };
+}
+
+// ── Conflicts ──
+
+// How far ahead two schedules are compared for a shared class date (about a semester)
+const CONFLICT_HORIZON_DAYS = 26 * 7;
+
+/**
+ * Whether two schedules have a class on the same date at overlapping times — checked with
+ * their recurrence (A / B weeks, custom rules) and semester dates, not just the weekday
+ */
+function clashes(a, b) {
+  if (!(a.startTime < b.endTime && b.startTime < a.endTime)) return false;
+  // Week A and week B classes never meet, whether or not the institution's week A is set
+  if (a.recurrence === 'biweekly' && b.recurrence === 'biweekly' &&
+    a.weekParity && b.weekParity && a.weekParity !== b.weekParity) return false;
+  const days = Recurrence.scheduleDays(b);
+  if (!Recurrence.scheduleDays(a).some(day => days.includes(day))) return false;
+
+  const today = new Date().toISOString().slice(0, 10);
+  const from = [today, a.startDate, b.startDate].filter(Boolean).sort().pop();
+  const horizon = Recurrence.addDays(from, CONFLICT_HORIZON_DAYS);
+  const to = [horizon, a.endDate, b.endDate].filter(Boolean).sort()[0];
+  for (let date = from; date <= to; date = Recurrence.addDays(date, 1)) {
+    if (Recurrence.occursOn(a, date) && Recurrence.occursOn(b, date)) return true;
+  }
+  return false;
+}
+
+/**
+ * Mark each candidate with what it clashes with: a class the teacher already has
+ * (same subject, group, day and start), one of their classes at the same time, another
+ * teacher's class in the same room at the same time, or another candidate of this grid
+ * (`batch`, with the other candidate's key — it only matters if both get picked)
+ */
+function findConflicts(items, teacherId) {
+  const schedules = getActiveSchedules();
+  const own = schedules.filter(s => s.teacherId === teacherId);
+  const others = schedules.filter(s => s.teacherId !== teacherId);
+
+  return items.map((item) => {
+    const conflicts = [];
+    const same = own.find(s =>
+      s.subjectName.toLowerCase() === item.subjectName.toLowerCase() &&
+      String(s.sectionOrGroup).toLowerCase() === String(item.sectionOrGroup).toLowerCase() &&
+      Number(s.dayOfWeek) === Number(item.dayOfWeek) && s.startTime === item.startTime &&
+      (s.weekParity || null) === item.weekParity
+    );
+    if (same) {
+      conflicts.push({ type: 'duplicate', message: 'Already in your schedule' });
+    } else {
+      own.filter(s => clashes(s, item)).forEach(s => conflicts.push({
+        type: 'overlap',
+        message: `Overlaps your ${s.subjectName} (${s.startTime}-${s.endTime})`,
+      }));
+    }
+    if (item.roomId) {
+      others.filter(s => s.roomId === item.roomId && clashes(s, item)).forEach(s => conflicts.push({
+        type: 'room',
+        message: `${item.roomName} is booked for ${s.subjectName} (${s.startTime}-${s.endTime})`,
+      }));
+    }
+    items.filter(other => other.key !== item.key && clashes(other, item)).forEach(other => conflicts.push({
+      type: 'batch',
+      key: other.key,
+      message: `Overlaps ${other.subjectName} (${other.cell}) in this timetable`,
+    }));
+    return { ...item, conflicts };
+  });
+}
+
+module.exports = {
+  ORIENTATIONS,
+  parseDay,
+  parseSlot,
+  parseClass,
+  parseGrid,
+  findConflicts,
+};
@@ -0,0 +1,110 @@
+/**
+ * Google Token Manager
+ *
+ * Builds one OAuth2 client per teacher from the stored Google tokens
+ * (access + refresh), so Drive/Sheets calls keep working after the
+ * access token's 1-hour lifetime:
+ * 1. google-auth-library refreshes expired access tokens automatically
+ * 2. Refreshed tokens are persisted through updateTeacher
+ * 3. A revoked refresh token marks the teacher as "Drive disconnected"
+ *    until they sign in again
+ */
+
+const { google } = require('googleapis');
+const config = require('../config');
+const DriveService = require('./drive.service');
+const { findTeacherById, updateTeacher } = require('./store.service');
+
+// teacherId → OAuth2 client (shared so concurrent queue jobs reuse one refresh)
+const _clients = new Map();
+
+/**
+ * True if the error means the refresh token is no longer usable
+ */
+function isRevokedError(err) {
+  const code = err?.response?.data?.error || err?.message;
+  return code === 'invalid_grant' || code === 'unauthorized_client';
+}
+
+/**
+ * Whether the teacher currently has a usable Drive connection
+ */
+function isDriveConnected(teacher) {
+  return !!teacher?.googleTokens && teacher.driveStatus !== 'disconnected';
+}
+
+/**
+ * Mark a teacher's Drive connection as revoked (cleared on next sign-in)
+ */
+function markDisconnected(teacherId, reason) {
+  _clients.delete(teacherId);
+  updateTeacher(teacherId, { driveStatus: 'disconnected' });
+  console.warn(`[TokenManager] Drive disconnected for teacher ${teacherId}: ${reason}`);
+}
+
+/**
+ * Drop the cached client (call after the teacher re-authenticates)
+ */
+function forgetClient(teacherId) {
+  _clients.delete(teacherId);
+}
+
+/**
+ * Get (or build) the OAuth2 client for a teacher
+ */
+function getAuthClient(teacher) {
+  if (_clients.has(teacher.id)) return _clients.get(teacher.id);
+
+  const client = new google.auth.OAuth2(
+    config.google.clientId,
+    config.google.clientSecret,
+    config.google.redirectUri
+  );
+  client.setCredentials(teacher.googleTokens);
+
+  // Persist refreshed tokens — Google omits refresh_token on refresh, so merge
+  client.on('tokens', (tokens) => {
+    const current = findTeacherById(teacher.id);
+    if (!current) return;
+    updateTeacher(teacher.id, {
+      googleTokens: { ...current.googleTokens, ...tokens },
+      driveStatus: 'connected',
+    });
+  });
+
+  _clients.set(teacher.id, client);
+  return client;
+}
+
+/**
+ * Get a DriveService for a teacher with a fresh access token.
+ * @param {Object|string} teacherOrId - teacher record or ID
+ * @returns {Promise<DriveService|null>} null if Drive is not connected or was revoked
+ */
+async function getDriveService(teacherOrId) {
+  const teacher = typeof teacherOrId === 'string' ? findTeacherById(teacherOrId) : teacherOrId;
+  if (!isDriveConnected(teacher)) return null;
+
+  const client = getAuthClient(teacher);
+  try {
+    // Refreshes only if the access token is expired (or about to expire)
+    await client.getAccessToken();
+  } catch (err) {
+    if (isRevokedError(err)) {
+      markDisconnected(teacher.id, err.message);
+      return null;
+    }
+    throw err;
+  }
+
+  return new DriveService(client);
+}
+
+module.exports = {
+  getDriveService,
+  getAuthClient,
+  isDriveConnected,
+  isRevokedError,
+  markDisconnected,
+  forgetClient,
+};